@@ -1,96 +1,141 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const path = require('path');
 const yaml = require('js-yaml');
 const { configureMikroTik } = require('./mikrotik-no-vlan-filtering.js');
 const { configureCap, configureController } = require('./lib/capsman');
+const { getConnectionConfig, parseConnectionArgs } = require('./lib/connection');
+const { deviceHost } = require('./lib/addresses');
+const { validateFile, formatErrors } = require('./lib/validate');
+const { resolveSecrets } = require('./lib/secrets');
+const { readConfigText } = require('./lib/encryption');
+const { findLegacySettings } = require('./lib/migrate');
+const { ConfigurationPlan } = require('./lib/plan');
+const { resolveRollbackMinutes, withRollback } = require('./lib/rollback');
+const { SnapshotStore, recordSnapshot } = require('./lib/snapshots');
+const { parseReportArgs, RunReport } = require('./lib/report');
 
 function loadConfig(configFile) {
   try {
-    const fileContents = fs.readFileSync(configFile, 'utf8');
-    const config = yaml.load(fileContents);
-    return config;
+    // Encrypted files are decrypted and secret references ({env}, {file}, {command}) resolved here
+    const { text } = readConfigText(configFile);
+    return resolveSecrets(yaml.load(text), { baseDir: path.dirname(configFile) });
   } catch (e) {
     console.error(`Error loading config file: ${e.message}`);
     process.exit(1);
   }
 }
 
-function validateConfig(config) {
-  const errors = [];
-
-  if (!config.device) {
-    errors.push('Missing device configuration');
-  } else {
-    if (!config.device.host) errors.push('Missing device.host');
-    if (!config.device.username) errors.push('Missing device.username');
-    if (!config.device.password) errors.push('Missing device.password');
-  }
-
-  // CAP devices don't need SSIDs - they receive them from the controller
-  if (config.role !== 'cap' && (!config.ssids || config.ssids.length === 0)) {
-    errors.push('No SSIDs defined');
-  }
-
-  if (config.ssids) {
-    config.ssids.forEach((ssid, index) => {
-      if (!ssid.ssid) errors.push(`SSID ${index}: missing ssid`);
-      if (!ssid.passphrase) errors.push(`SSID ${index}: missing passphrase`);
-      if (ssid.passphrase === 'UNKNOWN') {
-        errors.push(`SSID ${index} (${ssid.ssid}): passphrase is UNKNOWN - please set a real passphrase. UNKNOWN is used in backups when passphrases cannot be retrieved from devices.`);
-      }
-      if (ssid.vlan === undefined) errors.push(`SSID ${index}: missing vlan`);
-      if (!ssid.bands || ssid.bands.length === 0) {
-        errors.push(`SSID ${index}: missing bands (must specify 2.4GHz, 5GHz, or both)`);
-      }
-      if (ssid.bands) {
-        ssid.bands.forEach(band => {
-          if (band !== '2.4GHz' && band !== '5GHz') {
-            errors.push(`SSID ${index}: invalid band '${band}' (must be 2.4GHz or 5GHz)`);
-          }
-        });
-      }
-    });
-  }
+function validateConfig(configFile) {
+  const { config, errors } = validateFile(configFile, { kind: 'config' });
 
   if (errors.length > 0) {
     console.error('Configuration validation errors:');
-    errors.forEach(err => console.error(`  - ${err}`));
+    formatErrors(configFile, errors).forEach(err => console.error(`  - ${err}`));
     process.exit(1);
   }
 
+  const legacySettings = findLegacySettings(config, 'config');
+  if (legacySettings.length > 0) {
+    console.log(`ℹ️  ${legacySettings.length} legacy setting(s) - convert them with: ./migrate.js ${configFile}`);
+  }
+
   return true;
 }
 
+// Flags of this script besides the connection flags (see parseConnectionArgs)
+const FLAGS = ['--plan', '--no-snapshot'];
+const VALUE_FLAGS = ['--plan-json', '--rollback', '--snapshot-dir'];
+
 async function main() {
-  const args = process.argv.slice(2);
+  let reports;
+  let reportArgs;
+  try {
+    ({ reports, args: reportArgs } = parseReportArgs(process.argv.slice(2)));
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+  }
+  // Connection flags override the device block (--simulate, --port, --key, --agent, --transport, ...)
+  const { args, options: connectionOptions } = parseConnectionArgs(reportArgs);
 
   if (args.length === 0) {
-    console.log('Usage: node apply-config.js <config-file.yaml> [target-ip]');
+    console.log('Usage: node apply-config.js <config-file.yaml> [target-ip] [--accept-new-host-keys] [--plan] [--plan-json <file>] [--rollback <minutes>] [--snapshot-dir <dir>] [--no-snapshot] [--report <json|junit> <file>]');
+    console.log('       [--simulate] [--transport <ssh|rest|api|simulator>] [--address addr] [--port N] [--key path] [--key-passphrase pass] [--agent [socket]]');
     console.log('');
     console.log('Examples:');
     console.log('  node apply-config.js config.yaml');
     console.log('  node apply-config.js config.yaml 192.168.1.100');
+    console.log('  node apply-config.js config.yaml --plan');
+    console.log('  node apply-config.js config.yaml --simulate');
     console.log('');
     console.log('The config file specifies SSIDs, VLANs, and security settings.');
     console.log('If target-ip is provided, it overrides the host in the config file.');
+    console.log('--accept-new-host-keys re-pins a changed SSH host key (e.g. after a factory reset).');
+    console.log('--plan shows the commands that would be sent without changing the device;');
+    console.log('--plan-json <file> also writes the plan as JSON (implies --plan).');
+    console.log('--rollback <minutes> restores the previous config after <minutes> unless the tool can reconnect.');
+    console.log('After applying, the device\'s export is stored in ./snapshots (--snapshot-dir <dir>, --no-snapshot).');
+    console.log('--report <json|junit> <file> writes the outcome, warnings and durations for automation.');
+    console.log('Connection flags override the device block; --simulate runs against an in-process simulated device.');
+    process.exit(1);
+  }
+
+  const unknown = args.find((arg, index) => arg.startsWith('--') && !FLAGS.includes(arg) &&
+    !VALUE_FLAGS.includes(arg) && !VALUE_FLAGS.includes(args[index - 1]));
+  if (unknown) {
+    console.error(`✗ Unknown option or missing value: ${unknown}`);
+    process.exit(1);
+  }
+
+  const acceptNewHostKeys = connectionOptions.acceptNewHostKeys === true;
+  const planJsonIndex = args.indexOf('--plan-json');
+  const planJsonFile = planJsonIndex !== -1 ? args[planJsonIndex + 1] : null;
+  if (planJsonIndex !== -1 && (!planJsonFile || planJsonFile.startsWith('--'))) {
+    console.error('--plan-json requires a file path');
+    process.exit(1);
+  }
+  const plan = args.includes('--plan') || planJsonFile ? new ConfigurationPlan() : null;
+  const rollbackIndex = args.indexOf('--rollback');
+  const rollbackOption = rollbackIndex !== -1 ? resolveRollbackMinutes(args[rollbackIndex + 1]) : undefined;
+  if (rollbackIndex !== -1 && !rollbackOption) {
+    console.error('--rollback requires a number of minutes');
+    process.exit(1);
+  }
+  const snapshotDirIndex = args.indexOf('--snapshot-dir');
+  const snapshotDir = snapshotDirIndex !== -1 ? args[snapshotDirIndex + 1] : undefined;
+  if (snapshotDirIndex !== -1 && (!snapshotDir || snapshotDir.startsWith('--'))) {
+    console.error('--snapshot-dir requires a directory');
     process.exit(1);
   }
+  const snapshotStore = args.includes('--no-snapshot') || plan ? null : new SnapshotStore(snapshotDir);
+  const optionValues = [planJsonIndex, rollbackIndex, snapshotDirIndex].filter(index => index !== -1).map(index => index + 1);
+  const positional = args.filter((arg, index) => !arg.startsWith('--') && !optionValues.includes(index));
+  const configFile = positional[0];
+  const targetIp = positional[1];
 
-  const configFile = args[0];
-  const targetIp = args[1];
+  // Machine-readable report (--report), written whenever the process exits
+  const report = reports.length > 0 ? new RunReport('apply-config', { configFile, mode: plan ? 'plan' : 'apply' }) : null;
+  if (report) {
+    report.writeOnExit(reports);
+  }
 
   console.log(`Loading configuration from: ${configFile}`);
   const config = loadConfig(configFile);
 
   console.log('Validating configuration...');
-  validateConfig(config);
+  validateConfig(configFile);
 
   // Prepare configuration for MikroTik
   const mtConfig = {
-    host: targetIp || config.device.host,
-    username: config.device.username,
-    password: config.device.password,
+    ...getConnectionConfig(config.device),
+    ...connectionOptions,
+    host: targetIp || deviceHost(config.device),
+    acceptNewHostKeys,
+    plan,
+    rollback: rollbackOption ?? config.rollback,  // Dead-man rollback (minutes)
+    reattach: config.reattach,  // Lease sources to find a fresh device after 192.168.88.1 is removed
     identity: config.identity,  // Optional explicit identity override
     managementInterfaces: config.managementInterfaces || ['ether1'],
     disabledInterfaces: config.disabledInterfaces || [],
@@ -102,7 +147,7 @@ async function main() {
   };
 
   console.log('\n=== Configuration Summary ===');
-  console.log(`Target device: ${mtConfig.host}`);
+  console.log(`Target device: ${mtConfig.host}${mtConfig.transport === 'simulator' ? ' (simulated)' : ''}`);
 
   // Format management interfaces for display
   const mgmtDisplay = mtConfig.managementInterfaces.map(iface => {
@@ -127,27 +172,63 @@ async function main() {
   }
 
   console.log('\n');
-  console.log('Applying configuration to device...');
+  console.log(plan ? 'Planning configuration (no changes will be made)...' : 'Applying configuration to device...');
   console.log('');
 
+  const reportEntry = report
+    ? report.device({ key: config.identity || mtConfig.host, host: mtConfig.host, identity: config.identity, role: config.role || 'standalone' })
+    : null;
+  // Runs a step, recording it in the report when one was requested
+  const tracked = async (phase, fn) => {
+    if (!reportEntry) return fn();
+    return reportEntry.track(phase, fn);
+  };
+  // The configure functions return false when they stop early (e.g. the session was lost)
+  const requireSuccess = async (promise) => {
+    if (await promise !== true) {
+      throw new Error('stopped before completing (see output above)');
+    }
+  };
+
   try {
     if (config.role === 'cap' || config.role === 'controller') {
       // CAP/controller functions expect flat config with host/username/password at root
       const flatConfig = {
         ...config,
-        host: targetIp || config.device.host,
-        username: config.device.username,
-        password: config.device.password
+        ...getConnectionConfig(config.device),
+        ...connectionOptions,
+        host: targetIp || deviceHost(config.device),
+        acceptNewHostKeys,
+        plan,
+        rollback: rollbackOption ?? config.rollback
       };
       if (config.role === 'cap') {
-        await configureCap(flatConfig);
+        await requireSuccess(tracked('Configuration', () => withRollback(flatConfig, () => configureCap(flatConfig))));
       } else {
-        await configureController(flatConfig);
+        await requireSuccess(tracked('Configuration', () => withRollback(flatConfig, () => configureController(flatConfig))));
       }
     } else {
-      await configureMikroTik(mtConfig);
+      const host = mtConfig.host;
+      await requireSuccess(tracked('Configuration', () => configureMikroTik(mtConfig)));
+      if (mtConfig.host !== host) {
+        console.log(`\nℹ️  Re-attached at ${mtConfig.host} - update device.host in ${configFile}`);
+      }
+    }
+
+    if (plan) {
+      plan.print();
+      if (planJsonFile) {
+        fs.writeFileSync(planJsonFile, JSON.stringify(plan.toJSON({ configFile }), null, 2) + '\n');
+        console.log(`✓ Plan written to ${planJsonFile}`);
+      }
+      return;
     }
     console.log('\n✓ Configuration applied successfully!');
+
+    if (snapshotStore) {
+      console.log('\n=== Saving Configuration Snapshot ===');
+      await tracked('Snapshot', () => recordSnapshot(mtConfig, snapshotStore, 'apply'));
+    }
   } catch (error) {
     console.error('\n✗ Configuration failed:', error.message);
 
@@ -158,6 +239,11 @@ async function main() {
       console.log('  - Default password: Check the sticker on the device or manual');
       console.log('  - Look for "RouterOS default password" on the device label');
       console.log('  - Each device has a unique default password for security');
+      console.log('  - For key auth, check device.privateKeyPath and that the key is imported for the user');
+    } else if (error.message.includes('Host key for')) {
+      console.log('\nHint: The device presented a different SSH host key than the one pinned');
+      console.log('  - Expected after a factory reset or hardware replacement');
+      console.log('  - Verify the device, then re-run with --accept-new-host-keys (or update device.hostKeyFingerprint)');
     } else if (error.message.includes('Connection refused')) {
       console.log('\nHint: SSH may not be enabled on the device');
       console.log('  - Connect via WinBox or WebFig first');
@@ -165,7 +251,7 @@ async function main() {
     } else if (error.message.includes('Connection timeout')) {
       console.log('\nHint: Device may not be reachable');
       console.log('  - Check network connectivity to', mtConfig.host);
-      console.log('  - Verify firewall rules allow SSH (port 22)');
+      console.log(`  - Verify firewall rules allow SSH (port ${config.device.port || 22})`);
     }
 
     process.exit(1);
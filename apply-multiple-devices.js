@@ -1,181 +1,46 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const path = require('path');
 const yaml = require('js-yaml');
 const { configureMikroTik, configureCapInterfacesOnController, configureLocalCapFallback, configureAccessLists, extractHostname } = require('./mikrotik-no-vlan-filtering.js');
+const { getConnectionConfig } = require('./lib/connection');
+const { deviceHost } = require('./lib/addresses');
+const { validateFile, formatErrors } = require('./lib/validate');
+const { resolveSecrets } = require('./lib/secrets');
+const { readConfigText } = require('./lib/encryption');
+const { applyProfiles } = require('./lib/profiles');
+const { findLegacySettings } = require('./lib/migrate');
+const { ConfigurationPlan } = require('./lib/plan');
+const { resolveRollbackMinutes, withRollback } = require('./lib/rollback');
+const { SnapshotStore, recordSnapshot } = require('./lib/snapshots');
+const { parseConcurrency, runConcurrently } = require('./lib/concurrency');
+const { RUN_PHASES, RunState, defaultStateFile } = require('./lib/run-state');
+const { parsePhases, describePhases, configureInfrastructureSteps } = require('./lib/phases');
+const { parseReportArgs, RunReport } = require('./lib/report');
+const { resolveHealthGate, countClients, expectedIdentity, waitForHealthy, confirmContinue } = require('./lib/health');
+const { resolveSsidsForDevice, resolveCapFallbackSsids, buildDeviceConfig, isCapsmanDeployment, parseSelectorArgs, selectDevices, hasSelectors, describeSelectors } = require('./lib/deployment');
 
 function loadConfig(configFile) {
   try {
-    const fileContents = fs.readFileSync(configFile, 'utf8');
-    const config = yaml.load(fileContents);
-    return config;
+    // Encrypted files are decrypted and secret references ({env}, {file}, {command}) resolved here
+    const { text } = readConfigText(configFile);
+    return resolveSecrets(yaml.load(text), { baseDir: path.dirname(configFile) });
   } catch (e) {
     console.error(`Error loading config file: ${e.message}`);
     process.exit(1);
   }
 }
 
-/**
- * Resolve SSIDs for a device by merging device-level SSID references with deployment-level SSID templates.
- *
- * Device SSIDs specify which SSIDs to broadcast and on which bands.
- * Deployment SSIDs provide the PSK, VLAN, and roaming settings.
- *
- * @param {Array<Object>} deviceSsids - Device-level SSID references with ssid name and bands
- * @param {Array<Object>} deploymentSsids - Deployment-level SSID templates with PSK, VLAN, roaming
- * @returns {Array<Object>} - Fully resolved SSIDs with all settings
- */
-function resolveSsidsForDevice(deviceSsids, deploymentSsids) {
-  if (!deviceSsids || deviceSsids.length === 0) {
-    return [];  // No SSIDs listed = no SSIDs broadcast
-  }
-
-  // Build lookup by SSID name for PSK/VLAN/roaming
-  const templates = new Map(deploymentSsids.map(s => [s.ssid, s]));
-  const resolved = [];
-
-  for (const deviceSsid of deviceSsids) {
-    const template = templates.get(deviceSsid.ssid);
-    if (!template) {
-      throw new Error(`SSID "${deviceSsid.ssid}" not found in deployment-level ssids`);
-    }
-    if (!deviceSsid.bands || deviceSsid.bands.length === 0) {
-      throw new Error(`SSID "${deviceSsid.ssid}" must specify bands`);
-    }
-    resolved.push({
-      ssid: template.ssid,
-      passphrase: template.passphrase,
-      vlan: template.vlan,
-      roaming: template.roaming,
-      bands: deviceSsid.bands
-    });
-  }
-
-  return resolved;
-}
-
-function validateDeviceConfig(config, index, deploymentSsids) {
-  const errors = [];
-  const role = config.role || 'standalone';
-
-  if (!config.device) {
-    errors.push(`Device ${index}: Missing device configuration`);
-  } else {
-    if (!config.device.host) errors.push(`Device ${index}: Missing device.host`);
-    if (!config.device.username) errors.push(`Device ${index}: Missing device.username`);
-    if (!config.device.password) errors.push(`Device ${index}: Missing device.password`);
-  }
-
-  // Build lookup map from deployment-level SSIDs for reference validation
-  const deploymentSsidMap = new Map((deploymentSsids || []).map(s => [s.ssid, s]));
-
-  // CAP devices can have optional SSIDs for per-WAP customization
-  if (role === 'cap') {
-    // Validate CAP-specific config - support both capsman.* (new) and cap.* (legacy)
-    const capsmanConfig = config.capsman || {};
-    const legacyCapConfig = config.cap || {};
-    const controllerAddresses = capsmanConfig.controllerAddresses || legacyCapConfig.controllerAddresses || [];
-    if (controllerAddresses.length === 0) {
-      errors.push(`Device ${index} (CAP): Missing capsman.controllerAddresses`);
-    }
-
-    // Validate per-device SSIDs if present (must reference deployment-level SSIDs)
-    if (config.ssids && config.ssids.length > 0) {
-      config.ssids.forEach((ssid, ssidIndex) => {
-        if (!ssid.ssid) {
-          errors.push(`Device ${index}, SSID ${ssidIndex}: missing ssid name`);
-        } else if (!deploymentSsidMap.has(ssid.ssid)) {
-          errors.push(`Device ${index}, SSID ${ssidIndex}: SSID "${ssid.ssid}" not found in deployment-level ssids`);
-        }
-        if (!ssid.bands || ssid.bands.length === 0) {
-          errors.push(`Device ${index}, SSID ${ssidIndex}: missing bands`);
-        }
-        if (ssid.bands) {
-          ssid.bands.forEach(band => {
-            if (band !== '2.4GHz' && band !== '5GHz') {
-              errors.push(`Device ${index}, SSID ${ssidIndex}: invalid band '${band}'`);
-            }
-          });
-        }
-      });
-    }
-  } else {
-    // Controller and standalone devices need SSIDs
-    const ssids = config.ssids || [];
-
-    // Determine if this is per-device reference format or legacy full-SSID format
-    // Reference format: device SSIDs only have ssid+bands, no passphrase
-    // Legacy format: device SSIDs have passphrase (or fall back to deploymentSsids)
-    const isReferenceFormat = ssids.length > 0 && !ssids[0].passphrase && deploymentSsidMap.size > 0;
-
-    if (isReferenceFormat) {
-      // Reference format: validate that SSIDs exist in deployment templates
-      ssids.forEach((ssid, ssidIndex) => {
-        if (!ssid.ssid) {
-          errors.push(`Device ${index}, SSID ${ssidIndex}: missing ssid name`);
-        } else if (!deploymentSsidMap.has(ssid.ssid)) {
-          errors.push(`Device ${index}, SSID ${ssidIndex}: SSID "${ssid.ssid}" not found in deployment-level ssids`);
-        }
-        if (!ssid.bands || ssid.bands.length === 0) {
-          errors.push(`Device ${index}, SSID ${ssidIndex}: missing bands`);
-        }
-        if (ssid.bands) {
-          ssid.bands.forEach(band => {
-            if (band !== '2.4GHz' && band !== '5GHz') {
-              errors.push(`Device ${index}, SSID ${ssidIndex}: invalid band '${band}'`);
-            }
-          });
-        }
-      });
-
-      // Validate deployment-level SSIDs have required fields
-      deploymentSsids.forEach((ssid, ssidIndex) => {
-        if (!ssid.ssid) errors.push(`Deployment SSID ${ssidIndex}: missing ssid`);
-        if (!ssid.passphrase) errors.push(`Deployment SSID ${ssidIndex}: missing passphrase`);
-        if (ssid.passphrase === 'UNKNOWN') {
-          errors.push(`Deployment SSID ${ssidIndex} (${ssid.ssid}): passphrase is UNKNOWN - please set a real passphrase`);
-        }
-        if (ssid.vlan === undefined) errors.push(`Deployment SSID ${ssidIndex}: missing vlan`);
-      });
-    } else {
-      // Legacy format: device has full SSIDs OR use deploymentSsids as fallback
-      const effectiveSsids = ssids.length > 0 ? ssids : (deploymentSsids || []);
-
-      if (effectiveSsids.length === 0) {
-        errors.push(`Device ${index}: No SSIDs defined`);
-      }
-
-      effectiveSsids.forEach((ssid, ssidIndex) => {
-        if (!ssid.ssid) errors.push(`Device ${index}, SSID ${ssidIndex}: missing ssid`);
-        if (!ssid.passphrase) errors.push(`Device ${index}, SSID ${ssidIndex}: missing passphrase`);
-        if (ssid.passphrase === 'UNKNOWN') {
-          errors.push(`Device ${index}, SSID ${ssidIndex} (${ssid.ssid}): passphrase is UNKNOWN - please set a real passphrase. UNKNOWN is used in backups when passphrases cannot be retrieved from devices.`);
-        }
-        if (ssid.vlan === undefined) errors.push(`Device ${index}, SSID ${ssidIndex}: missing vlan`);
-        if (!ssid.bands || ssid.bands.length === 0) {
-          errors.push(`Device ${index}, SSID ${ssidIndex}: missing bands`);
-        }
-        if (ssid.bands) {
-          ssid.bands.forEach(band => {
-            if (band !== '2.4GHz' && band !== '5GHz') {
-              errors.push(`Device ${index}, SSID ${ssidIndex}: invalid band '${band}'`);
-            }
-          });
-        }
-      });
-    }
-  }
-
-  return errors;
-}
-
-// Check if deployment uses CAPsMAN (has devices with role: controller or cap)
-function isCapsmanDeployment(devices) {
-  return devices.some(d => d.role === 'controller' || d.role === 'cap');
-}
-
 async function main() {
-  const args = process.argv.slice(2);
+  let reports;
+  let args;
+  try {
+    ({ reports, args } = parseReportArgs(process.argv.slice(2)));
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+  }
 
   if (args.length === 0) {
     console.log('Usage: node apply-multiple-devices.js <config-file.yaml> [options]');
@@ -183,14 +48,43 @@ async function main() {
     console.log('Options:');
     console.log('  --parallel       Apply configurations in parallel (faster but causes network-wide outage)');
     console.log('  --sequential     Apply configurations sequentially (default, clearer output)');
+    console.log('  --concurrency <n>  Configure up to <n> devices at a time (standalone devices and CAPs)');
     console.log('  --delay <secs>   Wait between devices for client roaming (default: 5, sequential only)');
     console.log('  --no-delay       Skip delay between devices');
+    console.log('  --accept-new-host-keys  Accept and re-pin SSH host keys that changed (e.g. onboarding reset devices)');
+    console.log('  --simulate       Run against in-process simulated devices instead of real hardware');
+    console.log('  --plan           Show the commands each device would receive without changing anything');
+    console.log('  --plan-json <file>  Also write the plan as JSON (implies --plan)');
+    console.log('  --rollback <mins>  Restore each device\'s previous config after <mins> unless the tool can reconnect');
+    console.log('                   (armed per phase: the controller again for CAP interfaces and access-lists;');
+    console.log('                   never for devices reached via 192.168.88.1)');
+    console.log('  --snapshot-dir <dir>  Store configuration snapshots in <dir> (default: ./snapshots)');
+    console.log('  --no-snapshot    Do not store configuration snapshots after applying');
+    console.log('  --only <key=value>     Only configure matching devices (identity, host, role, tag); repeat to narrow');
+    console.log('  --exclude <key=value>  Skip matching devices');
+    console.log('  --health-gate    After each device, wait until it is healthy before the next (sequential only)');
+    console.log('  --gate-timeout <secs>  Seconds a device has to pass the health gate (default: 120)');
+    console.log('  --on-gate-failure <stop|pause>  Stop the rollout, or ask whether to continue (default: stop)');
+    console.log('  --resume         Continue the last run: skip devices and phases that already completed');
+    console.log('  --state-file <file>  Run state file (default: <config>.run-state.json next to the config)');
+    console.log('  --report <json|junit> <file>  Write a per-device, per-phase report (repeat for both formats)');
+    console.log('  --phases <list>  Only run these phases: controller, caps, cap-interfaces, local-fallback,');
+    console.log('                   access-lists, standalone (or 1, 2, 2.5, 2.6, 2.75, 3), and/or the');
+    console.log('                   infrastructure steps identity, igmp-snooping, syslog (WiFi is not touched)');
     console.log('');
     console.log('Examples:');
     console.log('  node apply-multiple-devices.js multiple-devices.yaml');
     console.log('  node apply-multiple-devices.js multiple-devices.yaml --delay 10');
     console.log('  node apply-multiple-devices.js multiple-devices.yaml --no-delay');
     console.log('  node apply-multiple-devices.js multiple-devices.yaml --parallel');
+    console.log('  node apply-multiple-devices.js multiple-devices.yaml --concurrency 3');
+    console.log('  node apply-multiple-devices.js multiple-devices.yaml --plan');
+    console.log('  node apply-multiple-devices.js multiple-devices.yaml --rollback 5');
+    console.log('  node apply-multiple-devices.js multiple-devices.yaml --health-gate --on-gate-failure pause');
+    console.log('  node apply-multiple-devices.js multiple-devices.yaml --only tag=upstairs --exclude identity=shed-wap');
+    console.log('  node apply-multiple-devices.js multiple-devices.yaml --resume');
+    console.log('  node apply-multiple-devices.js multiple-devices.yaml --report junit results.xml');
+    console.log('  node apply-multiple-devices.js multiple-devices.yaml --phases access-lists,syslog');
     console.log('');
     console.log('The config file should contain a "devices" array with device configurations.');
     console.log('Use backup-multiple-devices.js to generate this file from existing devices.');
@@ -203,6 +97,21 @@ async function main() {
   const configFile = args[0];
   const parallel = args.includes('--parallel');
   const noDelay = args.includes('--no-delay');
+  const acceptNewHostKeys = args.includes('--accept-new-host-keys');
+  const simulate = args.includes('--simulate');
+  const planJsonIndex = args.indexOf('--plan-json');
+  const planJsonFile = planJsonIndex !== -1 ? args[planJsonIndex + 1] : null;
+  if (planJsonIndex !== -1 && (!planJsonFile || planJsonFile.startsWith('--'))) {
+    console.error('--plan-json requires a file path');
+    process.exit(1);
+  }
+  const plan = args.includes('--plan') || planJsonFile ? new ConfigurationPlan() : null;
+
+  // Machine-readable report (--report), written whenever the process exits
+  const report = reports.length > 0 ? new RunReport('apply-multiple-devices', { configFile, mode: plan ? 'plan' : 'apply' }) : null;
+  if (report) {
+    report.writeOnExit(reports);
+  }
 
   // Parse --delay <seconds> option
   let staggerDelay = 5; // Default 5 seconds
@@ -213,16 +122,84 @@ async function main() {
       staggerDelay = parsedDelay;
     }
   }
-  if (noDelay) {
+  if (noDelay || plan) {
     staggerDelay = 0;
   }
 
+  // Parse --concurrency <n> option (--parallel runs every device at once)
+  let concurrency = parallel ? Infinity : 1;
+  const concurrencyIndex = args.indexOf('--concurrency');
+  if (concurrencyIndex !== -1) {
+    concurrency = parseConcurrency(args[concurrencyIndex + 1]);
+    if (!concurrency) {
+      console.error('--concurrency requires a number of devices (1 or more)');
+      process.exit(1);
+    }
+  }
+  const concurrent = concurrency > 1;
+
+  // Parse --rollback <minutes> option (overrides the top-level rollback setting)
+  let rollbackOption;
+  const rollbackIndex = args.indexOf('--rollback');
+  if (rollbackIndex !== -1) {
+    rollbackOption = resolveRollbackMinutes(args[rollbackIndex + 1]);
+    if (!rollbackOption) {
+      console.error('--rollback requires a number of minutes');
+      process.exit(1);
+    }
+  }
+
+  // Parse --snapshot-dir <dir> / --no-snapshot options
+  const snapshotDirIndex = args.indexOf('--snapshot-dir');
+  const snapshotDir = snapshotDirIndex !== -1 ? args[snapshotDirIndex + 1] : undefined;
+  if (snapshotDirIndex !== -1 && (!snapshotDir || snapshotDir.startsWith('--'))) {
+    console.error('--snapshot-dir requires a directory');
+    process.exit(1);
+  }
+  const snapshotStore = args.includes('--no-snapshot') || plan ? null : new SnapshotStore(snapshotDir);
+
+  // Parse --resume / --state-file <file> options
+  const resume = args.includes('--resume');
+  const stateFileIndex = args.indexOf('--state-file');
+  const stateFile = stateFileIndex !== -1 ? args[stateFileIndex + 1] : defaultStateFile(configFile);
+  if (stateFileIndex !== -1 && (!stateFile || stateFile.startsWith('--'))) {
+    console.error('--state-file requires a file path');
+    process.exit(1);
+  }
+
+  // Parse --phases <list> option (default: every phase)
+  let phaseSelection = null;
+  const phasesIndex = args.indexOf('--phases');
+  if (phasesIndex !== -1) {
+    try {
+      phaseSelection = parsePhases(args[phasesIndex + 1]);
+    } catch (e) {
+      console.error(e.message);
+      process.exit(1);
+    }
+  }
+
   console.log('=== MikroTik Multi-Device Configuration ===');
   console.log(`Config file: ${configFile}`);
-  console.log(`Mode: ${parallel ? 'parallel' : 'sequential'}`);
-  if (!parallel && staggerDelay > 0) {
+  console.log(`Mode: ${concurrency === Infinity ? 'parallel' : concurrent ? `concurrent (${concurrency} devices at a time)` : 'sequential'}`);
+  if (!concurrent && staggerDelay > 0) {
     console.log(`Stagger delay: ${staggerDelay}s between devices (for client roaming)`);
   }
+  if (acceptNewHostKeys) {
+    console.log('Host keys: accepting new and changed keys (onboarding mode)');
+  }
+  if (simulate) {
+    console.log('Devices: simulated (no hardware is contacted)');
+  }
+  if (plan) {
+    console.log('Plan mode: commands are recorded, no device is changed');
+  }
+  if (snapshotStore) {
+    console.log(`Snapshots: ${snapshotStore.dir}`);
+  }
+  if (report) {
+    console.log(`Report: ${reports.map(r => `${r.file} (${r.format})`).join(', ')}`);
+  }
   console.log('');
 
   console.log(`Loading configuration from: ${configFile}`);
@@ -233,10 +210,96 @@ async function main() {
     process.exit(1);
   }
 
-  const devices = config.devices;
+  // Validate all devices before anything runs (same checks as validate.js)
+  console.log('Validating configurations...');
+  const { errors: validationErrors } = validateFile(configFile, { kind: 'multiple-devices' });
+
+  if (validationErrors.length > 0) {
+    console.error('\nValidation errors:');
+    formatErrors(configFile, validationErrors).forEach(err => console.error(`  - ${err}`));
+    console.error('\n✗ Configuration validation failed');
+    process.exit(1);
+  }
+
+  console.log('✓ All configurations valid');
+  const legacySettings = findLegacySettings(config, 'multiple-devices');
+  if (legacySettings.length > 0) {
+    console.log(`ℹ️  ${legacySettings.length} legacy setting(s) - convert them with: ./migrate.js ${configFile}`);
+  }
+
+  // Device entries with their profile (profiles:) merged in
+  const devices = applyProfiles(config).devices;
+
+  // Devices this run configures (--only / --exclude); deployment-wide steps still see all of them
+  let targets;
+  let selectors;
+  try {
+    selectors = parseSelectorArgs(args);
+    targets = selectDevices(devices, selectors);
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+  }
+  if (targets.length === 0) {
+    console.error(`✗ No devices match the selection (${describeSelectors(selectors)})`);
+    process.exit(1);
+  }
+
+  // Run state: progress per device and phase, so a failed rollout can be resumed
+  // (read but never written in plan mode)
+  let runState;
+  try {
+    const configText = readConfigText(configFile).text;
+    if (resume) {
+      runState = RunState.load(stateFile, { persist: !plan });
+      if (runState.configChanged(configText)) {
+        console.log(`⚠️  ${configFile} changed since the run being resumed; devices completed earlier are not re-applied`);
+      }
+      // A resumed run keeps the phases of the run it continues unless --phases is given
+      if (!phaseSelection && runState.data.selectedPhases) {
+        phaseSelection = parsePhases(runState.data.selectedPhases);
+      }
+    } else if (!plan) {
+      runState = RunState.start(stateFile, {
+        configFile,
+        configText,
+        selectedPhases: phaseSelection ? describePhases(phaseSelection) : null
+      });
+    }
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+  }
+
   const deploymentCountry = config.country;  // Top-level country for all devices
   const deploymentSyslog = config.syslog;    // Top-level syslog for all devices
+  const deploymentRollback = rollbackOption ?? config.rollback;  // Dead-man rollback for all devices
+  const deploymentReattach = config.reattach;  // Lease sources for fresh devices moving off 192.168.88.1
+
+  // Health gate between devices: top-level healthGate, overridden by --health-gate options
+  let healthGate;
+  try {
+    const gateTimeoutIndex = args.indexOf('--gate-timeout');
+    const gateFailureIndex = args.indexOf('--on-gate-failure');
+    const gateOverrides = {
+      ...(gateTimeoutIndex !== -1 ? { timeout: parseInt(args[gateTimeoutIndex + 1], 10) } : {}),
+      ...(gateFailureIndex !== -1 ? { onFailure: args[gateFailureIndex + 1] } : {})
+    };
+    if (gateOverrides.timeout !== undefined && !(gateOverrides.timeout > 0)) {
+      throw new Error('--gate-timeout requires a number of seconds');
+    }
+    const gateSetting = args.includes('--health-gate') || Object.keys(gateOverrides).length > 0
+      ? { ...(typeof config.healthGate === 'object' ? config.healthGate : {}), enabled: true, ...gateOverrides }
+      : config.healthGate;
+    healthGate = plan ? null : resolveHealthGate(gateSetting);
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+  }
   console.log(`Found ${devices.length} device(s) to configure`);
+  if (hasSelectors(selectors)) {
+    console.log(`Targeting ${targets.length} of ${devices.length} device(s): ${describeSelectors(selectors)}`);
+  }
   if (deploymentCountry) {
     console.log(`Country: ${deploymentCountry} (applies to all devices)`);
   }
@@ -246,6 +309,22 @@ async function main() {
       console.log(`  Topics: ${deploymentSyslog.topics.join(', ')}`);
     }
   }
+  if (resolveRollbackMinutes(deploymentRollback) && !plan) {
+    console.log(`Rollback: ${resolveRollbackMinutes(deploymentRollback)} minute(s) (applies to all devices)`);
+  }
+  if (resume) {
+    console.log(`Resuming run started ${runState.data.startedAt} (${stateFile})`);
+  } else if (runState) {
+    console.log(`Run state: ${stateFile}`);
+  }
+  if (phaseSelection) {
+    console.log(`Phases: ${describePhases(phaseSelection).split(',').join(', ')} (other phases are skipped)`);
+  }
+  if (healthGate) {
+    console.log(concurrent
+      ? 'Health gate: ignored when configuring devices concurrently'
+      : `Health gate: after each device (timeout ${healthGate.timeout}s, on failure: ${healthGate.onFailure})`);
+  }
   console.log('');
 
   // Check for CAPsMAN deployment
@@ -261,174 +340,259 @@ async function main() {
     const controller = devices.find(d => d.role === 'controller');
     const caps = devices.filter(d => d.role === 'cap');
     console.log('CAPsMAN deployment detected:');
-    console.log(`  Controller: ${controller ? controller.device?.host : 'MISSING'}`);
+    console.log(`  Controller: ${controller ? deviceHost(controller.device) : 'MISSING'}`);
     console.log(`  CAP devices: ${caps.length}`);
     if (deploymentSsids.length > 0) {
       console.log(`  Shared SSIDs: ${deploymentSsids.length}`);
     }
     console.log('');
+  }
 
-    if (!controller) {
-      console.error('✗ CAPsMAN deployment requires a device with role: controller');
-      process.exit(1);
-    }
+  // Label used to prefix a device's output when devices run concurrently
+  const deviceLabel = deviceConfig => deviceConfig.identity || deviceHost(deviceConfig.device);
+
+  // New addresses of fresh devices re-attached after their default IP was removed
+  const reattachedHosts = new Map();
+
+  // Deployment-level settings every device's configuration is built from
+  const deployment = {
+    ssids: deploymentSsids,
+    country: deploymentCountry,
+    syslog: deploymentSyslog,
+    capsmanVlan,
+    rollback: deploymentRollback,
+    reattach: deploymentReattach
+  };
+
+  // Helper to build mtConfig from deviceConfig (profiles are already applied)
+  function buildMtConfig(deviceConfig) {
+    return {
+      ...getConnectionConfig(deviceConfig.device),
+      ...(reattachedHosts.has(deviceConfig) ? { host: reattachedHosts.get(deviceConfig) } : {}),
+      ...(simulate ? { transport: 'simulator' } : {}),
+      acceptNewHostKeys,
+      plan,
+      ...buildDeviceConfig(deviceConfig, deployment)
+    };
   }
 
-  // Validate all devices first
-  console.log('Validating configurations...');
-  let hasValidationErrors = false;
-
-  for (let i = 0; i < devices.length; i++) {
-    const errors = validateDeviceConfig(devices[i], i + 1, deploymentSsids);
-    if (errors.length > 0) {
-      console.error(`\nValidation errors for device ${i + 1}:`);
-      errors.forEach(err => console.error(`  - ${err}`));
-      hasValidationErrors = true;
+  // Apply configurations
+  const results = [];
+  let halted = false;
+
+  // Report entry of a device (--report)
+  function reportEntry(deviceConfig) {
+    return report.device({
+      key: deviceLabel(deviceConfig),
+      index: devices.indexOf(deviceConfig) + 1,
+      host: deviceHost(deviceConfig.device),
+      identity: deviceConfig.identity,
+      role: deviceConfig.role || 'standalone'
+    });
+  }
+
+  // Run a device phase, recording it in the report when one is requested
+  // (the RouterOS version is recorded from the phase's first session)
+  async function tracked(deviceConfig, phase, fn, options) {
+    if (!report) return fn();
+    return reportEntry(deviceConfig).track(phase, fn, options);
+  }
+
+  // The configuration functions return false when they stop before completing (no
+  // CAP interfaces yet, connection lost after removing 192.168.88.1, ...); such a
+  // device or phase has not succeeded and is redone by --resume
+  async function requireSuccess(promise) {
+    if (await promise !== true) {
+      throw new Error('stopped before completing (see output above)');
     }
   }
 
-  if (hasValidationErrors) {
-    console.error('\n✗ Configuration validation failed');
-    process.exit(1);
+  // Configure a standalone device; the health gate, later phases and snapshot follow
+  // it to its DHCP address when it was re-attached after 192.168.88.1 was removed
+  async function configureStandalone(deviceConfig, mtConfig) {
+    const host = mtConfig.host;
+    try {
+      return await configureMikroTik(mtConfig);
+    } finally {
+      if (mtConfig.host !== host) {
+        reattachedHosts.set(deviceConfig, mtConfig.host);
+      }
+    }
   }
 
-  console.log('✓ All configurations valid\n');
+  // Run a deployment-wide phase, recording it in the report when one is requested
+  function trackedPhase(phase, fn) {
+    return report ? report.trackPhase(phase, fn) : fn();
+  }
 
-  // Helper to build mtConfig from deviceConfig
-  function buildMtConfig(deviceConfig) {
-    // Merge deployment-level country into device wifi config
-    let wifi = deviceConfig.wifi;
-    if (deploymentCountry && wifi && !wifi.country) {
-      wifi = { ...wifi, country: deploymentCountry };
-    } else if (deploymentCountry && !wifi) {
-      wifi = { country: deploymentCountry };
+  // Clients connected before a device is configured (for healthGate.minClientRatio)
+  async function clientBaseline(mtConfig, controller) {
+    if (!healthGate || !healthGate.minClientRatio) return 0;
+    if (mtConfig.role === 'cap') {
+      const identity = expectedIdentity(mtConfig);
+      return identity && controller ? (await countClients(controller, `${identity}-`)) || 0 : 0;
     }
+    return (await countClients(mtConfig)) || 0;
+  }
 
-    const role = deviceConfig.role || 'standalone';
+  // Wait for a configured device to be healthy; returns false when the rollout should stop
+  async function passHealthGate(mtConfig, result, remaining, context) {
+    console.log(`\n=== Health Gate: ${mtConfig.host} ===`);
+    let outcome;
+    await tracked(devices[result.index - 1], 'Health gate', async () => {
+      outcome = await waitForHealthy(mtConfig, healthGate, context);
+      return outcome.healthy;
+    }, { falseStatus: 'failed' });
+    const { healthy, checks } = outcome;
+    if (healthy) {
+      console.log(`✓ ${mtConfig.host} is healthy`);
+      return true;
+    }
 
-    // Resolve SSIDs for this device
-    // New format: device SSIDs are references (ssid+bands only, PSK/VLAN from deployment)
-    // Legacy format: device SSIDs are full (have passphrase), or fall back to deploymentSsids
-    let ssids = deviceConfig.ssids || [];
-    const deviceHasReferenceSsids = ssids.length > 0 && !ssids[0].passphrase && deploymentSsids.length > 0;
+    const failedCheck = checks[checks.length - 1];
+    result.success = false;
+    result.error = `health gate failed: ${failedCheck.name} (${failedCheck.detail})`;
+    console.error(`\n✗ Health gate failed for ${mtConfig.host}: ${failedCheck.name}`);
+    return healthGate.onFailure === 'pause' && await confirmContinue(remaining);
+  }
 
-    if (deviceHasReferenceSsids) {
-      // New per-device format: resolve references against deployment-level templates
-      ssids = resolveSsidsForDevice(ssids, deploymentSsids);
-    } else if (ssids.length === 0 && (role === 'controller' || role === 'standalone')) {
-      // Legacy: no device SSIDs, fall back to deployment-level SSIDs
-      ssids = deploymentSsids;
+  // Record a device's outcome in the run state (after its health gate); returns the result
+  function recordDevice(phase, deviceConfig, result) {
+    if (runState) {
+      runState.markDevice(phase, deviceLabel(deviceConfig), result);
     }
-    // Note: CAPs without device SSIDs will have empty ssids array here,
-    // they'll get SSIDs from controller during Phase 2.5
-
-    // Build unified capsman config from various sources
-    // New unified format: capsman.vlan.id/network/address
-    // Legacy formats: cap.capsmanVlan.vlan, capsmanVlan.vlan, capsmanAddress
-    const deviceCapsmanConfig = deviceConfig.capsman || {};
-    const legacyCap = deviceConfig.cap || {};
-
-    // Build vlan config: prefer new capsman.vlan format, fall back to legacy
-    let vlanConfig = null;
-    if (capsmanVlan || deviceCapsmanConfig.vlan || legacyCap.capsmanVlan) {
-      vlanConfig = {
-        // VLAN ID: new format uses 'id', legacy uses 'vlan'
-        id: deviceCapsmanConfig.vlan?.id ||
-            legacyCap.capsmanVlan?.vlan ||
-            capsmanVlan?.vlan,
-        // Network comes from deployment or device
-        network: deviceCapsmanConfig.vlan?.network ||
-                 legacyCap.capsmanVlan?.network ||
-                 capsmanVlan?.network,
-        // Address is always device-specific
-        address: deviceCapsmanConfig.vlan?.address ||
-                 legacyCap.capsmanVlan?.address ||
-                 deviceConfig.capsmanAddress
-      };
+    return result;
+  }
+
+  // Devices completed in an earlier run are left out with --resume
+  const completedEarlier = [];
+  // Non-fatal phases that did not complete (CAP interfaces, access-lists, local fallback)
+  const incompletePhases = [];
+  function pendingDevices(phase, list) {
+    if (!resume) return list;
+    const done = list.filter(deviceConfig => runState.isDeviceDone(phase, deviceLabel(deviceConfig)));
+    for (const deviceConfig of done) {
+      if (!completedEarlier.includes(deviceConfig)) completedEarlier.push(deviceConfig);
+      if (report) reportEntry(deviceConfig).skip(RUN_PHASES[phase], 'completed in previous run');
     }
+    return list.filter(deviceConfig => !done.includes(deviceConfig));
+  }
 
-    return {
-      host: deviceConfig.device.host,
-      username: deviceConfig.device.username,
-      password: deviceConfig.device.password,
-      identity: deviceConfig.identity,
-      managementInterfaces: deviceConfig.managementInterfaces || ['ether1'],
-      disabledInterfaces: deviceConfig.disabledInterfaces || [],
-      igmpSnooping: deviceConfig.igmpSnooping,
-      wifi,
-      syslog: deploymentSyslog,
-      ssids,
-      role,
-      // Unified capsman config
-      capsman: {
-        ...deviceCapsmanConfig,
-        ...legacyCap,  // Include legacy cap fields (controllerAddresses, etc.)
-        vlan: vlanConfig
-      }
-    };
+  // Deployment-wide phases run again when a device they depend on was configured in this run
+  function phasePending(phase) {
+    return !resume || !runState.isPhaseDone(phase) || results.some(r => r.success);
   }
 
-  // Apply configurations
-  const results = [];
+  // Whether a phase runs (--phases)
+  function phaseSelected(phase) {
+    return !phaseSelection || phaseSelection.phases.includes(phase);
+  }
+
+  // Record devices a stopped rollout did not touch
+  function skipDevices(skipped, role) {
+    for (const deviceConfig of skipped) {
+      results.push({
+        index: devices.indexOf(deviceConfig) + 1,
+        host: deviceHost(deviceConfig.device),
+        role: deviceConfig.role || role,
+        success: false,
+        skipped: true,
+        error: 'not configured - rollout stopped by health gate'
+      });
+      if (report) {
+        reportEntry(deviceConfig).skip('Configuration', 'rollout stopped by health gate');
+      }
+    }
+  }
 
   // CAPsMAN deployment: controller first, then CAPs
   if (capsmanMode) {
     const controller = devices.find(d => d.role === 'controller');
-    const caps = devices.filter(d => d.role === 'cap');
-    const standalones = devices.filter(d => !d.role || d.role === 'standalone');
+    // Deployment-wide steps (CAP interfaces on the controller, access-lists) use every CAP
+    const allCaps = devices.filter(d => d.role === 'cap');
+    const targetedCaps = allCaps.filter(d => targets.includes(d));
+    const caps = phaseSelected('caps') ? pendingDevices('caps', targetedCaps) : [];
+    const standalones = phaseSelected('standalone')
+      ? pendingDevices('standalone', targets.filter(d => !d.role || d.role === 'standalone'))
+      : [];
+    const controllerTargeted = targets.includes(controller);
+    const controllerPending = controllerTargeted && phaseSelected('controller') && pendingDevices('controller', [controller]).length > 0;
+    const capsmanTargeted = controllerTargeted || targetedCaps.length > 0;
+    const controllerConfig = buildMtConfig(controller);
 
     // Phase 1: Configure controller
-    console.log('=== Phase 1: Configuring CAPsMAN Controller ===\n');
-    const controllerConfig = buildMtConfig(controller);
-    const controllerIndex = devices.indexOf(controller) + 1;
-
-    console.log(`${'='.repeat(60)}`);
-    console.log(`[Controller] ${controllerConfig.host}`);
-    console.log(`${'='.repeat(60)}`);
-    if (controllerConfig.ssids && controllerConfig.ssids.length > 0) {
-      console.log(`Master configurations (SSIDs): ${controllerConfig.ssids.length}`);
-      controllerConfig.ssids.forEach(ssid => {
-        const roamingInfo = [];
-        if (ssid.roaming?.fastTransition) roamingInfo.push('802.11r');
-        if (ssid.roaming?.rrm) roamingInfo.push('802.11k');
-        if (ssid.roaming?.wnm) roamingInfo.push('802.11v');
-        const roamingStr = roamingInfo.length > 0 ? ` [${roamingInfo.join(',')}]` : '';
-        console.log(`  - ${ssid.ssid} (VLAN ${ssid.vlan}, Bands: ${ssid.bands.join(', ')})${roamingStr}`);
-      });
-    }
-    console.log('');
+    if (controllerPending) {
+      console.log('=== Phase 1: Configuring CAPsMAN Controller ===\n');
+      if (plan) plan.setPhase('Phase 1: Controller');
+      const controllerIndex = devices.indexOf(controller) + 1;
 
-    try {
-      await configureMikroTik(controllerConfig);
-      results.push({ index: controllerIndex, host: controllerConfig.host, role: 'controller', success: true });
-      console.log(`\n✓ Controller configured: ${controllerConfig.host}`);
-    } catch (error) {
-      results.push({ index: controllerIndex, host: controllerConfig.host, role: 'controller', success: false, error: error.message });
-      console.error(`\n✗ Controller configuration failed: ${error.message}`);
-      console.error('Cannot proceed with CAP configuration without controller.');
-      process.exit(1);
-    }
+      console.log(`${'='.repeat(60)}`);
+      console.log(`[Controller] ${controllerConfig.host}`);
+      console.log(`${'='.repeat(60)}`);
+      if (controllerConfig.ssids && controllerConfig.ssids.length > 0) {
+        console.log(`Master configurations (SSIDs): ${controllerConfig.ssids.length}`);
+        controllerConfig.ssids.forEach(ssid => {
+          const roamingInfo = [];
+          if (ssid.roaming?.fastTransition) roamingInfo.push('802.11r');
+          if (ssid.roaming?.rrm) roamingInfo.push('802.11k');
+          if (ssid.roaming?.wnm) roamingInfo.push('802.11v');
+          const roamingStr = roamingInfo.length > 0 ? ` [${roamingInfo.join(',')}]` : '';
+          console.log(`  - ${ssid.ssid} (VLAN ${ssid.vlan}, Bands: ${ssid.bands.join(', ')})${roamingStr}`);
+        });
+      }
+      console.log('');
+
+      const controllerBaseline = await clientBaseline(controllerConfig);
+      try {
+        await requireSuccess(tracked(controller, RUN_PHASES.controller, () => configureMikroTik(controllerConfig)));
+        results.push({ index: controllerIndex, host: controllerConfig.host, role: 'controller', success: true });
+        console.log(`\n✓ Controller configured: ${controllerConfig.host}`);
+      } catch (error) {
+        results.push(recordDevice('controller', controller, { index: controllerIndex, host: controllerConfig.host, role: 'controller', success: false, error: error.message }));
+        console.error(`\n✗ Controller configuration failed: ${error.message}`);
+        console.error('Cannot proceed with CAP configuration without controller.');
+        process.exit(1);
+      }
 
-    // Wait for CAPsMAN to initialize
-    console.log('\n⏳ Waiting 5s for CAPsMAN service to initialize...');
-    await new Promise(resolve => setTimeout(resolve, 5000));
+      if (healthGate && !await passHealthGate(controllerConfig, results[0], caps.length + standalones.length, { baselineClients: controllerBaseline })) {
+        halted = true;
+        skipDevices([...caps, ...standalones]);
+      }
+      recordDevice('controller', controller, results[0]);
+
+      // Wait for CAPsMAN to initialize (nothing changed in plan mode)
+      if (!plan && !halted) {
+        console.log('\n⏳ Waiting 5s for CAPsMAN service to initialize...');
+        await new Promise(resolve => setTimeout(resolve, 5000));
+      }
+    } else if (controllerTargeted && !phaseSelected('controller')) {
+      console.log('=== Phase 1: Controller not selected (--phases) - skipped ===\n');
+    } else if (controllerTargeted) {
+      console.log('=== Phase 1: Controller completed in the previous run - skipped ===\n');
+    } else {
+      console.log('=== Phase 1: Controller not targeted - skipped ===\n');
+    }
 
     // Phase 2: Configure CAPs
-    if (caps.length > 0) {
+    if (targetedCaps.length > 0 && !halted && !phaseSelected('caps')) {
+      console.log('\n=== Phase 2: CAPs not selected (--phases) - skipped ===');
+    } else if (caps.length > 0 && !halted) {
       console.log(`\n=== Phase 2: Configuring ${caps.length} CAP Device(s) ===\n`);
+      if (plan) plan.setPhase('Phase 2: CAPs');
 
-      if (parallel) {
-        const capPromises = caps.map(async (deviceConfig) => {
+      if (concurrent) {
+        const capResults = await runConcurrently(caps, { concurrency, label: deviceLabel }, async (deviceConfig) => {
           const mtConfig = buildMtConfig(deviceConfig);
           const capIndex = devices.indexOf(deviceConfig) + 1;
           try {
-            await configureMikroTik(mtConfig);
-            return { index: capIndex, host: mtConfig.host, role: 'cap', success: true };
+            await requireSuccess(tracked(deviceConfig, RUN_PHASES.caps, () => configureMikroTik(mtConfig)));
+            console.log(`\n✓ CAP configured: ${mtConfig.host}`);
+            return recordDevice('caps', deviceConfig, { index: capIndex, host: mtConfig.host, role: 'cap', success: true });
           } catch (error) {
-            return { index: capIndex, host: mtConfig.host, role: 'cap', success: false, error: error.message };
+            console.error(`\n✗ CAP configuration failed: ${error.message}`);
+            return recordDevice('caps', deviceConfig, { index: capIndex, host: mtConfig.host, role: 'cap', success: false, error: error.message });
           }
         });
-        const capResults = await Promise.all(capPromises);
         results.push(...capResults);
       } else {
         for (let i = 0; i < caps.length; i++) {
@@ -442,8 +606,9 @@ async function main() {
           console.log(`Controller: ${mtConfig.capsman?.controllerAddresses?.join(', ') || 'not specified'}`);
           console.log('');
 
+          const baselineClients = await clientBaseline(mtConfig, controllerConfig);
           try {
-            await configureMikroTik(mtConfig);
+            await requireSuccess(tracked(deviceConfig, RUN_PHASES.caps, () => configureMikroTik(mtConfig)));
             results.push({ index: capIndex, host: mtConfig.host, role: 'cap', success: true });
             console.log(`\n✓ CAP configured: ${mtConfig.host}`);
           } catch (error) {
@@ -451,6 +616,19 @@ async function main() {
             console.error(`\n✗ CAP configuration failed: ${error.message}`);
           }
 
+          // Health gate: the CAP must be back and registered before the next one is touched
+          // (its SSIDs are checked after Phase 2.5 assigns them)
+          const capResult = results[results.length - 1];
+          if (healthGate && capResult.success) {
+            const remaining = caps.slice(i + 1);
+            if (!await passHealthGate(mtConfig, capResult, remaining.length + standalones.length, { controller: controllerConfig, baselineClients, ssidsAssigned: false })) {
+              halted = true;
+              skipDevices([...remaining, ...standalones]);
+            }
+          }
+          recordDevice('caps', deviceConfig, capResult);
+          if (halted) break;
+
           // Stagger delay between CAPs
           const isLastCap = i === caps.length - 1;
           if (!isLastCap && staggerDelay > 0) {
@@ -459,25 +637,35 @@ async function main() {
           }
         }
       }
+    }
 
-      // Phase 2.5: Configure CAP interfaces on controller (wifi-qcom only)
+    // Phase 2.5: Configure CAP interfaces on controller (wifi-qcom only)
+    if (allCaps.length > 0 && capsmanTargeted && !halted && !phaseSelected('capInterfaces')) {
+      console.log('\n=== Phase 2.5: CAP interfaces not selected (--phases) - skipped ===');
+    } else if (allCaps.length > 0 && capsmanTargeted && !halted && !phasePending('capInterfaces')) {
+      console.log('\n=== Phase 2.5: CAP interfaces completed in the previous run - skipped ===');
+    } else if (allCaps.length > 0 && capsmanTargeted && !halted) {
       // For wifi-qcom CAPsMAN, CAP interfaces must be configured directly after CAPs connect
       // This function detects the WiFi package and skips if wifiwave2 (uses provisioning rules)
       console.log('\n=== Phase 2.5: Configuring CAP Interfaces on Controller ===\n');
-      console.log('⏳ Waiting 3s for CAP interfaces to appear...');
-      await new Promise(resolve => setTimeout(resolve, 3000));
+      if (plan) {
+        plan.setPhase('Phase 2.5: CAP interfaces on controller');
+      } else {
+        console.log('⏳ Waiting 3s for CAP interfaces to appear...');
+        await new Promise(resolve => setTimeout(resolve, 3000));
+      }
 
       // Build array of CAP device configs with wifi settings (txPower, etc.)
       // These are passed to configure per-device settings on CAP interfaces
       // Also include per-device SSIDs if configured (for per-WAP SSID customization)
-      const capDeviceConfigs = caps.map(cap => {
+      const capDeviceConfigs = allCaps.map(cap => {
         // Resolve SSIDs for this CAP if it has device-level SSID references
         const capSsids = cap.ssids && cap.ssids.length > 0 && !cap.ssids[0].passphrase
           ? resolveSsidsForDevice(cap.ssids, deploymentSsids)
           : null;  // null means use controller's SSIDs
 
         return {
-          host: cap.device?.host,
+          host: deviceHost(cap.device),
           identity: cap.identity,
           wifi: cap.wifi,
           ssids: capSsids  // Per-CAP SSIDs (or null for default)
@@ -485,29 +673,56 @@ async function main() {
       });
 
       try {
-        await configureCapInterfacesOnController(controllerConfig, capDeviceConfigs);
+        // The controller's own rollback window closed after Phase 1; this phase gets its own
+        await requireSuccess(trackedPhase(RUN_PHASES.capInterfaces, () => withRollback(controllerConfig, () => configureCapInterfacesOnController(controllerConfig, capDeviceConfigs))));
         console.log('✓ CAP interface configuration complete');
+        if (runState) runState.markPhase('capInterfaces', true);
       } catch (error) {
+        if (runState) runState.markPhase('capInterfaces', false, error.message);
+        incompletePhases.push(`${RUN_PHASES.capInterfaces} - ${error.message}`);
         console.error(`⚠️  CAP interface configuration warning: ${error.message}`);
         console.error('    CAP interfaces may need manual configuration.');
       }
     }
 
+    // Health gate: CAPs configured in this run must broadcast their SSIDs through the controller
+    const gatedCaps = healthGate && !concurrent && !halted
+      ? caps.filter(cap => results.some(r => r.success && r.index === devices.indexOf(cap) + 1))
+      : [];
+    for (const [i, cap] of gatedCaps.entries()) {
+      const capResult = results.find(r => r.index === devices.indexOf(cap) + 1);
+      const proceed = await passHealthGate(buildMtConfig(cap), capResult, gatedCaps.length - i - 1 + standalones.length, { controller: controllerConfig });
+      if (!capResult.success) recordDevice('caps', cap, capResult);
+      if (!proceed) {
+        halted = true;
+        skipDevices(standalones);
+        break;
+      }
+    }
+
     // Phase 2.75: Configure access-lists (WAP locking)
     // Collect lockedDevices from all device configs
     const allLockedDevices = devices.flatMap(device =>
       (device.lockedDevices || []).map(ld => ({
         ...ld,
-        lockToAp: device.identity || extractHostname(device.device?.host)
+        lockToAp: device.identity || extractHostname(deviceHost(device.device))
       }))
     );
 
-    if (allLockedDevices.length > 0) {
+    if (allLockedDevices.length > 0 && capsmanTargeted && !halted && !phaseSelected('accessLists')) {
+      console.log('\n=== Phase 2.75: Access-lists not selected (--phases) - skipped ===');
+    } else if (allLockedDevices.length > 0 && capsmanTargeted && !halted && !phasePending('accessLists')) {
+      console.log('\n=== Phase 2.75: Access-lists completed in the previous run - skipped ===');
+    } else if (allLockedDevices.length > 0 && capsmanTargeted && !halted) {
       console.log(`\n=== Phase 2.75: Configuring Access-Lists (${allLockedDevices.length} locked device(s)) ===\n`);
+      if (plan) plan.setPhase('Phase 2.75: Access-lists');
       try {
-        await configureAccessLists(controllerConfig, allLockedDevices, deploymentSsids, devices);
+        await requireSuccess(trackedPhase(RUN_PHASES.accessLists, () => withRollback(controllerConfig, () => configureAccessLists(controllerConfig, allLockedDevices, deploymentSsids, devices))));
         console.log('✓ Access-list configuration complete');
+        if (runState) runState.markPhase('accessLists', true);
       } catch (error) {
+        if (runState) runState.markPhase('accessLists', false, error.message);
+        incompletePhases.push(`${RUN_PHASES.accessLists} - ${error.message}`);
         console.error(`⚠️  Access-list configuration warning: ${error.message}`);
         console.error('    Locked devices may not be properly configured.');
       }
@@ -516,33 +731,40 @@ async function main() {
     // Phase 2.6: Configure local WiFi fallback on CAP devices
     // This allows CAPs to continue providing WiFi even when controller is unreachable
     // Uses per-device SSIDs if configured, otherwise deployment-level SSIDs
-    const capsWithSsids = caps.filter(cap => {
+    // CAPs configured in this run always get their fallback again (Phase 2 replaces it),
+    // also on --resume and when local-fallback is not among --phases
+    const configuredCaps = caps.filter(cap => results.some(r => r.success && r.index === devices.indexOf(cap) + 1));
+    const capsWithSsids = targetedCaps.filter(cap => {
       // CAP needs SSIDs either at device level or deployment level
       return (cap.ssids && cap.ssids.length > 0) || deploymentSsids.length > 0;
-    });
+    }).filter(cap => configuredCaps.includes(cap) || (phaseSelected('capFallback') && pendingDevices('capFallback', [cap]).length > 0));
 
-    if (capsWithSsids.length > 0) {
+    if (capsWithSsids.length > 0 && !halted) {
       console.log(`\n=== Phase 2.6: Configuring Local WiFi Fallback on CAP Devices ===\n`);
+      if (plan) plan.setPhase('Phase 2.6: Local CAP fallback');
 
       for (const cap of capsWithSsids) {
         const capConfig = {
-          host: cap.device.host,
-          username: cap.device.username,
-          password: cap.device.password,
+          ...getConnectionConfig(cap.device),
+          ...(simulate ? { transport: 'simulator' } : {}),
+          acceptNewHostKeys,
+          plan,
           identity: cap.identity,
-          wifi: cap.wifi
+          wifi: cap.wifi,
+          rollback: cap.rollback ?? deploymentRollback
         };
 
         // Resolve SSIDs for this CAP if it has device-level SSID references
-        const capSsids = cap.ssids && cap.ssids.length > 0 && !cap.ssids[0].passphrase
-          ? resolveSsidsForDevice(cap.ssids, deploymentSsids)
-          : deploymentSsids;  // Fall back to deployment-level SSIDs
+        const capSsids = resolveCapFallbackSsids(cap, deploymentSsids);
 
         try {
-          await configureLocalCapFallback(capConfig, capSsids, deploymentCountry || 'United States');
+          await requireSuccess(tracked(cap, RUN_PHASES.capFallback, () => withRollback(capConfig, () => configureLocalCapFallback(capConfig, capSsids, deploymentCountry || 'United States'))));
+          recordDevice('capFallback', cap, { host: deviceHost(cap.device), success: true });
         } catch (error) {
           // Non-fatal - CAP still works with controller, just no fallback
-          console.error(`⚠️  Local fallback warning for ${cap.device.host}: ${error.message}`);
+          recordDevice('capFallback', cap, { host: deviceHost(cap.device), success: false, error: error.message });
+          incompletePhases.push(`${RUN_PHASES.capFallback} on ${deviceLabel(cap)} - ${error.message}`);
+          console.error(`⚠️  Local fallback warning for ${deviceHost(cap.device)}: ${error.message}`);
         }
       }
 
@@ -550,47 +772,69 @@ async function main() {
     }
 
     // Phase 3: Configure standalone devices (if any mixed in)
-    if (standalones.length > 0) {
+    if (standalones.length > 0 && !halted) {
       console.log(`\n=== Phase 3: Configuring ${standalones.length} Standalone Device(s) ===\n`);
-      for (const deviceConfig of standalones) {
+      if (plan) plan.setPhase('Phase 3: Standalone');
+      for (const [i, deviceConfig] of standalones.entries()) {
         const mtConfig = buildMtConfig(deviceConfig);
         const devIndex = devices.indexOf(deviceConfig) + 1;
+        const baselineClients = await clientBaseline(mtConfig);
         try {
-          await configureMikroTik(mtConfig);
+          await requireSuccess(tracked(deviceConfig, RUN_PHASES.standalone, () => configureStandalone(deviceConfig, mtConfig)));
           results.push({ index: devIndex, host: mtConfig.host, role: 'standalone', success: true });
         } catch (error) {
           results.push({ index: devIndex, host: mtConfig.host, role: 'standalone', success: false, error: error.message });
         }
+
+        const standaloneResult = results[results.length - 1];
+        if (healthGate && standaloneResult.success) {
+          const remaining = standalones.slice(i + 1);
+          if (!await passHealthGate(mtConfig, standaloneResult, remaining.length, { baselineClients })) {
+            halted = true;
+            skipDevices(remaining);
+          }
+        }
+        recordDevice('standalone', deviceConfig, standaloneResult);
+        if (halted) break;
       }
     }
 
-  } else if (parallel) {
-    // Standard parallel deployment (non-CAPsMAN)
-    console.log('Applying configurations in parallel...\n');
+  } else if (!phaseSelected('standalone')) {
+    console.log('=== Device configuration not selected (--phases) - skipped ===\n');
+
+  } else if (concurrent) {
+    // Standard concurrent deployment (non-CAPsMAN); output is printed per device as each finishes
+    console.log(concurrency === Infinity
+      ? 'Applying configurations in parallel...\n'
+      : `Applying configurations, ${concurrency} devices at a time...\n`);
 
-    const promises = devices.map(async (deviceConfig, index) => {
+    const queue = pendingDevices('standalone', targets);
+    const allResults = await runConcurrently(queue, { concurrency, label: deviceLabel }, async (deviceConfig) => {
+      const index = devices.indexOf(deviceConfig);
       const mtConfig = buildMtConfig(deviceConfig);
       try {
-        await configureMikroTik(mtConfig);
-        return { index: index + 1, host: mtConfig.host, success: true };
+        await requireSuccess(tracked(deviceConfig, RUN_PHASES.standalone, () => configureStandalone(deviceConfig, mtConfig)));
+        console.log(`\n✓ Successfully configured ${mtConfig.host}`);
+        return recordDevice('standalone', deviceConfig, { index: index + 1, host: mtConfig.host, success: true });
       } catch (error) {
-        return { index: index + 1, host: mtConfig.host, success: false, error: error.message };
+        console.error(`\n✗ Failed to configure ${mtConfig.host}: ${error.message}`);
+        return recordDevice('standalone', deviceConfig, { index: index + 1, host: mtConfig.host, success: false, error: error.message });
       }
     });
-
-    const allResults = await Promise.all(promises);
     results.push(...allResults);
 
   } else {
     // Standard sequential deployment (non-CAPsMAN)
     console.log('Applying configurations sequentially...\n');
 
-    for (let i = 0; i < devices.length; i++) {
-      const deviceConfig = devices[i];
+    const queue = pendingDevices('standalone', targets);
+    for (let i = 0; i < queue.length; i++) {
+      const deviceConfig = queue[i];
+      const devIndex = devices.indexOf(deviceConfig) + 1;
       const mtConfig = buildMtConfig(deviceConfig);
 
       console.log(`\n${'='.repeat(60)}`);
-      console.log(`[${i + 1}/${devices.length}] Configuring device: ${mtConfig.host}`);
+      console.log(`[${i + 1}/${queue.length}] Configuring device: ${mtConfig.host}`);
       console.log(`${'='.repeat(60)}`);
       if (mtConfig.ssids && mtConfig.ssids.length > 0) {
         console.log(`SSIDs to configure: ${mtConfig.ssids.length}`);
@@ -600,17 +844,30 @@ async function main() {
       }
       console.log('');
 
+      const baselineClients = await clientBaseline(mtConfig);
       try {
-        await configureMikroTik(mtConfig);
-        results.push({ index: i + 1, host: mtConfig.host, success: true });
+        await requireSuccess(tracked(deviceConfig, RUN_PHASES.standalone, () => configureStandalone(deviceConfig, mtConfig)));
+        results.push({ index: devIndex, host: mtConfig.host, success: true });
         console.log(`\n✓ Successfully configured ${mtConfig.host}`);
       } catch (error) {
-        results.push({ index: i + 1, host: mtConfig.host, success: false, error: error.message });
+        results.push({ index: devIndex, host: mtConfig.host, success: false, error: error.message });
         console.error(`\n✗ Failed to configure ${mtConfig.host}: ${error.message}`);
       }
 
+      // Health gate: the device must be healthy before the next one is touched
+      const deviceResult = results[results.length - 1];
+      if (healthGate && deviceResult.success) {
+        const remaining = queue.slice(i + 1);
+        if (!await passHealthGate(mtConfig, deviceResult, remaining.length, { baselineClients })) {
+          halted = true;
+          skipDevices(remaining, 'standalone');
+        }
+      }
+      recordDevice('standalone', deviceConfig, deviceResult);
+      if (halted) break;
+
       // Stagger delay between devices to allow WiFi clients to roam
-      const isLastDevice = i === devices.length - 1;
+      const isLastDevice = i === queue.length - 1;
       if (!isLastDevice && staggerDelay > 0) {
         console.log(`\n⏳ Waiting ${staggerDelay}s for WiFi clients to roam before next device...`);
         await new Promise(resolve => setTimeout(resolve, staggerDelay * 1000));
@@ -618,36 +875,138 @@ async function main() {
     }
   }
 
+  // Infrastructure steps (--phases syslog,...) on the targeted devices whose full
+  // configuration did not run in a selected phase (it includes these steps)
+  const devicePhase = deviceConfig => (capsmanMode && deviceConfig.role === 'controller' ? 'controller'
+    : capsmanMode && deviceConfig.role === 'cap' ? 'caps' : 'standalone');
+  const stepDevices = phaseSelection && phaseSelection.steps.length > 0 && !halted
+    ? pendingDevices('steps', targets.filter(deviceConfig => !phaseSelected(devicePhase(deviceConfig))))
+    : [];
+  if (stepDevices.length > 0) {
+    const stepNames = phaseSelection.steps.join(', ');
+    console.log(`\n=== Infrastructure Steps (${stepNames}) on ${stepDevices.length} Device(s) ===\n`);
+    if (plan) plan.setPhase(RUN_PHASES.steps);
+
+    const stepResults = await runConcurrently(stepDevices, { concurrency, label: deviceLabel }, async (deviceConfig) => {
+      const mtConfig = buildMtConfig(deviceConfig);
+      const index = devices.indexOf(deviceConfig) + 1;
+      const role = capsmanMode ? deviceConfig.role || 'standalone' : undefined;
+      if (!concurrent) {
+        console.log(`${'='.repeat(60)}`);
+        console.log(`[${stepDevices.indexOf(deviceConfig) + 1}/${stepDevices.length}] ${mtConfig.host}`);
+        console.log(`${'='.repeat(60)}`);
+      }
+      try {
+        await requireSuccess(tracked(deviceConfig, RUN_PHASES.steps, () => configureInfrastructureSteps(mtConfig, phaseSelection.steps)));
+        console.log(`\n✓ ${stepNames} configured: ${mtConfig.host}\n`);
+        return recordDevice('steps', deviceConfig, { index, host: mtConfig.host, role, success: true });
+      } catch (error) {
+        console.error(`\n✗ Failed to configure ${stepNames} on ${mtConfig.host}: ${error.message}\n`);
+        return recordDevice('steps', deviceConfig, { index, host: mtConfig.host, role, success: false, error: error.message });
+      }
+    });
+    results.push(...stepResults);
+  }
+
+  if (halted) {
+    console.log('\n⚠️  Rollout stopped by health gate - remaining devices and phases were skipped');
+  }
+
+  // Store the resulting configuration of every configured device
+  if (snapshotStore && results.some(r => r.success)) {
+    console.log('\n=== Saving Configuration Snapshots ===\n');
+    for (const result of results.filter(r => r.success)) {
+      const deviceConfig = devices[result.index - 1];
+      await tracked(deviceConfig, 'Snapshot', () => recordSnapshot(buildMtConfig(deviceConfig), snapshotStore, 'apply'));
+    }
+  }
+
+  if (plan) {
+    plan.print();
+    if (planJsonFile) {
+      fs.writeFileSync(planJsonFile, JSON.stringify(plan.toJSON({ configFile }), null, 2) + '\n');
+      console.log(`✓ Plan written to ${planJsonFile}`);
+    }
+  }
+
   // Summary
   console.log(`\n${'='.repeat(60)}`);
-  console.log('Configuration Summary');
+  console.log(plan ? 'Plan Summary' : 'Configuration Summary');
   console.log(`${'='.repeat(60)}\n`);
 
   const successful = results.filter(r => r.success);
-  const failed = results.filter(r => !r.success);
+  const failed = results.filter(r => !r.success && !r.skipped);
+  const skipped = results.filter(r => r.skipped);
 
-  console.log(`Total devices: ${devices.length}`);
+  console.log(`Total devices: ${targets.length}${targets.length < devices.length ? ` (of ${devices.length})` : ''}`);
   console.log(`Successful: ${successful.length}`);
   console.log(`Failed: ${failed.length}`);
+  if (skipped.length > 0) {
+    console.log(`Skipped: ${skipped.length} (rollout stopped by health gate)`);
+  }
+  if (completedEarlier.length > 0) {
+    console.log(`Completed in previous run: ${completedEarlier.length} (${completedEarlier.map(deviceLabel).join(', ')})`);
+  }
 
   if (successful.length > 0) {
-    console.log('\n✓ Successfully configured:');
+    console.log(plan ? '\n✓ Planned:' : '\n✓ Successfully configured:');
     successful.forEach(r => {
       const roleStr = r.role ? ` (${r.role})` : '';
       console.log(`  - Device ${r.index}: ${r.host}${roleStr}`);
     });
   }
 
+  if (reattachedHosts.size > 0) {
+    console.log(`\nℹ️  Re-attached at a new address - update device.host in ${configFile}:`);
+    for (const [deviceConfig, host] of reattachedHosts) {
+      console.log(`  - ${deviceLabel(deviceConfig)}: ${deviceHost(deviceConfig.device)} → ${host}`);
+    }
+  }
+
   if (failed.length > 0) {
     console.log('\n✗ Failed to configure:');
     failed.forEach(r => {
       const roleStr = r.role ? ` (${r.role})` : '';
       console.log(`  - Device ${r.index}: ${r.host}${roleStr} - ${r.error}`);
     });
+  }
+
+  if (skipped.length > 0) {
+    console.log('\n⏸  Not touched:');
+    skipped.forEach(r => {
+      const roleStr = r.role ? ` (${r.role})` : '';
+      console.log(`  - Device ${r.index}: ${r.host}${roleStr}`);
+    });
+  }
+
+  if (incompletePhases.length > 0) {
+    console.log('\n⚠️  Not completed:');
+    incompletePhases.forEach(phase => console.log(`  - ${phase}`));
+  }
+
+  // A gate stop or an incomplete phase leaves the rollout unfinished even when every device succeeded
+  // (a plan leaves phases incomplete whose devices do not exist yet, e.g. CAP interfaces before the first run)
+  const unfinished = failed.length > 0 || skipped.length > 0 || (!plan && (incompletePhases.length > 0 || halted));
+  if (unfinished && runState && !plan) {
+    console.log(`\nℹ️  Progress saved to ${stateFile}. Continue with:`);
+    console.log(`  node apply-multiple-devices.js ${configFile} --resume${stateFileIndex !== -1 ? ` --state-file ${stateFile}` : ''}`);
+  }
+  if (unfinished) {
+    if (!plan && failed.length === 0 && skipped.length === 0) {
+      console.log('\n⚠️  Not every phase completed (see above)');
+    }
     process.exit(1);
   }
 
-  if (capsmanMode) {
+  if (runState && !plan) {
+    runState.complete();
+  }
+
+  if (plan) {
+    console.log('\n✓ Plan complete - no device was changed');
+  } else if (phaseSelection) {
+    console.log(`\n✓ Selected phases completed: ${describePhases(phaseSelection).split(',').join(', ')}`);
+  } else if (capsmanMode) {
     console.log('\n✓ CAPsMAN deployment configured successfully!');
     console.log('  CAPs should now be connected to the controller.');
   } else {
@@ -3,28 +3,50 @@
 const fs = require('fs');
 const yaml = require('js-yaml');
 const { backupMikroTikConfig } = require('./mikrotik-no-vlan-filtering.js');
+const { parseConnectionArgs } = require('./lib/connection');
+const { SnapshotStore, recordSnapshot } = require('./lib/snapshots');
+const { parseReportArgs, RunReport } = require('./lib/report');
 
 async function main() {
-  const args = process.argv.slice(2);
+  let reports;
+  let argv;
+  try {
+    ({ reports, args: argv } = parseReportArgs(process.argv.slice(2)));
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+  }
+  const { args: connectionArgs, options } = parseConnectionArgs(argv);
+
+  // Snapshot options: --snapshot-dir <dir>, --no-snapshot
+  const snapshotDirIndex = connectionArgs.indexOf('--snapshot-dir');
+  const snapshotDir = snapshotDirIndex !== -1 ? connectionArgs[snapshotDirIndex + 1] : undefined;
+  const snapshotStore = connectionArgs.includes('--no-snapshot') ? null : new SnapshotStore(snapshotDir);
+  const args = connectionArgs.filter((arg, index) =>
+    arg !== '--no-snapshot' && index !== snapshotDirIndex && (snapshotDirIndex === -1 || index !== snapshotDirIndex + 1));
 
   if (args.length === 0) {
-    console.log('Usage: node backup-config.js <host> <username> <password> [output-file]');
+    console.log('Usage: node backup-config.js <host> <username> <password> [output-file] [--port N] [--key path] [--key-passphrase pass] [--agent [socket]] [--snapshot-dir <dir>] [--no-snapshot] [--report <json|junit> <file>]');
     console.log('');
     console.log('Examples:');
     console.log('  node backup-config.js 192.168.88.1 admin mypassword');
     console.log('  node backup-config.js 192.168.88.1 admin mypassword backup.yaml');
     console.log('  node backup-config.js 10.212.254.51 admin DQ45LVEQRZ config.yaml');
+    console.log('  node backup-config.js 192.168.88.1 admin - backup.yaml --key ~/.ssh/id_ed25519');
     console.log('');
     console.log('This tool connects to a MikroTik device and exports the current');
     console.log('configuration to a YAML file compatible with apply-config.js');
     console.log('');
     console.log('If output-file is not specified, outputs to config-backup.yaml');
+    console.log('Use - as the password when authenticating with --key or --agent');
+    console.log('The device\'s full export is also stored in ./snapshots (--snapshot-dir <dir>, --no-snapshot)');
+    console.log('--report <json|junit> <file> writes the outcome and duration of the backup for automation');
     process.exit(1);
   }
 
   const host = args[0];
   const username = args[1];
-  const password = args[2];
+  const password = args[2] === '-' ? undefined : args[2];
   const outputFile = args[3] || 'config-backup.yaml';
 
   console.log('=== MikroTik Configuration Backup ===');
@@ -33,8 +55,20 @@ async function main() {
   console.log(`Output file: ${outputFile}`);
   console.log('');
 
+  // Machine-readable report (--report), written whenever the process exits
+  const report = reports.length > 0 ? new RunReport('backup-config', { outputFile }) : null;
+  const reportEntry = report ? report.device({ key: host, host }) : null;
+  if (report) {
+    report.writeOnExit(reports);
+  }
+  // Runs a step, recording it in the report when one was requested
+  const tracked = async (phase, fn) => {
+    if (!reportEntry) return fn();
+    return reportEntry.track(phase, fn);
+  };
+
   try {
-    const config = await backupMikroTikConfig({ host, username, password });
+    const config = await tracked('Backup', () => backupMikroTikConfig({ host, username, password, ...options }));
 
     // Convert to YAML
     const yamlContent = yaml.dump(config, {
@@ -57,6 +91,10 @@ async function main() {
     fs.writeFileSync(outputFile, finalContent, 'utf8');
 
     console.log(`\n✓ Configuration backed up to: ${outputFile}`);
+
+    if (snapshotStore) {
+      await tracked('Snapshot', () => recordSnapshot({ host, username, password, ...options }, snapshotStore, 'backup'));
+    }
     console.log('\nConfiguration summary:');
 
     // Format management interfaces for display
@@ -1,167 +1,27 @@
 #!/usr/bin/env node
 
-const fs = require('fs');
+const path = require('path');
 const yaml = require('js-yaml');
 const { backupMikroTikConfig, extractHostname } = require('./mikrotik-no-vlan-filtering.js');
-
-async function main() {
-  const args = process.argv.slice(2);
-
-  if (args.length === 0) {
-    console.log('Usage: node backup-multiple-devices.js <devices-file.yaml> [--output output-file.yaml]');
-    console.log('');
-    console.log('Examples:');
-    console.log('  # Update file in-place (default)');
-    console.log('  node backup-multiple-devices.js multiple-devices.yaml');
-    console.log('');
-    console.log('  # Save to different file');
-    console.log('  node backup-multiple-devices.js multiple-devices.yaml --output backup.yaml');
-    console.log('');
-    console.log('Input file should contain a list of devices with credentials:');
-    console.log('');
-    console.log('devices:');
-    console.log('  - host: 192.168.88.1');
-    console.log('    username: admin');
-    console.log('    password: password');
-    console.log('  - host: 192.168.88.2');
-    console.log('    username: admin');
-    console.log('    password: password');
-    console.log('');
-    console.log('This tool connects to each device and exports configurations,');
-    console.log('updating the file in-place with full device configurations.');
-    console.log('');
-    console.log('Workflow:');
-    console.log('  1. Create file with just device credentials');
-    console.log('  2. Run backup to populate with full configs');
-    console.log('  3. Edit configs as needed');
-    console.log('  4. Apply with apply-multiple-devices.js');
-    process.exit(1);
-  }
-
-  const inputFile = args[0];
-
-  // Check for --output flag
-  let outputFile = inputFile; // Default: update in-place
-  const outputIndex = args.indexOf('--output');
-  if (outputIndex !== -1 && args[outputIndex + 1]) {
-    outputFile = args[outputIndex + 1];
-  }
-
-  console.log('=== MikroTik Multi-Device Backup ===');
-  console.log(`Input file: ${inputFile}`);
-  if (outputFile === inputFile) {
-    console.log(`Mode: Update in-place`);
-  } else {
-    console.log(`Output file: ${outputFile}`);
-  }
-  console.log('');
-
-  // Load device list
-  let devicesData;
-  try {
-    const fileContents = fs.readFileSync(inputFile, 'utf8');
-    devicesData = yaml.load(fileContents);
-  } catch (e) {
-    console.error(`✗ Error loading input file: ${e.message}`);
-    process.exit(1);
-  }
-
-  if (!devicesData.devices || !Array.isArray(devicesData.devices)) {
-    console.error('✗ Input file must contain a "devices" array');
-    process.exit(1);
-  }
-
-  const devices = devicesData.devices;
-  console.log(`Found ${devices.length} device(s) to backup\n`);
-
-  const results = {
-    devices: []
-  };
-
-  let successCount = 0;
-  let failureCount = 0;
-
-  // Backup each device
-  for (let i = 0; i < devices.length; i++) {
-    const device = devices[i];
-
-    // Support both simple format (just credentials) and full format (with device object)
-    let host, username, password;
-    if (device.device) {
-      // Full format: { device: { host, username, password }, managementInterfaces, ssids, ... }
-      host = device.device.host;
-      username = device.device.username;
-      password = device.device.password;
-    } else {
-      // Simple format: { host, username, password }
-      host = device.host;
-      username = device.username;
-      password = device.password;
-    }
-
-    if (!host || !username || !password) {
-      console.log(`\n[${i + 1}/${devices.length}] Skipping device - missing credentials`);
-      failureCount++;
-      continue;
-    }
-
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`[${i + 1}/${devices.length}] Backing up device: ${host}`);
-    console.log(`${'='.repeat(60)}`);
-
-    try {
-      const config = await backupMikroTikConfig({ host, username, password });
-
-      results.devices.push(config);
-      successCount++;
-
-      console.log(`\n✓ Successfully backed up ${host}`);
-      console.log(`  SSIDs: ${config.ssids.length}`);
-
-      // Format management interfaces for display
-      const mgmtDisplay = config.managementInterfaces.map(iface => {
-        if (typeof iface === 'string') {
-          return iface;
-        } else if (iface.bond) {
-          return `bond (${iface.bond.join('+')})`;
-        }
-        return 'unknown';
-      });
-
-      console.log(`  Management interfaces: ${mgmtDisplay.join(', ')}`);
-      console.log(`  Disabled interfaces: ${config.disabledInterfaces.length > 0 ? config.disabledInterfaces.join(', ') : 'none'}`);
-      if (config.wifi) {
-        const features = [];
-        if (config.wifi['2.4GHz']) features.push('2.4GHz');
-        if (config.wifi['5GHz']) features.push('5GHz');
-        if (config.wifi.roaming && config.wifi.roaming.fastTransition) features.push('roaming');
-        console.log(`  WiFi optimization: configured (${features.join(', ')})`);
-      }
-
-    } catch (error) {
-      console.error(`\n✗ Failed to backup ${host}: ${error.message}`);
-      failureCount++;
-
-      // Add placeholder with error
-      results.devices.push({
-        device: {
-          host,
-          username,
-          password
-        },
-        _backup_error: error.message,
-        managementInterfaces: ['ether1'],
-        disabledInterfaces: [],
-        ssids: []
-      });
-    }
-  }
-
-  // Write results to file
-  console.log(`\n${'='.repeat(60)}`);
-  console.log('Writing backup file...');
-  console.log(`${'='.repeat(60)}\n`);
-
+const { getConnectionConfig, hasKeyAuth } = require('./lib/connection');
+const { deviceHost } = require('./lib/addresses');
+const { SnapshotStore, recordSnapshot } = require('./lib/snapshots');
+const { parseConcurrency, runConcurrently } = require('./lib/concurrency');
+const { parseSelectorArgs, selectDevices, hasSelectors, describeSelectors } = require('./lib/deployment');
+const { parseReportArgs, RunReport } = require('./lib/report');
+const { resolveSecrets, restoreSecretRefs } = require('./lib/secrets');
+const { loadKey, readConfigText, writeConfigText } = require('./lib/encryption');
+const { applyProfiles, reduceToProfile } = require('./lib/profiles');
+const { warn } = require('./lib/run-events');
+
+/**
+ * Promote settings shared by all backed-up devices to the deployment level
+ * Moves a common country and syslog server to the top level, turns CAPsMAN
+ * device SSIDs into references to deployment-level SSIDs, and hands access-list
+ * locks found on the controller to the devices they lock to.
+ * @param {Object} results - Backup output ({devices}); updated in place
+ */
+function promoteDeploymentSettings(results) {
   // Extract country to top level if consistent across all devices
   const countries = results.devices
     .map(d => d.wifi?.country)
@@ -232,54 +92,8 @@ async function main() {
     results.syslog = deploymentSyslog;
   }
 
-  // Extract CAPsMAN VLAN to top level if consistent across all devices
-  // New format: capsman.vlan.id/network/address
-  const capsmanVlans = results.devices
-    .map(d => d.capsman?.vlan)
-    .filter(v => v && v.id);
-
-  let deploymentCapsmanVlan = null;
-  if (capsmanVlans.length > 0) {
-    // Check if all CAPsMAN VLAN configs have the same VLAN ID and network
-    const allSame = capsmanVlans.every(v =>
-      v.id === capsmanVlans[0].id &&
-      v.network === capsmanVlans[0].network
-    );
-
-    if (allSame) {
-      // Store deployment-level VLAN config (id and network only, address is per-device)
-      deploymentCapsmanVlan = {
-        vlan: capsmanVlans[0].id,
-        network: capsmanVlans[0].network
-      };
-
-      // Remove id and network from device configs, keep only address
-      results.devices.forEach(d => {
-        if (d.capsman?.vlan) {
-          const address = d.capsman.vlan.address;
-          delete d.capsman.vlan.id;
-          delete d.capsman.vlan.network;
-          // Keep address in device-level capsman.vlan
-          if (address) {
-            d.capsman.vlan = { address };
-          } else {
-            delete d.capsman.vlan;
-          }
-          // Clean up empty capsman object
-          if (d.capsman && Object.keys(d.capsman).length === 0) {
-            delete d.capsman;
-          }
-        }
-      });
-
-      console.log(`✓ CAPsMAN VLAN promoted to deployment level: VLAN ${deploymentCapsmanVlan.vlan}`);
-    }
-  }
-
-  // Add capsmanVlan at top level if found (using legacy format for backwards compatibility)
-  if (deploymentCapsmanVlan) {
-    results.capsmanVlan = deploymentCapsmanVlan;
-  }
+  // CAPsMAN VLAN stays in each device's capsman.vlan (id, network, address) - the
+  // top-level capsmanVlan is a legacy format that migrate.js converts
 
   // For CAPsMAN deployments: promote SSIDs to deployment level and convert device SSIDs to references
   // This enables per-WAP SSID customization where each device can specify which SSIDs it broadcasts
@@ -357,7 +171,7 @@ async function main() {
       for (const ld of device._lockedDevices) {
         // Find the target device by lockToAp
         const targetDevice = results.devices.find(d => {
-          const deviceIdentity = d.identity || extractHostname(d.device?.host);
+          const deviceIdentity = d.identity || extractHostname(deviceHost(d.device));
           return deviceIdentity === ld.lockToAp;
         });
 
@@ -376,7 +190,7 @@ async function main() {
           targetDevice.lockedDevices.push(lockedDeviceConfig);
           console.log(`  ✓ ${ld.hostname} (${ld.mac}) → ${ld.lockToAp}`);
         } else {
-          console.log(`  ⚠️  Could not find target device for ${ld.hostname} → ${ld.lockToAp}`);
+          warn(`Could not find target device for ${ld.hostname} → ${ld.lockToAp}`, '  ');
         }
       }
 
@@ -384,14 +198,383 @@ async function main() {
       delete device._lockedDevices;
     }
   }
+}
+
+/**
+ * Fit freshly backed-up entries into an existing deployment file (partial backup)
+ * Settings equal to the file's top-level country, syslog and CAPsMAN VLAN are
+ * dropped from the entries, and SSIDs become references when the file has
+ * deployment-level SSIDs (templates for new SSIDs are added).
+ * @param {Object} deployment - Loaded deployment file; top-level ssids may be extended
+ * @param {Array<Object>} entries - Fresh device entries; updated in place
+ */
+function fitToDeployment(deployment, entries) {
+  for (const entry of entries) {
+    if (deployment.country && entry.wifi?.country === deployment.country) {
+      delete entry.wifi.country;
+      if (Object.keys(entry.wifi).length === 0) {
+        delete entry.wifi;
+      }
+    }
+
+    if (deployment.syslog && entry.syslog &&
+        entry.syslog.server === deployment.syslog.server && entry.syslog.port === deployment.syslog.port) {
+      delete entry.syslog;
+    }
+
+    const vlan = entry.capsman?.vlan;
+    if (deployment.capsmanVlan && vlan?.id === deployment.capsmanVlan.vlan && vlan.network === deployment.capsmanVlan.network) {
+      if (vlan.address) {
+        entry.capsman.vlan = { address: vlan.address };
+      } else {
+        delete entry.capsman.vlan;
+      }
+      if (Object.keys(entry.capsman).length === 0) {
+        delete entry.capsman;
+      }
+    }
+
+    if (Array.isArray(deployment.ssids) && entry.ssids && entry.ssids.length > 0) {
+      for (const ssid of entry.ssids) {
+        if (!deployment.ssids.some(s => s.ssid === ssid.ssid)) {
+          const template = { ssid: ssid.ssid, passphrase: ssid.passphrase, vlan: ssid.vlan };
+          if (ssid.roaming) {
+            template.roaming = ssid.roaming;
+          }
+          deployment.ssids.push(template);
+          console.log(`✓ Added deployment-level SSID: ${ssid.ssid} (VLAN ${ssid.vlan})`);
+        }
+      }
+      entry.ssids = entry.ssids.map(ssid => ({ ssid: ssid.ssid, bands: ssid.bands }));
+    }
+
+    // The controller reports locks for every AP; only a full backup can redistribute them
+    if (entry._lockedDevices) {
+      if (entry._lockedDevices.length > 0) {
+        console.log(`ℹ️  ${entry._lockedDevices.length} locked device(s) on the controller left as they are in the file (run a full backup to refresh)`);
+      }
+      delete entry._lockedDevices;
+    }
+  }
+}
+
+async function main() {
+  let reports;
+  let args;
+  try {
+    ({ reports, args } = parseReportArgs(process.argv.slice(2)));
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+  }
+
+  if (args.length === 0) {
+    console.log('Usage: node backup-multiple-devices.js <devices-file.yaml> [--output output-file.yaml] [--encrypt] [--snapshot-dir <dir>] [--no-snapshot] [--only <key=value>] [--exclude <key=value>] [--concurrency <n>] [--report <json|junit> <file>]');
+    console.log('');
+    console.log('Examples:');
+    console.log('  # Update file in-place (default)');
+    console.log('  node backup-multiple-devices.js multiple-devices.yaml');
+    console.log('');
+    console.log('  # Save to different file');
+    console.log('  node backup-multiple-devices.js multiple-devices.yaml --output backup.yaml');
+    console.log('');
+    console.log('  # Write the file encrypted (key from MIKROTIK_CONFIG_KEY or MIKROTIK_CONFIG_KEY_FILE)');
+    console.log('  node backup-multiple-devices.js multiple-devices.yaml --encrypt');
+    console.log('');
+    console.log('  # Back up 4 devices at a time');
+    console.log('  node backup-multiple-devices.js multiple-devices.yaml --concurrency 4');
+    console.log('');
+    console.log('  # Refresh only some devices (others are kept as they are in the file)');
+    console.log('  node backup-multiple-devices.js multiple-devices.yaml --only tag=upstairs');
+    console.log('');
+    console.log('  # Write a JSON report of the backup');
+    console.log('  node backup-multiple-devices.js multiple-devices.yaml --report json backup-report.json');
+    console.log('');
+    console.log('Input file should contain a list of devices with credentials:');
+    console.log('');
+    console.log('devices:');
+    console.log('  - host: 192.168.88.1');
+    console.log('    username: admin');
+    console.log('    password: password');
+    console.log('  - host: 192.168.88.2');
+    console.log('    username: admin');
+    console.log('    password: password');
+    console.log('');
+    console.log('This tool connects to each device and exports configurations,');
+    console.log('updating the file in-place with full device configurations.');
+    console.log('');
+    console.log('Workflow:');
+    console.log('  1. Create file with just device credentials');
+    console.log('  2. Run backup to populate with full configs');
+    console.log('  3. Edit configs as needed');
+    console.log('  4. Apply with apply-multiple-devices.js');
+    console.log('');
+    console.log('Each device\'s full export is also stored in ./snapshots');
+    console.log('(--snapshot-dir <dir> to change, --no-snapshot to skip).');
+    process.exit(1);
+  }
+
+  const inputFile = args[0];
+
+  // Check for --output flag
+  let outputFile = inputFile; // Default: update in-place
+  const outputIndex = args.indexOf('--output');
+  if (outputIndex !== -1 && args[outputIndex + 1]) {
+    outputFile = args[outputIndex + 1];
+  }
+
+  // Check for --encrypt flag (an encrypted input file is always written back encrypted)
+  let encryptOutput = args.includes('--encrypt');
+
+  // Check for --snapshot-dir / --no-snapshot flags
+  const snapshotDirIndex = args.indexOf('--snapshot-dir');
+  const snapshotDir = snapshotDirIndex !== -1 ? args[snapshotDirIndex + 1] : undefined;
+  const snapshotStore = args.includes('--no-snapshot') ? null : new SnapshotStore(snapshotDir);
+
+  // Check for --concurrency <n> flag
+  let concurrency = 1;
+  const concurrencyIndex = args.indexOf('--concurrency');
+  if (concurrencyIndex !== -1) {
+    concurrency = parseConcurrency(args[concurrencyIndex + 1]);
+    if (!concurrency) {
+      console.error('--concurrency requires a number of devices (1 or more)');
+      process.exit(1);
+    }
+  }
+
+  console.log('=== MikroTik Multi-Device Backup ===');
+  console.log(`Input file: ${inputFile}`);
+  if (outputFile === inputFile) {
+    console.log(`Mode: Update in-place`);
+  } else {
+    console.log(`Output file: ${outputFile}`);
+  }
+  if (snapshotStore) {
+    console.log(`Snapshots: ${snapshotStore.dir}`);
+  }
+  if (concurrency > 1) {
+    console.log(`Concurrency: ${concurrency} devices at a time`);
+  }
+  if (reports.length > 0) {
+    console.log(`Report: ${reports.map(r => `${r.file} (${r.format})`).join(', ')}`);
+  }
+  console.log('');
+
+  // Machine-readable report (--report), written whenever the process exits
+  const report = reports.length > 0 ? new RunReport('backup-multiple-devices', { configFile: inputFile, outputFile }) : null;
+  if (report) {
+    report.writeOnExit(reports);
+  }
+
+  // Load device list
+  let devicesData;
+  try {
+    const { text, encrypted } = readConfigText(inputFile);
+    devicesData = yaml.load(text);
+    encryptOutput = encryptOutput || encrypted;
+    if (encryptOutput) {
+      // Fail before contacting any device when the output cannot be encrypted
+      loadKey();
+    }
+  } catch (e) {
+    console.error(`✗ Error loading input file: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (!devicesData.devices || !Array.isArray(devicesData.devices)) {
+    console.error('✗ Input file must contain a "devices" array');
+    process.exit(1);
+  }
+
+  const devices = devicesData.devices;
+
+  // Partial backup (--only / --exclude): other entries are written back unchanged
+  let selected;
+  let selectors;
+  try {
+    selectors = parseSelectorArgs(args);
+    // Selectors also match settings that come from a device's profile (e.g. role)
+    const withProfiles = applyProfiles(devicesData).devices;
+    selected = selectDevices(withProfiles, selectors).map(entry => devices[withProfiles.indexOf(entry)]);
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+  }
+  if (selected.length === 0) {
+    console.error(`✗ No devices match the selection (${describeSelectors(selectors)})`);
+    process.exit(1);
+  }
+  const partial = hasSelectors(selectors);
+  const untouched = new Set();
+
+  // Backed-up entries of devices that use a profile keep it, with only the settings that differ
+  const profileOf = new Map();
+
+  console.log(`Found ${devices.length} device(s) to backup`);
+  if (partial) {
+    console.log(`Backing up ${selected.length} of ${devices.length} device(s): ${describeSelectors(selectors)}`);
+  }
+  console.log('');
+
+  const results = {
+    devices: []
+  };
+
+  let successCount = 0;
+  let failureCount = 0;
+
+  // Entries in file order; devices backed up concurrently fill in their slot as they finish
+  const entries = devices.map(device => (selected.includes(device) ? null : device));
+  devices.filter(device => !selected.includes(device)).forEach(device => untouched.add(device));
+
+  // Label used to prefix a device's output when devices run concurrently
+  const deviceLabel = device => device.identity || deviceHost(device.device || device) || 'unknown';
+
+  // Backup each selected device
+  await runConcurrently(selected, { concurrency, label: deviceLabel }, async (device) => {
+    const i = devices.indexOf(device);
+
+    // Support both simple format (just credentials) and full format (with device object)
+    // Full format: { device: { host, username, password, ... }, managementInterfaces, ssids, ... }
+    // Simple format: { host, username, password, ... }
+    // Secret references in the credentials are resolved here; the file keeps them
+    let credentials;
+    let skipReason = null;
+    try {
+      credentials = getConnectionConfig(resolveSecrets(device.device || device, { baseDir: path.dirname(inputFile) }));
+    } catch (e) {
+      credentials = getConnectionConfig(device.device || device);
+      skipReason = e.message;
+    }
+    const { host, username } = credentials;
+    const reportEntry = report
+      ? report.device({ key: host ? deviceLabel(device) : `device-${i + 1}`, index: i + 1, host, identity: device.identity })
+      : null;
+
+    if (!skipReason && (!host || !username || (!credentials.password && !hasKeyAuth(credentials)))) {
+      skipReason = 'missing credentials';
+    }
+    if (skipReason) {
+      console.log(`\n[${i + 1}/${devices.length}] Skipping device - ${skipReason}`);
+      failureCount++;
+      if (reportEntry) {
+        reportEntry.skip('Backup', skipReason);
+      }
+      if (partial) {
+        entries[i] = device;
+        untouched.add(device);
+      }
+      return;
+    }
+
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`[${i + 1}/${devices.length}] Backing up device: ${host}`);
+    console.log(`${'='.repeat(60)}`);
+
+    // Runs a step, recording it in the report when one was requested
+    const tracked = async (phase, fn) => {
+      if (!reportEntry) return fn();
+      return reportEntry.track(phase, fn);
+    };
+
+    try {
+      const config = await tracked('Backup', () => backupMikroTikConfig(credentials));
+      if (device.tags) {
+        config.tags = device.tags;
+      }
+      if (partial && device.lockedDevices) {
+        config.lockedDevices = device.lockedDevices;
+      }
+
+      entries[i] = config;
+      if (device.profile) {
+        profileOf.set(config, device.profile);
+      }
+      successCount++;
+
+      if (snapshotStore) {
+        await tracked('Snapshot', () => recordSnapshot(credentials, snapshotStore, 'backup'));
+      }
+
+      console.log(`\n✓ Successfully backed up ${host}`);
+      console.log(`  SSIDs: ${config.ssids.length}`);
+
+      // Format management interfaces for display
+      const mgmtDisplay = config.managementInterfaces.map(iface => {
+        if (typeof iface === 'string') {
+          return iface;
+        } else if (iface.bond) {
+          return `bond (${iface.bond.join('+')})`;
+        }
+        return 'unknown';
+      });
+
+      console.log(`  Management interfaces: ${mgmtDisplay.join(', ')}`);
+      console.log(`  Disabled interfaces: ${config.disabledInterfaces.length > 0 ? config.disabledInterfaces.join(', ') : 'none'}`);
+      if (config.wifi) {
+        const features = [];
+        if (config.wifi['2.4GHz']) features.push('2.4GHz');
+        if (config.wifi['5GHz']) features.push('5GHz');
+        if (config.wifi.roaming && config.wifi.roaming.fastTransition) features.push('roaming');
+        console.log(`  WiFi optimization: configured (${features.join(', ')})`);
+      }
+
+    } catch (error) {
+      console.error(`\n✗ Failed to backup ${host}: ${error.message}`);
+      failureCount++;
+
+      // A partial backup keeps the entry from the file
+      if (partial) {
+        entries[i] = device;
+        untouched.add(device);
+        return;
+      }
+
+      // Add placeholder with error
+      entries[i] = {
+        device: credentials,
+        _backup_error: error.message,
+        managementInterfaces: ['ether1'],
+        disabledInterfaces: [],
+        ssids: []
+      };
+    }
+  });
+  results.devices.push(...entries.filter(Boolean));
+
+  // Write results to file
+  console.log(`\n${'='.repeat(60)}`);
+  console.log('Writing backup file...');
+  console.log(`${'='.repeat(60)}\n`);
+
+  if (partial) {
+    fitToDeployment(devicesData, results.devices.filter(d => !untouched.has(d)));
+  } else {
+    promoteDeploymentSettings(results);
+  }
+  for (const [entry, profile] of profileOf) {
+    reduceToProfile(entry, profile, devicesData.profiles);
+  }
 
   const header = `# MikroTik Multi-Device Configuration
 # Last updated: ${new Date().toISOString()}
-# Devices: ${devices.length} (Successful: ${successCount}, Failed: ${failureCount})
+# Devices: ${devices.length} (Successful: ${successCount}, Failed: ${failureCount}${partial ? `, Not selected: ${devices.length - selected.length}` : ''})
 
 `;
 
-  const yamlContent = yaml.dump(results, {
+  // Partial backups keep the file's deployment-level settings; full backups keep its profiles
+  let output = partial ? { ...devicesData, devices: results.devices } : results;
+  if (!partial && devicesData.profiles) {
+    const { devices: backedUp, ...deploymentSettings } = results;
+    output = { ...deploymentSettings, profiles: devicesData.profiles, devices: backedUp };
+  }
+
+  // Values read from the devices are replaced by the secret references they came from
+  const keptRefs = restoreSecretRefs(output, devicesData, { baseDir: path.dirname(inputFile) });
+  if (keptRefs > 0) {
+    console.log(`✓ Kept ${keptRefs} secret reference(s) from ${inputFile}`);
+  }
+  const yamlContent = yaml.dump(output, {
     indent: 2,
     lineWidth: 120,
     noRefs: true,
@@ -401,11 +584,12 @@ async function main() {
   const finalContent = header + yamlContent;
 
   try {
-    fs.writeFileSync(outputFile, finalContent, 'utf8');
+    writeConfigText(outputFile, finalContent, { encrypt: encryptOutput });
+    const encryptedNote = encryptOutput ? ' (encrypted)' : '';
     if (outputFile === inputFile) {
-      console.log(`✓ Configuration updated in: ${outputFile}\n`);
+      console.log(`✓ Configuration updated in: ${outputFile}${encryptedNote}\n`);
     } else {
-      console.log(`✓ Backup saved to: ${outputFile}\n`);
+      console.log(`✓ Backup saved to: ${outputFile}${encryptedNote}\n`);
     }
   } catch (e) {
     console.error(`✗ Error writing output file: ${e.message}`);
@@ -414,7 +598,7 @@ async function main() {
 
   // Summary
   console.log('=== Backup Summary ===');
-  console.log(`Total devices: ${devices.length}`);
+  console.log(`Total devices: ${selected.length}${partial ? ` (of ${devices.length})` : ''}`);
   console.log(`Successful: ${successCount}`);
   console.log(`Failed: ${failureCount}`);
   console.log('');
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { spawnSync } = require('child_process');
+const yaml = require('js-yaml');
+const { KEY_ENV, KEY_FILE_ENV, isEncrypted, loadKey, generateKey, encryptText, decryptText } = require('./lib/encryption');
+const { validateFile, formatErrors } = require('./lib/validate');
+
+function usage() {
+  console.log('Usage: node config-crypt.js <command> [file] [options]');
+  console.log('');
+  console.log('Encrypts configuration files (AES-256-GCM) so they can be committed, and');
+  console.log('decrypts or edits them. The apply, backup, drift and validate scripts read');
+  console.log('encrypted files directly. Everything runs offline.');
+  console.log('');
+  console.log('Commands:');
+  console.log('  keygen                Print a new random key (or write it with --output)');
+  console.log('  encrypt <file>        Encrypt a file in place (or to --output)');
+  console.log('  decrypt <file>        Print the decrypted file (or write it to --output)');
+  console.log('  edit <file>           Decrypt to a private temporary file, open $EDITOR,');
+  console.log('                        and encrypt the result back into <file>');
+  console.log('');
+  console.log('Options:');
+  console.log('  --key-file <file>     File holding the key (default: $' + KEY_FILE_ENV + ', then $' + KEY_ENV + ')');
+  console.log('  --output <file>       Write to this file instead');
+  console.log('  --force               Overwrite an existing key file (keygen)');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node config-crypt.js keygen --output ~/.config/mikrotik.key');
+  console.log('  export ' + KEY_FILE_ENV + '=~/.config/mikrotik.key');
+  console.log('  node config-crypt.js encrypt multiple-devices.yaml');
+  console.log('  node config-crypt.js edit multiple-devices.yaml');
+  console.log('  node config-crypt.js decrypt multiple-devices.yaml --output plain.yaml');
+  process.exit(1);
+}
+
+/**
+ * Ask whether to reopen the editor after an invalid edit
+ * Answers no when stdin is not a terminal.
+ * @returns {Promise<boolean>} True to edit again
+ */
+async function confirmEditAgain() {
+  if (!process.stdin.isTTY) return false;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => rl.question('  Edit again? [Y/n] ', resolve));
+  rl.close();
+  return !/^n(o)?$/i.test(answer.trim());
+}
+
+/**
+ * Check that text is YAML
+ * @param {string} text - File contents
+ * @returns {string|null} Syntax error, or null when valid
+ */
+function yamlError(text) {
+  try {
+    yaml.load(text);
+    return null;
+  } catch (e) {
+    return e.mark ? `line ${e.mark.line + 1}: ${e.reason}` : e.message;
+  }
+}
+
+/**
+ * Decrypt a file into a private temporary file, edit it, and encrypt it back
+ * @param {string} file - Encrypted configuration file
+ * @param {string} key - Encryption key
+ */
+async function editFile(file, key) {
+  const original = decryptText(fs.readFileSync(file, 'utf8'), key);
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mikrotik-config-'));
+  const tempFile = path.join(tempDir, path.basename(file));
+
+  try {
+    fs.writeFileSync(tempFile, original, { mode: 0o600 });
+
+    let edited;
+    for (;;) {
+      const result = spawnSync(editor, [tempFile], { stdio: 'inherit', shell: /\s/.test(editor) });
+      if (result.error || result.status !== 0) {
+        throw new Error(`Editor ${editor} failed${result.error ? `: ${result.error.message}` : ` (exit ${result.status})`} - ${file} not changed`);
+      }
+      edited = fs.readFileSync(tempFile, 'utf8');
+      const error = yamlError(edited);
+      if (!error) break;
+      console.log(`✗ YAML syntax error, ${error}`);
+      if (!(await confirmEditAgain())) {
+        console.log(`ℹ️  Changes discarded - ${file} not changed`);
+        return;
+      }
+    }
+
+    if (edited === original) {
+      console.log(`ℹ️  No changes - ${file} not changed`);
+      return;
+    }
+
+    fs.writeFileSync(file, encryptText(edited, key), 'utf8');
+    console.log(`✓ ${file} updated (encrypted)`);
+
+    // Schema problems are reported but do not stop the edit from being saved
+    const { errors } = validateFile(file, { text: edited });
+    if (errors.length > 0) {
+      console.log(`⚠️  ${errors.length} validation error(s):`);
+      formatErrors(file, errors).forEach(line => console.log(`  ${line}`));
+    }
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    usage();
+  }
+
+  const option = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const keyFile = option('--key-file');
+  const outputFile = option('--output');
+  const positional = args.filter((arg, index) => !arg.startsWith('--') && !['--key-file', '--output'].includes(args[index - 1]));
+  const [command, file] = positional;
+
+  if (command === 'keygen') {
+    const key = generateKey();
+    if (!outputFile) {
+      console.log(key);
+      return;
+    }
+    if (fs.existsSync(outputFile) && !args.includes('--force')) {
+      throw new Error(`${outputFile} already exists (use --force to overwrite)`);
+    }
+    fs.writeFileSync(outputFile, `${key}\n`, { mode: 0o600 });
+    console.log(`✓ Key written to ${outputFile}`);
+    console.log(`  Use it with: export ${KEY_FILE_ENV}=${outputFile}`);
+    console.log('  Keep a copy somewhere safe - encrypted files cannot be recovered without it');
+    return;
+  }
+
+  if (!['encrypt', 'decrypt', 'edit'].includes(command) || !file) {
+    usage();
+  }
+
+  const key = loadKey({ keyFile });
+  const text = fs.readFileSync(file, 'utf8');
+
+  if (command === 'encrypt') {
+    if (isEncrypted(text)) {
+      throw new Error(`${file} is already encrypted`);
+    }
+    const error = yamlError(text);
+    if (error) {
+      throw new Error(`${file} is not valid YAML (${error})`);
+    }
+    const target = outputFile || file;
+    fs.writeFileSync(target, encryptText(text, key), 'utf8');
+    console.log(`✓ ${target} encrypted`);
+    return;
+  }
+
+  if (!isEncrypted(text)) {
+    throw new Error(`${file} is not encrypted`);
+  }
+
+  if (command === 'decrypt') {
+    const plain = decryptText(text, key);
+    if (outputFile) {
+      fs.writeFileSync(outputFile, plain, { mode: 0o600 });
+      console.log(`✓ Decrypted to ${outputFile}`);
+    } else {
+      process.stdout.write(plain);
+    }
+    return;
+  }
+
+  await editFile(file, key);
+}
+
+main().catch(error => {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+});
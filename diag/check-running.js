@@ -1,9 +1,12 @@
 #!/usr/bin/env node
 
-const { MikroTikSSH } = require('../mikrotik-no-vlan-filtering.js');
+const { createConnection } = require('../mikrotik-no-vlan-filtering.js');
+const { parseConnectionArgs } = require('../lib/connection');
+const { parseReportArgs, reportProcess } = require('../lib/report');
+const { parsePrint } = require('../lib/print-parser');
 
-async function checkRunning(host, username, password) {
-  const mt = new MikroTikSSH(host, username, password);
+async function checkRunning(host, username, password, options = {}) {
+  const mt = createConnection({ host, username, password, ...options });
 
   try {
     await mt.connect();
@@ -33,14 +36,12 @@ async function checkRunning(host, username, password) {
 
     // Check virtual interfaces
     console.log('\n=== Virtual Interface Status ===');
-    const interfaces = await mt.exec('/interface/wifi print terse where master-interface');
+    const interfaces = parsePrint(await mt.exec('/interface/wifi print terse where master-interface'));
 
-    if (interfaces && interfaces.trim()) {
-      const lines = interfaces.trim().split('\n');
-      for (const line of lines) {
-        const match = line.match(/name=([^\s]+)/);
-        if (match) {
-          const iface = match[1];
+    if (interfaces.length > 0) {
+      for (const record of interfaces) {
+        if (record.name) {
+          const iface = record.name;
           try {
             const mon = await mt.exec(`/interface/wifi monitor [find name=${iface}] once`);
             console.log(`\n${iface}:`);
@@ -63,15 +64,25 @@ async function checkRunning(host, username, password) {
 }
 
 if (require.main === module) {
-  const [host, username, password] = process.argv.slice(2);
+  let reportOptions;
+  try {
+    reportOptions = parseReportArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error('Error:', e.message);
+    process.exit(1);
+  }
+  const { args, options } = parseConnectionArgs(reportOptions.args);
+  const [host, username, password] = args;
 
   if (!host || !username || !password) {
-    console.log('Usage: node check-running.js <host> <username> <password>');
+    console.log('Usage: node check-running.js <host> <username> <password> [--port N] [--key path] [--agent] [--report <json|junit> <file>]');
     console.log('Example: node check-running.js 192.168.88.1 admin admin');
     process.exit(1);
   }
 
-  checkRunning(host, username, password);
+  const connection = { host, username, password: password === '-' ? undefined : password, ...options };
+  reportProcess('check-running', reportOptions.reports, { host })
+    .then(() => checkRunning(host, username, connection.password, options));
 }
 
 module.exports = { checkRunning };
@@ -1,9 +1,11 @@
 #!/usr/bin/env node
 
-const { MikroTikSSH } = require('../mikrotik-no-vlan-filtering.js');
+const { createConnection } = require('../mikrotik-no-vlan-filtering.js');
+const { parseConnectionArgs } = require('../lib/connection');
+const { parseReportArgs, reportProcess } = require('../lib/report');
 
-async function checkStatus(host, username, password) {
-  const mt = new MikroTikSSH(host, username, password);
+async function checkStatus(host, username, password, options = {}) {
+  const mt = createConnection({ host, username, password, ...options });
 
   try {
     await mt.connect();
@@ -29,15 +31,25 @@ async function checkStatus(host, username, password) {
 }
 
 if (require.main === module) {
-  const [host, username, password] = process.argv.slice(2);
+  let reportOptions;
+  try {
+    reportOptions = parseReportArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error('Error:', e.message);
+    process.exit(1);
+  }
+  const { args, options } = parseConnectionArgs(reportOptions.args);
+  const [host, username, password] = args;
 
   if (!host || !username || !password) {
-    console.log('Usage: node check-status.js <host> <username> <password>');
+    console.log('Usage: node check-status.js <host> <username> <password> [--port N] [--key path] [--agent] [--report <json|junit> <file>]');
     console.log('Example: node check-status.js 192.168.88.1 admin admin');
     process.exit(1);
   }
 
-  checkStatus(host, username, password);
+  const connection = { host, username, password: password === '-' ? undefined : password, ...options };
+  reportProcess('check-status', reportOptions.reports, { host })
+    .then(() => checkStatus(host, username, connection.password, options));
 }
 
 module.exports = { checkStatus };
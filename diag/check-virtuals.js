@@ -1,17 +1,24 @@
 #!/usr/bin/env node
 
-const { MikroTikSSH } = require('./mikrotik-no-vlan-filtering.js');
+const { createConnection, getConnectionConfig } = require('../mikrotik-no-vlan-filtering.js');
+const { parseReportArgs, reportProcess } = require('../lib/report');
 const yaml = require('js-yaml');
-const fs = require('fs');
+const { resolveSecrets } = require('../lib/secrets');
+const { readConfigText } = require('../lib/encryption');
 
 async function checkDevice() {
-  const config = yaml.load(fs.readFileSync('prod.yaml', 'utf8'));
+  let reports;
+  try {
+    ({ reports } = parseReportArgs(process.argv.slice(2)));
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+  }
+  const config = resolveSecrets(yaml.load(readConfigText('prod.yaml').text));
+  const connection = getConnectionConfig(config.device);
+  await reportProcess('check-virtuals', reports, { host: connection.host, identity: config.identity });
 
-  const mt = new MikroTikSSH(
-    config.device.host,
-    config.device.username,
-    config.device.password
-  );
+  const mt = createConnection(connection);
 
   try {
     await mt.connect();
@@ -5,10 +5,13 @@
  * Shows enabled/disabled status and configuration for all WiFi interfaces
  */
 
-const { MikroTikSSH } = require('../mikrotik-no-vlan-filtering.js');
+const { createConnection } = require('../mikrotik-no-vlan-filtering.js');
+const { parseConnectionArgs } = require('../lib/connection');
+const { parseReportArgs, reportProcess } = require('../lib/report');
+const { parsePrint } = require('../lib/print-parser');
 
-async function checkWiFiStatus(host, username, password) {
-  const mt = new MikroTikSSH(host, username, password);
+async function checkWiFiStatus(host, username, password, options = {}) {
+  const mt = createConnection({ host, username, password, ...options });
 
   try {
     await mt.connect();
@@ -18,49 +21,20 @@ async function checkWiFiStatus(host, username, password) {
     console.log(`Device: ${host}`);
     console.log('========================================\n');
 
-    const wifiOutput = await mt.exec('/interface wifi print detail without-paging');
-    const lines = wifiOutput.split('\n');
-
-    let currentInterface = null;
-    const interfaces = [];
-
-    for (const line of lines) {
-      if (line.match(/^\s*\d+\s+/)) {
-        if (currentInterface) {
-          interfaces.push(currentInterface);
-        }
-        currentInterface = { raw: line };
-      } else if (currentInterface && line.trim()) {
-        currentInterface.raw += ' ' + line.trim();
-      }
-    }
-    if (currentInterface) {
-      interfaces.push(currentInterface);
-    }
+    const interfaces = parsePrint(await mt.exec('/interface wifi print detail without-paging'));
 
     console.log('=== WiFi Interfaces ===\n');
 
     for (const iface of interfaces) {
-      const raw = iface.raw;
-
-      // Extract details
-      const nameMatch = raw.match(/name="?([^"\s]+)"?/);
-      const defaultNameMatch = raw.match(/default-name="?([^"\s]+)"?/);
-      const ssidMatch = raw.match(/(?:configuration)?\.ssid="([^"]+)"/);
-      const datapathMatch = raw.match(/datapath="?([^"\s]+)"?/);
-      const disabledMatch = raw.match(/disabled=yes/);
-      const masterMatch = raw.match(/master-interface=([^\s]+)/);
-      const flagsMatch = raw.match(/^\s*\d+\s+([A-Z]+)/);
-
-      if (!nameMatch) continue;
-
-      const name = nameMatch[1];
-      const defaultName = defaultNameMatch ? defaultNameMatch[1] : null;
-      const ssid = ssidMatch ? ssidMatch[1] : '(none)';
-      const datapath = datapathMatch ? datapathMatch[1] : '(none)';
-      const disabled = disabledMatch ? 'YES' : 'NO';
-      const isMaster = !masterMatch;
-      const flags = flagsMatch ? flagsMatch[1] : '';
+      if (!iface.name) continue;
+
+      const name = iface.name;
+      const defaultName = iface['default-name'] || null;
+      const ssid = iface['configuration.ssid'] || iface['.ssid'] || '(none)';
+      const datapath = iface.datapath || '(none)';
+      const disabled = iface.disabled === 'yes' ? 'YES' : 'NO';
+      const isMaster = !iface['master-interface'];
+      const flags = iface['.flags'] || '';
 
       console.log(`Interface: ${name}${defaultName ? ` (${defaultName})` : ''}`);
       console.log(`  Type: ${isMaster ? 'Master' : 'Virtual'}`);
@@ -95,17 +69,26 @@ async function checkWiFiStatus(host, username, password) {
 
 // CLI usage
 if (require.main === module) {
-  const args = process.argv.slice(2);
+  let reportOptions;
+  try {
+    reportOptions = parseReportArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error('Error:', e.message);
+    process.exit(1);
+  }
+  const { args, options } = parseConnectionArgs(reportOptions.args);
 
   if (args.length < 3) {
-    console.log('Usage: check-wifi-status.js <host> <username> <password>');
+    console.log('Usage: check-wifi-status.js <host> <username> <password> [--port N] [--key path] [--agent] [--report <json|junit> <file>]');
     console.log('Example: check-wifi-status.js 192.168.88.1 admin password');
     process.exit(1);
   }
 
   const [host, username, password] = args;
 
-  checkWiFiStatus(host, username, password)
+  const connection = { host, username, password: password === '-' ? undefined : password, ...options };
+  reportProcess('check-wifi-status', reportOptions.reports, { host })
+    .then(() => checkWiFiStatus(host, username, connection.password, options))
     .then(() => process.exit(0))
     .catch(err => {
       console.error('Failed:', err.message);
@@ -10,6 +10,7 @@
  *   node optimize-wifi-channels.js <devices-file.yaml>
  *   node optimize-wifi-channels.js <devices-file.yaml> --apply
  *   node optimize-wifi-channels.js <devices-file.yaml> --apply --output optimized.yaml
+ *   node optimize-wifi-channels.js <devices-file.yaml> --report json channels.json
  *
  * Modes:
  *   - Default: Analyzes and displays suggestions (dry-run)
@@ -17,9 +18,15 @@
  *   - --output: Saves to a different file (requires --apply)
  */
 
-const fs = require('fs');
+const path = require('path');
 const yaml = require('js-yaml');
-const { MikroTikSSH } = require('../mikrotik-no-vlan-filtering.js');
+const { createConnection } = require('../mikrotik-no-vlan-filtering.js');
+const { getConnectionConfig, getConnectionOptions, hasKeyAuth } = require('../lib/connection');
+const { parsePrint } = require('../lib/print-parser');
+const { parseReportArgs, RunReport } = require('../lib/report');
+const { resolveSecrets } = require('../lib/secrets');
+const { readConfigText, writeConfigText } = require('../lib/encryption');
+const { warn } = require('../lib/run-events');
 
 // Optimal non-overlapping channels
 const OPTIMAL_CHANNELS = {
@@ -30,8 +37,8 @@ const OPTIMAL_CHANNELS = {
 // Additional 5GHz channels if more than 3 devices
 const ADDITIONAL_5GHZ = [40, 44, 48, 56, 60, 64, 100, 104, 108, 112, 116, 120, 124, 128, 132, 136, 140, 144, 153, 157, 161, 165];
 
-async function getCurrentWiFiSettings(host, username, password) {
-  const mt = new MikroTikSSH(host, username, password);
+async function getCurrentWiFiSettings(host, username, password, options = {}) {
+  const mt = createConnection({ host, username, password, ...options });
 
   try {
     await mt.connect();
@@ -43,13 +50,13 @@ async function getCurrentWiFiSettings(host, username, password) {
 
     // Read 2.4GHz (wifi1)
     try {
-      const wifi1Output = await mt.exec('/interface wifi print detail without-paging where default-name=wifi1');
-      const channelMatch = wifi1Output.match(/configuration\.channel\.frequency=(\d+)/);
-      const txPowerMatch = wifi1Output.match(/configuration\.tx-power=(\d+)/);
-      const countryMatch = wifi1Output.match(/configuration\.country="([^"]+)"/);
+      const [wifi1] = parsePrint(await mt.exec('/interface wifi print detail without-paging where default-name=wifi1'));
+      const frequency = wifi1 && wifi1['configuration.channel.frequency'];
+      const txPower = wifi1 && wifi1['configuration.tx-power'];
+      const country = wifi1 && wifi1['configuration.country'];
 
-      if (channelMatch) {
-        const freq = parseInt(channelMatch[1]);
+      if (/^\d+$/.test(frequency || '')) {
+        const freq = parseInt(frequency);
         // Map frequency to channel
         const freqChannelMap = {
           2412: 1, 2417: 2, 2422: 3, 2427: 4, 2432: 5, 2437: 6,
@@ -59,26 +66,26 @@ async function getCurrentWiFiSettings(host, username, password) {
         settings['2.4GHz'].frequency = freq;
       }
 
-      if (txPowerMatch) {
-        settings['2.4GHz'].txPower = parseInt(txPowerMatch[1]);
+      if (/^\d+$/.test(txPower || '')) {
+        settings['2.4GHz'].txPower = parseInt(txPower);
       }
 
-      if (countryMatch) {
-        settings['2.4GHz'].country = countryMatch[1];
+      if (country) {
+        settings['2.4GHz'].country = country;
       }
     } catch (e) {
-      console.log(`  ⚠️  Could not read 2.4GHz settings: ${e.message}`);
+      warn(`Could not read 2.4GHz settings: ${e.message}`, '  ');
     }
 
     // Read 5GHz (wifi2)
     try {
-      const wifi2Output = await mt.exec('/interface wifi print detail without-paging where default-name=wifi2');
-      const channelMatch = wifi2Output.match(/configuration\.channel\.frequency=(\d+)/);
-      const txPowerMatch = wifi2Output.match(/configuration\.tx-power=(\d+)/);
-      const countryMatch = wifi2Output.match(/configuration\.country="([^"]+)"/);
+      const [wifi2] = parsePrint(await mt.exec('/interface wifi print detail without-paging where default-name=wifi2'));
+      const frequency = wifi2 && wifi2['configuration.channel.frequency'];
+      const txPower = wifi2 && wifi2['configuration.tx-power'];
+      const country = wifi2 && wifi2['configuration.country'];
 
-      if (channelMatch) {
-        const freq = parseInt(channelMatch[1]);
+      if (/^\d+$/.test(frequency || '')) {
+        const freq = parseInt(frequency);
         // Map frequency to channel for 5GHz
         const freqChannelMap = {
           5180: 36, 5200: 40, 5220: 44, 5240: 48,
@@ -91,15 +98,15 @@ async function getCurrentWiFiSettings(host, username, password) {
         settings['5GHz'].frequency = freq;
       }
 
-      if (txPowerMatch) {
-        settings['5GHz'].txPower = parseInt(txPowerMatch[1]);
+      if (/^\d+$/.test(txPower || '')) {
+        settings['5GHz'].txPower = parseInt(txPower);
       }
 
-      if (countryMatch) {
-        settings['5GHz'].country = countryMatch[1];
+      if (country) {
+        settings['5GHz'].country = country;
       }
     } catch (e) {
-      console.log(`  ⚠️  Could not read 5GHz settings: ${e.message}`);
+      warn(`Could not read 5GHz settings: ${e.message}`, '  ');
     }
 
     await mt.close();
@@ -172,10 +179,10 @@ function analyzeChannelConflicts(devices) {
 }
 
 async function main() {
-  const args = process.argv.slice(2);
+  const { reports, args } = parseReportArgs(process.argv.slice(2));
 
   if (args.length === 0) {
-    console.log('Usage: node optimize-wifi-channels.js <devices-file.yaml> [--apply] [--output output.yaml]');
+    console.log('Usage: node optimize-wifi-channels.js <devices-file.yaml> [--apply] [--output output.yaml] [--report <json|junit> <file>]');
     console.log('');
     console.log('Examples:');
     console.log('  # Analyze and show suggestions (dry-run)');
@@ -220,11 +227,22 @@ async function main() {
   }
   console.log('');
 
+  // Machine-readable report (--report), written whenever the process exits
+  const report = reports.length > 0 ? new RunReport('optimize-wifi-channels', { configFile: inputFile, mode: applyChanges ? 'apply' : 'analyze' }) : null;
+  if (report) {
+    report.writeOnExit(reports);
+  }
+
   // Load devices
   let devicesData;
+  let resolvedData;
+  let inputEncrypted;
   try {
-    const fileContents = fs.readFileSync(inputFile, 'utf8');
-    devicesData = yaml.load(fileContents);
+    const { text, encrypted } = readConfigText(inputFile);
+    devicesData = yaml.load(text);
+    inputEncrypted = encrypted;
+    // Credentials come from the resolved copy; --apply writes devicesData, keeping secret references
+    resolvedData = resolveSecrets(devicesData, { baseDir: path.dirname(inputFile) });
   } catch (e) {
     console.error(`✗ Error loading input file: ${e.message}`);
     process.exit(1);
@@ -243,19 +261,27 @@ async function main() {
 
   for (let i = 0; i < devices.length; i++) {
     const device = devices[i];
-    const host = device.device?.host || device.host;
-    const username = device.device?.username || device.username;
-    const password = device.device?.password || device.password;
+    const resolved = resolvedData.devices[i];
+    const credentials = getConnectionConfig(resolved.device || resolved);
+    const { host, username, password } = credentials;
 
-    if (!host || !username || !password) {
+    const reportEntry = report
+      ? report.device({ key: device.identity || host || `device-${i + 1}`, index: i + 1, host, identity: device.identity })
+      : null;
+
+    if (!host || !username || (!password && !hasKeyAuth(credentials))) {
       console.log(`[${i + 1}/${devices.length}] Skipping ${host || 'unknown'} - missing credentials`);
+      if (reportEntry) {
+        reportEntry.skip('Analyze', 'missing credentials');
+      }
       continue;
     }
 
     console.log(`[${i + 1}/${devices.length}] Analyzing ${host}...`);
 
     try {
-      const currentSettings = await getCurrentWiFiSettings(host, username, password);
+      const analyze = () => getCurrentWiFiSettings(host, username, password, getConnectionOptions(credentials));
+      const currentSettings = await (reportEntry ? reportEntry.track('Analyze', analyze) : analyze());
 
       deviceInfo.push({
         index: i,
@@ -398,8 +424,9 @@ async function main() {
     const finalContent = header + yamlContent;
 
     try {
-      fs.writeFileSync(outputFile, finalContent, 'utf8');
-      console.log(`\n✓ Configuration saved to: ${outputFile}`);
+      // An encrypted input file is written back encrypted
+      writeConfigText(outputFile, finalContent, { encrypt: inputEncrypted });
+      console.log(`\n✓ Configuration saved to: ${outputFile}${inputEncrypted ? ' (encrypted)' : ''}`);
       console.log('\nNext steps:');
       console.log(`  1. Review the updated configuration: ${outputFile}`);
       console.log(`  2. Apply to devices: ./apply-multiple-devices.js ${outputFile}`);
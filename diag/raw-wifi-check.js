@@ -1,9 +1,11 @@
 #!/usr/bin/env node
 
-const { MikroTikSSH } = require('../mikrotik-no-vlan-filtering.js');
+const { createConnection } = require('../mikrotik-no-vlan-filtering.js');
+const { parseConnectionArgs } = require('../lib/connection');
+const { parseReportArgs, reportProcess } = require('../lib/report');
 
-async function rawWiFiCheck(host, username, password) {
-  const mt = new MikroTikSSH(host, username, password);
+async function rawWiFiCheck(host, username, password, options = {}) {
+  const mt = createConnection({ host, username, password, ...options });
 
   try {
     await mt.connect();
@@ -28,13 +30,24 @@ async function rawWiFiCheck(host, username, password) {
   }
 }
 
-const [host, username, password] = process.argv.slice(2);
+let reportOptions;
+try {
+  reportOptions = parseReportArgs(process.argv.slice(2));
+} catch (e) {
+  console.error('Error:', e.message);
+  process.exit(1);
+}
+const { args, options } = parseConnectionArgs(reportOptions.args);
+const [host, username, password] = args;
 if (!host || !username || !password) {
-  console.log('Usage: raw-wifi-check.js <host> <username> <password>');
+  console.log('Usage: raw-wifi-check.js <host> <username> <password> [--port N] [--key path] [--agent] [--report <json|junit> <file>]');
   process.exit(1);
 }
 
-rawWiFiCheck(host, username, password).catch(err => {
-  console.error('Failed:', err.message);
-  process.exit(1);
-});
+const connection = { host, username, password: password === '-' ? undefined : password, ...options };
+reportProcess('raw-wifi-check', reportOptions.reports, { host })
+  .then(() => rawWiFiCheck(host, username, connection.password, options))
+  .catch(err => {
+    console.error('Failed:', err.message);
+    process.exit(1);
+  });
@@ -9,10 +9,14 @@
  * 3. Bridge configuration supports VLAN tagging
  */
 
-const { MikroTikSSH } = require('../mikrotik-no-vlan-filtering.js');
+const { createConnection } = require('../mikrotik-no-vlan-filtering.js');
+const { parseConnectionArgs } = require('../lib/connection');
+const { parseReportArgs, reportProcess } = require('../lib/report');
+const { parsePrint } = require('../lib/print-parser');
+const { warn } = require('../lib/run-events');
 
-async function validateVLANConfig(host, username, password) {
-  const mt = new MikroTikSSH(host, username, password);
+async function validateVLANConfig(host, username, password, options = {}) {
+  const mt = createConnection({ host, username, password, ...options });
 
   try {
     await mt.connect();
@@ -24,41 +28,16 @@ async function validateVLANConfig(host, username, password) {
 
     // Step 1: Get WiFi interfaces
     console.log('=== WiFi Interfaces ===');
-    const wifiOutput = await mt.exec('/interface wifi print detail without-paging');
-
-    // Parse WiFi interfaces
-    const interfaces = [];
-    const lines = wifiOutput.split('\n');
-    let currentInterface = null;
-
-    for (const line of lines) {
-      if (line.match(/^\s*\d+\s+/)) {
-        if (currentInterface) {
-          interfaces.push(currentInterface);
-        }
-        currentInterface = { raw: line };
-      } else if (currentInterface && line.trim()) {
-        currentInterface.raw += ' ' + line.trim();
-      }
-    }
-    if (currentInterface) {
-      interfaces.push(currentInterface);
-    }
+    const interfaces = parsePrint(await mt.exec('/interface wifi print detail without-paging'));
 
     // Extract interface details
     const wifiInterfaces = [];
     for (const iface of interfaces) {
-      const raw = iface.raw;
-      const nameMatch = raw.match(/name="?([^"\s]+)"?/);
-      const ssidMatch = raw.match(/(?:configuration)?\.ssid="([^"]+)"/);
-      const datapathMatch = raw.match(/datapath="?([^"\s]+)"?/);
-      const disabledMatch = raw.match(/disabled=yes/);
+      if (!iface.name || iface.disabled === 'yes') continue;
 
-      if (!nameMatch || disabledMatch) continue;
-
-      const name = nameMatch[1];
-      const ssid = ssidMatch ? ssidMatch[1] : null;
-      const datapath = datapathMatch ? datapathMatch[1] : null;
+      const name = iface.name;
+      const ssid = iface['configuration.ssid'] || iface['.ssid'] || null;
+      const datapath = iface.datapath || null;
 
       if (name && (ssid || datapath)) {
         wifiInterfaces.push({ name, ssid, datapath });
@@ -70,20 +49,15 @@ async function validateVLANConfig(host, username, password) {
 
     // Step 2: Get datapath VLAN mappings
     console.log('\n=== WiFi Datapaths ===');
-    const datapathOutput = await mt.exec('/interface wifi datapath print detail without-paging');
-    const dpLines = datapathOutput.split('\n');
+    const datapathRecords = parsePrint(await mt.exec('/interface wifi datapath print detail without-paging'));
 
     const datapaths = {};
-    for (const line of dpLines) {
-      const nameMatch = line.match(/name="?([^"\s]+)"?/);
-      const vlanMatch = line.match(/vlan-id=(\d+)/);
-      const bridgeMatch = line.match(/bridge=([^\s]+)/);
-
-      if (nameMatch) {
-        const dpName = nameMatch[1];
+    for (const datapath of datapathRecords) {
+      if (datapath.name) {
+        const dpName = datapath.name;
         datapaths[dpName] = {
-          vlan: vlanMatch ? parseInt(vlanMatch[1]) : null,
-          bridge: bridgeMatch ? bridgeMatch[1] : null
+          vlan: datapath['vlan-id'] ? parseInt(datapath['vlan-id']) : null,
+          bridge: datapath.bridge || null
         };
 
         console.log(`Datapath: ${dpName}`);
@@ -115,13 +89,13 @@ async function validateVLANConfig(host, username, password) {
 
     // Step 4: Check bridge configuration
     console.log('\n=== Bridge Configuration ===');
-    const bridgeOutput = await mt.exec('/interface bridge print detail without-paging');
-    const vlanFilteringMatch = bridgeOutput.match(/vlan-filtering=(yes|no)/);
+    const [bridge] = parsePrint(await mt.exec('/interface bridge print detail without-paging'));
+    const vlanFiltering = bridge && bridge['vlan-filtering'];
 
-    if (vlanFilteringMatch) {
-      console.log(`VLAN Filtering: ${vlanFilteringMatch[1]}`);
-      if (vlanFilteringMatch[1] === 'yes') {
-        console.log('⚠️  WARNING: VLAN filtering is ENABLED - this may cause lockout!');
+    if (vlanFiltering) {
+      console.log(`VLAN Filtering: ${vlanFiltering}`);
+      if (vlanFiltering === 'yes') {
+        warn('WARNING: VLAN filtering is ENABLED - this may cause lockout!');
       } else {
         console.log('✓ VLAN filtering is disabled (safe configuration)');
       }
@@ -129,14 +103,11 @@ async function validateVLANConfig(host, username, password) {
 
     // Step 5: Check bridge ports
     console.log('\n=== Bridge Ports ===');
-    const bridgePortOutput = await mt.exec('/interface bridge port print detail without-paging');
-    const bpLines = bridgePortOutput.split('\n');
-
-    for (const line of bpLines) {
-      const ifaceMatch = line.match(/interface=([^\s]+)/);
-      const bridgeMatch = line.match(/bridge=([^\s]+)/);
-      if (ifaceMatch && bridgeMatch) {
-        console.log(`${ifaceMatch[1]} → ${bridgeMatch[1]}`);
+    const bridgePorts = parsePrint(await mt.exec('/interface bridge port print detail without-paging'));
+
+    for (const port of bridgePorts) {
+      if (port.interface && port.bridge) {
+        console.log(`${port.interface} → ${port.bridge}`);
       }
     }
 
@@ -170,7 +141,7 @@ async function validateVLANConfig(host, username, password) {
       if (vlans.size === 1) {
         console.log(`✓ ${ssid} is correctly isolated on VLAN ${Array.from(vlans)[0]}`);
       } else {
-        console.log(`⚠️  ${ssid} is mapped to multiple VLANs: ${Array.from(vlans).join(', ')}`);
+        warn(`${ssid} is mapped to multiple VLANs: ${Array.from(vlans).join(', ')}`);
       }
     }
 
@@ -185,7 +156,7 @@ async function validateVLANConfig(host, username, password) {
 
         const hasOverlap = vlan1.some(v => vlan2.includes(v));
         if (hasOverlap) {
-          console.log(`⚠️  ${ssid1} and ${ssid2} share VLAN(s) - not isolated!`);
+          warn(`${ssid1} and ${ssid2} share VLAN(s) - not isolated!`);
         } else {
           console.log(`✓ ${ssid1} (VLAN ${vlan1}) and ${ssid2} (VLAN ${vlan2}) are isolated`);
         }
@@ -211,17 +182,26 @@ async function validateVLANConfig(host, username, password) {
 
 // CLI usage
 if (require.main === module) {
-  const args = process.argv.slice(2);
+  let reportOptions;
+  try {
+    reportOptions = parseReportArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error('Error:', e.message);
+    process.exit(1);
+  }
+  const { args, options } = parseConnectionArgs(reportOptions.args);
 
   if (args.length < 3) {
-    console.log('Usage: validate-vlan-config.js <host> <username> <password>');
+    console.log('Usage: validate-vlan-config.js <host> <username> <password> [--port N] [--key path] [--agent] [--report <json|junit> <file>]');
     console.log('Example: validate-vlan-config.js 192.168.88.1 admin password');
     process.exit(1);
   }
 
   const [host, username, password] = args;
 
-  validateVLANConfig(host, username, password)
+  const connection = { host, username, password: password === '-' ? undefined : password, ...options };
+  reportProcess('validate-vlan-config', reportOptions.reports, { host })
+    .then(() => validateVLANConfig(host, username, connection.password, options))
     .then(success => process.exit(success ? 0 : 1))
     .catch(err => {
       console.error('Failed:', err.message);
@@ -1,19 +1,33 @@
 #!/usr/bin/env node
 
-const { Client } = require('ssh2');
 const net = require('net');
-
-let password = process.argv[2];
+const { createConnection } = require('../mikrotik-no-vlan-filtering.js');
+const { parseConnectionArgs } = require('../lib/connection');
+const { candidateAddresses } = require('../lib/addresses');
+const { parseReportArgs, reportProcess } = require('../lib/report');
+
+let reportOptions;
+try {
+  reportOptions = parseReportArgs(process.argv.slice(2));
+} catch (e) {
+  console.error('Error:', e.message);
+  process.exit(1);
+}
+const { args, options } = parseConnectionArgs(reportOptions.args);
+const [password, host = '192.168.88.1'] = args;
 
 if (!password) {
-  console.log('Usage: node wait-for-device.js <password>');
+  console.log('Usage: node wait-for-device.js <password> [host] [--address addr] [--port N] [--key path] [--agent] [--report <json|junit> <file>]');
   console.log('Example: node wait-for-device.js DQ45LVEQRZ');
+  console.log('Example: node wait-for-device.js - ap1.example.com --address 192.168.88.1 --key ~/.ssh/id_ed25519');
   process.exit(1);
 }
 
-function testPort() {
+const connection = { host, username: 'admin', password: password === '-' ? undefined : password, ...options };
+
+function testPort(address, port) {
   return new Promise((resolve) => {
-    const socket = net.connect(22, '192.168.88.1');
+    const socket = net.connect(port, address);
     socket.setTimeout(2000);
 
     socket.on('connect', () => {
@@ -32,38 +46,33 @@ function testPort() {
   });
 }
 
-function testSSH(password) {
-  return new Promise((resolve) => {
-    const conn = new Client();
-    const timeout = setTimeout(() => {
-      conn.end();
-      resolve(false);
-    }, 5000);
-
-    conn.on('ready', () => {
-      clearTimeout(timeout);
-      conn.end();
-      resolve(true);
-    });
-
-    conn.on('error', () => {
-      clearTimeout(timeout);
-      resolve(false);
-    });
+// Whether any address accepts SSH connections (other transports go straight to login)
+async function anyPortOpen() {
+  if (connection.transport && connection.transport !== 'ssh') return true;
+  for (const address of candidateAddresses(host, connection.addresses)) {
+    if (await testPort(address, connection.port || 22)) return true;
+  }
+  return false;
+}
 
-    conn.connect({
-      host: '192.168.88.1',
-      port: 22,
-      username: 'admin',
-      password: password,
-      readyTimeout: 5000
-    });
-  });
+// Whether a session logs in (through the first reachable address)
+async function testLogin() {
+  const mt = createConnection(connection);
+  try {
+    await mt.connect();
+    return true;
+  } catch (e) {
+    return false;
+  } finally {
+    await mt.close();
+  }
 }
 
 async function waitForDevice() {
+  await reportProcess('wait-for-device', reportOptions.reports, { host });
+
   console.log('Waiting for device to be ready...');
-  console.log('Testing with password:', password);
+  console.log(`Addresses: ${candidateAddresses(host, connection.addresses).join(', ')}`);
   console.log('');
 
   let attempts = 0;
@@ -74,17 +83,15 @@ async function waitForDevice() {
     process.stdout.write(`\rAttempt ${attempts}/${maxAttempts}... `);
 
     // First check if port is open
-    const portOpen = await testPort();
-    if (!portOpen) {
+    if (!await anyPortOpen()) {
       await new Promise(resolve => setTimeout(resolve, 1000));
       continue;
     }
 
-    process.stdout.write('Port open, testing SSH... ');
+    process.stdout.write('Port open, testing login... ');
 
-    // Then check if SSH works
-    const sshWorks = await testSSH(password);
-    if (sshWorks) {
+    // Then check if login works
+    if (await testLogin()) {
       console.log('\n');
       console.log('✓✓✓ Device is ready! ✓✓✓');
       console.log('');
@@ -102,8 +109,8 @@ async function waitForDevice() {
   console.log('Please check:');
   console.log('  1. Device is powered on');
   console.log('  2. Device is connected to network');
-  console.log('  3. Device IP is 192.168.88.1');
-  console.log('  4. Password is correct');
+  console.log(`  3. Device is reachable at ${candidateAddresses(host, connection.addresses).join(' or ')}`);
+  console.log('  4. Password or key is correct');
   process.exit(1);
 }
 
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const yaml = require('js-yaml');
+const { detectDrift, printDriftReport } = require('./lib/drift');
+const { resolveSecrets } = require('./lib/secrets');
+const { readConfigText } = require('./lib/encryption');
+const { applyProfiles } = require('./lib/profiles');
+
+// Exit codes (same convention as diff(1)), so cron jobs can tell the cases apart
+const EXIT_IN_SYNC = 0;
+const EXIT_DRIFTED = 1;
+const EXIT_ERROR = 2;
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0) {
+    console.log('Usage: node diff-multiple-devices.js <config-file.yaml> [options]');
+    console.log('');
+    console.log('Compares the desired state in the config file with each live device:');
+    console.log('channels, TX power, SSIDs/VLANs/roaming, syslog, IGMP snooping and locked devices.');
+    console.log('');
+    console.log('Options:');
+    console.log('  --accept-new-host-keys  Accept and re-pin SSH host keys that changed');
+    console.log('  --simulate       Compare against in-process simulated devices');
+    console.log('');
+    console.log('Exit codes:');
+    console.log(`  ${EXIT_IN_SYNC}  All devices match the config`);
+    console.log(`  ${EXIT_DRIFTED}  At least one device has drifted`);
+    console.log(`  ${EXIT_ERROR}  Config could not be loaded or a device could not be read`);
+    process.exit(EXIT_ERROR);
+  }
+
+  const configFile = args[0];
+  const acceptNewHostKeys = args.includes('--accept-new-host-keys');
+  const simulate = args.includes('--simulate');
+
+  let config;
+  try {
+    config = applyProfiles(resolveSecrets(yaml.load(readConfigText(configFile).text), { baseDir: path.dirname(configFile) }));
+  } catch (e) {
+    console.error(`✗ Error loading config file: ${e.message}`);
+    process.exit(EXIT_ERROR);
+  }
+
+  if (!config || !Array.isArray(config.devices)) {
+    console.error('✗ Config file must contain a "devices" array');
+    process.exit(EXIT_ERROR);
+  }
+
+  console.log('=== MikroTik Drift Detection ===');
+  console.log(`Config file: ${configFile}`);
+  console.log(`Devices: ${config.devices.length}${simulate ? ' (simulated)' : ''}`);
+
+  const results = await detectDrift(config, {
+    ...(simulate ? { transport: 'simulator' } : {}),
+    acceptNewHostKeys
+  });
+
+  printDriftReport(results);
+
+  if (results.some(r => r.error)) {
+    process.exit(EXIT_ERROR);
+  }
+  process.exit(results.some(r => r.differences.length > 0) ? EXIT_DRIFTED : EXIT_IN_SYNC);
+}
+
+main().catch(error => {
+  console.error(`✗ Drift detection failed: ${error.message}`);
+  process.exit(EXIT_ERROR);
+});
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { MNDP_PORT, discoverNeighbors, replayCapture, neighborAddress, formatUptime, resolveInterface } = require('./lib/mndp');
+
+function usage() {
+  console.log('Usage: node discover.js [--interface <name>] [--timeout <secs>] [--output <file>] [options]');
+  console.log('');
+  console.log(`Finds MikroTik devices with the MikroTik Neighbor Discovery Protocol (UDP ${MNDP_PORT}):`);
+  console.log('sends a discovery request, listens for announcements, and lists identity, MAC,');
+  console.log('address, board, RouterOS version and uptime of each device.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --interface <name>   Local interface to discover on (default: all)');
+  console.log('  --timeout <secs>     Seconds to listen (default: 10)');
+  console.log('  --output <file>      Write a skeleton multiple-devices.yaml (- for stdout)');
+  console.log('  --force              Overwrite the output file if it exists');
+  console.log('  --username <user>    Username for the device blocks (default: admin)');
+  console.log('  --password <pass>    Password for the device blocks (default: empty, fill in later)');
+  console.log('  --replay <file>      Decode captured packets instead of listening');
+  console.log('                       (pcap, or one hex packet per line: [source-address] <hex>)');
+  console.log('  --json               Print the devices as JSON');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node discover.js --interface eth0');
+  console.log('  node discover.js --interface eth0 --output multiple-devices.yaml');
+  console.log('  sudo tcpdump -i eth0 -w mndp.pcap udp port 5678');
+  console.log('  node discover.js --replay mndp.pcap --output multiple-devices.yaml');
+  console.log('');
+  console.log('Then fill in the credentials and run ./backup-multiple-devices.js on the file.');
+  process.exit(1);
+}
+
+/**
+ * One-line description of a neighbor
+ * @param {Object} neighbor - Decoded announcement
+ * @returns {string} e.g. "48:8F:5A:11:22:33 - hAP ax^2, RouterOS 7.16.2 (stable), up 3d4h"
+ */
+function describeNeighbor(neighbor) {
+  const details = [
+    neighbor.board,
+    neighbor.version && `RouterOS ${neighbor.version}`,
+    typeof neighbor.uptime === 'number' && `up ${formatUptime(neighbor.uptime)}`,
+    neighbor.interfaceName && `via ${neighbor.interfaceName}`
+  ].filter(Boolean);
+  return `${neighbor.mac || 'unknown MAC'}${details.length > 0 ? ` - ${details.join(', ')}` : ''}`;
+}
+
+/**
+ * Print discovered devices as a table
+ * @param {Array<Object>} neighbors - Merged neighbors
+ */
+function printNeighbors(neighbors) {
+  const rows = neighbors.map(n => [
+    n.identity || '-',
+    neighborAddress(n) || '-',
+    n.mac || '-',
+    n.board || '-',
+    n.version || '-',
+    typeof n.uptime === 'number' ? formatUptime(n.uptime) : '-'
+  ]);
+  const header = ['IDENTITY', 'ADDRESS', 'MAC', 'BOARD', 'VERSION', 'UPTIME'];
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const format = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(format(header));
+  rows.forEach(row => console.log(format(row)));
+}
+
+/**
+ * Build a skeleton multiple-devices.yaml with one device block per neighbor
+ * @param {Array<Object>} neighbors - Merged neighbors
+ * @param {Object} options - {username, password, source (where they were found)}
+ * @returns {string} YAML text
+ */
+function buildInventory(neighbors, options) {
+  const scalar = value => yaml.dump(value).trimEnd();
+  const lines = [
+    `# MikroTik devices discovered via MNDP (${options.source})`,
+    `# Generated on ${new Date().toISOString()}`,
+    '#',
+    '# Next steps:',
+    '#   1. Fill in the credentials of each device',
+    '#   2. Read their configuration: ./backup-multiple-devices.js <this file>',
+    '#   3. Review it, then apply with ./apply-multiple-devices.js <this file>',
+    '',
+    'devices:'
+  ];
+
+  for (const neighbor of neighbors) {
+    const host = neighborAddress(neighbor);
+    lines.push(`  # ${describeNeighbor(neighbor)}`);
+    if (!host) {
+      lines.push('  # No IPv4 address advertised - give the device an address, then set host');
+    } else if (host === '192.168.88.1') {
+      lines.push('  # Factory default address - onboard factory-default devices one at a time');
+    }
+    lines.push('  - device:');
+    lines.push(`      host: ${scalar(host || '')}`);
+    lines.push(`      username: ${scalar(options.username)}`);
+    lines.push(`      password: ${scalar(options.password)}`);
+    // "MikroTik" is the factory identity, not a name worth keeping
+    if (neighbor.identity && neighbor.identity !== 'MikroTik') {
+      lines.push(`    identity: ${scalar(neighbor.identity)}`);
+    }
+  }
+
+  if (neighbors.length === 0) {
+    lines[lines.length - 1] = 'devices: []';
+  }
+  return lines.join('\n') + '\n';
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    if (index === -1) return undefined;
+    const value = args[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+      console.error(`${name} requires a value`);
+      process.exit(1);
+    }
+    return value;
+  };
+
+  if (args.includes('--help') || args.includes('-h')) {
+    usage();
+  }
+
+  const interfaceName = option('--interface');
+  const outputFile = option('--output');
+  const replayFile = option('--replay');
+  const timeout = option('--timeout') !== undefined ? Number(option('--timeout')) : 10;
+  const username = option('--username') || 'admin';
+  const password = option('--password') || '';
+  const json = args.includes('--json');
+  // Progress goes to stderr when the inventory or JSON is written to stdout
+  const log = outputFile === '-' || json ? console.error : console.log;
+
+  if (!(timeout > 0)) {
+    console.error('--timeout requires a number of seconds');
+    process.exit(1);
+  }
+  if (outputFile && outputFile !== '-' && fs.existsSync(outputFile) && !args.includes('--force')) {
+    console.error(`✗ ${outputFile} already exists (use --force to overwrite)`);
+    process.exit(1);
+  }
+
+  let neighbors;
+  let source;
+  if (replayFile) {
+    source = `replayed from ${replayFile}`;
+    log(`=== MNDP Discovery (replaying ${replayFile}) ===\n`);
+    neighbors = replayCapture(fs.readFileSync(replayFile));
+  } else {
+    const network = interfaceName ? resolveInterface(interfaceName) : null;
+    source = network ? `${network.name}, ${network.cidr}` : 'all interfaces';
+    log(`=== MNDP Discovery (${source}) ===`);
+    log(`Listening on UDP ${MNDP_PORT} for ${timeout}s...\n`);
+    neighbors = await discoverNeighbors({
+      interface: interfaceName,
+      timeout,
+      onNeighbor: n => log(`✓ Found ${n.identity || n.mac} (${neighborAddress(n) || 'no address'})`)
+    });
+    log('');
+  }
+
+  if (json) {
+    console.log(JSON.stringify(neighbors, null, 2));
+  } else if (neighbors.length > 0 && outputFile !== '-') {
+    printNeighbors(neighbors);
+    console.log('');
+  }
+  log(`${neighbors.length} device(s) found`);
+
+  if (neighbors.length === 0 && !replayFile) {
+    log('ℹ️  RouterOS answers MNDP only on interfaces in its /ip neighbor discovery-settings list,');
+    log('   and broadcasts do not cross routers: run this on the devices\' network (in Docker: --network host).');
+  }
+
+  if (outputFile) {
+    const inventory = buildInventory(neighbors, { username, password, source });
+    if (outputFile === '-') {
+      process.stdout.write(inventory);
+    } else {
+      fs.writeFileSync(outputFile, inventory, { mode: 0o600 });
+      log(`✓ Skeleton written to ${outputFile}`);
+      log(`  Fill in the credentials, then run: ./backup-multiple-devices.js ${outputFile}`);
+    }
+  }
+}
+
+main().catch(error => {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+});
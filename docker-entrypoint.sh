@@ -15,6 +15,25 @@ USAGE:
 COMMANDS:
   apply              Apply single-device configuration (default)
   apply-multiple     Apply multi-device configuration
+  diff               Report drift between multiple-devices.yaml and live devices
+                     (exit 0 in sync, 1 drifted, 2 error)
+  history [device]   List stored configuration snapshots
+  snapshot-diff <device> [from] [to]
+                     Compare two snapshots (default: the last two)
+  restore <device> <snapshot> --yes
+                     Upload a snapshot to the device from multiple-devices.yaml and apply it
+  discover [--interface <name>]
+                     Find MikroTik devices via MNDP (needs --network host);
+                     --output /config/multiple-devices.yaml writes a skeleton inventory
+  validate [file]    Check a configuration file against the JSON Schemas
+                     (default: /config/multiple-devices.yaml, else /config/config.yaml)
+  render [file]      Print the effective per-device configuration (profiles merged)
+                     (default: /config/multiple-devices.yaml)
+  migrate [file]     Rewrite legacy settings into the current format (--dry-run)
+                     (default: /config/multiple-devices.yaml)
+  config-crypt <keygen|encrypt|decrypt|edit> [file]
+                     Encrypt, decrypt or edit an encrypted configuration file
+                     (key: -e MIKROTIK_CONFIG_KEY or -e MIKROTIK_CONFIG_KEY_FILE)
   example            Output example single-device config.yaml
   example-multiple   Output example multiple-devices.yaml
   help               Show this help message
@@ -51,8 +70,37 @@ MULTI-DEVICE EXAMPLES:
 
 MULTI-DEVICE OPTIONS:
   --parallel       Apply configurations in parallel (faster but network-wide outage)
+  --concurrency <n>  Configure (or back up) at most <n> devices at a time
   --delay <secs>   Wait between devices for client roaming (default: 5)
   --no-delay       Skip delay between devices
+  --accept-new-host-keys  Accept and re-pin changed SSH host keys (onboarding)
+  --simulate       Run against simulated devices (no hardware contacted)
+  --plan           Show the commands each device would receive (no changes)
+  --plan-json <file>  Also write the plan as JSON (implies --plan)
+  --rollback <mins>  Restore each device's previous config unless it can be reconnected to
+  --no-snapshot    Do not store configuration snapshots after applying
+  --health-gate    Wait until each device is healthy before the next (sequential only)
+  --gate-timeout <secs>  Seconds a device has to pass the health gate (default: 120)
+  --on-gate-failure <stop|pause>  Stop the rollout or ask whether to continue (needs -it)
+  --only <key=value>     Only act on matching devices (identity, host, role, tag)
+  --exclude <key=value>  Skip matching devices (also for backup-multiple)
+  --resume         Continue the last run, skipping completed devices and phases
+                   (state is kept next to the config; mount /config as a directory)
+  --state-file <file>  Run state file (default: <config>.run-state.json)
+  --phases <list>  Only run these phases (controller, caps, cap-interfaces,
+                   local-fallback, access-lists, standalone) or steps
+                   (identity, igmp-snooping, syslog), e.g. --phases access-lists,syslog
+  --report <json|junit> <file>  Write a per-device, per-phase report
+                   (e.g. --report junit /config/results.xml)
+
+SNAPSHOTS:
+  Every apply and backup stores each device's full export under
+  /config/snapshots/<identity>/ (a git repository there gets a commit per snapshot).
+
+HOST KEYS:
+  SSH host keys are pinned on first connect. Mount the known-hosts file so
+  pins persist between runs:
+    -v ~/.mikrotik_known_hosts:/root/.mikrotik_known_hosts
 
 VOLUME MOUNTS:
   Single device:   -v $(pwd)/config.yaml:/config/config.yaml
@@ -92,6 +140,40 @@ case "${1:-apply}" in
         show_example_multiple
         exit 0
         ;;
+    discover)
+        shift
+        node /app/discover.js "$@"
+        ;;
+    validate)
+        shift
+        if [ -n "$1" ] && [ "${1#--}" = "$1" ]; then
+            node /app/validate.js "$@"
+        elif [ -f /config/multiple-devices.yaml ]; then
+            node /app/validate.js /config/multiple-devices.yaml "$@"
+        else
+            node /app/validate.js /config/config.yaml "$@"
+        fi
+        ;;
+    render)
+        shift
+        if [ -n "$1" ] && [ "${1#--}" = "$1" ]; then
+            node /app/render.js "$@"
+        else
+            node /app/render.js /config/multiple-devices.yaml "$@"
+        fi
+        ;;
+    migrate)
+        shift
+        if [ -n "$1" ] && [ "${1#--}" = "$1" ]; then
+            node /app/migrate.js "$@"
+        else
+            node /app/migrate.js /config/multiple-devices.yaml "$@"
+        fi
+        ;;
+    config-crypt)
+        shift
+        node /app/config-crypt.js "$@"
+        ;;
     sh|bash|node)
         # Pass through to shell/node for debugging and smoke tests
         exec "$@"
@@ -114,6 +196,40 @@ case "${1:-apply}" in
         shift
         node /app/apply-multiple-devices.js /config/multiple-devices.yaml "$@"
         ;;
+    diff)
+        if [ ! -f /config/multiple-devices.yaml ]; then
+            echo "ERROR: No configuration file found at /config/multiple-devices.yaml"
+            echo ""
+            echo "Mount your config file with:"
+            echo "  -v \$(pwd)/multiple-devices.yaml:/config/multiple-devices.yaml"
+            echo ""
+            exit 2
+        fi
+
+        shift
+        node /app/diff-multiple-devices.js /config/multiple-devices.yaml "$@"
+        ;;
+    history)
+        shift
+        node /app/snapshots.js history "$@"
+        ;;
+    snapshot-diff)
+        shift
+        node /app/snapshots.js diff "$@"
+        ;;
+    restore)
+        if [ ! -f /config/multiple-devices.yaml ]; then
+            echo "ERROR: No configuration file found at /config/multiple-devices.yaml"
+            echo ""
+            echo "Mount your config file with:"
+            echo "  -v \$(pwd)/multiple-devices.yaml:/config/multiple-devices.yaml"
+            echo ""
+            exit 1
+        fi
+
+        shift
+        node /app/snapshots.js restore "$@" --config /config/multiple-devices.yaml
+        ;;
     apply|*)
         # Check if config file exists
         if [ ! -f /config/config.yaml ]; then
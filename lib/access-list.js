@@ -6,9 +6,11 @@
  * See: https://github.com/NickBorgers/mikrotik-as-wap-configurator/issues/4
  */
 
-const { MikroTikSSH } = require('./ssh-client');
+const { createConnection } = require('./connection');
+const { deviceHost } = require('./addresses');
 const { getWifiPath, getCapsmanPath } = require('./utils');
 const { detectWifiPackage } = require('./infrastructure');
+const { warn } = require('./run-events');
 
 /**
  * Extract hostname from FQDN
@@ -24,6 +26,30 @@ function extractHostname(host) {
   return host.split('.')[0];
 }
 
+/**
+ * Read the SSID from a WiFi interface record
+ * Matches both full format (configuration.ssid) and shorthand (.ssid)
+ * @param {Object} record - WiFi interface record from mt.print()
+ * @returns {string|undefined} SSID, if configured
+ */
+function recordSsid(record) {
+  return record['configuration.ssid'] || record['.ssid'];
+}
+
+/**
+ * Determine band from interface name
+ * @param {string} name - WiFi interface name (wifi1, shed-wap-5g, ...)
+ * @returns {string} '2.4GHz', '5GHz', or 'unknown'
+ */
+function interfaceBand(name) {
+  if (name.includes('-2g') || name.includes('wifi1')) {
+    return '2.4GHz';
+  } else if (name.includes('-5g') || name.includes('wifi2')) {
+    return '5GHz';
+  }
+  return 'unknown';
+}
+
 /**
  * Discover all WiFi interfaces serving a specific SSID
  * @param {MikroTikSSH} mt - SSH connection to controller
@@ -35,43 +61,14 @@ async function discoverSsidInterfaces(mt, ssid, wifiPath) {
   const interfaces = [];
 
   try {
-    // Get all WiFi interfaces
-    const output = await mt.exec(`${wifiPath} print terse`);
-
-    // First pass: get all interface names
-    const allInterfaceNames = [];
-    for (const line of output.split('\n')) {
-      const nameMatch = line.match(/(?:^|\s)name=([^\s]+)/);
-      if (nameMatch) {
-        allInterfaceNames.push(nameMatch[1]);
-      }
-    }
-
-    // Second pass: check each interface for the SSID
-    for (const ifaceName of allInterfaceNames) {
-      try {
-        const detail = await mt.exec(`${wifiPath} print detail where name="${ifaceName}"`);
-
-        // Check if this interface serves the target SSID
-        // Match both full format and shorthand
-        const ssidMatch = detail.match(/(?:configuration)?\.ssid="([^"]+)"/);
-        if (ssidMatch && ssidMatch[1] === ssid) {
-          // Determine band from interface name
-          let band = 'unknown';
-          if (ifaceName.includes('-2g') || ifaceName.includes('wifi1')) {
-            band = '2.4GHz';
-          } else if (ifaceName.includes('-5g') || ifaceName.includes('wifi2')) {
-            band = '5GHz';
-          }
-
-          interfaces.push({ name: ifaceName, band });
-        }
-      } catch (e) {
-        // Skip interfaces we can't read
+    const records = await mt.print(wifiPath);
+    for (const record of records) {
+      if (record.name && recordSsid(record) === ssid) {
+        interfaces.push({ name: record.name, band: interfaceBand(record.name) });
       }
     }
   } catch (e) {
-    console.log(`⚠️  Could not discover SSID interfaces: ${e.message}`);
+    warn(`Could not discover SSID interfaces: ${e.message}`);
   }
 
   return interfaces;
@@ -87,116 +84,46 @@ async function discoverAllInterfaces(mt, wifiPath) {
   const interfaces = [];
 
   try {
-    const output = await mt.exec(`${wifiPath} print detail without-paging`);
-
-    // Parse interfaces
-    let currentInterface = null;
-
-    for (const line of output.split('\n')) {
-      // New interface entry starts with a number
-      if (line.match(/^\s*\d+\s/)) {
-        if (currentInterface && currentInterface.ssid) {
-          interfaces.push(currentInterface);
-        }
-        currentInterface = { raw: line };
-      } else if (currentInterface && line.trim()) {
-        currentInterface.raw += ' ' + line.trim();
+    const records = await mt.print(wifiPath);
+
+    for (const record of records) {
+      const name = record.name;
+      const ssid = recordSsid(record);
+      if (!name || !ssid || record.disabled === 'yes') continue;
+
+      // Determine AP identity from interface name
+      // CAP interfaces: managed-wap-north-2g -> managed-wap-north
+      // Local interfaces: wifi1 -> (controller identity)
+      let apIdentity = '';
+      if (name.match(/-2g(-ssid\d+)?$/) || name.match(/-5g(-ssid\d+)?$/)) {
+        apIdentity = name.replace(/-2g(-ssid\d+)?$/, '').replace(/-5g(-ssid\d+)?$/, '');
+      } else {
+        apIdentity = '_controller_';
       }
-    }
-
-    // Don't forget the last interface
-    if (currentInterface && currentInterface.raw) {
-      const nameMatch = currentInterface.raw.match(/(?:^|\s)name="?([^\s"]+)"?/);
-      const ssidMatch = currentInterface.raw.match(/(?:configuration)?\.ssid="([^"]+)"/);
-      const disabledMatch = currentInterface.raw.match(/disabled=yes/);
-
-      if (nameMatch && ssidMatch && !disabledMatch) {
-        const name = nameMatch[1];
-        const ssid = ssidMatch[1];
-
-        // Determine band from interface name
-        let band = 'unknown';
-        if (name.includes('-2g') || name.includes('wifi1')) {
-          band = '2.4GHz';
-        } else if (name.includes('-5g') || name.includes('wifi2')) {
-          band = '5GHz';
-        }
-
-        // Determine AP identity from interface name
-        // CAP interfaces: managed-wap-north-2g -> managed-wap-north
-        // Local interfaces: wifi1 -> (controller identity)
-        let apIdentity = '';
-        if (name.match(/-2g(-ssid\d+)?$/) || name.match(/-5g(-ssid\d+)?$/)) {
-          // CAP interface
-          apIdentity = name.replace(/-2g(-ssid\d+)?$/, '').replace(/-5g(-ssid\d+)?$/, '');
-        } else {
-          // Local controller interface
-          apIdentity = '_controller_';
-        }
 
-        interfaces.push({ name, ssid, band, apIdentity });
-      }
+      interfaces.push({ name, ssid, band: interfaceBand(name), apIdentity });
     }
-
-    // Re-parse properly for all interfaces
-    interfaces.length = 0;
-    const lines = output.split('\n');
-    let buffer = '';
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      if (line.match(/^\s*\d+\s/)) {
-        // Process previous buffer
-        if (buffer) {
-          processInterfaceBuffer(buffer, interfaces);
-        }
-        buffer = line;
-      } else if (buffer && line.trim()) {
-        buffer += ' ' + line.trim();
-      }
-    }
-    // Process last buffer
-    if (buffer) {
-      processInterfaceBuffer(buffer, interfaces);
-    }
-
   } catch (e) {
-    console.log(`⚠️  Could not discover interfaces: ${e.message}`);
+    warn(`Could not discover interfaces: ${e.message}`);
   }
 
   return interfaces;
 }
 
 /**
- * Process a single interface buffer and add to interfaces array
+ * Convert an access-list record to a rule
+ * @param {Object} record - Access-list record from mt.print()
+ * @returns {{id: string, mac: string, interface: string, action: string, comment: string}|null}
  */
-function processInterfaceBuffer(buffer, interfaces) {
-  const nameMatch = buffer.match(/(?:^|\s)name="?([^\s"]+)"?/);
-  const ssidMatch = buffer.match(/(?:configuration)?\.ssid="([^"]+)"/);
-  const disabledMatch = buffer.match(/disabled=yes/);
-
-  if (nameMatch && ssidMatch && !disabledMatch) {
-    const name = nameMatch[1];
-    const ssid = ssidMatch[1];
-
-    // Determine band from interface name
-    let band = 'unknown';
-    if (name.includes('-2g') || name.includes('wifi1')) {
-      band = '2.4GHz';
-    } else if (name.includes('-5g') || name.includes('wifi2')) {
-      band = '5GHz';
-    }
-
-    // Determine AP identity from interface name
-    let apIdentity = '';
-    if (name.match(/-2g(-ssid\d+)?$/) || name.match(/-5g(-ssid\d+)?$/)) {
-      apIdentity = name.replace(/-2g(-ssid\d+)?$/, '').replace(/-5g(-ssid\d+)?$/, '');
-    } else {
-      apIdentity = '_controller_';
-    }
-
-    interfaces.push({ name, ssid, band, apIdentity });
-  }
+function ruleFromRecord(record) {
+  if (!record['mac-address']) return null;
+  return {
+    id: record['.id'],
+    mac: record['mac-address'].toUpperCase(),
+    interface: record.interface || '',
+    action: record.action || 'accept',
+    comment: record.comment || ''
+  };
 }
 
 /**
@@ -210,78 +137,25 @@ async function getCurrentLockingRules(mt, wifiPath) {
 
   try {
     // Get all access-list rules with WAP locking comments
-    const output = await mt.exec(`${wifiPath}/access-list print detail without-paging where comment~"lock to" or comment~"locked to"`);
-
-    if (!output || !output.trim()) {
-      return rules;
-    }
-
-    // Parse rules - MikroTik format: " 0 mac-address=XX:XX:XX:XX:XX:XX interface=name action=accept comment="...""
-    const lines = output.split('\n');
-    let buffer = '';
+    const records = await mt.print(`${wifiPath}/access-list`, {
+      where: 'comment~"lock to" or comment~"locked to"'
+    });
 
-    for (const line of lines) {
-      // New entry starts with a number (possibly with flags like D for disabled)
-      if (line.match(/^\s*\d+/)) {
-        if (buffer) {
-          parseRuleWithId(buffer, rules);
-        }
-        buffer = line;
-      } else if (buffer && line.trim()) {
-        buffer += ' ' + line.trim();
+    for (const record of records) {
+      const rule = ruleFromRecord(record);
+      if (rule) {
+        rules.push(rule);
       }
     }
-    if (buffer) {
-      parseRuleWithId(buffer, rules);
-    }
   } catch (e) {
     if (!e.message.includes('no such item')) {
-      console.log(`⚠️  Could not fetch current rules: ${e.message}`);
+      warn(`Could not fetch current rules: ${e.message}`);
     }
   }
 
   return rules;
 }
 
-/**
- * Parse a single access-list rule and extract its ID
- * MikroTik format varies:
- *   - Comments as: ;;; comment text
- *   - Or: comment="comment text"
- *   - Multi-line with mac-address, interface, action on separate lines
- */
-function parseRuleWithId(buffer, rules) {
-  // Extract the rule ID (the number at the start)
-  const idMatch = buffer.match(/^\s*(\d+)/);
-  const macMatch = buffer.match(/mac-address=([0-9A-Fa-f:]+)/);
-  const interfaceMatch = buffer.match(/interface=([^\s]+)/);
-  const actionMatch = buffer.match(/action=(accept|reject)/);
-
-  // Try both comment formats:
-  // 1. ;;; comment text (MikroTik detail output)
-  // 2. comment="comment text" (MikroTik terse output)
-  let comment = '';
-  const tripleCommentMatch = buffer.match(/;;;\s*(.+?)(?:\s+mac-address|$)/);
-  if (tripleCommentMatch) {
-    comment = tripleCommentMatch[1].trim();
-  } else {
-    const quotedCommentMatch = buffer.match(/comment="([^"]+)"/);
-    if (quotedCommentMatch) {
-      comment = quotedCommentMatch[1];
-    }
-  }
-
-  if (idMatch && macMatch) {
-    rules.push({
-      id: idMatch[1],
-      mac: macMatch[1].toUpperCase(),
-      interface: interfaceMatch ? interfaceMatch[1] : '',
-      action: actionMatch ? actionMatch[1] : 'accept',
-      comment: comment
-    });
-  }
-}
-
 /**
  * Build desired rules from locked devices configuration
  * @param {Array<Object>} lockedDevices - Array of { mac, hostname, lockToAp, ssid? }
@@ -407,11 +281,7 @@ function diffRules(currentRules, desiredRules) {
 async function configureAccessLists(controllerConfig, lockedDevices, deploymentSsids, devices) {
   const hasLockedDevices = lockedDevices && lockedDevices.length > 0;
 
-  const mt = new MikroTikSSH(
-    controllerConfig.host || '192.168.88.1',
-    controllerConfig.username || 'admin',
-    controllerConfig.password || 'admin'
-  );
+  const mt = createConnection(controllerConfig);
 
   try {
     await mt.connect();
@@ -441,7 +311,7 @@ async function configureAccessLists(controllerConfig, lockedDevices, deploymentS
 
     console.log(`  Found ${allCurrentRules.length} existing WAP locking rule(s)`);
     if (orphanedRules.length > 0) {
-      console.log(`  ⚠️  ${orphanedRules.length} rule(s) have orphaned interface references (will be removed)`);
+      warn(`${orphanedRules.length} rule(s) have orphaned interface references (will be removed)`, '  ');
     }
 
     // If no locked devices to configure, remove all existing rules
@@ -453,7 +323,7 @@ async function configureAccessLists(controllerConfig, lockedDevices, deploymentS
             await mt.exec(`${wifiPath}/access-list remove ${rule.id}`);
             console.log(`  ✓ Removed rule for ${rule.mac} on ${rule.interface}`);
           } catch (e) {
-            console.log(`  ⚠️  Could not remove rule ${rule.id}: ${e.message}`);
+            warn(`Could not remove rule ${rule.id}: ${e.message}`, '  ');
           }
         }
       }
@@ -469,7 +339,7 @@ async function configureAccessLists(controllerConfig, lockedDevices, deploymentS
     let controllerIdentity = '_controller_';
     const controller = devices.find(d => d.role === 'controller');
     if (controller) {
-      controllerIdentity = controller.identity || extractHostname(controller.device?.host);
+      controllerIdentity = controller.identity || extractHostname(deviceHost(controller.device));
     }
 
     // Discover all WiFi interfaces on the controller
@@ -529,7 +399,7 @@ async function configureAccessLists(controllerConfig, lockedDevices, deploymentS
           );
           console.log(`  ✓ ACCEPT ${rule.mac} on ${rule.interface}`);
         } catch (e) {
-          console.log(`  ⚠️  Could not add accept rule: ${e.message}`);
+          warn(`Could not add accept rule: ${e.message}`, '  ');
         }
       }
     }
@@ -544,7 +414,7 @@ async function configureAccessLists(controllerConfig, lockedDevices, deploymentS
           );
           console.log(`  ✓ REJECT ${rule.mac} on ${rule.interface}`);
         } catch (e) {
-          console.log(`  ⚠️  Could not add reject rule: ${e.message}`);
+          warn(`Could not add reject rule: ${e.message}`, '  ');
         }
       }
     }
@@ -557,7 +427,7 @@ async function configureAccessLists(controllerConfig, lockedDevices, deploymentS
           await mt.exec(`${wifiPath}/access-list remove ${rule.id}`);
           console.log(`  ✓ Removed orphaned ${rule.action.toUpperCase()} ${rule.mac} (was: ${rule.interface})`);
         } catch (e) {
-          console.log(`  ⚠️  Could not remove orphaned rule ${rule.id}: ${e.message}`);
+          warn(`Could not remove orphaned rule ${rule.id}: ${e.message}`, '  ');
         }
       }
     }
@@ -570,7 +440,7 @@ async function configureAccessLists(controllerConfig, lockedDevices, deploymentS
           await mt.exec(`${wifiPath}/access-list remove ${rule.id}`);
           console.log(`  ✓ Removed ${rule.action.toUpperCase()} ${rule.mac} on ${rule.interface}`);
         } catch (e) {
-          console.log(`  ⚠️  Could not remove rule ${rule.id}: ${e.message}`);
+          warn(`Could not remove rule ${rule.id}: ${e.message}`, '  ');
         }
       }
     }
@@ -600,33 +470,15 @@ async function backupAccessLists(mt, wifiPath) {
   try {
     console.log('\n=== Reading Access-List Configuration ===');
 
-    const output = await mt.exec(`${wifiPath}/access-list print detail without-paging`);
+    const rules = (await mt.print(`${wifiPath}/access-list`))
+      .map(ruleFromRecord)
+      .filter(Boolean);
 
-    if (!output || !output.trim() || output.includes('no such item')) {
+    if (rules.length === 0) {
       console.log('  No access-list rules found');
       return lockedDevices;
     }
 
-    // Parse access-list entries
-    // Format: mac-address=XX:XX:XX:XX:XX:XX interface=<name> action=accept/reject comment="hostname - lock to ap"
-    const rules = [];
-    const lines = output.split('\n');
-    let buffer = '';
-
-    for (const line of lines) {
-      if (line.match(/^\s*\d+\s/)) {
-        if (buffer) {
-          parseAccessListRule(buffer, rules);
-        }
-        buffer = line;
-      } else if (buffer && line.trim()) {
-        buffer += ' ' + line.trim();
-      }
-    }
-    if (buffer) {
-      parseAccessListRule(buffer, rules);
-    }
-
     // Group rules by MAC address to reconstruct locked device configs
     const byMac = new Map();
     for (const rule of rules) {
@@ -692,38 +544,13 @@ async function backupAccessLists(mt, wifiPath) {
 
   } catch (e) {
     if (!e.message.includes('no such item')) {
-      console.log(`⚠️  Could not read access-list: ${e.message}`);
+      warn(`Could not read access-list: ${e.message}`);
     }
   }
 
   return lockedDevices;
 }
 
-/**
- * Parse a single access-list rule line
- */
-function parseAccessListRule(buffer, rules) {
-  const macMatch = buffer.match(/mac-address=([0-9A-Fa-f:]+)/);
-  const interfaceMatch = buffer.match(/interface=([^\s]+)/);
-  const actionMatch = buffer.match(/action=(accept|reject)/);
-  const commentMatch = buffer.match(/comment="([^"]+)"/);
-
-  if (macMatch) {
-    const rule = {
-      mac: macMatch[1].toUpperCase(),
-      interface: interfaceMatch ? interfaceMatch[1] : '',
-      action: actionMatch ? actionMatch[1] : 'accept',
-      comment: commentMatch ? commentMatch[1] : ''
-    };
-
-    // Try to extract SSID from interface name (we don't have it directly)
-    // This will be filled in during the grouping phase if needed
-    rule.ssid = '';
-
-    rules.push(rule);
-  }
-}
-
 module.exports = {
   configureAccessLists,
   backupAccessLists,
@@ -0,0 +1,102 @@
+/**
+ * Fallback addresses for a device
+ * A device block can list several addresses (device.addresses, e.g. FQDN, IP,
+ * 192.168.88.1). Sessions try them in order and keep the first one that is
+ * reachable, so freshly reset units and DNS outages do not stop a run. The
+ * canonical host - device.host, else the first hostname in the list - stays
+ * the name used for identity derivation and reports.
+ */
+
+const { warn } = require('./run-events');
+
+/**
+ * Check whether a host string is an IPv4 address
+ * @param {string} host - Hostname or IP
+ * @returns {boolean} True for dotted quads
+ */
+function isIPv4(host) {
+  return /^\d+\.\d+\.\d+\.\d+$/.test(host || '');
+}
+
+/**
+ * Check a device.addresses value
+ * @param {*} addresses - Value from YAML
+ * @returns {boolean} True for a non-empty list of non-empty strings
+ */
+function isAddressList(addresses) {
+  return Array.isArray(addresses) && addresses.length > 0 &&
+    addresses.every(address => typeof address === 'string' && address.trim() !== '');
+}
+
+/**
+ * Canonical host of a device block
+ * @param {Object} device - Device block ({host, addresses, ...})
+ * @returns {string|undefined} device.host, else the first hostname in device.addresses, else its first entry
+ */
+function deviceHost(device = {}) {
+  if (device.host) return device.host;
+  const addresses = Array.isArray(device.addresses) ? device.addresses.filter(Boolean) : [];
+  return addresses.find(address => !isIPv4(address)) || addresses[0];
+}
+
+/**
+ * Addresses a session tries, in order
+ * The canonical host is tried first unless device.addresses lists it.
+ * @param {string} host - Canonical host
+ * @param {string[]} [addresses] - device.addresses
+ * @returns {string[]} Unique addresses
+ */
+function candidateAddresses(host, addresses) {
+  const list = Array.isArray(addresses) ? addresses.filter(Boolean).map(String) : [];
+  const ordered = list.length === 0 || list.includes(host) ? list : [host, ...list];
+  return ordered.length > 0 ? [...new Set(ordered)] : [host];
+}
+
+/**
+ * Whether a connection error means the address cannot be reached (try the next one)
+ * Authentication and host key errors do not fall through to other addresses.
+ * @param {Error} error - Error from a transport's connect()
+ * @returns {boolean} True for DNS, timeout, refused and unreachable errors
+ */
+function isUnreachableError(error) {
+  return /^(Connection refused|Connection timeout|Host .* is unreachable)|ENOTFOUND|EAI_AGAIN|ENETUNREACH|EHOSTDOWN/
+    .test(error.message || '');
+}
+
+/**
+ * Connect a session to the first reachable of its addresses
+ * Sets session.address to the address that worked.
+ * @param {Object} session - Transport session with addresses and host
+ * @param {Function} attempt - async address => void, connects to one address
+ * @returns {Promise<void>}
+ * @throws {Error} The last error when no address is reachable, or the first other error
+ */
+async function connectFirstReachable(session, attempt) {
+  const addresses = session.addresses;
+  for (const [index, address] of addresses.entries()) {
+    session.address = address;
+    try {
+      await attempt(address);
+      if (address !== session.host) {
+        console.log(`ℹ️  Connected to ${session.host} via ${address}`);
+      }
+      return;
+    } catch (e) {
+      const next = addresses[index + 1];
+      if (!next || !isUnreachableError(e)) {
+        if (index > 0) e.message += ` (also tried ${addresses.slice(0, index).join(', ')})`;
+        throw e;
+      }
+      warn(`${address} not reachable (${e.message}) - trying ${next}`);
+    }
+  }
+}
+
+module.exports = {
+  isIPv4,
+  isAddressList,
+  deviceHost,
+  candidateAddresses,
+  isUnreachableError,
+  connectFirstReachable
+};
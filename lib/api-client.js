@@ -0,0 +1,558 @@
+/**
+ * MikroTik RouterOS API Client
+ * Native RouterOS API protocol (port 8728, or 8729 with TLS) with the same
+ * interface as MikroTikSSH
+ *
+ * Commands and replies are sentences of length-prefixed words. Each command is
+ * tagged so replies (!re records, then !done, or !trap followed by !done) are
+ * matched to the request that caused them. exec() accepts the console commands
+ * the lib/ modules send and maps them to API calls (see record-commands.js);
+ * print() returns structured records and supports .proplist and API queries.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const tls = require('tls');
+const { verifyHostKey } = require('./host-keys');
+const { candidateAddresses, connectFirstReachable } = require('./addresses');
+const { splitTokens, splitAssignment, matchesCondition } = require('./cli-command');
+const { executeCommand, normalizeMenu, normalizeRecord } = require('./record-commands');
+const { warn } = require('./run-events');
+
+// !trap categories as documented for the RouterOS API
+const TRAP_CATEGORIES = {
+  0: 'missing item or command',
+  1: 'argument value failure',
+  2: 'command execution interrupted',
+  3: 'scripting related failure',
+  4: 'general failure',
+  5: 'API related failure',
+  6: 'TTY related failure',
+  7: 'value generated with :return command'
+};
+
+/**
+ * Error reported by the device with a !trap reply
+ */
+class RouterOSTrapError extends Error {
+  /**
+   * @param {string} message - Trap message from the device
+   * @param {number|null} category - Trap category (see TRAP_CATEGORIES)
+   * @param {string} command - API command that failed
+   */
+  constructor(message, category, command) {
+    super(message);
+    this.name = 'RouterOSTrapError';
+    this.category = category;
+    this.categoryName = category === null ? null : (TRAP_CATEGORIES[category] || 'unknown');
+    this.command = command;
+  }
+}
+
+/**
+ * Encode a word length using the RouterOS variable-length scheme
+ * @param {number} length - Word length in bytes
+ * @returns {Buffer} Encoded length prefix (1-5 bytes)
+ */
+function encodeLength(length) {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+  if (length < 0x4000) {
+    const buf = Buffer.alloc(2);
+    buf.writeUInt16BE(length | 0x8000);
+    return buf;
+  }
+  if (length < 0x200000) {
+    const value = length | 0xC00000;
+    return Buffer.from([(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF]);
+  }
+  if (length < 0x10000000) {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32BE((length | 0xE0000000) >>> 0);
+    return buf;
+  }
+  const buf = Buffer.alloc(5);
+  buf[0] = 0xF0;
+  buf.writeUInt32BE(length, 1);
+  return buf;
+}
+
+/**
+ * Decode a word length prefix
+ * @param {Buffer} buf - Receive buffer
+ * @param {number} offset - Position of the length prefix
+ * @returns {{length: number, size: number}|null} Length and prefix size, or null if incomplete
+ */
+function decodeLength(buf, offset) {
+  if (offset >= buf.length) return null;
+  const first = buf[offset];
+
+  let size;
+  if ((first & 0x80) === 0x00) size = 1;
+  else if ((first & 0xC0) === 0x80) size = 2;
+  else if ((first & 0xE0) === 0xC0) size = 3;
+  else if ((first & 0xF0) === 0xE0) size = 4;
+  else if (first === 0xF0) size = 5;
+  else throw new Error(`Invalid API word length prefix 0x${first.toString(16)}`);
+
+  if (offset + size > buf.length) return null;
+
+  switch (size) {
+    case 1: return { length: first, size };
+    case 2: return { length: buf.readUInt16BE(offset) & 0x3FFF, size };
+    case 3: return { length: ((first & 0x1F) << 16) | buf.readUInt16BE(offset + 1), size };
+    case 4: return { length: buf.readUInt32BE(offset) & 0x0FFFFFFF, size };
+    default: return { length: buf.readUInt32BE(offset + 1), size };
+  }
+}
+
+/**
+ * Encode a sentence (list of words terminated by an empty word)
+ * @param {string[]} words - Command word followed by attribute and query words
+ * @returns {Buffer} Encoded sentence
+ */
+function encodeSentence(words) {
+  const parts = [];
+  for (const word of words) {
+    const data = Buffer.from(word, 'utf8');
+    parts.push(encodeLength(data.length), data);
+  }
+  parts.push(Buffer.from([0]));
+  return Buffer.concat(parts);
+}
+
+/**
+ * Convert console where-terms that the device can evaluate into API query words
+ * Only a single AND-group of key=value terms is pushed to the device; yes/no
+ * values are left to the local filter since the API reports booleans as true/false.
+ * @param {string|null} where - Console where-condition
+ * @returns {string[]} Query words (may be empty)
+ */
+function whereToQuery(where) {
+  if (!where) return [];
+  const tokens = splitTokens(where);
+  if (tokens.includes('or')) return [];
+
+  const query = [];
+  for (const token of tokens) {
+    if (token === 'and') continue;
+    const { key, op, value } = splitAssignment(token);
+    if (op === '=' && !['yes', 'no', 'true', 'false'].includes(value)) {
+      query.push(`?${key}=${value}`);
+    }
+  }
+  return query;
+}
+
+class MikroTikAPI {
+  /**
+   * @param {string} host - Device hostname or IP
+   * @param {string} username - API username
+   * @param {string} [password] - API password
+   * @param {Object} [options] - Additional connection options
+   * @param {number} [options.port] - API port (default: 8728, or 8729 with apiTls)
+   * @param {boolean} [options.apiTls] - Use the TLS api-ssl service
+   * @param {string} [options.hostKeyFingerprint] - Expected SHA256 fingerprint of the TLS certificate
+   * @param {string} [options.knownHostsFile] - Known-hosts file for trust-on-first-use pinning
+   * @param {boolean} [options.acceptNewHostKeys] - Re-pin a changed certificate instead of failing
+   * @param {string[]} [options.addresses] - Fallback addresses, tried in order (see lib/addresses.js)
+   */
+  constructor(host, username, password, options = {}) {
+    this.host = host;
+    this.addresses = candidateAddresses(host, options.addresses);
+    this.address = this.addresses[0];  // Address the session connected through
+    this.username = username;
+    this.password = password || '';
+    this.tls = options.apiTls === true;
+    this.port = options.port || (this.tls ? 8729 : 8728);
+    this.hostKeyFingerprint = options.hostKeyFingerprint || null;
+    this.knownHostsFile = options.knownHostsFile || null;
+    this.acceptNewHostKeys = options.acceptNewHostKeys === true;
+    this.timeout = options.timeout || 30000;
+    this.socket = null;
+    this.connected = false;
+    this.buffer = Buffer.alloc(0);
+    this.sentence = [];
+    this.nextTag = 1;
+    // Outstanding commands by .tag
+    this.pending = new Map();
+    // Item IDs from the last print of each menu (see record-commands.js)
+    this.printIds = new Map();
+  }
+
+  /**
+   * Pin the TLS certificate of the api-ssl service
+   * @returns {Error|null} Verification error, if any
+   */
+  verifySocket() {
+    const cert = this.socket.getPeerCertificate();
+    if (!cert || !cert.raw) {
+      return new Error(`No TLS certificate presented by ${this.address}:${this.port} - assign a certificate to the api-ssl service`);
+    }
+    const result = verifyHostKey(cert.raw, {
+      host: this.host,
+      address: this.address,
+      port: this.port,
+      hostKeyFingerprint: this.hostKeyFingerprint,
+      knownHostsFile: this.knownHostsFile,
+      acceptNewHostKeys: this.acceptNewHostKeys
+    });
+    return result.ok ? null : new Error(result.error);
+  }
+
+  /**
+   * Open the TCP (or TLS) connection
+   * @returns {Promise<void>}
+   */
+  open() {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.socket.destroy(new Error('ETIMEDOUT'));
+      }, this.timeout);
+
+      const onError = (err) => {
+        clearTimeout(timer);
+        const service = this.tls ? 'api-ssl' : 'api';
+        if (err.message.includes('ECONNREFUSED')) {
+          reject(new Error(`Connection refused to ${this.address}:${this.port} - check if device is reachable and the ${service} service is enabled`));
+        } else if (err.message.includes('ETIMEDOUT')) {
+          reject(new Error(`Connection timeout to ${this.address} - check network connectivity and firewall rules`));
+        } else if (err.message.includes('EHOSTUNREACH')) {
+          reject(new Error(`Host ${this.address} is unreachable - check network path and routing`));
+        } else {
+          reject(err);
+        }
+      };
+
+      const onConnect = () => {
+        if (this.tls) {
+          const err = this.verifySocket();
+          if (err) {
+            this.socket.destroy();
+            onError(err);
+            return;
+          }
+        }
+        clearTimeout(timer);
+        this.socket.removeListener('error', onError);
+        this.socket.on('error', (err) => this.fail(err));
+        resolve();
+      };
+
+      if (this.tls) {
+        // Certificates are pinned (see verifySocket), so CA validation is not required;
+        // RouterOS devices typically use self-signed certificates.
+        this.socket = tls.connect({ host: this.address, port: this.port, rejectUnauthorized: false }, onConnect);
+      } else {
+        this.socket = net.connect({ host: this.address, port: this.port }, onConnect);
+      }
+      const socket = this.socket;
+      socket.once('error', onError);
+      socket.on('data', (chunk) => this.receive(chunk));
+      // A socket from an earlier address closing late must not fail this session
+      socket.on('close', () => this.socket === socket && this.fail(new Error(`Connection to ${this.address} closed`)));
+    });
+  }
+
+  /**
+   * Split received bytes into words and complete sentences
+   * @param {Buffer} chunk - Data from the socket
+   */
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let offset = 0;
+
+    try {
+      for (;;) {
+        const prefix = decodeLength(this.buffer, offset);
+        if (!prefix || offset + prefix.size + prefix.length > this.buffer.length) break;
+
+        const start = offset + prefix.size;
+        offset = start + prefix.length;
+
+        if (prefix.length === 0) {
+          const words = this.sentence;
+          this.sentence = [];
+          this.handleSentence(words);
+        } else {
+          this.sentence.push(this.buffer.toString('utf8', start, offset));
+        }
+      }
+    } catch (e) {
+      this.socket.destroy();
+      this.fail(e);
+      return;
+    }
+
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  /**
+   * Dispatch a reply sentence to the command it belongs to
+   * @param {string[]} words - Reply word (!re, !done, !trap, !fatal, !empty) and attributes
+   */
+  handleSentence(words) {
+    const [reply, ...rest] = words;
+    const attributes = {};
+    let tag = null;
+
+    for (const word of rest) {
+      if (word.startsWith('.tag=')) {
+        tag = word.slice(5);
+      } else if (word.startsWith('=')) {
+        const sep = word.indexOf('=', 1);
+        if (sep === -1) {
+          attributes[word.slice(1)] = '';
+        } else {
+          attributes[word.slice(1, sep)] = word.slice(sep + 1);
+        }
+      }
+    }
+
+    if (reply === '!fatal') {
+      // The device closes the connection after !fatal
+      const message = rest.find(w => !w.startsWith('.tag=')) || 'fatal error';
+      this.fail(new Error(`RouterOS API fatal error from ${this.address}: ${message}`));
+      return;
+    }
+
+    const command = this.pending.get(tag);
+    if (!command) return;
+
+    if (reply === '!re') {
+      command.records.push(attributes);
+    } else if (reply === '!trap') {
+      command.trap = attributes;
+    } else if (reply === '!done') {
+      this.pending.delete(tag);
+      clearTimeout(command.timer);
+      if (command.trap) {
+        const category = command.trap.category === undefined ? null : parseInt(command.trap.category, 10);
+        command.reject(new RouterOSTrapError(command.trap.message || 'unknown error', category, command.words[0]));
+      } else {
+        command.resolve({ records: command.records, done: attributes });
+      }
+    }
+    // !empty (RouterOS 7.18+) carries no data; !done follows
+  }
+
+  /**
+   * Reject every outstanding command and mark the session closed
+   * @param {Error} err - Cause
+   */
+  fail(err) {
+    this.connected = false;
+    for (const command of this.pending.values()) {
+      clearTimeout(command.timer);
+      command.reject(err);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Send a command sentence and collect its reply
+   * @param {string[]} words - Command word followed by attribute and query words
+   * @returns {Promise<{records: Array<Object>, done: Object}>} !re records and !done attributes
+   */
+  talk(words) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || this.socket.destroyed) {
+        reject(new Error('Not connected'));
+        return;
+      }
+
+      const tag = String(this.nextTag++);
+      const timer = setTimeout(() => {
+        this.pending.delete(tag);
+        reject(new Error('Command timeout'));
+      }, this.timeout);
+
+      this.pending.set(tag, { words, records: [], trap: null, resolve, reject, timer });
+      this.socket.write(encodeSentence([...words, `.tag=${tag}`]));
+    });
+  }
+
+  /**
+   * Log in with name/password, falling back to the pre-6.43 MD5 challenge
+   */
+  async login() {
+    try {
+      const { done } = await this.talk(['/login', `=name=${this.username}`, `=password=${this.password}`]);
+      if (done.ret) {
+        const challenge = Buffer.from(done.ret, 'hex');
+        const digest = crypto.createHash('md5')
+          .update(Buffer.concat([Buffer.from([0]), Buffer.from(this.password, 'utf8'), challenge]))
+          .digest('hex');
+        await this.talk(['/login', `=name=${this.username}`, `=response=00${digest}`]);
+      }
+    } catch (e) {
+      if (e instanceof RouterOSTrapError) {
+        throw new Error(`Authentication failed for user '${this.username}' at ${this.address} - check username and password`);
+      }
+      throw e;
+    }
+  }
+
+  async connect() {
+    await connectFirstReachable(this, async (address) => {
+      if (!this.tls) {
+        warn(`RouterOS API over plain TCP to ${address} - credentials are sent unencrypted (use apiTls for port 8729)`);
+      }
+      await this.open();
+      try {
+        await this.login();
+      } catch (e) {
+        this.socket.destroy();
+        throw e;
+      }
+      this.connected = true;
+      console.log('✓ Connected to MikroTik device (API)');
+    });
+  }
+
+  /**
+   * Turn a property map into API attribute words
+   * @param {Object} properties - Item properties
+   * @returns {string[]} =key=value words
+   */
+  attributeWords(properties) {
+    return Object.entries(properties).map(([key, value]) => `=${key}=${value}`);
+  }
+
+  /**
+   * Fetch all items of a menu as records
+   * @param {string} menu - Menu path (e.g. /interface/wifi)
+   * @param {string[]} [extraWords] - Additional .proplist or query words
+   * @returns {Promise<Array<Object>|Object>} Records, or an object for settings menus
+   */
+  async fetch(menu, extraWords = []) {
+    const { records } = await this.talk([`${menu}/print`, ...extraWords]);
+    // Settings menus (/system identity) return one record without an .id
+    if (records.length === 1 && records[0]['.id'] === undefined) {
+      return records[0];
+    }
+    return records;
+  }
+
+  /**
+   * Create an item (console "add")
+   * @param {string} menu - Menu path
+   * @param {Object} properties - Item properties
+   */
+  async createItem(menu, properties) {
+    await this.talk([`${menu}/add`, ...this.attributeWords(properties)]);
+  }
+
+  /**
+   * Update an item by .id (console "set")
+   * @param {string} menu - Menu path
+   * @param {string} id - Item .id
+   * @param {Object} properties - Properties to change
+   */
+  async updateItem(menu, id, properties) {
+    await this.talk([`${menu}/set`, `=.id=${id}`, ...this.attributeWords(properties)]);
+  }
+
+  /**
+   * Remove an item by .id
+   * @param {string} menu - Menu path
+   * @param {string} id - Item .id
+   */
+  async removeItem(menu, id) {
+    await this.talk([`${menu}/remove`, `=.id=${id}`]);
+  }
+
+  /**
+   * Update a settings menu without items (e.g. /system identity set name=...)
+   * @param {string} menu - Menu path
+   * @param {Object} properties - Properties to change
+   */
+  async updateSettings(menu, properties) {
+    await this.talk([`${menu}/set`, ...this.attributeWords(properties)]);
+  }
+
+  /**
+   * Export configuration to a file on the device (console "export file=...")
+   * @param {string} menu - Menu path to export ("/" for the whole configuration)
+   * @param {Object} properties - Export arguments (file, show-sensitive)
+   */
+  async exportConfig(menu, properties) {
+    if (!properties.file) {
+      throw new Error('Command not supported by this transport: export without file=');
+    }
+    await this.talk([`${menu === '/' ? '' : menu}/export`, ...this.attributeWords(properties)]);
+  }
+
+  /**
+   * Run a command that is not a menu action (e.g. /import, /system reset-configuration)
+   * @param {string} menu - Command path
+   * @param {Object} properties - Command arguments
+   */
+  async runCommand(menu, properties) {
+    await this.talk([menu, ...this.attributeWords(properties)]);
+  }
+
+  /**
+   * Create a file on the device
+   * @param {string} name - File name
+   * @param {string} contents - File contents
+   */
+  async uploadFile(name, contents) {
+    await this.createItem('/file', { name, contents });
+  }
+
+  /**
+   * Print a menu as structured records
+   * Simple key=value terms of the where-condition are sent as API queries; the
+   * full condition is then applied locally, so any console condition works.
+   * @param {string} menu - Menu path (e.g. /interface/wifi/access-list)
+   * @param {Object} [options] - Print options
+   * @param {string} [options.where] - Console where-condition (e.g. comment~"lock to")
+   * @param {string[]|string} [options.proplist] - Properties to return (.proplist);
+   *   include any property the where-condition tests
+   * @param {string[]} [options.query] - Raw API query words (e.g. ['?type=ether', '?type=vlan', '?#|'])
+   * @returns {Promise<Array<Object>>} Matching records including their .id
+   */
+  async print(menu, options = {}) {
+    this.assertConnected();
+
+    const words = [];
+    if (options.proplist) {
+      const proplist = Array.isArray(options.proplist) ? options.proplist.join(',') : options.proplist;
+      words.push(`=.proplist=${proplist}`);
+    }
+    words.push(...(options.query || whereToQuery(options.where)));
+
+    const data = await this.fetch(normalizeMenu(menu), words);
+    const records = Array.isArray(data) ? data : [data];
+    return records
+      .filter(record => matchesCondition(record, options.where))
+      .map(normalizeRecord);
+  }
+
+  async exec(command) {
+    this.assertConnected();
+    return executeCommand(this, command);
+  }
+
+  assertConnected() {
+    if (!this.connected) {
+      throw new Error('Not connected');
+    }
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  async close() {
+    this.connected = false;
+    if (this.socket) {
+      this.socket.end();
+      this.socket.destroy();
+    }
+  }
+}
+
+module.exports = { MikroTikAPI, RouterOSTrapError };
@@ -3,22 +3,38 @@
  * Reads device configuration and generates YAML-compatible structure
  */
 
-const { MikroTikSSH } = require('./ssh-client');
+const { createConnection, getConnectionOptions, hasKeyAuth } = require('./connection');
+const { deviceHost } = require('./addresses');
 const { FREQ_CHANNEL_24GHZ, FREQ_CHANNEL_5GHZ } = require('./constants');
 const { backupAccessLists } = require('./access-list');
 const { getWifiPath } = require('./utils');
+const { parsePrint, parseSettings } = require('./print-parser');
+const { warn } = require('./run-events');
+
+/**
+ * Return the first non-empty value among several property names
+ * RouterOS reports some settings under different names depending on version and
+ * on whether they are set inline or inherited (e.g. configuration.ssid vs .ssid).
+ * @param {Object} record - Record from mt.print()
+ * @param {...string} keys - Property names in order of preference
+ * @returns {string|undefined} First value found
+ */
+function recordValue(record, ...keys) {
+  for (const key of keys) {
+    if (record[key] !== undefined && record[key] !== '') {
+      return record[key];
+    }
+  }
+  return undefined;
+}
 
 /**
  * Backup current MikroTik configuration and generate config.yaml structure
- * @param {Object} credentials - Device credentials {host, username, password}
+ * @param {Object} credentials - Device credentials {host, username, password, port, privateKeyPath, ...}
  * @returns {Promise<Object>} Configuration object matching config.yaml schema
  */
 async function backupMikroTikConfig(credentials = {}) {
-  const mt = new MikroTikSSH(
-    credentials.host || '192.168.88.1',
-    credentials.username || 'admin',
-    credentials.password || 'admin'
-  );
+  const mt = createConnection(credentials);
 
   try {
     await mt.connect();
@@ -27,11 +43,16 @@ async function backupMikroTikConfig(credentials = {}) {
     console.log('MikroTik Configuration Backup');
     console.log('========================================\n');
 
+    const host = credentials.host || '192.168.88.1';
     const config = {
       device: {
-        host: credentials.host || '192.168.88.1',
+        // A host derived from device.addresses is not written back (see deviceHost)
+        ...(!credentials.addresses || host !== deviceHost({ addresses: credentials.addresses }) ? { host } : {}),
         username: credentials.username || 'admin',
-        password: credentials.password || 'admin'
+        ...(credentials.password || !hasKeyAuth(credentials)
+          ? { password: credentials.password || 'admin' }
+          : {}),
+        ...getConnectionOptions(credentials)
       },
       managementInterfaces: [],
       disabledInterfaces: [],
@@ -46,24 +67,22 @@ async function backupMikroTikConfig(credentials = {}) {
     // Step 0: Get device identity
     console.log('=== Reading Device Identity ===');
     try {
-      const identityOutput = await mt.exec('/system identity print');
-      const identityMatch = identityOutput.match(/name:\s*(.+)/);
-      if (identityMatch) {
-        const currentIdentity = identityMatch[1].trim();
+      const { name: currentIdentity } = parseSettings(await mt.exec('/system identity print'));
+      if (currentIdentity) {
 
         // Only store identity if it's different from hostname
         // (we auto-set identity from hostname during apply)
-        if (config.device.host.includes('.')) {
-          const expectedIdentity = config.device.host.split('.')[0];
+        if (host.includes('.')) {
+          const expectedIdentity = host.split('.')[0];
           if (currentIdentity !== expectedIdentity) {
             config.identity = currentIdentity;
             console.log(`✓ Device identity: ${currentIdentity} (differs from hostname)`);
           } else {
             console.log(`✓ Device identity: ${currentIdentity} (matches hostname, will auto-set)`);
           }
-        } else if (!config.device.host.match(/^\d+\.\d+\.\d+\.\d+$/)) {
+        } else if (!host.match(/^\d+\.\d+\.\d+\.\d+$/)) {
           // If host is not IP and not FQDN, check if identity differs
-          if (currentIdentity !== config.device.host) {
+          if (currentIdentity !== host) {
             config.identity = currentIdentity;
             console.log(`✓ Device identity: ${currentIdentity} (differs from hostname)`);
           } else {
@@ -76,77 +95,52 @@ async function backupMikroTikConfig(credentials = {}) {
         }
       }
     } catch (e) {
-      console.log(`⚠️  Could not read device identity: ${e.message}`);
+      warn(`Could not read device identity: ${e.message}`);
     }
 
     // Step 0.5: Read Bridge IGMP Snooping
     console.log('\n=== Reading Bridge IGMP Snooping ===');
     try {
-      const bridgeOutput = await mt.exec('/interface bridge print detail where name=bridge');
-      if (bridgeOutput.includes('igmp-snooping=yes')) {
+      const [bridge] = parsePrint(await mt.exec('/interface bridge print detail where name=bridge'));
+      if (bridge && bridge['igmp-snooping'] === 'yes') {
         config.igmpSnooping = true;
         console.log('✓ IGMP snooping enabled');
       } else {
         console.log('✓ IGMP snooping disabled (default)');
       }
     } catch (e) {
-      console.log(`⚠️  Could not read IGMP snooping: ${e.message}`);
+      warn(`Could not read IGMP snooping: ${e.message}`);
     }
 
     // Step 1: Get disabled interfaces
     console.log('\n=== Reading Interface Status ===');
     try {
-      const ethernetInterfaces = await mt.exec('/interface ethernet print detail without-paging');
-      const lines = ethernetInterfaces.split('\n');
-
-      // Parse interfaces - look for lines starting with flags (e.g., " 0 RS", " 1 XS")
-      // X flag indicates disabled
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        // Match lines that start with index and flags, where X flag is present
-        const flagMatch = line.match(/^\s*\d+\s+X/);
-        if (flagMatch) {
-          // Look for default-name in this line or subsequent lines
-          let searchLine = line;
-          let j = i;
-          while (j < lines.length && !searchLine.includes('default-name=')) {
-            j++;
-            if (j < lines.length) {
-              searchLine += ' ' + lines[j];
-            }
-          }
-
-          const nameMatch = searchLine.match(/default-name="?([^"\s]+)"?/);
-          if (nameMatch && nameMatch[1].startsWith('ether')) {
-            config.disabledInterfaces.push(nameMatch[1]);
-            console.log(`✓ Found disabled interface: ${nameMatch[1]}`);
-          }
+      const ethernetInterfaces = parsePrint(await mt.exec('/interface ethernet print detail without-paging'));
+
+      // X flag (disabled=yes) marks disabled interfaces
+      for (const iface of ethernetInterfaces) {
+        const defaultName = iface['default-name'];
+        if (iface.disabled === 'yes' && defaultName && defaultName.startsWith('ether')) {
+          config.disabledInterfaces.push(defaultName);
+          console.log(`✓ Found disabled interface: ${defaultName}`);
         }
       }
     } catch (e) {
-      console.log(`⚠️  Could not read ethernet interfaces: ${e.message}`);
+      warn(`Could not read ethernet interfaces: ${e.message}`);
     }
 
     // Step 2: Check for LACP bonds first
     console.log('\n=== Checking for LACP Bonds ===');
     let bondInterfaces = [];
     try {
-      const bonds = await mt.exec('/interface bonding print detail without-paging');
+      const bonds = parsePrint(await mt.exec('/interface bonding print detail without-paging'));
 
-      // Parse each bond entry (entries are separated by blank lines or numbers)
-      const bondEntries = bonds.split(/\n\s*\d+\s+/).filter(e => e.trim());
-
-      for (const entry of bondEntries) {
-        // Look for bond configuration in each entry
-        const nameMatch = entry.match(/name="?([^"\s]+)"?/);
-        const slavesMatch = entry.match(/slaves=([^"\s]+)/);
-        const modeMatch = entry.match(/mode=802\.3ad/);  // LACP mode
-        const primaryMatch = entry.match(/primary=([^"\s]+)/);
-
-        if (nameMatch && slavesMatch && modeMatch) {
-          const bondName = nameMatch[1];
-          let slaves = slavesMatch[1].split(',');
-          const primary = primaryMatch ? primaryMatch[1] : null;
+      for (const bond of bonds) {
+        // Only LACP (802.3ad) bonds are managed by this tool
+        if (bond.name && bond.slaves && bond.mode === '802.3ad') {
+          const bondName = bond.name;
+          let slaves = bond.slaves.split(',');
+          const primary = bond.primary || null;
 
           // Ensure primary interface is first in the list (for consistent MAC address)
           if (primary && slaves.includes(primary)) {
@@ -154,8 +148,8 @@ async function backupMikroTikConfig(credentials = {}) {
           }
 
           // Check if this bond is in the bridge
-          const bridgeCheck = await mt.exec(`/interface bridge port print where interface=${bondName}`);
-          if (bridgeCheck && !bridgeCheck.includes('no such item') && bridgeCheck.length > 0) {
+          const bridgeCheck = parsePrint(await mt.exec(`/interface bridge port print where interface=${bondName}`));
+          if (bridgeCheck.length > 0) {
             // Bond is in bridge - add as management interface
             config.managementInterfaces.push({
               bond: slaves
@@ -173,13 +167,11 @@ async function backupMikroTikConfig(credentials = {}) {
     // Step 3: Get bridge ports (for non-bonded management interfaces)
     console.log('\n=== Reading Bridge Ports ===');
     try {
-      const bridgePorts = await mt.exec('/interface bridge port print detail without-paging');
-      const lines = bridgePorts.split('\n');
+      const bridgePorts = parsePrint(await mt.exec('/interface bridge port print detail without-paging'));
 
-      for (const line of lines) {
-        const ifaceMatch = line.match(/interface=(ether\d+|bond\d+)/);
-        if (ifaceMatch) {
-          const ifaceName = ifaceMatch[1];
+      for (const port of bridgePorts) {
+        if (/^(ether\d+|bond\d+)$/.test(port.interface || '')) {
+          const ifaceName = port.interface;
 
           // Skip if it's a bond (already handled)
           if (ifaceName.startsWith('bond')) {
@@ -205,7 +197,7 @@ async function backupMikroTikConfig(credentials = {}) {
         }
       }
     } catch (e) {
-      console.log(`⚠️  Could not read bridge ports: ${e.message}`);
+      warn(`Could not read bridge ports: ${e.message}`);
     }
 
     // Default to ether1 if no management interfaces found
@@ -216,72 +208,46 @@ async function backupMikroTikConfig(credentials = {}) {
     // Step 3: Get WiFi band settings (channel, power, country)
     console.log('\n=== Reading WiFi Band Settings ===');
     try {
-      // Read 2.4GHz settings (wifi1)
-      const wifi1Output = await mt.exec('/interface wifi print detail without-paging where default-name=wifi1');
-      const channelFreqMatch24 = wifi1Output.match(/channel\.frequency=(\d+)/);
-      const txPowerMatch24 = wifi1Output.match(/(?:configuration\.)?tx-power=(\d+)/);
-      const countryMatch24 = wifi1Output.match(/(?:configuration\.)?country="([^"]+)"/);
-      const widthMatch24 = wifi1Output.match(/(?:channel\.)?width=([^\s]+)/);
-
-      if (channelFreqMatch24) {
-        const freq = parseInt(channelFreqMatch24[1]);
-        const channel = FREQ_CHANNEL_24GHZ[freq];
-        if (channel) {
-          config.wifi['2.4GHz'].channel = channel;
-          console.log(`✓ 2.4GHz Channel: ${channel} (${freq} MHz)`);
-        } else {
-          config.wifi['2.4GHz'].frequency = freq;
-          console.log(`✓ 2.4GHz Frequency: ${freq} MHz`);
+      const bands = [
+        { band: '2.4GHz', defaultName: 'wifi1', channels: FREQ_CHANNEL_24GHZ },
+        { band: '5GHz', defaultName: 'wifi2', channels: FREQ_CHANNEL_5GHZ }
+      ];
+
+      for (const { band, defaultName, channels } of bands) {
+        const [radio] = await mt.print('/interface/wifi', { where: `default-name=${defaultName}` });
+        if (!radio) continue;
+
+        const frequency = recordValue(radio, 'channel.frequency');
+        const txPower = recordValue(radio, 'configuration.tx-power', 'channel.tx-power', 'tx-power');
+        const country = recordValue(radio, 'configuration.country', 'country');
+        const width = recordValue(radio, 'channel.width', 'width');
+
+        if (frequency && !isNaN(parseInt(frequency))) {
+          const freq = parseInt(frequency);
+          const channel = channels[freq];
+          if (channel) {
+            config.wifi[band].channel = channel;
+            console.log(`✓ ${band} Channel: ${channel} (${freq} MHz)`);
+          } else {
+            config.wifi[band].frequency = freq;
+            console.log(`✓ ${band} Frequency: ${freq} MHz`);
+          }
         }
-      }
-
-      if (txPowerMatch24) {
-        config.wifi['2.4GHz'].txPower = parseInt(txPowerMatch24[1]);
-        console.log(`✓ 2.4GHz TX Power: ${txPowerMatch24[1]} dBm`);
-      }
-
-      if (countryMatch24) {
-        config.wifi['2.4GHz'].country = countryMatch24[1];
-        console.log(`✓ 2.4GHz Country: ${countryMatch24[1]}`);
-      }
 
-      if (widthMatch24) {
-        config.wifi['2.4GHz'].width = widthMatch24[1];
-        console.log(`✓ 2.4GHz Width: ${widthMatch24[1]}`);
-      }
-
-      // Read 5GHz settings (wifi2)
-      const wifi2Output = await mt.exec('/interface wifi print detail without-paging where default-name=wifi2');
-      const channelFreqMatch5 = wifi2Output.match(/channel\.frequency=(\d+)/);
-      const txPowerMatch5 = wifi2Output.match(/(?:configuration\.)?tx-power=(\d+)/);
-      const countryMatch5 = wifi2Output.match(/(?:configuration\.)?country="([^"]+)"/);
-      const widthMatch5 = wifi2Output.match(/(?:channel\.)?width=([^\s]+)/);
-
-      if (channelFreqMatch5) {
-        const freq = parseInt(channelFreqMatch5[1]);
-        const channel = FREQ_CHANNEL_5GHZ[freq];
-        if (channel) {
-          config.wifi['5GHz'].channel = channel;
-          console.log(`✓ 5GHz Channel: ${channel} (${freq} MHz)`);
-        } else {
-          config.wifi['5GHz'].frequency = freq;
-          console.log(`✓ 5GHz Frequency: ${freq} MHz`);
+        if (txPower && !isNaN(parseInt(txPower))) {
+          config.wifi[band].txPower = parseInt(txPower);
+          console.log(`✓ ${band} TX Power: ${parseInt(txPower)} dBm`);
         }
-      }
-
-      if (txPowerMatch5) {
-        config.wifi['5GHz'].txPower = parseInt(txPowerMatch5[1]);
-        console.log(`✓ 5GHz TX Power: ${txPowerMatch5[1]} dBm`);
-      }
 
-      if (countryMatch5) {
-        config.wifi['5GHz'].country = countryMatch5[1];
-        console.log(`✓ 5GHz Country: ${countryMatch5[1]}`);
-      }
+        if (country) {
+          config.wifi[band].country = country;
+          console.log(`✓ ${band} Country: ${country}`);
+        }
 
-      if (widthMatch5) {
-        config.wifi['5GHz'].width = widthMatch5[1];
-        console.log(`✓ 5GHz Width: ${widthMatch5[1]}`);
+        if (width) {
+          config.wifi[band].width = width;
+          console.log(`✓ ${band} Width: ${width}`);
+        }
       }
 
       // Promote country to wifi level if both bands have the same country
@@ -317,65 +283,36 @@ async function backupMikroTikConfig(credentials = {}) {
       }
 
     } catch (e) {
-      console.log(`⚠️  Could not read WiFi band settings: ${e.message}`);
+      warn(`Could not read WiFi band settings: ${e.message}`);
       delete config.wifi;
     }
 
     // Step 4: Get WiFi interfaces and their configurations
     console.log('\n=== Reading WiFi Configurations ===');
     try {
-      const wifiInterfaces = await mt.exec('/interface wifi print detail without-paging');
-      const lines = wifiInterfaces.split('\n');
-
-      // Parse WiFi interface details
+      const records = await mt.print('/interface/wifi');
       const interfaces = [];
-      let currentInterface = null;
-
-      for (const line of lines) {
-        if (line.trim().startsWith('0') || line.trim().startsWith('1') || line.trim().startsWith('2') ||
-            line.trim().startsWith('3') || line.trim().startsWith('4') || line.trim().startsWith('5')) {
-          // New interface entry
-          if (currentInterface) {
-            interfaces.push(currentInterface);
-          }
-          currentInterface = { raw: line };
-        } else if (currentInterface && line.trim()) {
-          // Continuation of current interface
-          currentInterface.raw += ' ' + line.trim();
-        }
-      }
-      if (currentInterface) {
-        interfaces.push(currentInterface);
-      }
 
-      // Parse each interface
-      for (const iface of interfaces) {
-        const raw = iface.raw;
-
-        // Extract key properties
-        const nameMatch = raw.match(/name="?([^"\s]+)"?/);
-        // Match both full format (configuration.ssid=) and shorthand (.ssid=)
-        const ssidMatch = raw.match(/(?:configuration)?\.ssid="([^"]+)"/);
-        const datapathMatch = raw.match(/datapath="?([^"\s]+)"?/);
-        // Match both full format and shorthand for passphrase
-        const passphraseMatch = raw.match(/(?:security)?\.passphrase="([^"]+)"/);
-        const masterMatch = raw.match(/master-interface=([^\s]+)/);
-        const disabledMatch = raw.match(/disabled=yes/);
-
-        if (!nameMatch || disabledMatch) continue;
-
-        const name = nameMatch[1];
-        const ssid = ssidMatch ? ssidMatch[1] : null;
-        const datapathName = datapathMatch ? datapathMatch[1] : null;
-        const passphrase = passphraseMatch ? passphraseMatch[1] : null;
-        const isMaster = !masterMatch;
-
-        if (ssid && datapathName) {
-          iface.name = name;
-          iface.ssid = ssid;
-          iface.datapathName = datapathName;
-          iface.passphrase = passphrase;
-          iface.isMaster = isMaster;
+      for (const record of records) {
+        const name = record.name;
+        if (!name || record.disabled === 'yes') continue;
+
+        // Match both full format (configuration.ssid) and shorthand (.ssid)
+        const ssid = recordValue(record, 'configuration.ssid', '.ssid');
+        const datapathName = recordValue(record, 'datapath', 'datapath.name');
+        // configureMikroTik sets the VLAN inline (datapath.vlan-id) rather than by datapath name
+        const inlineVlan = parseInt(record['datapath.vlan-id']);
+        const passphrase = recordValue(record, 'security.passphrase', '.passphrase');
+
+        if (ssid && (datapathName || !isNaN(inlineVlan))) {
+          const iface = {
+            name,
+            ssid,
+            datapathName,
+            inlineVlan: isNaN(inlineVlan) ? undefined : inlineVlan,
+            passphrase,
+            isMaster: !record['master-interface']
+          };
 
           // Determine band from interface name
           if (name.includes('wifi1')) {
@@ -385,8 +322,11 @@ async function backupMikroTikConfig(credentials = {}) {
           }
 
           // Detect Fast Transition (802.11r) per-interface
-          iface.hasFastTransition = !!(raw.match(/authentication-types[=:].*ft-psk/) || raw.match(/\.ft=yes/));
+          const authTypes = recordValue(record, 'security.authentication-types', '.authentication-types') || '';
+          iface.hasFastTransition = authTypes.includes('ft-psk') ||
+            recordValue(record, 'security.ft', '.ft') === 'yes';
 
+          interfaces.push(iface);
           console.log(`✓ Found WiFi interface: ${name} - SSID: ${ssid}${iface.hasFastTransition ? ' (FT enabled)' : ''}`);
         }
       }
@@ -395,20 +335,17 @@ async function backupMikroTikConfig(credentials = {}) {
       console.log('\n=== Reading WiFi Datapaths ===');
       const datapaths = {};
       try {
-        const datapathOutput = await mt.exec('/interface wifi datapath print detail without-paging');
-        const dpLines = datapathOutput.split('\n');
-
-        for (const line of dpLines) {
-          const nameMatch = line.match(/name="?([^"\s]+)"?/);
-          const vlanMatch = line.match(/vlan-id=(\d+)/);
+        const datapathRecords = await mt.print('/interface/wifi/datapath');
 
-          if (nameMatch && vlanMatch) {
-            datapaths[nameMatch[1]] = parseInt(vlanMatch[1]);
-            console.log(`✓ Found datapath: ${nameMatch[1]} -> VLAN ${vlanMatch[1]}`);
+        for (const datapath of datapathRecords) {
+          const vlanId = parseInt(datapath['vlan-id']);
+          if (datapath.name && !isNaN(vlanId)) {
+            datapaths[datapath.name] = vlanId;
+            console.log(`✓ Found datapath: ${datapath.name} -> VLAN ${vlanId}`);
           }
         }
       } catch (e) {
-        console.log(`⚠️  Could not read datapaths: ${e.message}`);
+        warn(`Could not read datapaths: ${e.message}`);
       }
 
       // Step 6: Build SSID configurations with per-SSID roaming detection
@@ -416,9 +353,9 @@ async function backupMikroTikConfig(credentials = {}) {
       const ssidMap = new Map();
 
       for (const iface of interfaces) {
-        if (!iface.ssid || !iface.band || !iface.datapathName) continue;
+        if (!iface.ssid || !iface.band) continue;
 
-        const vlan = datapaths[iface.datapathName];
+        const vlan = iface.inlineVlan !== undefined ? iface.inlineVlan : datapaths[iface.datapathName];
         if (vlan === undefined) continue;
 
         // Group by SSID+VLAN+passphrase
@@ -471,34 +408,29 @@ async function backupMikroTikConfig(credentials = {}) {
       }
 
     } catch (e) {
-      console.log(`⚠️  Could not read WiFi configurations: ${e.message}`);
+      warn(`Could not read WiFi configurations: ${e.message}`);
     }
 
     // Step 8: Read Syslog Configuration
     console.log('\n=== Reading Syslog Configuration ===');
     try {
       // Look for our remotesyslog action
-      const actionOutput = await mt.exec('/system logging action print detail without-paging where name="remotesyslog"');
+      const [action] = parsePrint(await mt.exec('/system logging action print detail without-paging where name="remotesyslog"'));
 
-      if (actionOutput && actionOutput.includes('remotesyslog')) {
-        // Parse the remote server and port
-        const remoteMatch = actionOutput.match(/remote=([^\s]+)/);
-        const portMatch = actionOutput.match(/remote-port=(\d+)/);
-
-        if (remoteMatch) {
+      if (action && action.name === 'remotesyslog') {
+        if (action.remote) {
           config.syslog = {
-            server: remoteMatch[1],
-            port: portMatch ? parseInt(portMatch[1]) : 514,
+            server: action.remote,
+            port: action['remote-port'] ? parseInt(action['remote-port']) : 514,
             topics: []
           };
 
           // Get the topics configured for this action
-          const loggingOutput = await mt.exec('/system logging print detail without-paging where action="remotesyslog"');
-          const topicMatches = loggingOutput.matchAll(/topics=([^\s]+)/g);
+          const rules = parsePrint(await mt.exec('/system logging print detail without-paging where action="remotesyslog"'));
 
-          for (const match of topicMatches) {
-            const topic = match[1];
-            if (!config.syslog.topics.includes(topic)) {
+          for (const rule of rules) {
+            const topic = rule.topics;
+            if (topic && !config.syslog.topics.includes(topic)) {
               config.syslog.topics.push(topic);
             }
           }
@@ -510,25 +442,22 @@ async function backupMikroTikConfig(credentials = {}) {
         console.log('  No remote syslog configured');
       }
     } catch (e) {
-      console.log(`⚠️  Could not read syslog configuration: ${e.message}`);
+      warn(`Could not read syslog configuration: ${e.message}`);
     }
 
     // Step 9: Read CAPsMAN VLAN Configuration
     console.log('\n=== Reading CAPsMAN VLAN Configuration ===');
     try {
       // Look for capsman-vlan interface
-      const vlanOutput = await mt.exec('/interface vlan print detail without-paging where name=capsman-vlan');
-
-      if (vlanOutput && vlanOutput.includes('capsman-vlan')) {
-        // Parse the VLAN ID
-        const vlanIdMatch = vlanOutput.match(/vlan-id=(\d+)/);
+      const [vlan] = parsePrint(await mt.exec('/interface vlan print detail without-paging where name=capsman-vlan'));
 
-        if (vlanIdMatch) {
-          const vlanId = parseInt(vlanIdMatch[1]);
+      if (vlan && vlan.name === 'capsman-vlan') {
+        const vlanId = parseInt(vlan['vlan-id']);
 
+        if (!isNaN(vlanId)) {
           // Get the IP address on this interface
-          const ipOutput = await mt.exec('/ip address print detail without-paging where interface=capsman-vlan');
-          const ipMatch = ipOutput.match(/address=(\d+\.\d+\.\d+\.\d+)\/(\d+)/);
+          const [ipRecord] = parsePrint(await mt.exec('/ip address print detail without-paging where interface=capsman-vlan'));
+          const ipMatch = ipRecord && (ipRecord.address || '').match(/^(\d+\.\d+\.\d+\.\d+)\/(\d+)$/);
 
           if (ipMatch) {
             const ip = ipMatch[1];
@@ -558,14 +487,14 @@ async function backupMikroTikConfig(credentials = {}) {
             console.log(`  Network: ${network}`);
             console.log(`  Device IP: ${ip}`);
           } else {
-            console.log(`⚠️  Found capsman-vlan but no IP address assigned`);
+            warn(`Found capsman-vlan but no IP address assigned`);
           }
         }
       } else {
         console.log('  No CAPsMAN VLAN configured');
       }
     } catch (e) {
-      console.log(`⚠️  Could not read CAPsMAN VLAN configuration: ${e.message}`);
+      warn(`Could not read CAPsMAN VLAN configuration: ${e.message}`);
     }
 
     // Step 10: Read Access-List Configuration (WAP Locking)
@@ -579,7 +508,7 @@ async function backupMikroTikConfig(credentials = {}) {
         config._lockedDevices = lockedDevices;
       }
     } catch (e) {
-      console.log(`⚠️  Could not read access-list configuration: ${e.message}`);
+      warn(`Could not read access-list configuration: ${e.message}`);
     }
 
     console.log('\n========================================');
@@ -3,8 +3,9 @@
  * Functions for configuring CAPsMAN controllers and CAP devices
  */
 
-const { MikroTikSSH } = require('./ssh-client');
+const { createConnection } = require('./connection');
 const { getWifiPath, getCapsmanPath, getCapPath } = require('./utils');
+const { parsePrint, parseSettings } = require('./print-parser');
 const {
   setDeviceIdentity,
   detectWifiPackage,
@@ -19,9 +20,11 @@ const {
 const {
   detectRadioLayout,
   applyBandSettings,
-  configureWifiInterface,
+  wifiInterfaceSpec,
   discoverCapInterfaces
 } = require('./wifi-config');
+const { reconcileWifi } = require('./wifi-reconcile');
+const { warn } = require('./run-events');
 
 /**
  * Configure CAP-operated interfaces on a CAPsMAN controller (wifi-qcom specific)
@@ -33,11 +36,7 @@ const {
  * @returns {boolean} - Success status
  */
 async function configureCapInterfacesOnController(config = {}, capDeviceConfigs = []) {
-  const mt = new MikroTikSSH(
-    config.host || '192.168.88.1',
-    config.username || 'admin',
-    config.password || 'admin'
-  );
+  const mt = createConnection(config);
 
   try {
     await mt.connect();
@@ -51,7 +50,7 @@ async function configureCapInterfacesOnController(config = {}, capDeviceConfigs
     const country = wifiConfig.country || 'United States';
 
     if (ssids.length === 0) {
-      console.log('⚠️  No SSIDs configured');
+      warn('No SSIDs configured');
       await mt.close();
       return false;
     }
@@ -71,7 +70,7 @@ async function configureCapInterfacesOnController(config = {}, capDeviceConfigs
     const capInterfaces = await discoverCapInterfaces(mt, wifiPath, wifiPackage);
 
     if (capInterfaces.length === 0) {
-      console.log('⚠️  No CAP interfaces found. CAPs may not have connected yet.');
+      warn('No CAP interfaces found. CAPs may not have connected yet.');
       console.log('    Wait for CAPs to connect and run this again.');
       await mt.close();
       return false;
@@ -82,33 +81,6 @@ async function configureCapInterfacesOnController(config = {}, capDeviceConfigs
       console.log(`  - ${iface.name} (${iface.band})`);
     }
 
-    // Clean up existing virtual interfaces for CAP master interfaces
-    // This ensures idempotency - we start fresh each time
-    console.log('\n=== Cleaning Up Old CAP Virtual Interfaces ===');
-    for (const capInterface of capInterfaces) {
-      try {
-        // Check for existing virtual interfaces
-        const virtualCheck = await mt.exec(
-          `${wifiPath} print terse where master-interface="${capInterface.name}"`
-        );
-
-        if (virtualCheck && virtualCheck.trim()) {
-          // Count how many virtuals exist
-          const lines = virtualCheck.split('\n').filter(l => l.trim());
-          if (lines.length > 0) {
-            await mt.exec(
-              `${wifiPath} remove [find master-interface="${capInterface.name}"]`
-            );
-            console.log(`  ✓ Removed ${lines.length} virtual interface(s) from ${capInterface.name}`);
-          }
-        }
-      } catch (e) {
-        if (!e.message.includes('no such item') && !e.message.includes('not found')) {
-          console.log(`  ⚠️  Could not clean ${capInterface.name}: ${e.message}`);
-        }
-      }
-    }
-
     // Group SSIDs by band
     const ssidsByBand = {
       '2.4GHz': ssids.filter(s => s.bands && s.bands.includes('2.4GHz')),
@@ -138,9 +110,12 @@ async function configureCapInterfacesOnController(config = {}, capDeviceConfigs
       }
     }
 
-    // Configure each CAP interface
+    // Build desired CAP interfaces; virtual interfaces on CAP masters that are
+    // not listed here are removed during reconciliation
     console.log('\n=== Configuring CAP Interfaces ===');
 
+    const desiredInterfaces = [];
+
     // Collect channel settings to apply after all interfaces are configured
     // Channel settings must be applied LAST because CAPsMAN operations during
     // virtual interface creation can reset channel.frequency to auto-select.
@@ -158,53 +133,22 @@ async function configureCapInterfacesOnController(config = {}, capDeviceConfigs
 
       if (!bandSsids || bandSsids.length === 0) {
         // No SSIDs for this band - disable the interface
-        console.log(`\nDisabling ${capInterface.name} - no SSIDs configured for ${capInterface.band}`);
-        try {
-          await mt.exec(`${wifiPath} set ${capInterface.name} disabled=yes`);
-          console.log(`  ✓ Disabled ${capInterface.name}`);
-        } catch (e) {
-          console.log(`  ⚠️  Could not disable ${capInterface.name}: ${e.message}`);
-        }
+        console.log(`\n${capInterface.name}: disabled - no SSIDs configured for ${capInterface.band}`);
+        desiredInterfaces.push({ name: capInterface.name, properties: { disabled: 'yes' } });
         continue;
       }
 
       // Get band-specific settings (txPower, etc.) from CAP device config
       const bandSettings = capDeviceConfig?.wifi?.[capInterface.band] || {};
 
-      // Configure primary SSID on master interface
-      const primarySsid = bandSsids[0];
-      console.log(`\nConfiguring ${capInterface.name} with SSID: ${primarySsid.ssid}`);
-
-      await configureWifiInterface(
-        mt, wifiPath, capInterface.name, primarySsid, country, bandSettings
-      );
-
-      // Create virtual interfaces for additional SSIDs
+      // Primary SSID on master interface, virtual interfaces for additional SSIDs
+      console.log(`\nConfiguring ${capInterface.name} (${bandSsids.length} SSID(s)):`);
+      desiredInterfaces.push(wifiInterfaceSpec(capInterface.name, bandSsids[0], country, bandSettings));
       for (let i = 1; i < bandSsids.length; i++) {
-        const additionalSsid = bandSsids[i];
-        const virtualName = `${capInterface.name}-ssid${i + 1}`;
-
-        console.log(`\nCreating virtual interface ${virtualName} for SSID: ${additionalSsid.ssid}`);
-
-        // Create virtual interface
-        try {
-          await mt.exec(`${wifiPath} add master-interface=${capInterface.name} name="${virtualName}"`);
-          console.log(`  ✓ Created virtual interface ${virtualName}`);
-        } catch (e) {
-          if (e.message.includes('already have') || e.message.includes('exists')) {
-            console.log(`  ✓ Virtual interface ${virtualName} already exists`);
-          } else {
-            console.log(`  ⚠️  Could not create ${virtualName}: ${e.message}`);
-            continue;
-          }
-        }
-
-        // Small delay for interface registration
-        await new Promise(resolve => setTimeout(resolve, 300));
-
-        await configureWifiInterface(
-          mt, wifiPath, virtualName, additionalSsid, country, bandSettings
-        );
+        desiredInterfaces.push(wifiInterfaceSpec(
+          `${capInterface.name}-ssid${i + 1}`, bandSsids[i], country, bandSettings,
+          { master: capInterface.name }
+        ));
       }
 
       // Collect channel settings to apply at the end
@@ -230,30 +174,6 @@ async function configureCapInterfacesOnController(config = {}, capDeviceConfigs
       '5GHz': interface5
     };
 
-    // Clean up old virtual interfaces on controller local radios only
-    // (NOT remote CAP interfaces - those were already handled above)
-    console.log('\n--- Cleaning Up Old Controller Virtual Interfaces ---');
-    for (const masterIface of [interface24, interface5]) {
-      try {
-        const virtualCheck = await mt.exec(
-          `${wifiPath} print terse where master-interface="${masterIface}"`
-        );
-        if (virtualCheck && virtualCheck.trim()) {
-          const lines = virtualCheck.split('\n').filter(l => l.trim());
-          if (lines.length > 0) {
-            await mt.exec(
-              `${wifiPath} remove [find master-interface="${masterIface}"]`
-            );
-            console.log(`  ✓ Removed ${lines.length} virtual interface(s) from ${masterIface}`);
-          }
-        }
-      } catch (e) {
-        if (!e.message.includes('no such item') && !e.message.includes('not found')) {
-          console.log(`  ⚠️  Could not clean ${masterIface}: ${e.message}`);
-        }
-      }
-    }
-
     // Use controller's own SSIDs (already resolved in controllerConfig)
     // Group by band
     const controllerSsidsByBand = {
@@ -270,79 +190,33 @@ async function configureCapInterfacesOnController(config = {}, capDeviceConfigs
 
       if (bandSsids.length === 0) {
         // No SSIDs for this band - disable the master interface
-        console.log(`\nDisabling ${masterInterface} (${band}) - no SSIDs configured`);
-        try {
-          await mt.exec(`${wifiPath} set ${masterInterface} disabled=yes`);
-          console.log(`  ✓ Disabled ${masterInterface}`);
-        } catch (e) {
-          console.log(`  ⚠️  Could not disable ${masterInterface}: ${e.message}`);
-        }
+        console.log(`\n${masterInterface} (${band}): disabled - no SSIDs configured`);
+        desiredInterfaces.push({ name: masterInterface, properties: { disabled: 'yes' } });
         continue;
       }
 
       // Apply band settings (channel, txPower, width) to master interface
       await applyBandSettings(mt, band, masterInterface, bandSettings, wifiPath);
 
-      // Configure primary SSID on master interface
-      const primarySsid = bandSsids[0];
-      console.log(`\nConfiguring ${masterInterface} (${band}) with SSID: ${primarySsid.ssid}`);
-
-      await configureWifiInterface(
-        mt, wifiPath, masterInterface, primarySsid, country, bandSettings
-      );
-
-      // Create virtual interfaces for additional SSIDs on same band
+      // Primary SSID on master interface, virtual interfaces for additional SSIDs
+      // Virtual interfaces are bridge ports with PVID = VLAN, required for
+      // wifi-qcom traffic flow (same as configureLocalCapFallback)
+      console.log(`\nConfiguring ${masterInterface} (${band}, ${bandSsids.length} SSID(s)):`);
+      desiredInterfaces.push(wifiInterfaceSpec(masterInterface, bandSsids[0], country, bandSettings));
       for (let i = 1; i < bandSsids.length; i++) {
-        const additionalSsid = bandSsids[i];
-        const virtualName = `${masterInterface}-ssid${i + 1}`;
-
-        console.log(`\nCreating virtual interface ${virtualName} for SSID: ${additionalSsid.ssid}`);
-
-        try {
-          await mt.exec(`${wifiPath} add master-interface=${masterInterface} name="${virtualName}"`);
-          console.log(`  ✓ Created virtual interface ${virtualName}`);
-        } catch (e) {
-          if (e.message.includes('already have') || e.message.includes('exists')) {
-            console.log(`  ✓ Virtual interface ${virtualName} already exists`);
-          } else {
-            console.log(`  ⚠️  Could not create ${virtualName}: ${e.message}`);
-            continue;
-          }
-        }
-
-        // Small delay for interface registration
-        await new Promise(resolve => setTimeout(resolve, 300));
-
-        await configureWifiInterface(
-          mt, wifiPath, virtualName, additionalSsid, country, bandSettings
-        );
-
-        // Add virtual interface as bridge port with correct PVID
-        // Required for wifi-qcom traffic flow (same as configureLocalCapFallback)
-        const vlan = additionalSsid.vlan;
-        try {
-          await mt.exec(`/interface/bridge/port remove [find interface="${virtualName}"]`);
-        } catch (e) {
-          // Ignore if not found
-        }
-        try {
-          await mt.exec(`/interface/bridge/port add interface=${virtualName} bridge=bridge pvid=${vlan}`);
-          console.log(`  ✓ Added ${virtualName} to bridge with PVID=${vlan}`);
-        } catch (e) {
-          if (e.message.includes('already')) {
-            try {
-              await mt.exec(`/interface/bridge/port set [find interface="${virtualName}"] pvid=${vlan}`);
-              console.log(`  ✓ Updated ${virtualName} bridge port PVID=${vlan}`);
-            } catch (e2) {
-              console.log(`  ⚠️  Could not set PVID for ${virtualName}: ${e2.message}`);
-            }
-          } else {
-            console.log(`  ⚠️  Could not add ${virtualName} to bridge: ${e.message}`);
-          }
-        }
+        desiredInterfaces.push(wifiInterfaceSpec(
+          `${masterInterface}-ssid${i + 1}`, bandSsids[i], country, bandSettings,
+          { master: masterInterface, pvid: bandSsids[i].vlan }
+        ));
       }
     }
 
+    console.log('\n=== Reconciling WiFi Interfaces ===');
+    await reconcileWifi(mt, wifiPath, {
+      interfaces: desiredInterfaces,
+      managedMasters: [...capInterfaces.map(i => i.name), interface24, interface5]
+    });
+
     // Apply channel settings as the FINAL step for all CAP master interfaces
     // This must happen AFTER all virtual interfaces are created, otherwise
     // CAPsMAN operations may reset channel.frequency to auto-select.
@@ -354,7 +228,7 @@ async function configureCapInterfacesOnController(config = {}, capDeviceConfigs
           await applyBandSettings(mt, setting.band, setting.name, setting.bandSettings, wifiPath);
           console.log(`  ✓ ${setting.name}: channel applied`);
         } catch (e) {
-          console.log(`  ⚠️  ${setting.name}: ${e.message}`);
+          warn(`${setting.name}: ${e.message}`, '  ');
         }
       }
     }
@@ -377,11 +251,7 @@ async function configureCapInterfacesOnController(config = {}, capDeviceConfigs
  * Creates master configurations, provisioning rules, and enables CAPsMAN service
  */
 async function configureController(config = {}) {
-  const mt = new MikroTikSSH(
-    config.host || '192.168.88.1',
-    config.username || 'admin',
-    config.password || 'admin'
-  );
+  const mt = createConnection(config);
 
   try {
     await mt.connect();
@@ -394,7 +264,7 @@ async function configureController(config = {}) {
     const capsmanConfig = config.capsman || {};
 
     if (ssids.length === 0) {
-      console.log('⚠️  No SSIDs configured');
+      warn('No SSIDs configured');
       await mt.close();
       return false;
     }
@@ -458,7 +328,7 @@ async function configureController(config = {}) {
       await mt.exec(`${wifiPath} set wifi2 configuration.manager=capsman-or-local`);
       console.log('✓ Local WiFi interfaces set to CAPsMAN-managed');
     } catch (e) {
-      console.log(`⚠️  Local WiFi config: ${e.message}`);
+      warn(`Local WiFi config: ${e.message}`);
     }
 
     // Step 9: Configure Syslog
@@ -485,7 +355,10 @@ async function configureController(config = {}) {
     console.log('  (Run apply-multiple-devices.js for automatic Phase 2.5 configuration)');
 
     // Report validation results
-    if (validationErrors.length > 0) {
+    // In plan mode the planned changes were not applied, so the device still shows its current state
+    if (validationErrors.length > 0 && mt.dryRun) {
+      console.log('ℹ️  Plan mode: skipping validation (changes were not applied)');
+    } else if (validationErrors.length > 0) {
       console.log('\n========================================');
       console.log('✗✗✗ CAPsMAN Controller Configuration FAILED ✗✗✗');
       console.log('========================================');
@@ -519,11 +392,7 @@ async function configureController(config = {}) {
  * Connects to CAPsMAN controller and receives WiFi configuration
  */
 async function configureCap(config = {}) {
-  const mt = new MikroTikSSH(
-    config.host || '192.168.88.1',
-    config.username || 'admin',
-    config.password || 'admin'
-  );
+  const mt = createConnection(config);
 
   try {
     await mt.connect();
@@ -588,7 +457,7 @@ async function configureCap(config = {}) {
       await mt.exec(`${wifiPath} set wifi2 configuration.manager=capsman-or-local`);
       console.log('✓ WiFi interfaces set to CAPsMAN-managed mode');
     } catch (e) {
-      console.log(`⚠️  Manager mode: ${e.message}`);
+      warn(`Manager mode: ${e.message}`);
     }
 
     // Step 6: Enable CAP mode
@@ -607,7 +476,7 @@ async function configureCap(config = {}) {
           resolvedAddresses.push(result.address);
           console.log(`✓ Resolved ${addr} → ${result.address}`);
         } catch (e) {
-          console.log(`⚠️  Could not resolve ${addr}: ${e.message}`);
+          warn(`Could not resolve ${addr}: ${e.message}`);
         }
       }
     }
@@ -649,20 +518,20 @@ async function configureCap(config = {}) {
 
     // Check CAP mode is enabled
     try {
-      const capStatus = await mt.exec(`${capPath} print`);
-      if (!capStatus.includes('enabled: yes') && !capStatus.includes('enabled=yes')) {
+      const capStatus = parseSettings(await mt.exec(`${capPath} print`));
+      if (capStatus.enabled !== 'yes') {
         validationErrors.push('CAP mode is not enabled');
       } else {
         console.log('✓ CAP mode is enabled');
       }
 
       // Check if connected to controller
-      if (capStatus.includes('current-caps-man-address:')) {
-        const match = capStatus.match(/current-caps-man-address:\s*(\S+)/);
-        if (match && match[1] && match[1] !== '') {
-          console.log(`✓ Connected to controller: ${match[1]}`);
+      if (capStatus['current-caps-man-address'] !== undefined) {
+        const controllerAddress = capStatus['current-caps-man-address'];
+        if (controllerAddress) {
+          console.log(`✓ Connected to controller: ${controllerAddress}`);
         } else {
-          console.log('⚠️  CAP enabled but not yet connected to controller (may take a moment)');
+          warn('CAP enabled but not yet connected to controller (may take a moment)');
         }
       }
     } catch (e) {
@@ -677,15 +546,18 @@ async function configureCap(config = {}) {
       } else if (wifiStatus.includes('managed by CAPsMAN')) {
         console.log('✓ WiFi interfaces are managed by CAPsMAN');
       } else {
-        console.log('⚠️  WiFi interfaces may not be in CAPsMAN-managed mode');
+        warn('WiFi interfaces may not be in CAPsMAN-managed mode');
       }
     } catch (e) {
       // Non-fatal - just informational
-      console.log(`⚠️  Could not verify WiFi interface mode: ${e.message}`);
+      warn(`Could not verify WiFi interface mode: ${e.message}`);
     }
 
     // Report validation results
-    if (validationErrors.length > 0) {
+    // In plan mode the planned changes were not applied, so the device still shows its current state
+    if (validationErrors.length > 0 && mt.dryRun) {
+      console.log('ℹ️  Plan mode: skipping validation (changes were not applied)');
+    } else if (validationErrors.length > 0) {
       console.log('\n========================================');
       console.log('✗✗✗ CAP Configuration FAILED ✗✗✗');
       console.log('========================================');
@@ -730,11 +602,7 @@ async function configureCap(config = {}) {
  * @returns {boolean} - Success status
  */
 async function configureLocalCapFallback(capConfig, ssids, country) {
-  const mt = new MikroTikSSH(
-    capConfig.host || '192.168.88.1',
-    capConfig.username || 'admin',
-    capConfig.password || 'admin'
-  );
+  const mt = createConnection(capConfig);
 
   try {
     await mt.connect();
@@ -743,7 +611,7 @@ async function configureLocalCapFallback(capConfig, ssids, country) {
     console.log(`\n--- Configuring Local WiFi Fallback: ${identity} ---`);
 
     if (!ssids || ssids.length === 0) {
-      console.log('⚠️  No SSIDs to configure for local fallback');
+      warn('No SSIDs to configure for local fallback');
       await mt.close();
       return true;
     }
@@ -765,44 +633,6 @@ async function configureLocalCapFallback(capConfig, ssids, country) {
       '5GHz': interface5
     };
 
-    // Clean up old datapaths and virtual interfaces for idempotency
-    console.log('\n=== Cleaning Up Old Local Configurations ===');
-
-    // Remove datapaths first (to avoid "in use" errors)
-    const datapathPath = `${wifiPath}/datapath`;
-    try {
-      const datapaths = await mt.exec(`${datapathPath} print terse where name~"wifi"`);
-      if (datapaths && datapaths.trim()) {
-        await mt.exec(`${datapathPath} remove [find name~"wifi"]`);
-        console.log('✓ Removed old WiFi datapaths');
-      } else {
-        console.log('✓ No datapaths to remove');
-      }
-    } catch (e) {
-      if (e.message.includes('no such') || e.message.includes('not found')) {
-        console.log('✓ No datapaths to remove');
-      } else {
-        console.log(`⚠️  Could not remove datapaths: ${e.message}`);
-      }
-    }
-
-    // Remove virtual WiFi interfaces
-    try {
-      const virtualInterfaces = await mt.exec(`${wifiPath} print terse where master-interface`);
-      if (virtualInterfaces && virtualInterfaces.trim()) {
-        await mt.exec(`${wifiPath} remove [find master-interface]`);
-        console.log('✓ Removed old virtual WiFi interfaces');
-      } else {
-        console.log('✓ No virtual interfaces to remove');
-      }
-    } catch (e) {
-      if (e.message.includes('no such') || e.message.includes('not found')) {
-        console.log('✓ No virtual interfaces to remove');
-      } else {
-        console.log(`⚠️  Could not remove virtual interfaces: ${e.message}`);
-      }
-    }
-
     // Group SSIDs by band
     const ssidsByBand = {
       '2.4GHz': ssids.filter(s => s.bands && s.bands.includes('2.4GHz')),
@@ -813,139 +643,98 @@ async function configureLocalCapFallback(capConfig, ssids, country) {
     console.log('\n=== Configuring Local WiFi Interfaces ===');
 
     const wifiConfig = capConfig.wifi || {};
+    const desiredInterfaces = [];
 
     for (const [band, bandSsids] of Object.entries(ssidsByBand)) {
-      if (bandSsids.length === 0) continue;
-
       const masterInterface = bandToInterface[band];
+
+      if (bandSsids.length === 0) {
+        console.log(`\n${masterInterface} (${band}): disabled - no SSIDs configured`);
+        desiredInterfaces.push({ name: masterInterface, properties: { disabled: 'yes' } });
+        continue;
+      }
+
       const bandSettings = wifiConfig[band] || {};
 
       // Apply band settings (channel, txPower) to master interface
       await applyBandSettings(mt, band, masterInterface, bandSettings, wifiPath);
 
-      // Configure primary SSID on master interface
-      const primarySsid = bandSsids[0];
-      console.log(`\nConfiguring ${masterInterface} (${band}) with SSID: ${primarySsid.ssid}`);
-
-      await configureWifiInterface(
-        mt, wifiPath, masterInterface, primarySsid, country, bandSettings
-      );
-
-      // Create virtual interfaces for additional SSIDs on same band
+      // Primary SSID on master interface, virtual interfaces for additional SSIDs
+      // Virtual interfaces are bridge ports with PVID = VLAN. This is required for
+      // wifi-qcom CAPsMAN "traffic processing on CAP" mode; without it, virtual
+      // SSID traffic doesn't bridge properly.
+      // See: https://github.com/NickBorgers/mikrotik-as-wap-configurator/issues/5
+      console.log(`\nConfiguring ${masterInterface} (${band}, ${bandSsids.length} SSID(s)):`);
+      desiredInterfaces.push(wifiInterfaceSpec(masterInterface, bandSsids[0], country, bandSettings));
       for (let i = 1; i < bandSsids.length; i++) {
-        const additionalSsid = bandSsids[i];
-        const virtualName = `${masterInterface}-ssid${i + 1}`;
-
-        console.log(`\nCreating virtual interface ${virtualName} for SSID: ${additionalSsid.ssid}`);
-
-        try {
-          await mt.exec(`${wifiPath} add master-interface=${masterInterface} name="${virtualName}"`);
-          console.log(`  ✓ Created virtual interface ${virtualName}`);
-        } catch (e) {
-          if (e.message.includes('already have') || e.message.includes('exists')) {
-            console.log(`  ✓ Virtual interface ${virtualName} already exists`);
-          } else {
-            console.log(`  ⚠️  Could not create ${virtualName}: ${e.message}`);
-            continue;
-          }
-        }
-
-        // Small delay for interface registration
-        await new Promise(resolve => setTimeout(resolve, 300));
-
-        await configureWifiInterface(
-          mt, wifiPath, virtualName, additionalSsid, country, bandSettings
-        );
-
-        // Add virtual interface as bridge port with correct PVID
-        // This is required for wifi-qcom CAPsMAN "traffic processing on CAP" mode.
-        // Without this, virtual SSID traffic doesn't bridge properly.
-        // See: https://github.com/NickBorgers/mikrotik-as-wap-configurator/issues/5
-        const vlan = additionalSsid.vlan;
-        try {
-          // Remove existing bridge port if present (for idempotency)
-          await mt.exec(`/interface/bridge/port remove [find interface="${virtualName}"]`);
-        } catch (e) {
-          // Ignore if not found
-        }
-        try {
-          await mt.exec(`/interface/bridge/port add interface=${virtualName} bridge=bridge pvid=${vlan}`);
-          console.log(`  ✓ Added ${virtualName} to bridge with PVID=${vlan}`);
-        } catch (e) {
-          if (e.message.includes('already')) {
-            // Update PVID on existing port
-            try {
-              await mt.exec(`/interface/bridge/port set [find interface="${virtualName}"] pvid=${vlan}`);
-              console.log(`  ✓ Updated ${virtualName} bridge port PVID=${vlan}`);
-            } catch (e2) {
-              console.log(`  ⚠️  Could not set PVID for ${virtualName}: ${e2.message}`);
-            }
-          } else {
-            console.log(`  ⚠️  Could not add ${virtualName} to bridge: ${e.message}`);
-          }
-        }
+        desiredInterfaces.push(wifiInterfaceSpec(
+          `${masterInterface}-ssid${i + 1}`, bandSsids[i], country, bandSettings,
+          { master: masterInterface, pvid: bandSsids[i].vlan }
+        ));
       }
     }
 
-    // Disable unused bands
-    for (const [band, bandSsids] of Object.entries(ssidsByBand)) {
-      if (bandSsids.length === 0) {
-        const masterInterface = bandToInterface[band];
-        try {
-          await mt.exec(`${wifiPath} set ${masterInterface} disabled=yes`);
-          console.log(`✓ Disabled ${masterInterface} (${band}) - no SSIDs configured`);
-        } catch (e) {
-          console.log(`⚠️  Could not disable ${masterInterface}: ${e.message}`);
-        }
-      }
-    }
+    // Interfaces carry their VLAN inline, so any WiFi datapath left from
+    // earlier versions is stale and removed
+    console.log('\n=== Reconciling Local WiFi Interfaces ===');
+    const wifiResult = await reconcileWifi(mt, wifiPath, {
+      interfaces: desiredInterfaces,
+      datapaths: [],
+      managedMasters: [interface24, interface5],
+      datapathPattern: /wifi/
+    });
 
     // After configuring local interfaces, restart CAP mode to force CAPsMAN rebind.
     // CAPsMAN needs to rebind to the newly created/updated local static interfaces.
     // Without this, virtual interfaces remain "Inactive" and traffic doesn't flow.
     // See: https://github.com/NickBorgers/mikrotik-as-wap-configurator/issues/5
-    console.log('\n=== Restarting CAP Mode for CAPsMAN Rebind ===');
-
     const capPath = getCapPath(wifiPackage);
 
-    try {
-      console.log('  Disabling CAP mode...');
-      await mt.exec(`${capPath} set enabled=no`);
-      await new Promise(r => setTimeout(r, 2000));
-
-      console.log('  Re-enabling CAP mode with slaves-static=yes...');
-      await mt.exec(`${capPath} set enabled=yes slaves-static=yes`);
-
-      // Wait for CAPsMAN to rebind virtual interfaces
-      console.log('  Waiting for CAPsMAN to rebind virtual interfaces...');
-      const maxWaitMs = 15000;
-      const checkIntervalMs = 2000;
-      let elapsed = 0;
-      let boundCount = 0;
-
-      while (elapsed < maxWaitMs) {
-        await new Promise(r => setTimeout(r, checkIntervalMs));
-        elapsed += checkIntervalMs;
-
-        // Check how many virtual interfaces are bound
-        const wifiStatus = await mt.exec(`${wifiPath} print where master-interface`);
-        boundCount = (wifiStatus.match(/managed by CAPsMAN/g) || []).length;
-        const totalVirtual = wifiStatus.trim().split('\n').filter(l => l.includes('ssid')).length;
-
-        if (boundCount > 0) {
-          console.log(`  ✓ CAPsMAN rebind successful: ${boundCount} virtual interface(s) bound`);
-          break;
-        }
+    // Nothing to rebind when the local interfaces were already up to date
+    if (wifiResult.changed === 0 && wifiResult.failed === 0) {
+      console.log('✓ Local interfaces unchanged - CAP mode restart not needed');
+    } else {
+      console.log('\n=== Restarting CAP Mode for CAPsMAN Rebind ===');
 
-        console.log(`  ... waiting (${elapsed/1000}s) - ${boundCount}/${totalVirtual} interfaces bound`);
-      }
+      try {
+        console.log('  Disabling CAP mode...');
+        await mt.exec(`${capPath} set enabled=no`);
+        await new Promise(r => setTimeout(r, 2000));
+
+        console.log('  Re-enabling CAP mode with slaves-static=yes...');
+        await mt.exec(`${capPath} set enabled=yes slaves-static=yes`);
+
+        // Wait for CAPsMAN to rebind virtual interfaces
+        console.log('  Waiting for CAPsMAN to rebind virtual interfaces...');
+        const maxWaitMs = 15000;
+        const checkIntervalMs = 2000;
+        let elapsed = 0;
+        let boundCount = 0;
+
+        while (elapsed < maxWaitMs) {
+          await new Promise(r => setTimeout(r, checkIntervalMs));
+          elapsed += checkIntervalMs;
+
+          // Check how many virtual interfaces are bound
+          const virtuals = parsePrint(await mt.exec(`${wifiPath} print where master-interface`));
+          boundCount = virtuals.filter(v => (v.comment || '').includes('managed by CAPsMAN')).length;
+          const totalVirtual = virtuals.length;
+
+          if (boundCount > 0) {
+            console.log(`  ✓ CAPsMAN rebind successful: ${boundCount} virtual interface(s) bound`);
+            break;
+          }
+
+          console.log(`  ... waiting (${elapsed/1000}s) - ${boundCount}/${totalVirtual} interfaces bound`);
+        }
 
-      if (boundCount === 0) {
-        console.log('  ⚠️  CAPsMAN rebind timeout - virtual interfaces may not be active yet');
-        console.log('      Clients should still work once CAPsMAN completes provisioning');
+        if (boundCount === 0) {
+          warn('CAPsMAN rebind timeout - virtual interfaces may not be active yet', '  ');
+          console.log('      Clients should still work once CAPsMAN completes provisioning');
+        }
+      } catch (e) {
+        warn(`CAP restart warning: ${e.message}`, '  ');
       }
-    } catch (e) {
-      console.log(`  ⚠️  CAP restart warning: ${e.message}`);
     }
 
     console.log(`\n✓ Local WiFi fallback configured for ${identity}`);
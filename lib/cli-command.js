@@ -0,0 +1,243 @@
+/**
+ * RouterOS CLI command parsing
+ * Splits console command strings into menu path, action, target, properties and
+ * where-conditions so non-SSH transports can run the commands lib/ modules send.
+ */
+
+// Console actions understood by the command parser
+const ACTIONS = ['print', 'add', 'set', 'remove', 'enable', 'disable', 'export', 'monitor', 'get'];
+
+// Arguments to print/export that are flags rather than properties or targets
+const PRINT_FLAGS = ['detail', 'terse', 'without-paging', 'count-only', 'as-value', 'show-ids', 'brief', 'show-sensitive'];
+
+/**
+ * Split a command string into whitespace-separated tokens
+ * Quoted strings and [bracketed] expressions are kept intact (quotes are not removed).
+ * @param {string} input - Command or condition text
+ * @returns {string[]} Raw tokens
+ */
+function splitTokens(input) {
+  const tokens = [];
+  let current = '';
+  let inQuote = false;
+  let depth = 0;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuote) {
+      current += ch;
+      if (ch === '\\' && i + 1 < input.length) {
+        current += input[++i];
+      } else if (ch === '"') {
+        inQuote = false;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuote = true;
+      current += ch;
+    } else if (ch === '[') {
+      depth++;
+      current += ch;
+    } else if (ch === ']') {
+      depth--;
+      current += ch;
+    } else if (/\s/.test(ch) && depth === 0) {
+      if (current) tokens.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current) tokens.push(current);
+
+  return tokens;
+}
+
+/**
+ * Remove RouterOS quoting from a value and resolve backslash escapes
+ * @param {string} raw - Value as written on the command line (e.g. "My \"SSID\"")
+ * @returns {string} Literal value
+ */
+function unquote(raw) {
+  if (!raw.includes('"')) return raw;
+
+  let result = '';
+  let inQuote = false;
+  for (let i = 0; i < raw.length; i++) {
+    const ch = raw[i];
+    if (ch === '"') {
+      inQuote = !inQuote;
+    } else if (ch === '\\' && inQuote && i + 1 < raw.length) {
+      const next = raw[++i];
+      if (next === 'n') result += '\n';
+      else if (next === 't') result += '\t';
+      else if (next === 'r') result += '\r';
+      else if (next === '_') result += ' ';
+      else if (/[0-9A-Fa-f]/.test(next) && /[0-9A-Fa-f]/.test(raw[i + 1] || '')) {
+        result += String.fromCharCode(parseInt(next + raw[++i], 16));
+      } else result += next;
+    } else {
+      result += ch;
+    }
+  }
+  return result;
+}
+
+/**
+ * Split a token into key, operator, and value at the first unquoted operator
+ * @param {string} token - Raw token such as name="wifi1", comment~"lock", or master-interface
+ * @returns {{key: string, op: string|null, value: string|null}} Parsed assignment or condition term
+ */
+function splitAssignment(token) {
+  let inQuote = false;
+  for (let i = 0; i < token.length; i++) {
+    const ch = token[i];
+    if (ch === '"') inQuote = !inQuote;
+    if (inQuote) continue;
+
+    if (ch === '!' && token[i + 1] === '=') {
+      return { key: token.slice(0, i), op: '!=', value: unquote(token.slice(i + 2)) };
+    }
+    if (ch === '=' || ch === '~') {
+      return { key: token.slice(0, i), op: ch, value: unquote(token.slice(i + 1)) };
+    }
+  }
+  return { key: token, op: null, value: null };
+}
+
+/**
+ * Parse a RouterOS console command
+ *
+ * Examples:
+ *   /interface wifi set [find name="wifi1"] disabled=no
+ *     -> { path: ['interface', 'wifi'], action: 'set', find: 'name="wifi1"', properties: { disabled: 'no' } }
+ *   /interface/wifi/access-list print detail where comment~"lock to"
+ *     -> { path: [...], action: 'print', flags: ['detail'], where: 'comment~"lock to"' }
+ *
+ * @param {string} command - Console command
+ * @returns {{path: string[], action: string|null, target: string|null, find: string|null,
+ *   properties: Object, flags: string[], where: string|null}} Parsed command
+ */
+function parseCommand(command) {
+  const tokens = splitTokens(command.trim());
+  const parsed = {
+    path: [],
+    action: null,
+    target: null,
+    find: null,
+    properties: {},
+    flags: [],
+    where: null
+  };
+
+  let i = 0;
+  for (; i < tokens.length; i++) {
+    // Root-level actions are written with a leading slash (e.g. /export)
+    const action = tokens[i].replace(/^\//, '');
+    if (ACTIONS.includes(action)) {
+      parsed.action = action;
+      i++;
+      break;
+    }
+    // Commands without an action (e.g. /import file-name=x) go straight to arguments
+    if (tokens[i].includes('=') || tokens[i].startsWith('[')) break;
+    parsed.path.push(...tokens[i].split('/').filter(Boolean));
+  }
+
+  for (; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token === 'where') {
+      parsed.where = tokens.slice(i + 1).join(' ');
+      break;
+    }
+
+    if (token.startsWith('[')) {
+      // [find ...] selects items by condition; an empty find selects everything
+      parsed.find = token.slice(1, -1).trim().replace(/^find\b/, '').trim();
+      continue;
+    }
+
+    const { key, op, value } = splitAssignment(token);
+    if (op === '=') {
+      parsed.properties[key] = value;
+    } else if (PRINT_FLAGS.includes(token)) {
+      parsed.flags.push(token);
+    } else if (parsed.target === null) {
+      parsed.target = unquote(token);
+    } else {
+      parsed.flags.push(token);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Normalize a property value for comparison (REST reports booleans as true/false)
+ * @param {*} value - Property value
+ * @returns {string} Normalized value
+ */
+function normalizeValue(value) {
+  if (value === undefined || value === null) return '';
+  const str = String(value);
+  if (str === 'true') return 'yes';
+  if (str === 'false') return 'no';
+  return str;
+}
+
+/**
+ * Evaluate a single condition term against a record
+ * @param {Object} record - Item properties
+ * @param {string} token - Condition term (key=value, key!=value, key~regex, key, !key)
+ * @returns {boolean} True if the term matches
+ */
+function matchesTerm(record, token) {
+  if (token.startsWith('!') && !token.includes('=') && !token.includes('~')) {
+    return !matchesTerm(record, token.slice(1));
+  }
+
+  const { key, op, value } = splitAssignment(token);
+  const actual = normalizeValue(record[key]);
+
+  if (op === '=') return actual === normalizeValue(value);
+  if (op === '!=') return actual !== normalizeValue(value);
+  if (op === '~') return new RegExp(value).test(actual);
+
+  // Bare property name: true when the property is set and not "no"
+  return actual !== '' && actual !== 'no';
+}
+
+/**
+ * Check whether a record matches a where/find condition
+ * Terms are ANDed (implicitly or with "and"); "or" separates alternatives.
+ * @param {Object} record - Item properties
+ * @param {string|null} condition - Condition text; empty matches everything
+ * @returns {boolean} True if the record matches
+ */
+function matchesCondition(record, condition) {
+  if (!condition || !condition.trim()) return true;
+
+  const alternatives = [[]];
+  for (const token of splitTokens(condition)) {
+    if (token === 'or') {
+      alternatives.push([]);
+    } else if (token !== 'and') {
+      alternatives[alternatives.length - 1].push(token);
+    }
+  }
+
+  return alternatives.some(terms => terms.every(term => matchesTerm(record, term)));
+}
+
+module.exports = {
+  splitTokens,
+  unquote,
+  splitAssignment,
+  parseCommand,
+  normalizeValue,
+  matchesCondition
+};
@@ -0,0 +1,82 @@
+/**
+ * Bounded concurrency for multi-device runs
+ * Runs a worker over several devices with at most N at a time. While more than
+ * one device runs, each device's console output is held back and printed as a
+ * single block, every line prefixed with the device label, when it finishes.
+ */
+
+const { withConsoleSink, writeConsole } = require('./console-capture');
+
+/**
+ * Print buffered output with a prefix on every line
+ * @param {string} prefix - Device label, e.g. "[office-ap]"
+ * @param {Array<{method: string, text: string}>} buffer - Captured console calls
+ */
+function flushOutput(prefix, buffer) {
+  for (const { method, text } of buffer) {
+    for (const line of text.split('\n')) {
+      writeConsole(method, line ? `${prefix} ${line}` : prefix);
+    }
+  }
+}
+
+/**
+ * Parse a --concurrency value
+ * @param {string} value - Command line value
+ * @returns {number|null} Devices at a time (at least 1), or null if invalid
+ */
+function parseConcurrency(value) {
+  const concurrency = parseInt(value, 10);
+  return Number.isInteger(concurrency) && concurrency >= 1 && String(concurrency) === String(value).trim()
+    ? concurrency
+    : null;
+}
+
+/**
+ * Run a worker over items with at most `concurrency` running at once
+ * With a concurrency of 1 items run one after another and print directly.
+ * @param {Array} items - Items to process (devices)
+ * @param {Object} options - {concurrency: number (Infinity for all at once), label: item => string}
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Worker results, in item order
+ */
+async function runConcurrently(items, options, worker) {
+  const concurrency = Math.min(options.concurrency || 1, items.length);
+  const results = new Array(items.length);
+
+  if (concurrency <= 1) {
+    for (let i = 0; i < items.length; i++) {
+      results[i] = await worker(items[i], i);
+    }
+    return results;
+  }
+
+  const labels = items.map((item, i) => (options.label ? options.label(item, i) : String(i + 1)));
+  const width = Math.max(...labels.map(l => l.length));
+
+  let next = 0;
+  const runNext = async () => {
+    while (next < items.length) {
+      const i = next++;
+      const prefix = `[${labels[i].padEnd(width)}]`;
+      const buffer = [];
+      writeConsole('log', `${prefix} ▶ started`);
+      try {
+        results[i] = await withConsoleSink((method, text) => {
+          buffer.push({ method, text });
+          return false;
+        }, () => worker(items[i], i));
+      } finally {
+        flushOutput(prefix, buffer);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, runNext));
+  return results;
+}
+
+module.exports = {
+  parseConcurrency,
+  runConcurrently
+};
@@ -3,25 +3,44 @@
  * Dispatches to controller/cap/standalone configuration
  */
 
-const { MikroTikSSH } = require('./ssh-client');
+const { createConnection } = require('./connection');
 const { CHANNEL_FREQ_24GHZ, CHANNEL_FREQ_5GHZ } = require('./constants');
-const { escapeMikroTik, getWifiPath } = require('./utils');
+const { getWifiPath } = require('./utils');
+const { parsePrint, parseSettings } = require('./print-parser');
 const {
   setDeviceIdentity,
   detectWifiPackage,
   ensureBridgeInfrastructure,
+  findItem,
   configureIgmpSnooping,
   configureLacpBond,
   configureSyslog
 } = require('./infrastructure');
 const { configureController, configureCap } = require('./capsman');
+const { readWifiState, planWifiChanges, applyWifiChanges } = require('./wifi-reconcile');
+const { withRollback } = require('./rollback');
+const { readBridgeMac, reattachDevice } = require('./reattach');
+const { warn } = require('./run-events');
 
 /**
  * Main configuration function - dispatches based on role
+ * With config.rollback set, the run is protected by a dead-man rollback
+ * (see lib/rollback.js). A fresh device configured through 192.168.88.1 is
+ * re-attached at its DHCP address once the default IP is removed (see
+ * lib/reattach.js); config.host is then updated to that address.
  * @param {Object} config - Device configuration
  * @returns {Promise<boolean>} Success status
  */
 async function configureMikroTik(config = {}) {
+  return withRollback(config, () => configureByRole(config));
+}
+
+/**
+ * Configure a device according to its role
+ * @param {Object} config - Device configuration
+ * @returns {Promise<boolean>} Success status
+ */
+async function configureByRole(config) {
   // Detect role and delegate to appropriate function
   const role = config.role || 'standalone';
 
@@ -32,11 +51,8 @@ async function configureMikroTik(config = {}) {
   }
 
   // Default: standalone mode (existing behavior)
-  const mt = new MikroTikSSH(
-    config.host || '192.168.88.1',
-    config.username || 'admin',
-    config.password || 'admin'
-  );
+  // Replaced by a session to the DHCP address when re-attaching after Step 3
+  let mt = createConnection(config);
 
   try {
     await mt.connect();
@@ -49,7 +65,7 @@ async function configureMikroTik(config = {}) {
     const ssids = config.ssids || [];
 
     if (ssids.length === 0) {
-      console.log('⚠️  No SSIDs configured');
+      warn('No SSIDs configured');
       await mt.close();
       return false;
     }
@@ -75,27 +91,22 @@ async function configureMikroTik(config = {}) {
     for (const mgmtInterface of mgmtInterfaces) {
       if (typeof mgmtInterface === 'string') {
         // Simple interface - add directly to bridge
-        try {
+        if (await findItem(mt, '/interface bridge port', `interface=${mgmtInterface}`)) {
+          console.log(`✓ ${mgmtInterface} already in bridge`);
+        } else {
           await mt.exec(`/interface bridge port add bridge=bridge interface=${mgmtInterface}`);
           console.log(`✓ Added ${mgmtInterface} to bridge`);
-        } catch (e) {
-          if (e.message.includes('already have interface')) {
-            console.log(`✓ ${mgmtInterface} already in bridge`);
-          } else {
-            throw e;
-          }
         }
         // For simple interfaces, get the MAC of the first management interface
         if (!managementMac) {
           try {
-            const ethDetail = await mt.exec(`/interface ethernet print detail where default-name=${mgmtInterface}`);
-            const macMatch = ethDetail.match(/orig-mac-address=([0-9A-Fa-f:]+)/);
-            if (macMatch) {
-              managementMac = macMatch[1];
+            const [eth] = parsePrint(await mt.exec(`/interface ethernet print detail where default-name=${mgmtInterface}`));
+            if (eth && eth['orig-mac-address']) {
+              managementMac = eth['orig-mac-address'];
               console.log(`✓ Using ${mgmtInterface} MAC for bridge: ${managementMac}`);
             }
           } catch (e) {
-            console.log(`⚠️  Could not read ${mgmtInterface} MAC: ${e.message}`);
+            warn(`Could not read ${mgmtInterface} MAC: ${e.message}`);
           }
         }
       } else if (mgmtInterface.bond && Array.isArray(mgmtInterface.bond)) {
@@ -131,22 +142,20 @@ async function configureMikroTik(config = {}) {
         // modified by previous bonding configuration
         let primaryMac = null;
         try {
-          const ethDetail = await mt.exec(`/interface ethernet print detail where default-name=${bondMembers[0]}`);
+          const [eth] = parsePrint(await mt.exec(`/interface ethernet print detail where default-name=${bondMembers[0]}`));
           // Use orig-mac-address to get the original hardware MAC
-          const macMatch = ethDetail.match(/orig-mac-address=([0-9A-Fa-f:]+)/);
-          if (macMatch) {
-            primaryMac = macMatch[1];
+          if (eth && eth['orig-mac-address']) {
+            primaryMac = eth['orig-mac-address'];
             console.log(`✓ Using ${bondMembers[0]} original MAC for bond: ${primaryMac}`);
           } else {
             // Fallback to mac-address if orig-mac-address not found
-            const fallbackMatch = ethDetail.match(/mac-address=([0-9A-Fa-f:]+)/);
-            if (fallbackMatch) {
-              primaryMac = fallbackMatch[1];
+            if (eth && eth['mac-address']) {
+              primaryMac = eth['mac-address'];
               console.log(`✓ Using ${bondMembers[0]} MAC for bond: ${primaryMac} (orig MAC not found)`);
             }
           }
         } catch (e) {
-          console.log(`⚠️  Could not read ${bondMembers[0]} MAC address: ${e.message}`);
+          warn(`Could not read ${bondMembers[0]} MAC address: ${e.message}`);
         }
 
         // Create or update bond interface
@@ -168,7 +177,7 @@ async function configureMikroTik(config = {}) {
             console.log(`✓ Updated LACP bond ${bondName} with members: ${bondMembers.join(', ')}`);
           }
         } catch (e) {
-          console.log(`⚠️  Bond configuration error: ${e.message}`);
+          warn(`Bond configuration error: ${e.message}`);
           // Try alternative approach for existing bonds
           const macParam = primaryMac ? ` forced-mac-address=${primaryMac}` : '';
           try {
@@ -182,14 +191,14 @@ async function configureMikroTik(config = {}) {
 
         // Add bond to bridge
         try {
-          await mt.exec(`/interface bridge port add bridge=bridge interface=${bondName}`);
-          console.log(`✓ Added ${bondName} to bridge`);
-        } catch (e) {
-          if (e.message.includes('already have interface')) {
+          if (await findItem(mt, '/interface bridge port', `interface=${bondName}`)) {
             console.log(`✓ ${bondName} already in bridge`);
           } else {
-            console.log(`⚠️  Could not add bond to bridge: ${e.message}`);
+            await mt.exec(`/interface bridge port add bridge=bridge interface=${bondName}`);
+            console.log(`✓ Added ${bondName} to bridge`);
           }
+        } catch (e) {
+          warn(`Could not add bond to bridge: ${e.message}`);
         }
 
         // Enable all bond member interfaces
@@ -198,7 +207,7 @@ async function configureMikroTik(config = {}) {
             await mt.exec(`/interface ethernet set [find default-name=${member}] disabled=no`);
             console.log(`✓ Enabled ${member} for bonding`);
           } catch (e) {
-            console.log(`⚠️  Could not enable ${member}: ${e.message}`);
+            warn(`Could not enable ${member}: ${e.message}`);
           }
         }
 
@@ -216,7 +225,7 @@ async function configureMikroTik(config = {}) {
         await mt.exec(`/interface bridge set bridge auto-mac=no admin-mac=${managementMac}`);
         console.log(`✓ Set bridge admin-mac=${managementMac} (DHCP will use this MAC)`);
       } catch (e) {
-        console.log(`⚠️  Could not set bridge admin-mac: ${e.message}`);
+        warn(`Could not set bridge admin-mac: ${e.message}`);
       }
     }
 
@@ -229,7 +238,7 @@ async function configureMikroTik(config = {}) {
           await mt.exec(`/interface ethernet set [find default-name=${iface}] disabled=yes`);
           console.log(`✓ Disabled ${iface}`);
         } catch (e) {
-          console.log(`⚠️  Could not disable ${iface}: ${e.message}`);
+          warn(`Could not disable ${iface}: ${e.message}`);
         }
       }
     }
@@ -239,20 +248,18 @@ async function configureMikroTik(config = {}) {
 
     // First, ensure DHCP client exists on bridge
     try {
-      await mt.exec('/ip dhcp-client add interface=bridge disabled=no');
-      console.log('✓ Added DHCP client on bridge');
-    } catch (e) {
-      if (e.message.includes('already have')) {
-        // Enable existing DHCP client
-        try {
-          await mt.exec('/ip dhcp-client enable [find interface=bridge]');
-          console.log('✓ Enabled existing DHCP client on bridge');
-        } catch (enableErr) {
-          console.log('⚠️  DHCP client already enabled');
-        }
+      const dhcpClient = await findItem(mt, '/ip dhcp-client', 'interface=bridge');
+      if (!dhcpClient) {
+        await mt.exec('/ip dhcp-client add interface=bridge disabled=no');
+        console.log('✓ Added DHCP client on bridge');
+      } else if (dhcpClient.disabled === 'yes' || dhcpClient.disabled === 'true') {
+        await mt.exec('/ip dhcp-client enable [find interface=bridge]');
+        console.log('✓ Enabled existing DHCP client on bridge');
       } else {
-        console.log('⚠️  Could not add DHCP client: ' + e.message);
+        console.log('✓ DHCP client already on bridge');
       }
+    } catch (e) {
+      warn('Could not add DHCP client: ' + e.message);
     }
 
     // Give DHCP client time to obtain an IP
@@ -269,16 +276,16 @@ async function configureMikroTik(config = {}) {
         console.log('✓ DHCP client has obtained an IP address');
         hasManagementIP = true;
       } else {
-        console.log('⚠️  DHCP client has not obtained an IP yet');
+        warn('DHCP client has not obtained an IP yet');
       }
 
-      // Check if we're connected via the default IP
-      if (config.host === '192.168.88.1') {
+      // Check if we're connected via the default IP (possibly as a fallback address)
+      if ((mt.address || config.host) === '192.168.88.1') {
         connectedViaDefaultIP = true;
-        console.log('⚠️  Connected via default IP 192.168.88.1');
+        warn('Connected via default IP 192.168.88.1');
       }
     } catch (e) {
-      console.log('⚠️  Could not verify DHCP status: ' + e.message);
+      warn('Could not verify DHCP status: ' + e.message);
     }
 
     // Step 3: Configure as Managed WAP (Disable Router Functions)
@@ -296,12 +303,15 @@ async function configureMikroTik(config = {}) {
       if (e.message.includes('no such item')) {
         console.log('✓ No DHCP servers to remove');
       } else {
-        console.log('⚠️  Could not remove DHCP servers: ' + e.message);
+        warn('Could not remove DHCP servers: ' + e.message);
       }
     }
 
     // Remove default IP address (192.168.88.1/24) - but only if safe to do so
     if (safeToRemoveDefaultIP) {
+      // MAC the DHCP server sees, to find the device again if the session drops
+      const bridgeMac = connectedViaDefaultIP ? (managementMac || await readBridgeMac(mt)) : null;
+
       try {
         await mt.exec('/ip address remove [find address="192.168.88.1/24"]');
         console.log('✓ Removed default IP address 192.168.88.1/24');
@@ -309,7 +319,23 @@ async function configureMikroTik(config = {}) {
         if (e.message.includes('no such item')) {
           console.log('✓ Default IP already removed');
         } else {
-          console.log('⚠️  Could not remove default IP: ' + e.message);
+          warn('Could not remove default IP: ' + e.message);
+        }
+      }
+
+      // The session usually drops with the default IP: continue at the DHCP address
+      if (connectedViaDefaultIP) {
+        try {
+          await mt.exec('/system identity print');
+        } catch (e) {
+          if (e.message === 'Not connected' || e.message === 'Command timeout') {
+            await mt.close();
+            const reattached = await reattachDevice(config, bridgeMac);
+            if (reattached) {
+              mt = reattached;
+              connectedViaDefaultIP = false;
+            }
+          }
         }
       }
 
@@ -321,11 +347,11 @@ async function configureMikroTik(config = {}) {
         if (e.message.includes('no such item')) {
           console.log('✓ No static IPs to remove from bridge');
         } else {
-          console.log('⚠️  Some IPs may remain: ' + e.message);
+          warn('Some IPs may remain: ' + e.message);
         }
       }
     } else {
-      console.log('⚠️  Keeping default IP 192.168.88.1 - no alternative management access yet');
+      warn('Keeping default IP 192.168.88.1 - no alternative management access yet');
       console.log('    Please reconnect via DHCP-assigned IP after configuration completes');
     }
 
@@ -334,18 +360,19 @@ async function configureMikroTik(config = {}) {
       await mt.exec('/ip dns set allow-remote-requests=no');
       console.log('✓ Disabled DNS server for remote requests');
     } catch (e) {
-      console.log('⚠️  Could not disable DNS server: ' + e.message);
+      warn('Could not disable DNS server: ' + e.message);
 
       // Check if we lost connection after removing default IP
       if ((e.message === 'Not connected' || e.message === 'Command timeout') && connectedViaDefaultIP) {
         console.log('\n========================================');
-        console.log('⚠️  Lost connection after removing default IP');
+        warn('Lost connection after removing default IP');
         console.log('========================================');
         console.log('This is EXPECTED when configuring fresh devices via 192.168.88.1');
         console.log('\nNext steps:');
         console.log('1. The device should now be accessible via DHCP on the management interfaces');
         console.log('2. Check your DHCP server logs for the new IP address');
         console.log('3. Reconnect to the new IP and re-run this script to complete WiFi configuration');
+        console.log('   (or set reattach.router / reattach.leaseFile so the tool finds it itself)');
         console.log('\nThe device is partially configured:');
         console.log('✓ Bridge and management interfaces configured');
         console.log('✓ DHCP client enabled on bridge');
@@ -364,11 +391,12 @@ async function configureMikroTik(config = {}) {
       if (e.message.includes('no such item')) {
         console.log('✓ No NAT rules to remove');
       } else {
-        console.log('⚠️  Could not remove NAT rules: ' + e.message);
+        warn('Could not remove NAT rules: ' + e.message);
 
         // Check for connection loss
         if ((e.message === 'Not connected' || e.message === 'Command timeout') && connectedViaDefaultIP) {
-          console.log('\n⚠️  Connection lost - device should be accessible via new management IP');
+          console.log('');
+          warn('Connection lost - device should be accessible via new management IP');
           console.log('    Please reconnect and re-run to complete configuration');
           await mt.close();
           return false;
@@ -387,13 +415,13 @@ async function configureMikroTik(config = {}) {
       wifiPackage = await detectWifiPackage(mt);
 
       if (!wifiPackage && retry < MAX_RETRIES - 1) {
-        console.log(`⚠️  WiFi package not detected, retrying... (${MAX_RETRIES - retry - 1} left)`);
+        warn(`WiFi package not detected, retrying... (${MAX_RETRIES - retry - 1} left)`);
         await new Promise(resolve => setTimeout(resolve, 2000));
       }
     }
 
     if (!wifiPackage) {
-      console.log('⚠️  Could not determine WiFi package type after 3 attempts');
+      warn('Could not determine WiFi package type after 3 attempts');
       console.log('    Device may need more time to initialize WiFi subsystem');
       console.log('    Please re-run the script in a few moments');
     }
@@ -406,110 +434,42 @@ async function configureMikroTik(config = {}) {
       try {
         const wifi1Check = await mt.exec(`${wifiCmd} print terse where default-name=wifi1`);
         if (!wifi1Check || !wifi1Check.trim()) {
-          console.log('⚠️  2.4GHz WiFi interface not found');
+          warn('2.4GHz WiFi interface not found');
         } else {
           console.log('✓ wifi1 (2.4GHz) interface found');
         }
 
         const wifi2Check = await mt.exec(`${wifiCmd} print terse where default-name=wifi2`);
         if (!wifi2Check || !wifi2Check.trim()) {
-          console.log('⚠️  5GHz WiFi interface not found');
+          warn('5GHz WiFi interface not found');
         } else {
           console.log('✓ wifi2 (5GHz) interface found');
         }
       } catch (e) {
-        console.log('⚠️  Could not verify WiFi interfaces: ' + e.message);
-      }
-    }
-
-    // Step 4.5: Evacuate WiFi clients before reconfiguration
-    // This gives clients a head start to find another AP before we tear down interfaces
-    if (wifiPackage) {
-      console.log('\n=== Step 4.5: Evacuating WiFi Clients ===');
-      try {
-        const regTablePath = getWifiPath(wifiPackage, 'registration-table');
-
-        // Check if there are any connected clients
-        const clients = await mt.exec(`${regTablePath} print count-only`);
-        const clientCount = parseInt(clients.trim(), 10) || 0;
-
-        if (clientCount > 0) {
-          console.log(`Found ${clientCount} connected client(s), disconnecting...`);
-          await mt.exec(`${regTablePath} remove [find]`);
-          console.log('✓ Disconnected all WiFi clients (they will reconnect to other APs)');
-          // Brief pause to allow clients to start reconnecting elsewhere
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          console.log('✓ Waited 2s for clients to find other APs');
-        } else {
-          console.log('✓ No WiFi clients connected');
-        }
-      } catch (e) {
-        // Non-fatal - proceed with reconfiguration even if evacuation fails
-        console.log(`⚠️  Could not evacuate clients: ${e.message}`);
+        warn('Could not verify WiFi interfaces: ' + e.message);
       }
     }
 
-    // Step 5: Clean up old virtual WiFi interfaces and datapaths
-    console.log('\n=== Step 5: Cleaning Up Old Configurations ===');
+    // Step 5: Read current WiFi configuration
+    // Changes are computed against this so objects that already match are left
+    // alone and connected clients are not dropped (see lib/wifi-reconcile.js)
+    console.log('\n=== Step 5: Reading Current WiFi Configuration ===');
 
-    // Skip cleanup if package type is not detected
+    let wifiState = { interfaces: [], datapaths: [], steering: [], bridgePorts: [] };
     if (!wifiPackage) {
-      console.log('⚠️  Skipping cleanup - WiFi package not supported');
+      warn('Skipping WiFi read - WiFi package not supported');
     } else {
-      const datapathPath = getWifiPath(wifiPackage, 'datapath');
-
-      // First remove datapaths (to avoid "in use" errors when removing interfaces)
       try {
-        const datapaths = await mt.exec(`${datapathPath} print terse where name~"wifi"`);
-        if (datapaths && datapaths.trim()) {
-          await mt.exec(`${datapathPath} remove [find name~"wifi"]`);
-          console.log('✓ Removed old WiFi datapaths');
-        } else {
-          console.log('✓ No datapaths to remove');
-        }
+        wifiState = await readWifiState(mt, wifiCmd);
+        const virtualCount = wifiState.interfaces.filter(i => i['master-interface']).length;
+        console.log(`✓ Found ${wifiState.interfaces.length} WiFi interface(s) (${virtualCount} virtual), ${wifiState.datapaths.length} datapath(s)`);
       } catch (e) {
-        // Only ignore "no such item" errors
-        if (e.message.includes('no such') || e.message.includes('not found')) {
-          console.log('✓ No datapaths to remove');
-        } else {
-          console.log(`⚠️  Warning: Could not remove datapaths: ${e.message}`);
-        }
-      }
-
-      // Then remove virtual WiFi interfaces
-      try {
-        const virtualInterfaces = await mt.exec(`${wifiCmd} print terse where master-interface`);
-        if (virtualInterfaces && virtualInterfaces.trim()) {
-          await mt.exec(`${wifiCmd} remove [find master-interface]`);
-          console.log('✓ Removed old virtual WiFi interfaces');
-        } else {
-          console.log('✓ No virtual interfaces to remove');
-        }
-      } catch (e) {
-        // Only ignore "no such item" errors
-        if (e.message.includes('no such') || e.message.includes('not found')) {
-          console.log('✓ No virtual interfaces to remove');
-        } else {
-          console.log(`⚠️  Warning: Could not remove virtual interfaces: ${e.message}`);
-        }
-      }
-
-      // Reset master interface names to defaults (ensures idempotency if manually renamed)
-      console.log('\n--- Resetting Interface Names to Defaults ---');
-      for (const defaultName of ['wifi1', 'wifi2']) {
-        try {
-          await mt.exec(`${wifiCmd} set [find default-name=${defaultName}] name=${defaultName}`);
-          console.log(`✓ Reset ${defaultName} to default name`);
-        } catch (e) {
-          // Interface might not exist on single-band devices
-          if (!e.message.includes('no such item') && !e.message.includes('not found')) {
-            console.log(`⚠️  Could not reset ${defaultName}: ${e.message}`);
-          }
-        }
+        warn(`Could not read WiFi configuration: ${e.message}`);
+        console.log('    All WiFi settings will be applied');
       }
     }
 
-    // Step 6: Configure WiFi Optimization Settings (Channel, Power, Roaming)
+    // Step 6: WiFi Optimization Settings (Channel, Power, Roaming)
     console.log('\n=== Step 6: Configuring WiFi Optimization Settings ===');
 
     const wifiConfig = config.wifi || {};
@@ -522,9 +482,8 @@ async function configureMikroTik(config = {}) {
     let interface5 = 'wifi2';
     try {
       // First check board name - most reliable way to detect radio layout
-      const resource = await mt.exec('/system resource print');
-      const boardMatch = resource.match(/board-name:\s*([^\n]+)/);
-      const boardName = boardMatch ? boardMatch[1].trim().toLowerCase() : '';
+      const board = parseSettings(await mt.exec('/system resource print'))['board-name'] || '';
+      const boardName = board.toLowerCase();
 
       // Known devices with swapped radios (wifi1=5GHz, wifi2=2.4GHz)
       const swappedRadioDevices = ['cap ax', 'cap ac'];
@@ -532,12 +491,12 @@ async function configureMikroTik(config = {}) {
       if (swappedRadioDevices.some(d => boardName.includes(d))) {
         interface24 = 'wifi2';
         interface5 = 'wifi1';
-        console.log(`ℹ️  ${boardMatch[1].trim()}: Swapped radio layout (wifi1=5GHz, wifi2=2.4GHz)`);
+        console.log(`ℹ️  ${board}: Swapped radio layout (wifi1=5GHz, wifi2=2.4GHz)`);
       } else {
-        console.log(`ℹ️  ${boardMatch ? boardMatch[1].trim() : 'Unknown device'}: Standard radio layout (wifi1=2.4GHz, wifi2=5GHz)`);
+        console.log(`ℹ️  ${board || 'Unknown device'}: Standard radio layout (wifi1=2.4GHz, wifi2=5GHz)`);
       }
     } catch (e) {
-      console.log('⚠️  Could not detect board, assuming standard: wifi1=2.4GHz, wifi2=5GHz');
+      warn('Could not detect board, assuming standard: wifi1=2.4GHz, wifi2=5GHz');
     }
 
     // Create dynamic band-to-interface mapping based on detected layout
@@ -546,111 +505,66 @@ async function configureMikroTik(config = {}) {
       '5GHz': interface5
     };
 
-    // Configure 2.4GHz band settings
-    if (wifiConfig['2.4GHz']) {
-      const config24 = wifiConfig['2.4GHz'];
-      console.log(`\nConfiguring 2.4GHz band (${interface24}):`);
-
-      const commands = [];
-
-      // Ensure correct band is set
-      commands.push('channel.band=2ghz-ax');
-
-      // Channel configuration
-      if (config24.channel !== undefined) {
-        const freq = CHANNEL_FREQ_24GHZ[config24.channel];
-        if (freq) {
-          commands.push(`channel.frequency=${freq}`);
-          console.log(`  ✓ Channel ${config24.channel} (${freq} MHz)`);
-        }
-      } else if (config24.frequency !== undefined) {
-        commands.push(`channel.frequency=${config24.frequency}`);
-        console.log(`  ✓ Frequency ${config24.frequency} MHz`);
-      }
-
-      // TX Power
-      if (config24.txPower !== undefined) {
-        commands.push(`configuration.tx-power=${config24.txPower}`);
-        console.log(`  ✓ TX Power ${config24.txPower} dBm`);
-      }
-
-      // Country (per-band or wifi-level)
-      const country24 = config24.country || wifiConfig.country;
-      if (country24) {
-        commands.push(`configuration.country="${country24}"`);
-        console.log(`  ✓ Country ${country24}`);
-      }
-
-      // Channel Width
-      if (config24.width !== undefined) {
-        commands.push(`channel.width=${config24.width}`);
-        console.log(`  ✓ Channel Width ${config24.width}`);
-      }
+    // Master radios keep their default names (ensures idempotency if manually renamed)
+    const masters = {
+      '2.4GHz': { name: interface24, defaultName: interface24, properties: {} },
+      '5GHz': { name: interface5, defaultName: interface5, properties: {} }
+    };
 
-      if (commands.length > 0) {
-        try {
-          await mt.exec(`${wifiPath} set ${interface24} ${commands.join(' ')}`);
-          console.log('  ✓ Applied 2.4GHz band settings');
-        } catch (e) {
-          console.log(`  ⚠️  Failed to apply 2.4GHz settings: ${e.message}`);
-        }
-      }
-    }
+    const bandDefinitions = [
+      { band: '2.4GHz', bandValue: '2ghz-ax', channelFreqs: CHANNEL_FREQ_24GHZ },
+      { band: '5GHz', bandValue: '5ghz-ax', channelFreqs: CHANNEL_FREQ_5GHZ }
+    ];
 
-    // Configure 5GHz band settings
-    if (wifiConfig['5GHz']) {
-      const config5 = wifiConfig['5GHz'];
-      console.log(`\nConfiguring 5GHz band (${interface5}):`);
+    for (const { band, bandValue, channelFreqs } of bandDefinitions) {
+      const bandConfig = wifiConfig[band];
+      if (!bandConfig) continue;
 
-      const commands = [];
+      console.log(`\nConfiguring ${band} band (${bandToInterface[band]}):`);
+      const properties = masters[band].properties;
 
       // Ensure correct band is set (prevents issues if GUI changed it)
-      commands.push('channel.band=5ghz-ax');
+      properties['channel.band'] = bandValue;
 
       // Channel configuration
-      if (config5.channel !== undefined) {
-        const freq = CHANNEL_FREQ_5GHZ[config5.channel];
+      if (bandConfig.channel !== undefined) {
+        const freq = channelFreqs[bandConfig.channel];
         if (freq) {
-          commands.push(`channel.frequency=${freq}`);
-          console.log(`  ✓ Channel ${config5.channel} (${freq} MHz)`);
+          properties['channel.frequency'] = freq;
+          console.log(`  ✓ Channel ${bandConfig.channel} (${freq} MHz)`);
         }
-      } else if (config5.frequency !== undefined) {
-        commands.push(`channel.frequency=${config5.frequency}`);
-        console.log(`  ✓ Frequency ${config5.frequency} MHz`);
+      } else if (bandConfig.frequency !== undefined) {
+        properties['channel.frequency'] = bandConfig.frequency;
+        console.log(`  ✓ Frequency ${bandConfig.frequency} MHz`);
       }
 
       // TX Power
-      if (config5.txPower !== undefined) {
-        commands.push(`configuration.tx-power=${config5.txPower}`);
-        console.log(`  ✓ TX Power ${config5.txPower} dBm`);
+      if (bandConfig.txPower !== undefined) {
+        properties['configuration.tx-power'] = bandConfig.txPower;
+        console.log(`  ✓ TX Power ${bandConfig.txPower} dBm`);
       }
 
       // Country (per-band or wifi-level)
-      const country5 = config5.country || wifiConfig.country;
-      if (country5) {
-        commands.push(`configuration.country="${country5}"`);
-        console.log(`  ✓ Country ${country5}`);
+      const country = bandConfig.country || wifiConfig.country;
+      if (country) {
+        properties['configuration.country'] = country;
+        console.log(`  ✓ Country ${country}`);
       }
 
       // Channel Width
-      if (config5.width !== undefined) {
-        commands.push(`channel.width=${config5.width}`);
-        console.log(`  ✓ Channel Width ${config5.width}`);
-      }
-
-      if (commands.length > 0) {
-        try {
-          await mt.exec(`${wifiPath} set ${interface5} ${commands.join(' ')}`);
-          console.log('  ✓ Applied 5GHz band settings');
-        } catch (e) {
-          console.log(`  ⚠️  Failed to apply 5GHz settings: ${e.message}`);
-        }
+      if (bandConfig.width !== undefined) {
+        properties['channel.width'] = bandConfig.width;
+        console.log(`  ✓ Channel Width ${bandConfig.width}`);
       }
     }
 
     // Step 7: Process each SSID
     console.log('\n=== Step 7: Configuring SSIDs ===');
 
+    // Desired WiFi objects, reconciled against the device in Step 7.5
+    const virtualInterfaces = [];
+    const datapaths = [];
+
     // Track which interfaces have been used for each band
     const bandUsage = {
       '2.4GHz': 0,
@@ -661,14 +575,13 @@ async function configureMikroTik(config = {}) {
       const { ssid, passphrase, vlan, bands } = ssidConfig;
 
       if (!ssid || !passphrase || !vlan || !bands || bands.length === 0) {
-        console.log(`⚠️  Skipping incomplete SSID configuration: ${ssid || 'unnamed'}`);
+        warn(`Skipping incomplete SSID configuration: ${ssid || 'unnamed'}`);
         continue;
       }
 
       console.log(`\nConfiguring SSID: ${ssid}`);
       console.log(`  VLAN: ${vlan}`);
       console.log(`  Bands: ${bands.join(', ')}`);
-      console.log(`  Password: ${passphrase}`);
 
       // Determine authentication type based on per-SSID roaming configuration
       // wifi-qcom uses security.ft=yes for Fast Transition (802.11r)
@@ -676,8 +589,6 @@ async function configureMikroTik(config = {}) {
       const useRRM = ssidConfig.roaming?.rrm === true;
       const useWNM = ssidConfig.roaming?.wnm === true;
       const transitionThreshold = ssidConfig.roaming?.transitionThreshold || -80;
-      const authTypes = 'wpa2-psk';
-      const ftParam = useFastTransition ? 'security.ft=yes' : 'security.ft=no';
       if (useFastTransition) {
         console.log(`  802.11r: enabled`);
       }
@@ -693,153 +604,119 @@ async function configureMikroTik(config = {}) {
         const masterInterface = bandToInterface[band];
 
         if (!masterInterface) {
-          console.log(`  ⚠️  Unknown band: ${band}, skipping`);
+          warn(`Unknown band: ${band}, skipping`, '  ');
           continue;
         }
 
-        // Determine which interface to use (master or virtual)
-        let wifiInterface;
-        let isVirtual = false;
-
+        // First SSID for a band uses the master interface, additional ones a virtual interface
+        let target;
         if (bandUsage[band] === 0) {
-          // First SSID for this band - use master interface
-          wifiInterface = masterInterface;
+          target = masters[band];
         } else {
-          // Additional SSID for this band - create virtual interface
-          wifiInterface = `${masterInterface}-ssid${bandUsage[band] + 1}`;
-          isVirtual = true;
+          target = { name: `${masterInterface}-ssid${bandUsage[band] + 1}`, master: masterInterface, properties: {} };
+          virtualInterfaces.push(target);
         }
-
         bandUsage[band]++;
 
-        try {
-          // Create virtual interface if needed
-          if (isVirtual) {
-            try {
-              await mt.exec(
-                `${wifiPath} add ` +
-                `master-interface=${masterInterface} ` +
-                `name="${wifiInterface}"`
-              );
-              console.log(`  ✓ Created virtual interface ${wifiInterface}`);
-              // Small delay to ensure interface is fully registered
-              await new Promise(resolve => setTimeout(resolve, 500));
-            } catch (e) {
-              if (e.message.includes('already have') || e.message.includes('exists')) {
-                console.log(`  ✓ Virtual interface ${wifiInterface} already exists`);
-              } else {
-                throw e;
-              }
-            }
-          }
+        // Datapath for VLAN tagging
+        datapaths.push({
+          name: `${target.name}-vlan${vlan}`,
+          properties: { 'vlan-id': vlan, bridge: 'bridge' }
+        });
 
-          // Create or update datapath for VLAN tagging
-          const datapathName = `${wifiInterface}-vlan${vlan}`;
+        // wifi-qcom requires steering profiles for 802.11k/v as separate objects, not inline properties
+        if (useRRM || useWNM) {
+          target.steering = { name: `steering-${target.name}`, rrm: useRRM, wnm: useWNM };
+        }
 
-          // Try to add datapath, ignore if it already exists
-          try {
-            await mt.exec(
-              `${getWifiPath(wifiPackage, 'datapath')} add ` +
-              `name="${datapathName}" ` +
-              `vlan-id=${vlan} ` +
-              `bridge=bridge`
-            );
-            console.log(`  ✓ Created datapath ${datapathName} for VLAN ${vlan}`);
-          } catch (e) {
-            if (e.message.includes('already have') || e.message.includes('exists')) {
-              // Update existing datapath
-              await mt.exec(
-                `${getWifiPath(wifiPackage, 'datapath')} set [find name="${datapathName}"] ` +
-                `vlan-id=${vlan} ` +
-                `bridge=bridge`
-              );
-              console.log(`  ✓ Updated datapath ${datapathName} for VLAN ${vlan}`);
-            } else {
-              throw e;
-            }
-          }
+        Object.assign(target.properties, {
+          'configuration.ssid': ssid,
+          'datapath.bridge': 'bridge',
+          'datapath.vlan-id': vlan,
+          'security.authentication-types': 'wpa2-psk',
+          'security.ft': useFastTransition ? 'yes' : 'no',
+          'security.passphrase': passphrase,
+          disabled: 'no'
+        });
 
-          // Configure WiFi interface with SSID, security, and datapath
-          // Use direct interface name - [find name=...] doesn't work reliably for newly created virtual interfaces
-          // Escape special characters in passphrase for MikroTik
-          const escapedPassphrase = escapeMikroTik(passphrase);
-          const escapedSsid = escapeMikroTik(ssid);
-
-          // Create steering profile for 802.11k/v if needed
-          // wifi-qcom requires steering profiles as separate objects, not inline properties
-          let steeringParam = '';
-          if (useRRM || useWNM) {
-            const steeringName = `steering-${wifiInterface}`;
-            try {
-              // Remove existing steering profile if it exists
-              await mt.exec(`${wifiPath}/steering remove [find name="${steeringName}"]`);
-            } catch (e) {
-              // Ignore if doesn't exist
-            }
-            // Create new steering profile
-            const steeringCmd = `${wifiPath}/steering add name="${steeringName}" ` +
-              `rrm=${useRRM ? 'yes' : 'no'} wnm=${useWNM ? 'yes' : 'no'}`;
-            try {
-              await mt.exec(steeringCmd);
-              steeringParam = ` steering="${steeringName}"`;
-            } catch (e) {
-              console.log(`  ⚠️  Could not create steering profile: ${e.message}`);
-            }
-          }
+        console.log(`  ✓ ${target.name} (${band}) with VLAN ${vlan} tagging`);
+      }
+    }
 
-          const setCmd =
-            `${wifiPath} set ${wifiInterface} ` +
-            `configuration.ssid="${escapedSsid}" ` +
-            `datapath.bridge=bridge datapath.vlan-id=${vlan} ` +
-            `security.authentication-types=${authTypes} ` +
-            (ftParam ? `${ftParam} ` : '') +
-            `security.passphrase="${escapedPassphrase}"` +
-            steeringParam +
-            ` disabled=no`;
-
-          const setResult = await mt.exec(setCmd);
-          if (setResult.trim()) {
-            console.log(`    Set command output: ${setResult.trim()}`);
-          }
+    // Disable master interfaces for bands with no SSIDs
+    for (const [band, count] of Object.entries(bandUsage)) {
+      if (count === 0) {
+        masters[band].properties.disabled = 'yes';
+        console.log(`\n✓ ${bandToInterface[band]} (${band}) will be disabled - no SSIDs configured`);
+      }
+    }
 
-          // Verify configuration was applied by checking if SSID appears in interface output
-          const verifyResult = await mt.exec(`${wifiPath} print terse where name="${wifiInterface}"`);
-          if (!verifyResult.includes(ssid)) {
-            console.log(`  ⚠️  SSID "${ssid}" may not have been applied to ${wifiInterface}`);
-            // Print abbreviated interface state for debugging
-            const truncated = verifyResult.trim().substring(0, 200);
-            if (truncated) {
-              console.log(`    Interface state: ${truncated}...`);
-            }
-          }
+    // Step 7.5: Apply only what differs from the device
+    console.log('\n=== Step 7.5: Applying WiFi Changes ===');
 
-          console.log(`  ✓ ${wifiInterface} (${band}) configured with VLAN ${vlan} tagging`);
-        } catch (e) {
-          console.log(`  ✗ Failed to configure ${wifiInterface}: ${e.message}`);
+    const { changes, unchanged } = planWifiChanges(wifiState, {
+      interfaces: [masters['2.4GHz'], masters['5GHz'], ...virtualInterfaces],
+      datapaths,
+      managedMasters: [interface24, interface5],
+      datapathPattern: /wifi/
+    }, wifiPath);
 
-          // Check if we lost connection
-          if (e.message === 'Not connected' || e.message === 'Command timeout') {
-            console.log('\n⚠️  Lost connection to device - this is expected when configuring fresh devices');
-            console.log('    The device should now be accessible via DHCP-assigned IP on the management interfaces');
-            console.log('    Please reconnect and re-run the script to complete configuration');
-            await mt.close();
-            return false;
+    if (changes.length === 0) {
+      console.log(`✓ WiFi configuration already up to date (${unchanged} object(s) unchanged)`);
+    } else {
+      console.log(`${changes.length} change(s), ${unchanged} object(s) unchanged`);
+
+      // Evacuate WiFi clients before changing interfaces
+      // This gives clients a head start to find another AP before interfaces restart
+      if (changes.some(c => c.command.startsWith(`${wifiPath} `))) {
+        try {
+          const regTablePath = getWifiPath(wifiPackage, 'registration-table');
+
+          // Check if there are any connected clients
+          const clients = await mt.exec(`${regTablePath} print count-only`);
+          const clientCount = parseInt(clients.trim(), 10) || 0;
+
+          if (clientCount > 0) {
+            console.log(`Found ${clientCount} connected client(s), disconnecting...`);
+            await mt.exec(`${regTablePath} remove [find]`);
+            console.log('✓ Disconnected all WiFi clients (they will reconnect to other APs)');
+            // Brief pause to allow clients to start reconnecting elsewhere
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            console.log('✓ Waited 2s for clients to find other APs');
+          } else {
+            console.log('✓ No WiFi clients connected');
           }
+        } catch (e) {
+          // Non-fatal - proceed with reconfiguration even if evacuation fails
+          warn(`Could not evacuate clients: ${e.message}`);
         }
       }
-    }
 
-    // Step 7.5: Disable master interfaces for bands with no SSIDs
-    console.log('\n=== Disabling Unused Bands ===');
+      try {
+        await applyWifiChanges(mt, changes);
+      } catch (e) {
+        console.log(`  ✗ Failed to apply WiFi changes: ${e.message}`);
+        console.log('');
+        warn('Lost connection to device - this is expected when configuring fresh devices');
+        console.log('    The device should now be accessible via DHCP-assigned IP on the management interfaces');
+        console.log('    Please reconnect and re-run the script to complete configuration');
+        await mt.close();
+        return false;
+      }
 
-    for (const [band, count] of Object.entries(bandUsage)) {
-      if (count === 0) {
-        const masterInterface = bandToInterface[band];
+      // Verify SSIDs were applied (skipped in plan mode, where changes were only recorded)
+      if (!mt.dryRun) {
         try {
-          await mt.exec(`${wifiPath} set ${masterInterface} disabled=yes`);
-          console.log(`✓ Disabled ${masterInterface} (${band}) - no SSIDs configured`);
+          const applied = await readWifiState(mt, wifiPath);
+          for (const iface of [masters['2.4GHz'], masters['5GHz'], ...virtualInterfaces]) {
+            const ssid = iface.properties['configuration.ssid'];
+            const record = applied.interfaces.find(i => i.name === iface.name);
+            if (ssid && (!record || record['configuration.ssid'] !== ssid)) {
+              warn(`SSID "${ssid}" may not have been applied to ${iface.name}`, '  ');
+            }
+          }
         } catch (e) {
-          console.log(`⚠️  Could not disable ${masterInterface}: ${e.message}`);
+          warn(`Could not verify WiFi configuration: ${e.message}`, '  ');
         }
       }
     }
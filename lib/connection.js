@@ -0,0 +1,205 @@
+/**
+ * Device connection helpers
+ * Builds MikroTikSSH, MikroTikREST, MikroTikAPI or simulated sessions from device configuration
+ */
+
+const { MikroTikSSH } = require('./ssh-client');
+const { MikroTikREST } = require('./rest-client');
+const { MikroTikAPI } = require('./api-client');
+const { MikroTikSimulator } = require('./simulator');
+const { deviceHost } = require('./addresses');
+const { recordSession } = require('./run-events');
+
+// Connection options accepted in a device block alongside host/username/password
+const CONNECTION_OPTION_KEYS = [
+  'addresses',
+  'transport',
+  'restProtocol',
+  'apiTls',
+  'port',
+  'privateKey',
+  'privateKeyPath',
+  'privateKeyPassphrase',
+  'agent',
+  'agentForward',
+  'hostKeyFingerprint',
+  'knownHostsFile'
+];
+
+/**
+ * Pick the optional connection settings (port, key, agent) from a config object
+ * @param {Object} config - Device block or flattened device config
+ * @returns {Object} Only the connection options that are set
+ */
+function getConnectionOptions(config = {}) {
+  const options = {};
+  for (const key of CONNECTION_OPTION_KEYS) {
+    if (config[key] !== undefined && config[key] !== null) {
+      options[key] = config[key];
+    }
+  }
+  return options;
+}
+
+/**
+ * Check whether a config authenticates without a password (SSH key or agent)
+ * @param {Object} config - Device block or flattened device config
+ * @returns {boolean} True if a private key or agent is configured
+ */
+function hasKeyAuth(config = {}) {
+  return !!(config.privateKey || config.privateKeyPath || config.agent);
+}
+
+/**
+ * Flatten a YAML device block into the host/username/password form used by lib/
+ * host is the canonical host (see deviceHost); device.addresses are kept as fallbacks.
+ * @param {Object} device - Device block ({host, addresses, username, password, port, privateKeyPath, ...})
+ * @returns {Object} Flattened connection config
+ */
+function getConnectionConfig(device = {}) {
+  const config = {
+    host: deviceHost(device),
+    username: device.username
+  };
+  // Omit an unset password so key-only device blocks round-trip through YAML unchanged
+  if (device.password !== undefined) {
+    config.password = device.password;
+  }
+  return { ...config, ...getConnectionOptions(device) };
+}
+
+/**
+ * Create the transport session for a device
+ * @param {Object} config - Flattened device config (host, username, password, port, transport, ...)
+ * @returns {MikroTikSSH|MikroTikREST|MikroTikAPI|MikroTikSimulator} Unconnected session
+ */
+function createSession(config) {
+  const password = hasKeyAuth(config) ? config.password : (config.password || 'admin');
+  const options = getConnectionOptions(config);
+  // Run-time flag (e.g. --accept-new-host-keys), never persisted in device blocks
+  if (config.acceptNewHostKeys) {
+    options.acceptNewHostKeys = true;
+  }
+  if (config.transport === 'rest') {
+    return new MikroTikREST(
+      config.host || '192.168.88.1',
+      config.username || 'admin',
+      config.password || 'admin',
+      options
+    );
+  }
+  if (config.transport === 'api') {
+    return new MikroTikAPI(
+      config.host || '192.168.88.1',
+      config.username || 'admin',
+      config.password || 'admin',
+      options
+    );
+  }
+  if (config.transport === 'simulator') {
+    return new MikroTikSimulator(
+      config.host || '192.168.88.1',
+      config.username || 'admin',
+      config.password || 'admin',
+      options
+    );
+  }
+  if (config.transport && config.transport !== 'ssh') {
+    throw new Error(`Unknown transport '${config.transport}' for ${config.host} (expected ssh, rest, api or simulator)`);
+  }
+  return new MikroTikSSH(
+    config.host || '192.168.88.1',
+    config.username || 'admin',
+    password,
+    options
+  );
+}
+
+/**
+ * Create a session for a device
+ * Uses SSH unless the device sets transport: rest, api or simulator.
+ * Defaults to admin/admin on 192.168.88.1 unless key or agent auth is configured.
+ * With config.plan (a ConfigurationPlan, see lib/plan.js) the session records
+ * mutating commands instead of executing them. While a run report is active,
+ * the device's version is recorded once the session connects.
+ * @param {Object} config - Flattened device config (host, username, password, port, transport, ...)
+ * @returns {MikroTikSSH|MikroTikREST|MikroTikAPI|MikroTikSimulator|PlannedSession} Unconnected session
+ */
+function createConnection(config = {}) {
+  const session = createSession(config);
+  // Active run reports record the device through this session (lib/run-events.js)
+  const connect = session.connect.bind(session);
+  session.connect = async (...args) => {
+    const result = await connect(...args);
+    await recordSession(session);
+    return result;
+  };
+  // Run-time option (--plan), never persisted in device blocks
+  if (config.plan) {
+    return config.plan.wrap(session, config.host || '192.168.88.1');
+  }
+  return session;
+}
+
+/**
+ * Split connection flags out of CLI arguments for the single-device scripts
+ * Supported: --address <addr> (repeatable fallback), --port <n>, --key <path>, --key-passphrase <pass>, --agent [socket], --agent-forward,
+ * --host-key <fingerprint>, --known-hosts <path>, --accept-new-host-keys, --transport <ssh|rest|api|simulator>, --rest-http, --api-tls, --simulate
+ * @param {string[]} args - Raw CLI arguments
+ * @returns {{args: string[], options: Object}} Remaining positional args and parsed options
+ */
+function parseConnectionArgs(args) {
+  const remaining = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--address' && args[i + 1]) {
+      options.addresses = [...(options.addresses || []), args[++i]];
+    } else if (arg === '--port' && args[i + 1]) {
+      options.port = parseInt(args[++i], 10);
+    } else if (arg === '--key' && args[i + 1]) {
+      options.privateKeyPath = args[++i];
+    } else if (arg === '--key-passphrase' && args[i + 1]) {
+      options.privateKeyPassphrase = args[++i];
+    } else if (arg === '--agent') {
+      // Optional socket path; otherwise use SSH_AUTH_SOCK
+      if (args[i + 1] && !args[i + 1].startsWith('--') && args[i + 1].includes('/')) {
+        options.agent = args[++i];
+      } else {
+        options.agent = true;
+      }
+    } else if (arg === '--agent-forward') {
+      options.agentForward = true;
+    } else if (arg === '--host-key' && args[i + 1]) {
+      options.hostKeyFingerprint = args[++i];
+    } else if (arg === '--known-hosts' && args[i + 1]) {
+      options.knownHostsFile = args[++i];
+    } else if (arg === '--accept-new-host-keys') {
+      options.acceptNewHostKeys = true;
+    } else if (arg === '--transport' && args[i + 1]) {
+      options.transport = args[++i];
+    } else if (arg === '--rest-http') {
+      options.transport = 'rest';
+      options.restProtocol = 'http';
+    } else if (arg === '--api-tls') {
+      options.transport = 'api';
+      options.apiTls = true;
+    } else if (arg === '--simulate') {
+      options.transport = 'simulator';
+    } else {
+      remaining.push(arg);
+    }
+  }
+
+  return { args: remaining, options };
+}
+
+module.exports = {
+  CONNECTION_OPTION_KEYS,
+  getConnectionOptions,
+  getConnectionConfig,
+  hasKeyAuth,
+  createConnection,
+  parseConnectionArgs
+};
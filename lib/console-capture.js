@@ -0,0 +1,78 @@
+/**
+ * Console capture
+ * The configuration modules report progress and warnings with console.log; this
+ * lets a caller see (and optionally hold back) everything printed while a piece
+ * of work runs, without threading a logger through every module. Sinks are
+ * scoped to an async context, so devices handled concurrently do not mix.
+ */
+
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error'];
+
+// Sinks of the current async context (innermost last)
+const sinkStorage = new AsyncLocalStorage();
+// Sinks that see output from the whole process
+const processSinks = [];
+const originalConsole = {};
+
+/**
+ * Route console output through the active sinks (installed once)
+ */
+function installCapture() {
+  if (Object.keys(originalConsole).length > 0) return;
+
+  for (const method of CONSOLE_METHODS) {
+    originalConsole[method] = console[method].bind(console);
+    console[method] = (...args) => {
+      const sinks = [...processSinks, ...(sinkStorage.getStore() || [])];
+      if (sinks.length === 0) {
+        originalConsole[method](...args);
+        return;
+      }
+      const text = util.format(...args);
+      // A sink returning false holds the output back (it prints it later itself)
+      let print = true;
+      for (const sink of sinks) {
+        if (sink(method, text) === false) print = false;
+      }
+      if (print) originalConsole[method](text);
+    };
+  }
+}
+
+/**
+ * Run a function with a sink receiving its console output
+ * @param {Function} sink - (method, text) => boolean|void; return false to suppress printing
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function withConsoleSink(sink, fn) {
+  installCapture();
+  return sinkStorage.run([...(sinkStorage.getStore() || []), sink], fn);
+}
+
+/**
+ * Add a sink for all console output of the process
+ * @param {Function} sink - (method, text) => boolean|void
+ */
+function addProcessSink(sink) {
+  installCapture();
+  processSinks.push(sink);
+}
+
+/**
+ * Print without passing through the sinks
+ * @param {string} method - Console method (log, info, warn, error)
+ * @param {string} text - Text to print
+ */
+function writeConsole(method, text) {
+  (originalConsole[method] || console[method])(text);
+}
+
+module.exports = {
+  withConsoleSink,
+  addProcessSink,
+  writeConsole
+};
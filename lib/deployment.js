@@ -0,0 +1,292 @@
+/**
+ * Multi-device deployment resolution
+ * Turns a device entry from multiple-devices.yaml into the settings it is
+ * configured with, merging deployment-level SSIDs, country, syslog and CAPsMAN
+ * VLAN, and selects the entries a run targets (--only / --exclude).
+ */
+
+const { extractHostname } = require('./access-list');
+const { deviceHost } = require('./addresses');
+
+// Properties a device selector can match
+const SELECTOR_KEYS = ['identity', 'host', 'role', 'tag'];
+
+/**
+ * Resolve SSIDs for a device by merging device-level SSID references with deployment-level SSID templates.
+ *
+ * Device SSIDs specify which SSIDs to broadcast and on which bands.
+ * Deployment SSIDs provide the PSK, VLAN, and roaming settings.
+ *
+ * @param {Array<Object>} deviceSsids - Device-level SSID references with ssid name and bands
+ * @param {Array<Object>} deploymentSsids - Deployment-level SSID templates with PSK, VLAN, roaming
+ * @returns {Array<Object>} - Fully resolved SSIDs with all settings
+ */
+function resolveSsidsForDevice(deviceSsids, deploymentSsids) {
+  if (!deviceSsids || deviceSsids.length === 0) {
+    return [];  // No SSIDs listed = no SSIDs broadcast
+  }
+
+  // Build lookup by SSID name for PSK/VLAN/roaming
+  const templates = new Map(deploymentSsids.map(s => [s.ssid, s]));
+  const resolved = [];
+
+  for (const deviceSsid of deviceSsids) {
+    const template = templates.get(deviceSsid.ssid);
+    if (!template) {
+      throw new Error(`SSID "${deviceSsid.ssid}" not found in deployment-level ssids`);
+    }
+    if (!deviceSsid.bands || deviceSsid.bands.length === 0) {
+      throw new Error(`SSID "${deviceSsid.ssid}" must specify bands`);
+    }
+    resolved.push({
+      ssid: template.ssid,
+      passphrase: template.passphrase,
+      vlan: template.vlan,
+      roaming: template.roaming,
+      bands: deviceSsid.bands
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Check whether a device's SSIDs are references to deployment-level SSIDs
+ * Reference format lists only ssid + bands; legacy format carries the passphrase.
+ * @param {Object} deviceConfig - Device entry from multiple-devices.yaml
+ * @param {Array<Object>} deploymentSsids - Deployment-level SSID templates
+ * @returns {boolean} True for reference format
+ */
+function hasReferenceSsids(deviceConfig, deploymentSsids) {
+  const ssids = deviceConfig.ssids || [];
+  return ssids.length > 0 && !ssids[0].passphrase && deploymentSsids.length > 0;
+}
+
+/**
+ * Resolve the SSIDs configureMikroTik receives for a device
+ * Controllers and standalone devices without SSIDs fall back to deployment-level
+ * SSIDs; CAPs without SSIDs get theirs from the controller.
+ * @param {Object} deviceConfig - Device entry from multiple-devices.yaml
+ * @param {Array<Object>} deploymentSsids - Deployment-level SSID templates
+ * @returns {Array<Object>} Resolved SSIDs
+ */
+function resolveDeviceSsids(deviceConfig, deploymentSsids) {
+  const role = deviceConfig.role || 'standalone';
+  const ssids = deviceConfig.ssids || [];
+
+  if (hasReferenceSsids(deviceConfig, deploymentSsids)) {
+    return resolveSsidsForDevice(ssids, deploymentSsids);
+  }
+  if (ssids.length === 0 && (role === 'controller' || role === 'standalone')) {
+    return deploymentSsids;
+  }
+  return ssids;
+}
+
+/**
+ * Resolve the SSIDs a CAP broadcasts from its local radios (Phase 2.6 fallback)
+ * @param {Object} capConfig - CAP device entry from multiple-devices.yaml
+ * @param {Array<Object>} deploymentSsids - Deployment-level SSID templates
+ * @returns {Array<Object>} Resolved SSIDs
+ */
+function resolveCapFallbackSsids(capConfig, deploymentSsids) {
+  return capConfig.ssids && capConfig.ssids.length > 0 && !capConfig.ssids[0].passphrase
+    ? resolveSsidsForDevice(capConfig.ssids, deploymentSsids)
+    : deploymentSsids;  // Fall back to deployment-level SSIDs
+}
+
+/**
+ * Merge the deployment-level country into a device's wifi settings
+ * @param {Object} deviceConfig - Device entry from multiple-devices.yaml
+ * @param {string} [deploymentCountry] - Top-level country
+ * @returns {Object|undefined} WiFi settings
+ */
+function resolveDeviceWifi(deviceConfig, deploymentCountry) {
+  const wifi = deviceConfig.wifi;
+  if (deploymentCountry && wifi && !wifi.country) {
+    return { ...wifi, country: deploymentCountry };
+  } else if (deploymentCountry && !wifi) {
+    return { country: deploymentCountry };
+  }
+  return wifi;
+}
+
+/**
+ * Build the settings configureMikroTik receives for a device of a deployment
+ * Connection settings (device:) are not included.
+ * @param {Object} deviceConfig - Device entry with its profile applied
+ * @param {Object} deployment - Deployment-level settings {ssids, country, syslog, capsmanVlan, rollback, reattach}
+ * @returns {Object} identity, interfaces, wifi, ssids, role, capsman, syslog, rollback and reattach settings
+ */
+function buildDeviceConfig(deviceConfig, deployment = {}) {
+  const deploymentSsids = deployment.ssids || [];
+  const capsmanVlan = deployment.capsmanVlan || null;
+
+  // Merge deployment-level country into device wifi config
+  const wifi = resolveDeviceWifi(deviceConfig, deployment.country);
+
+  const role = deviceConfig.role || 'standalone';
+
+  // Resolve SSIDs for this device
+  // New format: device SSIDs are references (ssid+bands only, PSK/VLAN from deployment)
+  // Legacy format: device SSIDs are full (have passphrase), or fall back to deploymentSsids
+  // Note: CAPs without device SSIDs will have empty ssids array here,
+  // they'll get SSIDs from controller during Phase 2.5
+  const ssids = resolveDeviceSsids(deviceConfig, deploymentSsids);
+
+  // Build unified capsman config from various sources
+  // New unified format: capsman.vlan.id/network/address
+  // Legacy formats: cap.capsmanVlan.vlan, capsmanVlan.vlan, capsmanAddress
+  const deviceCapsmanConfig = deviceConfig.capsman || {};
+  const legacyCap = deviceConfig.cap || {};
+
+  // Build vlan config: prefer new capsman.vlan format, fall back to legacy
+  let vlanConfig = null;
+  if (capsmanVlan || deviceCapsmanConfig.vlan || legacyCap.capsmanVlan) {
+    vlanConfig = {
+      // VLAN ID: new format uses 'id', legacy uses 'vlan'
+      id: deviceCapsmanConfig.vlan?.id ||
+          legacyCap.capsmanVlan?.vlan ||
+          capsmanVlan?.vlan,
+      // Network comes from deployment or device
+      network: deviceCapsmanConfig.vlan?.network ||
+               legacyCap.capsmanVlan?.network ||
+               capsmanVlan?.network,
+      // Address is always device-specific
+      address: deviceCapsmanConfig.vlan?.address ||
+               legacyCap.capsmanVlan?.address ||
+               deviceConfig.capsmanAddress
+    };
+  }
+
+  return {
+    identity: deviceConfig.identity,
+    managementInterfaces: deviceConfig.managementInterfaces || ['ether1'],
+    disabledInterfaces: deviceConfig.disabledInterfaces || [],
+    igmpSnooping: deviceConfig.igmpSnooping,
+    wifi,
+    syslog: deployment.syslog,
+    rollback: deviceConfig.rollback ?? deployment.rollback,
+    reattach: deviceConfig.reattach ?? deployment.reattach,
+    ssids,
+    role,
+    // Unified capsman config
+    capsman: {
+      ...deviceCapsmanConfig,
+      ...legacyCap,  // Include legacy cap fields (controllerAddresses, etc.)
+      vlan: vlanConfig
+    }
+  };
+}
+
+/**
+ * Check if deployment uses CAPsMAN (has devices with role: controller or cap)
+ * @param {Array<Object>} devices - Device entries
+ * @returns {boolean} True for CAPsMAN deployments
+ */
+function isCapsmanDeployment(devices) {
+  return devices.some(d => d.role === 'controller' || d.role === 'cap');
+}
+
+/**
+ * Parse a device selector
+ * @param {string} text - key=value[,value...] (e.g. tag=upstairs, role=cap, identity=shed-wap)
+ * @returns {{key: string, values: string[]}} Selector
+ * @throws {Error} When the selector is malformed or uses an unknown key
+ */
+function parseSelector(text) {
+  const match = /^([a-z]+)=(.+)$/.exec(text || '');
+  if (!match || !SELECTOR_KEYS.includes(match[1])) {
+    throw new Error(`Invalid device selector "${text}" (expected ${SELECTOR_KEYS.map(k => `${k}=...`).join(', ')})`);
+  }
+  return { key: match[1], values: match[2].split(',').map(v => v.trim()).filter(Boolean) };
+}
+
+/**
+ * Collect --only and --exclude selectors from command line arguments
+ * @param {string[]} args - Command line arguments
+ * @returns {{only: Array<Object>, exclude: Array<Object>}} Parsed selectors
+ */
+function parseSelectorArgs(args) {
+  const selectors = { only: [], exclude: [] };
+  args.forEach((arg, index) => {
+    if (arg === '--only' || arg === '--exclude') {
+      selectors[arg.slice(2)].push(parseSelector(args[index + 1]));
+    }
+  });
+  return selectors;
+}
+
+/**
+ * Check whether a device entry matches a selector
+ * Identity is the entry's identity, or the hostname part of its host.
+ * @param {Object} deviceConfig - Device entry (full format or bare credentials)
+ * @param {{key: string, values: string[]}} selector - Parsed selector
+ * @returns {boolean} True if any selector value matches
+ */
+function matchesSelector(deviceConfig, selector) {
+  const host = deviceHost(deviceConfig.device || deviceConfig);
+  switch (selector.key) {
+    case 'identity':
+      return selector.values.includes(deviceConfig.identity || extractHostname(host));
+    case 'host':
+      return selector.values.includes(host);
+    case 'role':
+      return selector.values.includes(deviceConfig.role || 'standalone');
+    case 'tag':
+      return (deviceConfig.tags || []).some(tag => selector.values.includes(String(tag)));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Devices a run targets
+ * An entry is selected when it matches every --only selector (if any) and no
+ * --exclude selector; values within one selector are alternatives.
+ * @param {Array<Object>} devices - Device entries
+ * @param {{only: Array<Object>, exclude: Array<Object>}} selectors - From parseSelectorArgs
+ * @returns {Array<Object>} Selected entries (the same objects, in file order)
+ */
+function selectDevices(devices, selectors) {
+  return devices.filter(d =>
+    selectors.only.every(s => matchesSelector(d, s)) &&
+    !selectors.exclude.some(s => matchesSelector(d, s)));
+}
+
+/**
+ * Whether a run is limited to some devices
+ * @param {{only: Array<Object>, exclude: Array<Object>}} selectors - From parseSelectorArgs
+ * @returns {boolean} True when any selector is given
+ */
+function hasSelectors(selectors) {
+  return selectors.only.length > 0 || selectors.exclude.length > 0;
+}
+
+/**
+ * Describe selectors for run headers
+ * @param {{only: Array<Object>, exclude: Array<Object>}} selectors - From parseSelectorArgs
+ * @returns {string} e.g. "only tag=upstairs, exclude host=10.0.0.5"
+ */
+function describeSelectors(selectors) {
+  return [
+    ...selectors.only.map(s => `only ${s.key}=${s.values.join(',')}`),
+    ...selectors.exclude.map(s => `exclude ${s.key}=${s.values.join(',')}`)
+  ].join(', ');
+}
+
+module.exports = {
+  SELECTOR_KEYS,
+  parseSelector,
+  parseSelectorArgs,
+  matchesSelector,
+  selectDevices,
+  hasSelectors,
+  describeSelectors,
+  resolveSsidsForDevice,
+  resolveDeviceSsids,
+  resolveCapFallbackSsids,
+  resolveDeviceWifi,
+  buildDeviceConfig,
+  isCapsmanDeployment
+};
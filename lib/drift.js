@@ -0,0 +1,314 @@
+/**
+ * Drift detection
+ * Compares the desired state in multiple-devices.yaml with what a backup reads
+ * from each device: channels, TX power, country, SSIDs (VLAN, bands, 802.11r,
+ * passphrase), syslog, IGMP snooping and locked devices.
+ *
+ * Only settings the YAML specifies are compared for radios; SSIDs, syslog and
+ * locked devices found on a device but absent from the YAML count as drift.
+ */
+
+const { backupMikroTikConfig } = require('./backup');
+const { getConnectionConfig } = require('./connection');
+const { deviceHost } = require('./addresses');
+const { extractHostname } = require('./access-list');
+const { FREQ_CHANNEL_24GHZ, FREQ_CHANNEL_5GHZ } = require('./constants');
+const { resolveDeviceSsids, resolveCapFallbackSsids, resolveDeviceWifi } = require('./deployment');
+const { warn } = require('./run-events');
+
+const BAND_CHANNELS = { '2.4GHz': FREQ_CHANNEL_24GHZ, '5GHz': FREQ_CHANNEL_5GHZ };
+
+/**
+ * Radio channel as the backup reports it (channel number, or MHz when unmapped)
+ * @param {string} band - 2.4GHz or 5GHz
+ * @param {Object} settings - Band settings with channel or frequency
+ * @returns {number|string|undefined} Channel number, "<freq> MHz", or undefined
+ */
+function bandChannel(band, settings = {}) {
+  if (settings.channel !== undefined) {
+    return settings.channel;
+  }
+  if (settings.frequency !== undefined) {
+    return BAND_CHANNELS[band][settings.frequency] || `${settings.frequency} MHz`;
+  }
+  return undefined;
+}
+
+/**
+ * Normalize an SSID list for comparison
+ * @param {Array<Object>} ssids - SSIDs (resolved YAML or backup)
+ * @returns {Map<string, Object>} SSID name -> {vlan, bands, fastTransition, passphrase}
+ */
+function ssidMap(ssids = []) {
+  const map = new Map();
+  for (const ssid of ssids) {
+    const entry = map.get(ssid.ssid);
+    if (entry) {
+      // Backups list an SSID once per VLAN/passphrase combination
+      entry.bands = [...new Set([...entry.bands, ...(ssid.bands || [])])].sort();
+      if (!entry.vlans.includes(ssid.vlan)) entry.vlans.push(ssid.vlan);
+      continue;
+    }
+    map.set(ssid.ssid, {
+      vlans: [ssid.vlan],
+      bands: [...(ssid.bands || [])].sort(),
+      fastTransition: ssid.roaming?.fastTransition === true,
+      passphrase: ssid.passphrase
+    });
+  }
+  return map;
+}
+
+/**
+ * Normalize syslog settings for comparison
+ * @param {Object} [syslog] - Syslog settings {server, port, topics}
+ * @returns {Object|null} Syslog with defaults applied
+ */
+function normalizeSyslog(syslog) {
+  if (!syslog || !syslog.server) return null;
+  return {
+    server: syslog.server,
+    port: syslog.port || 514,
+    topics: [...(syslog.topics || ['wireless'])].sort().join(',')
+  };
+}
+
+/**
+ * Build the desired state of a device from the deployment YAML
+ * @param {Object} deviceConfig - Device entry from multiple-devices.yaml
+ * @param {Object} deployment - Whole multiple-devices.yaml document
+ * @returns {Object} Desired state {wifi, ssids, syslog, igmpSnooping, lockedDevices}
+ */
+function desiredState(deviceConfig, deployment) {
+  const deploymentSsids = deployment.ssids || [];
+  const ssids = deviceConfig.role === 'cap'
+    ? resolveCapFallbackSsids(deviceConfig, deploymentSsids)
+    : resolveDeviceSsids(deviceConfig, deploymentSsids);
+
+  return {
+    wifi: resolveDeviceWifi(deviceConfig, deployment.country) || {},
+    ssids,
+    syslog: deployment.syslog,
+    igmpSnooping: deviceConfig.igmpSnooping === true,
+    lockedDevices: deviceConfig.lockedDevices || []
+  };
+}
+
+/**
+ * Build the actual state of a device from its backup
+ * @param {Object} backup - Result of backupMikroTikConfig
+ * @param {Array<Object>} lockedDevices - Locked devices read from access-lists that lock to this device
+ * @returns {Object} Actual state {wifi, ssids, syslog, igmpSnooping, lockedDevices}
+ */
+function actualState(backup, lockedDevices = []) {
+  const wifi = { ...(backup.wifi || {}) };
+  // Backups promote a shared country to wifi.country but keep differing ones per band
+  if (!wifi.country) {
+    wifi.country = wifi['2.4GHz']?.country || wifi['5GHz']?.country;
+  }
+  return {
+    wifi,
+    ssids: backup.ssids || [],
+    syslog: backup.syslog,
+    igmpSnooping: backup.igmpSnooping === true,
+    lockedDevices
+  };
+}
+
+/**
+ * Compare desired and actual device state
+ * @param {Object} desired - See desiredState
+ * @param {Object} actual - See actualState
+ * @returns {Array<{path: string, desired: *, actual: *}>} Differences (undefined = absent)
+ */
+function compareState(desired, actual) {
+  const differences = [];
+  const add = (path, want, have) => differences.push({ path, desired: want, actual: have });
+
+  // Radio settings: compare only what the YAML sets
+  for (const band of ['2.4GHz', '5GHz']) {
+    const want = desired.wifi[band] || {};
+    const have = actual.wifi[band] || {};
+
+    const wantChannel = bandChannel(band, want);
+    const haveChannel = bandChannel(band, have);
+    if (wantChannel !== undefined && wantChannel !== haveChannel) {
+      add(`wifi.${band}.channel`, wantChannel, haveChannel);
+    }
+    if (want.txPower !== undefined && want.txPower !== have.txPower) {
+      add(`wifi.${band}.txPower`, want.txPower, have.txPower);
+    }
+  }
+  if (desired.wifi.country && desired.wifi.country !== actual.wifi.country) {
+    add('wifi.country', desired.wifi.country, actual.wifi.country);
+  }
+
+  // SSIDs
+  const wantSsids = ssidMap(desired.ssids);
+  const haveSsids = ssidMap(actual.ssids);
+  for (const [name, want] of wantSsids) {
+    const have = haveSsids.get(name);
+    if (!have) {
+      add(`ssid "${name}"`, `VLAN ${want.vlans.join(',')} on ${want.bands.join(', ')}`, undefined);
+      continue;
+    }
+    if (want.vlans.join(',') !== have.vlans.join(',')) {
+      add(`ssid "${name}".vlan`, want.vlans.join(','), have.vlans.join(','));
+    }
+    if (want.bands.join(',') !== have.bands.join(',')) {
+      add(`ssid "${name}".bands`, want.bands.join(', '), have.bands.join(', '));
+    }
+    if (want.fastTransition !== have.fastTransition) {
+      add(`ssid "${name}".roaming.fastTransition`, want.fastTransition, have.fastTransition);
+    }
+    // Devices that do not expose passphrases back up as UNKNOWN
+    if (want.passphrase && have.passphrase && have.passphrase !== 'UNKNOWN' && want.passphrase !== have.passphrase) {
+      add(`ssid "${name}".passphrase`, '***', '(different)');
+    }
+  }
+  for (const [name, have] of haveSsids) {
+    if (!wantSsids.has(name)) {
+      add(`ssid "${name}"`, undefined, `VLAN ${have.vlans.join(',')} on ${have.bands.join(', ')}`);
+    }
+  }
+
+  // Syslog
+  const wantSyslog = normalizeSyslog(desired.syslog);
+  const haveSyslog = normalizeSyslog(actual.syslog);
+  const describeSyslog = syslog => `${syslog.server}:${syslog.port} (${syslog.topics})`;
+  if (wantSyslog && !haveSyslog) {
+    add('syslog', describeSyslog(wantSyslog), undefined);
+  } else if (haveSyslog && !wantSyslog) {
+    add('syslog', undefined, describeSyslog(haveSyslog));
+  } else if (wantSyslog) {
+    for (const key of ['server', 'port', 'topics']) {
+      if (wantSyslog[key] !== haveSyslog[key]) {
+        add(`syslog.${key}`, wantSyslog[key], haveSyslog[key]);
+      }
+    }
+  }
+
+  // IGMP snooping
+  if (desired.igmpSnooping !== actual.igmpSnooping) {
+    add('igmpSnooping', desired.igmpSnooping, actual.igmpSnooping);
+  }
+
+  // Locked devices (keyed by MAC)
+  const lockKey = ld => String(ld.mac || '').toUpperCase();
+  const describeLock = ld => `${ld.hostname}${ld.ssid ? ` [${ld.ssid}]` : ''}`;
+  const wantLocks = new Map(desired.lockedDevices.map(ld => [lockKey(ld), ld]));
+  const haveLocks = new Map(actual.lockedDevices.map(ld => [lockKey(ld), ld]));
+  for (const [mac, want] of wantLocks) {
+    const have = haveLocks.get(mac);
+    if (!have || (want.ssid || null) !== (have.ssid || null)) {
+      add(`lockedDevices ${mac}`, describeLock(want), have ? describeLock(have) : undefined);
+    }
+  }
+  for (const [mac, have] of haveLocks) {
+    if (!wantLocks.has(mac)) {
+      add(`lockedDevices ${mac}`, undefined, describeLock(have));
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Back up every device in a deployment and compare it with the YAML
+ * Access-list rules are read from every device (normally only the controller
+ * has them) and attributed to the AP they lock to.
+ * @param {Object} deployment - Parsed multiple-devices.yaml
+ * @param {Object} [options] - Connection overrides merged into every device (e.g. transport, acceptNewHostKeys)
+ * @returns {Promise<Array<{host: string, role: string, differences: Array<Object>, error?: string}>>} Result per device
+ */
+async function detectDrift(deployment, options = {}) {
+  const devices = deployment.devices || [];
+
+  // Step 1: Back up every device
+  const backups = [];
+  for (const deviceConfig of devices) {
+    const credentials = { ...getConnectionConfig(deviceConfig.device), ...options };
+    try {
+      backups.push({ backup: await backupMikroTikConfig(credentials) });
+    } catch (error) {
+      console.error(`✗ Could not read ${credentials.host}: ${error.message}`);
+      backups.push({ error: error.message });
+    }
+  }
+
+  // Step 2: Collect locked devices from all access-lists
+  const allLocks = backups.flatMap(b => (b.backup && b.backup._lockedDevices) || []);
+
+  // Step 3: Compare each device
+  return devices.map((deviceConfig, index) => {
+    const host = deviceHost(deviceConfig.device);
+    const role = deviceConfig.role || 'standalone';
+    const { backup, error } = backups[index];
+    if (error) {
+      return { host, role, differences: [], error };
+    }
+
+    const identity = deviceConfig.identity || extractHostname(host);
+    const locks = allLocks.filter(ld => ld.lockToAp === identity);
+    try {
+      const differences = compareState(desiredState(deviceConfig, deployment), actualState(backup, locks));
+      return { host, role, differences };
+    } catch (e) {
+      return { host, role, differences: [], error: e.message };
+    }
+  });
+}
+
+/**
+ * Format one difference as a diff line
+ * "+" = in the YAML but missing on the device, "-" = on the device but not in
+ * the YAML, "~" = different value.
+ * @param {Object} difference - {path, desired, actual}
+ * @returns {string} Readable line
+ */
+function formatDifference({ path, desired, actual }) {
+  if (actual === undefined) {
+    return `+ ${path}: ${desired} (missing on device)`;
+  }
+  if (desired === undefined) {
+    return `- ${path}: ${actual} (not in config)`;
+  }
+  return `~ ${path}: config ${desired}, device ${actual}`;
+}
+
+/**
+ * Print a drift report
+ * @param {Array<Object>} results - Result of detectDrift
+ */
+function printDriftReport(results) {
+  console.log(`\n${'='.repeat(60)}`);
+  console.log('Drift Report');
+  console.log(`${'='.repeat(60)}`);
+
+  for (const result of results) {
+    console.log(`\n[${result.host}] (${result.role})`);
+    if (result.error) {
+      console.log(`  ✗ Could not compare: ${result.error}`);
+    } else if (result.differences.length === 0) {
+      console.log('  ✓ In sync');
+    } else {
+      warn(`${result.differences.length} difference(s):`, '  ');
+      for (const difference of result.differences) {
+        console.log(`    ${formatDifference(difference)}`);
+      }
+    }
+  }
+
+  const drifted = results.filter(r => !r.error && r.differences.length > 0).length;
+  const failed = results.filter(r => r.error).length;
+  console.log(`\nIn sync: ${results.length - drifted - failed}, Drifted: ${drifted}, Unreachable: ${failed}`);
+}
+
+module.exports = {
+  desiredState,
+  actualState,
+  compareState,
+  detectDrift,
+  formatDifference,
+  printDriftReport
+};
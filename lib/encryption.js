@@ -0,0 +1,213 @@
+/**
+ * Encrypted configuration files
+ * A whole configuration file can be stored as an AES-256-GCM envelope, which is
+ * itself YAML so it diffs and commits like any other file:
+ *
+ *   encrypted:
+ *     version: 1
+ *     cipher: aes-256-gcm
+ *     kdf: scrypt
+ *     ...
+ *     data: <base64 ciphertext>
+ *
+ * The key is a passphrase (or a key from config-crypt.js keygen) taken from
+ * MIKROTIK_CONFIG_KEY, or from the file named by MIKROTIK_CONFIG_KEY_FILE.
+ * The key is stretched with scrypt; no network access is involved.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+
+const KEY_ENV = 'MIKROTIK_CONFIG_KEY';
+const KEY_FILE_ENV = 'MIKROTIK_CONFIG_KEY_FILE';
+
+const ENVELOPE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+
+// scrypt cost (16 MiB of memory per key derivation)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+const ENVELOPE_HEADER = `# Encrypted MikroTik configuration (${CIPHER})
+# View: node config-crypt.js decrypt <file>    Edit: node config-crypt.js edit <file>
+# Key: ${KEY_ENV} or ${KEY_FILE_ENV}
+`;
+
+/**
+ * Parse an encrypted envelope
+ * @param {string} text - File contents
+ * @returns {Object|null} Envelope fields, or null when the text is not an envelope
+ */
+function parseEnvelope(text) {
+  if (!/^encrypted:/m.test(text)) return null;
+  let data;
+  try {
+    data = yaml.load(text);
+  } catch (e) {
+    return null;
+  }
+  const envelope = data && typeof data === 'object' && Object.keys(data).length === 1 ? data.encrypted : null;
+  return envelope && typeof envelope === 'object' && envelope.cipher && envelope.data ? envelope : null;
+}
+
+/**
+ * Check whether file contents are an encrypted envelope
+ * @param {string} text - File contents
+ * @returns {boolean} True when encrypted
+ */
+function isEncrypted(text) {
+  return parseEnvelope(text) !== null;
+}
+
+/**
+ * Read the encryption key
+ * @param {Object} [options] - {key: key itself, keyFile: file holding the key}
+ * @returns {string} Key (passphrase)
+ * @throws {Error} When no key is configured or the key file cannot be read
+ */
+function loadKey(options = {}) {
+  if (options.key) return options.key;
+
+  const keyFile = options.keyFile || process.env[KEY_FILE_ENV];
+  if (keyFile) {
+    const file = keyFile.startsWith('~/') ? path.join(os.homedir(), keyFile.slice(2)) : keyFile;
+    let key;
+    try {
+      key = fs.readFileSync(file, 'utf8').trim();
+    } catch (e) {
+      throw new Error(`Cannot read key file ${keyFile}: ${e.code === 'ENOENT' ? 'no such file' : e.message}`);
+    }
+    if (!key) {
+      throw new Error(`Key file ${keyFile} is empty`);
+    }
+    return key;
+  }
+
+  if (process.env[KEY_ENV]) return process.env[KEY_ENV];
+  throw new Error(`No encryption key: set ${KEY_ENV} or ${KEY_FILE_ENV} (create a key with: node config-crypt.js keygen)`);
+}
+
+/**
+ * Generate a random key
+ * @returns {string} 256-bit key, base64
+ */
+function generateKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+/**
+ * Data authenticated along with the ciphertext, so envelope fields cannot be altered
+ * @param {Object} envelope - Envelope fields
+ * @returns {Buffer} Associated data
+ */
+function associatedData(envelope) {
+  return Buffer.from(`${envelope.version}:${envelope.cipher}:${envelope.kdf}:${envelope.cost}:${envelope.blockSize}:${envelope.parallelism}:${envelope.salt}`);
+}
+
+/**
+ * Encrypt a configuration file's contents
+ * @param {string} text - Plain YAML
+ * @param {string} key - Key (passphrase)
+ * @returns {string} Envelope YAML
+ */
+function encryptText(text, key) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const envelope = {
+    version: ENVELOPE_VERSION,
+    cipher: CIPHER,
+    kdf: 'scrypt',
+    cost: SCRYPT_PARAMS.N,
+    blockSize: SCRYPT_PARAMS.r,
+    parallelism: SCRYPT_PARAMS.p,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64')
+  };
+
+  const cipher = crypto.createCipheriv(CIPHER, crypto.scryptSync(key, salt, 32, SCRYPT_PARAMS), iv);
+  cipher.setAAD(associatedData(envelope));
+  const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  envelope.tag = cipher.getAuthTag().toString('base64');
+  // Wrapped so the envelope stays readable in diffs
+  envelope.data = data.toString('base64').replace(/(.{76})/g, '$1\n');
+
+  return ENVELOPE_HEADER + yaml.dump({ encrypted: envelope }, { lineWidth: -1, sortKeys: false });
+}
+
+/**
+ * Decrypt an encrypted envelope
+ * @param {string} text - Envelope YAML
+ * @param {string} key - Key (passphrase)
+ * @returns {string} Plain YAML
+ * @throws {Error} When the text is not an envelope, uses an unknown format, or the key is wrong
+ */
+function decryptText(text, key) {
+  const envelope = parseEnvelope(text);
+  if (!envelope) {
+    throw new Error('Not an encrypted configuration');
+  }
+  if (envelope.version !== ENVELOPE_VERSION || envelope.cipher !== CIPHER || envelope.kdf !== 'scrypt') {
+    throw new Error(`Unsupported encryption (version ${envelope.version}, ${envelope.cipher}, ${envelope.kdf})`);
+  }
+
+  try {
+    const derived = crypto.scryptSync(key, Buffer.from(envelope.salt, 'base64'), 32, {
+      N: envelope.cost,
+      r: envelope.blockSize,
+      p: envelope.parallelism
+    });
+    const decipher = crypto.createDecipheriv(CIPHER, derived, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(associatedData(envelope));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const data = Buffer.from(envelope.data.replace(/\s+/g, ''), 'base64');
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  } catch (e) {
+    throw new Error('Cannot decrypt: wrong key or the file was modified');
+  }
+}
+
+/**
+ * Read a configuration file, decrypting it when it is encrypted
+ * @param {string} file - Configuration file
+ * @param {Object} [options] - {key, keyFile} (default: from the environment)
+ * @returns {{text: string, encrypted: boolean}} Plain YAML and whether the file was encrypted
+ */
+function readConfigText(file, options = {}) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (!isEncrypted(text)) {
+    return { text, encrypted: false };
+  }
+  try {
+    return { text: decryptText(text, loadKey(options)), encrypted: true };
+  } catch (e) {
+    throw new Error(`Encrypted configuration - ${e.message}`);
+  }
+}
+
+/**
+ * Write a configuration file, encrypted when requested
+ * @param {string} file - Configuration file
+ * @param {string} text - Plain YAML
+ * @param {Object} [options] - {encrypt: boolean, key, keyFile}
+ */
+function writeConfigText(file, text, options = {}) {
+  if (options.encrypt) {
+    fs.writeFileSync(file, encryptText(text, loadKey(options)), 'utf8');
+  } else {
+    fs.writeFileSync(file, text, 'utf8');
+  }
+}
+
+module.exports = {
+  KEY_ENV,
+  KEY_FILE_ENV,
+  isEncrypted,
+  loadKey,
+  generateKey,
+  encryptText,
+  decryptText,
+  readConfigText,
+  writeConfigText
+};
@@ -0,0 +1,274 @@
+/**
+ * Health gates for rolling deployments
+ * After a device is configured, the rollout waits until the device is healthy
+ * before moving on: reachable again, CAPsMAN running (controller) or registered
+ * with the controller (CAPs), configured SSIDs broadcast by running interfaces,
+ * and optionally WiFi clients back.
+ */
+
+const readline = require('readline');
+const { createConnection } = require('./connection');
+const { extractHostname } = require('./access-list');
+const { parseSettings } = require('./print-parser');
+const { normalizeValue } = require('./cli-command');
+
+const DEFAULT_HEALTH_GATE = {
+  timeout: 120,        // Seconds to wait for all checks to pass
+  interval: 5,         // Seconds between attempts
+  minClients: 0,       // Clients that must be connected again
+  minClientRatio: 0,   // Fraction of the clients connected before the device was configured
+  onFailure: 'stop'    // stop | pause (ask whether to continue; stops when not interactive)
+};
+
+// remote-cap states of a CAP that joined and was provisioned (/interface wifi capsman: Ok, /caps-man: Run)
+const CAP_JOINED_STATES = ['ok', 'run', 'running', 'provisioned'];
+
+/**
+ * Resolve a health gate setting
+ * @param {boolean|Object} setting - true for defaults, or overrides of DEFAULT_HEALTH_GATE; false disables
+ * @returns {Object|null} Gate settings, or null when disabled
+ */
+function resolveHealthGate(setting) {
+  if (!setting) return null;
+  const gate = { ...DEFAULT_HEALTH_GATE, ...(typeof setting === 'object' ? setting : {}) };
+  if (setting.enabled === false) return null;
+  if (!['stop', 'pause'].includes(gate.onFailure)) {
+    throw new Error(`healthGate.onFailure must be stop or pause (got ${gate.onFailure})`);
+  }
+  return gate;
+}
+
+/**
+ * Identity a device registers with on the controller
+ * @param {Object} config - Device configuration (host, identity)
+ * @returns {string|null} Identity, or null when the device is addressed by IP without one
+ */
+function expectedIdentity(config) {
+  if (config.identity) return config.identity;
+  if (!config.host || /^\d+\.\d+\.\d+\.\d+$/.test(config.host)) return null;
+  return extractHostname(config.host);
+}
+
+/**
+ * Run a function on a new session
+ * @param {Object} config - Connection configuration
+ * @param {Function} fn - Async function receiving the connected session
+ * @returns {Promise<*>} Result of fn
+ */
+async function withSession(config, fn) {
+  const mt = createConnection({ ...config, plan: null });
+  try {
+    await mt.connect();
+    return await fn(mt);
+  } finally {
+    await mt.close();
+  }
+}
+
+/**
+ * Count registered WiFi clients
+ * @param {Object} config - Connection configuration
+ * @param {string} [interfacePrefix] - Only clients on interfaces starting with this (CAP interfaces on a controller)
+ * @returns {Promise<number|null>} Client count, or null if it could not be read
+ */
+async function countClients(config, interfacePrefix) {
+  try {
+    return await withSession(config, async (mt) => {
+      const clients = await mt.print('/interface/wifi/registration-table');
+      return clients.filter(c => !interfacePrefix || (c.interface || '').startsWith(interfacePrefix)).length;
+    });
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Configured SSIDs that no running interface broadcasts
+ * @param {Array<Object>} ssids - Configured SSIDs ({ssid, ...})
+ * @param {Array<Object>} interfaces - /interface/wifi records
+ * @returns {string[]} SSID names not broadcast
+ */
+function ssidsNotBroadcast(ssids, interfaces) {
+  return ssids
+    .map(s => s.ssid)
+    .filter(ssid => !interfaces.some(i =>
+      (i['configuration.ssid'] || i['.ssid']) === ssid && normalizeValue(i.running) === 'yes'));
+}
+
+/**
+ * The checks that apply to a device
+ * Each probe resolves to {ok, detail}.
+ * @param {Object} config - Device configuration (connection, role, ssids)
+ * @param {Object} context - {controller, baselineClients, ssidsAssigned}
+ * @param {Object} gate - Gate settings
+ * @returns {Array<{name: string, probe: Function}>} Checks in order
+ */
+function buildChecks(config, context, gate) {
+  const checks = [];
+  const role = config.role || 'standalone';
+  const identity = expectedIdentity(config);
+  const capPrefix = identity ? `${identity}-` : null;
+
+  checks.push({
+    name: 'reachable',
+    probe: () => withSession(config, async (mt) => {
+      const { name } = parseSettings(await mt.exec('/system identity print'));
+      return { ok: true, detail: `identity ${name}` };
+    })
+  });
+
+  if (role === 'cap' && context.controller) {
+    checks.push({
+      name: 'registered with controller',
+      probe: () => withSession(context.controller, async (mt) => {
+        const remoteCaps = await mt.print('/interface/wifi/capsman/remote-cap');
+        const joined = r => CAP_JOINED_STATES.includes((r.state || '').toLowerCase());
+        const matching = remoteCaps.filter(r => identity ? r.identity === identity : (r.address || '').split('/')[0] === config.host);
+        const cap = matching.find(joined) || matching[0];
+        if (!cap) {
+          return { ok: false, detail: `${identity || config.host} not in remote-cap list` };
+        }
+        // Listed while still joining or provisioning is not enough
+        return { ok: joined(cap), detail: `${cap.identity} (${cap.state || 'unknown state'})` };
+      })
+    });
+
+    if (capPrefix) {
+      checks.push({
+        name: 'interfaces running',
+        probe: () => withSession(context.controller, async (mt) => {
+          // Interfaces Phase 2.5 disabled for a band without SSIDs are not expected to run
+          const interfaces = (await mt.print('/interface/wifi'))
+            .filter(i => (i.name || '').startsWith(capPrefix) && normalizeValue(i.disabled) !== 'yes');
+          const running = interfaces.filter(i => normalizeValue(i.running) === 'yes');
+          return {
+            ok: interfaces.length > 0 && running.length === interfaces.length,
+            detail: `${running.length}/${interfaces.length} CAP interface(s) running on controller`
+          };
+        })
+      });
+
+      // The controller assigns SSIDs to CAP interfaces after all CAPs joined (Phase 2.5);
+      // gates that run before that leave this check out (ssidsAssigned: false)
+      const capSsids = config.ssids && config.ssids.length > 0 ? config.ssids : context.controller.ssids || [];
+      if (context.ssidsAssigned !== false && capSsids.length > 0) {
+        checks.push({
+          name: 'SSIDs broadcast',
+          probe: () => withSession(context.controller, async (mt) => {
+            const interfaces = (await mt.print('/interface/wifi')).filter(i => (i.name || '').startsWith(capPrefix));
+            const missing = ssidsNotBroadcast(capSsids, interfaces);
+            return {
+              ok: missing.length === 0,
+              detail: missing.length === 0 ? `${capSsids.length} SSID(s) broadcast` : `not broadcast: ${missing.join(', ')}`
+            };
+          })
+        });
+      }
+    }
+  } else if (role === 'controller') {
+    // Controller radios get their SSIDs with the CAP interfaces (Phase 2.5)
+    checks.push({
+      name: 'CAPsMAN enabled',
+      probe: () => withSession(config, async (mt) => {
+        const capsman = parseSettings(await mt.exec('/interface wifi capsman print'));
+        return { ok: normalizeValue(capsman.enabled) === 'yes', detail: `enabled=${normalizeValue(capsman.enabled)}` };
+      })
+    });
+  } else if (role !== 'cap' && config.ssids && config.ssids.length > 0) {
+    checks.push({
+      name: 'SSIDs running',
+      probe: () => withSession(config, async (mt) => {
+        const down = ssidsNotBroadcast(config.ssids, await mt.print('/interface/wifi'));
+        return {
+          ok: down.length === 0,
+          detail: down.length === 0 ? `${config.ssids.length} SSID(s) running` : `not running: ${down.join(', ')}`
+        };
+      })
+    });
+  }
+
+  const required = Math.max(gate.minClients || 0, Math.ceil((context.baselineClients || 0) * (gate.minClientRatio || 0)));
+  if (required > 0) {
+    const clientSource = role === 'cap' ? context.controller : config;
+    checks.push({
+      name: 'clients recovered',
+      probe: async () => {
+        const count = clientSource ? await countClients(clientSource, role === 'cap' ? capPrefix : undefined) : null;
+        return {
+          ok: count !== null && count >= required,
+          detail: count === null ? 'registration table not readable' : `${count}/${required} client(s)`
+        };
+      }
+    });
+  }
+
+  return checks;
+}
+
+/**
+ * Wait for a configured device to become healthy
+ * Checks run in order; each is retried until it passes or the gate times out.
+ * @param {Object} config - Device configuration (connection, role, identity, ssids)
+ * @param {Object} gate - Gate settings (resolveHealthGate)
+ * @param {Object} [context] - {controller: controller configuration, baselineClients,
+ *   ssidsAssigned: false to leave out the CAP SSID check}
+ * @returns {Promise<{healthy: boolean, checks: Array<{name: string, ok: boolean, detail: string}>}>} Outcome
+ */
+async function waitForHealthy(config, gate, context = {}) {
+  // Fresh devices are expected to move from the default IP to DHCP
+  if (config.host === '192.168.88.1') {
+    console.log('ℹ️  Health gate skipped - connected via default IP 192.168.88.1');
+    return { healthy: true, checks: [] };
+  }
+
+  const deadline = Date.now() + gate.timeout * 1000;
+  const results = [];
+
+  for (const { name, probe } of buildChecks(config, context, gate)) {
+    let result;
+    for (;;) {
+      try {
+        result = await probe();
+      } catch (e) {
+        result = { ok: false, detail: e.message };
+      }
+      if (result.ok || Date.now() + gate.interval * 1000 > deadline) break;
+      await new Promise(resolve => setTimeout(resolve, gate.interval * 1000));
+    }
+
+    results.push({ name, ...result });
+    console.log(`  ${result.ok ? '✓' : '✗'} ${name}: ${result.detail}`);
+    if (!result.ok) {
+      return { healthy: false, checks: results };
+    }
+  }
+
+  return { healthy: true, checks: results };
+}
+
+/**
+ * Ask whether to continue after a failed gate
+ * Answers no when stdin is not a terminal.
+ * @param {number} remaining - Devices not yet configured
+ * @returns {Promise<boolean>} True to continue the rollout
+ */
+async function confirmContinue(remaining) {
+  if (!process.stdin.isTTY) {
+    console.log('  Not running interactively - stopping');
+    return false;
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve =>
+    rl.question(`  Continue with the remaining ${remaining} device(s)? [y/N] `, resolve));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+module.exports = {
+  DEFAULT_HEALTH_GATE,
+  resolveHealthGate,
+  countClients,
+  expectedIdentity,
+  waitForHealthy,
+  confirmContinue
+};
@@ -0,0 +1,186 @@
+/**
+ * SSH host key pinning
+ * Trust-on-first-use known-hosts file plus optional per-device fingerprints
+ * Keys are pinned under the device's configured host, not the address a session
+ * fell back to, and never when connected through the factory default address
+ * 192.168.88.1.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { warn } = require('./run-events');
+
+const DEFAULT_KNOWN_HOSTS_FILE = path.join(os.homedir(), '.mikrotik_known_hosts');
+
+/**
+ * Resolve the known-hosts file location
+ * Order: explicit path, MIKROTIK_KNOWN_HOSTS environment variable, ~/.mikrotik_known_hosts
+ * @param {string} [filePath] - Explicit known-hosts path (~ is expanded)
+ * @returns {string} Absolute path to the known-hosts file
+ */
+function getKnownHostsPath(filePath) {
+  const resolved = filePath || process.env.MIKROTIK_KNOWN_HOSTS || DEFAULT_KNOWN_HOSTS_FILE;
+  if (resolved === '~' || resolved.startsWith('~/')) {
+    return path.join(os.homedir(), resolved.slice(1));
+  }
+  return resolved;
+}
+
+/**
+ * Compute the OpenSSH-style SHA256 fingerprint of a raw host key
+ * @param {Buffer} key - Host key blob as sent by the server
+ * @returns {string} Fingerprint in the form SHA256:<base64>
+ */
+function fingerprintHostKey(key) {
+  const digest = crypto.createHash('sha256').update(key).digest('base64');
+  return `SHA256:${digest.replace(/=+$/, '')}`;
+}
+
+/**
+ * Normalize a configured fingerprint for comparison
+ * Accepts "SHA256:<base64>" or bare base64, with or without padding.
+ * @param {string} fingerprint - Fingerprint from YAML or the known-hosts file
+ * @returns {string} Normalized SHA256:<base64> fingerprint
+ */
+function normalizeFingerprint(fingerprint) {
+  const value = String(fingerprint).trim().replace(/^SHA256:/i, '').replace(/=+$/, '');
+  return `SHA256:${value}`;
+}
+
+/**
+ * Known-hosts entry name for a host/port pair
+ * @param {string} host - Device hostname or IP
+ * @param {number} port - SSH port
+ * @returns {string} "host" for port 22, "[host]:port" otherwise (OpenSSH convention)
+ */
+function knownHostsEntry(host, port) {
+  return port && port !== 22 ? `[${host}]:${port}` : host;
+}
+
+/**
+ * Load the known-hosts file
+ * Each line is "<host> <fingerprint>"; blank lines and # comments are ignored.
+ * @param {string} filePath - Known-hosts file path
+ * @returns {Map<string, string>} Host entry -> fingerprint
+ */
+function loadKnownHosts(filePath) {
+  const hosts = new Map();
+  if (!fs.existsSync(filePath)) {
+    return hosts;
+  }
+
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const [entry, fingerprint] = trimmed.split(/\s+/);
+    if (entry && fingerprint) {
+      hosts.set(entry, normalizeFingerprint(fingerprint));
+    }
+  }
+  return hosts;
+}
+
+/**
+ * Write the known-hosts file, replacing its contents
+ * @param {string} filePath - Known-hosts file path
+ * @param {Map<string, string>} hosts - Host entry -> fingerprint
+ */
+function saveKnownHosts(filePath, hosts) {
+  const lines = ['# MikroTik device SSH host keys (managed by mikrotik-as-wap-configurator)'];
+  for (const [entry, fingerprint] of hosts) {
+    lines.push(`${entry} ${fingerprint}`);
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, lines.join('\n') + '\n', { encoding: 'utf8', mode: 0o600 });
+}
+
+/**
+ * Verify a server host key against the pinned fingerprint
+ *
+ * - hostKeyFingerprint set: key must match it exactly (never re-pinned)
+ * - Connected through 192.168.88.1 (configured host or fallback address): key is
+ *   trusted and neither checked against the host's pin nor recorded - every
+ *   fresh device answers there, so a pin would reject the next one, and a
+ *   factory-reset unit reached there has a new key
+ * - Host unknown: key is trusted and recorded (trust on first use)
+ * - Host known with a different key: rejected unless acceptNewHostKeys is set,
+ *   in which case the new key replaces the old one
+ *
+ * @param {Buffer} key - Host key blob as sent by the server
+ * @param {Object} options - Verification options
+ * @param {string} options.host - Configured device host, the known-hosts entry the key is pinned under
+ * @param {string} [options.address] - Address the session connected through (default: host)
+ * @param {number} [options.port] - SSH port (default: 22)
+ * @param {string} [options.hostKeyFingerprint] - Expected fingerprint from device config
+ * @param {string} [options.knownHostsFile] - Known-hosts file path
+ * @param {boolean} [options.acceptNewHostKeys] - Re-pin changed keys instead of failing
+ * @returns {{ok: boolean, fingerprint: string, error?: string}} Verification result
+ */
+function verifyHostKey(key, options) {
+  const fingerprint = fingerprintHostKey(key);
+  const port = options.port || 22;
+  const entry = knownHostsEntry(options.host, port);
+
+  if (options.hostKeyFingerprint) {
+    const expected = normalizeFingerprint(options.hostKeyFingerprint);
+    if (expected !== fingerprint) {
+      return {
+        ok: false,
+        fingerprint,
+        error: `Host key for ${entry} does not match hostKeyFingerprint - expected ${expected}, got ${fingerprint}. ` +
+          'Refusing to connect; the device may have been replaced or an attacker may be impersonating it.'
+      };
+    }
+    return { ok: true, fingerprint };
+  }
+
+  const address = options.address || options.host;
+  if (address === '192.168.88.1') {
+    const via = address !== options.host ? ` via ${address}` : '';
+    console.log(`ℹ️  Host key for ${entry}${via} not pinned (factory default address): ${fingerprint}`);
+    return { ok: true, fingerprint };
+  }
+
+  const filePath = getKnownHostsPath(options.knownHostsFile);
+  const hosts = loadKnownHosts(filePath);
+  const known = hosts.get(entry);
+
+  if (known === fingerprint) {
+    return { ok: true, fingerprint };
+  }
+
+  if (known && !options.acceptNewHostKeys) {
+    return {
+      ok: false,
+      fingerprint,
+      error: `Host key for ${entry} has changed - pinned ${known}, got ${fingerprint}. ` +
+        'Refusing to connect; the device may have been reset or an attacker may be impersonating it. ' +
+        `If the change is expected, remove the entry from ${filePath} or re-run with --accept-new-host-keys.`
+    };
+  }
+
+  hosts.set(entry, fingerprint);
+  try {
+    saveKnownHosts(filePath, hosts);
+  } catch (e) {
+    warn(`Could not save host key to ${filePath}: ${e.message}`);
+  }
+  if (known) {
+    warn(`Host key for ${entry} changed - accepted new key ${fingerprint}`);
+  } else {
+    console.log(`✓ Pinned new host key for ${entry}: ${fingerprint}`);
+  }
+  return { ok: true, fingerprint };
+}
+
+module.exports = {
+  DEFAULT_KNOWN_HOSTS_FILE,
+  getKnownHostsPath,
+  fingerprintHostKey,
+  normalizeFingerprint,
+  loadKnownHosts,
+  verifyHostKey
+};
@@ -4,10 +4,19 @@
  */
 
 const { MikroTikSSH } = require('./ssh-client');
+const { MikroTikREST } = require('./rest-client');
+const { MikroTikAPI, RouterOSTrapError } = require('./api-client');
+const { MikroTikSimulator, getSimulatedDevice, resetSimulator } = require('./simulator');
+const { ConfigurationPlan } = require('./plan');
+const { detectDrift } = require('./drift');
+const { SnapshotStore, recordSnapshot, restoreSnapshot } = require('./snapshots');
+const { createConnection, getConnectionConfig } = require('./connection');
+const { deviceHost } = require('./addresses');
 const { configureMikroTik } = require('./configure');
 const { configureController, configureCap, configureCapInterfacesOnController, configureLocalCapFallback } = require('./capsman');
 const { backupMikroTikConfig } = require('./backup');
 const { configureAccessLists, backupAccessLists, extractHostname } = require('./access-list');
+const { configureInfrastructureSteps } = require('./phases');
 
 module.exports = {
   // Main configuration entry point
@@ -19,6 +28,9 @@ module.exports = {
   configureCapInterfacesOnController,
   configureLocalCapFallback,
 
+  // Single infrastructure steps (syslog, IGMP snooping, identity) without WiFi
+  configureInfrastructureSteps,
+
   // Access-list functions (WAP locking)
   configureAccessLists,
   backupAccessLists,
@@ -27,6 +39,28 @@ module.exports = {
   // Backup function
   backupMikroTikConfig,
 
-  // SSH client for direct device access
-  MikroTikSSH
+  // SSH, REST and RouterOS API clients for direct device access
+  MikroTikSSH,
+  MikroTikREST,
+  MikroTikAPI,
+  RouterOSTrapError,
+  createConnection,
+  getConnectionConfig,
+  deviceHost,
+
+  // In-process device simulator (testing without hardware)
+  MikroTikSimulator,
+  getSimulatedDevice,
+  resetSimulator,
+
+  // Plan mode (record changes instead of applying them)
+  ConfigurationPlan,
+
+  // Drift detection (YAML vs live devices)
+  detectDrift,
+
+  // Configuration snapshots (history, diff, restore)
+  SnapshotStore,
+  recordSnapshot,
+  restoreSnapshot
 };
@@ -3,6 +3,9 @@
  * Bridge, DHCP, bonding, syslog, and management interface setup
  */
 
+const { parsePrint } = require('./print-parser');
+const { warn } = require('./run-events');
+
 /**
  * Execute a command idempotently - handles "already exists" errors gracefully
  * @param {MikroTikSSH} mt - Connected SSH session
@@ -25,6 +28,19 @@ async function execIdempotent(mt, command, successMsg, alreadyDonePatterns = ['a
   }
 }
 
+/**
+ * Find the first item of a menu matching a where-condition
+ * Checked before add commands, so a plan only records adds that change the device
+ * @param {MikroTikSSH} mt - Connected SSH session
+ * @param {string} menu - Console menu (e.g. '/interface bridge port')
+ * @param {string} where - Condition (e.g. 'interface=ether1')
+ * @returns {Promise<Object|null>} Matching record (see parsePrint), or null
+ */
+async function findItem(mt, menu, where) {
+  const [item] = parsePrint(await mt.exec(`${menu} print detail where ${where}`));
+  return item || null;
+}
+
 /**
  * Execute a command, logging warning on failure instead of throwing
  * @param {MikroTikSSH} mt - Connected SSH session
@@ -37,7 +53,7 @@ async function execWithWarning(mt, command, successMsg, warningPrefix) {
     await mt.exec(command);
     console.log(`✓ ${successMsg}`);
   } catch (e) {
-    console.log(`⚠️  ${warningPrefix}: ${e.message}`);
+    warn(`${warningPrefix}: ${e.message}`);
   }
 }
 
@@ -67,10 +83,10 @@ async function setDeviceIdentity(mt, config) {
       await mt.exec(`/system identity set name="${deviceIdentity}"`);
       console.log(`✓ Device identity set to: ${deviceIdentity}`);
     } catch (e) {
-      console.log(`⚠️  Could not set device identity: ${e.message}`);
+      warn(`Could not set device identity: ${e.message}`);
     }
   } else {
-    console.log('⚠️  No hostname found to set as identity (using IP address for connection)');
+    warn('No hostname found to set as identity (using IP address for connection)');
   }
 
   return deviceIdentity;
@@ -125,7 +141,7 @@ async function ensureBridgeInfrastructure(mt) {
       if (addErr.message.includes('already')) {
         console.log('✓ Bridge already exists');
       } else {
-        console.log('⚠️  Could not verify/create bridge: ' + addErr.message);
+        warn('Could not verify/create bridge: ' + addErr.message);
       }
     }
   }
@@ -135,7 +151,7 @@ async function ensureBridgeInfrastructure(mt) {
     await mt.exec('/interface bridge set bridge vlan-filtering=no');
     console.log('✓ VLAN filtering disabled (safe for management)');
   } catch (e) {
-    console.log(`⚠️  Could not disable VLAN filtering: ${e.message}`);
+    warn(`Could not disable VLAN filtering: ${e.message}`);
   }
 }
 
@@ -177,22 +193,20 @@ async function configureLacpBond(mt, bondMembers, bondName = 'bond1') {
   // modified by previous bonding configuration
   let primaryMac = null;
   try {
-    const ethDetail = await mt.exec(`/interface ethernet print detail where default-name=${bondMembers[0]}`);
+    const [eth] = parsePrint(await mt.exec(`/interface ethernet print detail where default-name=${bondMembers[0]}`));
     // Use orig-mac-address to get the original hardware MAC
-    const macMatch = ethDetail.match(/orig-mac-address=([0-9A-Fa-f:]+)/);
-    if (macMatch) {
-      primaryMac = macMatch[1];
+    if (eth && eth['orig-mac-address']) {
+      primaryMac = eth['orig-mac-address'];
       console.log(`✓ Using ${bondMembers[0]} original MAC for bond: ${primaryMac}`);
     } else {
       // Fallback to mac-address if orig-mac-address not found
-      const fallbackMatch = ethDetail.match(/mac-address=([0-9A-Fa-f:]+)/);
-      if (fallbackMatch) {
-        primaryMac = fallbackMatch[1];
+      if (eth && eth['mac-address']) {
+        primaryMac = eth['mac-address'];
         console.log(`✓ Using ${bondMembers[0]} MAC for bond: ${primaryMac} (orig MAC not found)`);
       }
     }
   } catch (e) {
-    console.log(`⚠️  Could not read ${bondMembers[0]} MAC address: ${e.message}`);
+    warn(`Could not read ${bondMembers[0]} MAC address: ${e.message}`);
   }
 
   // Create or update bond interface
@@ -214,7 +228,7 @@ async function configureLacpBond(mt, bondMembers, bondName = 'bond1') {
       console.log(`✓ Updated LACP bond ${bondName} with members: ${bondMembers.join(', ')}`);
     }
   } catch (e) {
-    console.log(`⚠️  Bond configuration error: ${e.message}`);
+    warn(`Bond configuration error: ${e.message}`);
     // Try alternative approach for existing bonds
     const macParam = primaryMac ? ` forced-mac-address=${primaryMac}` : '';
     try {
@@ -228,14 +242,14 @@ async function configureLacpBond(mt, bondMembers, bondName = 'bond1') {
 
   // Add bond to bridge
   try {
-    await mt.exec(`/interface bridge port add bridge=bridge interface=${bondName}`);
-    console.log(`✓ Added ${bondName} to bridge`);
-  } catch (e) {
-    if (e.message.includes('already have interface')) {
+    if (await findItem(mt, '/interface bridge port', `interface=${bondName}`)) {
       console.log(`✓ ${bondName} already in bridge`);
     } else {
-      console.log(`⚠️  Could not add bond to bridge: ${e.message}`);
+      await mt.exec(`/interface bridge port add bridge=bridge interface=${bondName}`);
+      console.log(`✓ Added ${bondName} to bridge`);
     }
+  } catch (e) {
+    warn(`Could not add bond to bridge: ${e.message}`);
   }
 
   // Enable all bond member interfaces
@@ -244,7 +258,7 @@ async function configureLacpBond(mt, bondMembers, bondName = 'bond1') {
       await mt.exec(`/interface ethernet set [find default-name=${member}] disabled=no`);
       console.log(`✓ Enabled ${member} for bonding`);
     } catch (e) {
-      console.log(`⚠️  Could not enable ${member}: ${e.message}`);
+      warn(`Could not enable ${member}: ${e.message}`);
     }
   }
 
@@ -259,7 +273,7 @@ async function configureLacpBond(mt, bondMembers, bondName = 'bond1') {
  */
 async function setBridgeAdminMac(mt, macAddress) {
   if (!macAddress) {
-    console.log('⚠️  No MAC address provided for bridge');
+    warn('No MAC address provided for bridge');
     return;
   }
 
@@ -267,7 +281,7 @@ async function setBridgeAdminMac(mt, macAddress) {
     await mt.exec(`/interface bridge set bridge auto-mac=no admin-mac=${macAddress}`);
     console.log(`✓ Set bridge admin-mac=${macAddress} (DHCP will use this MAC)`);
   } catch (e) {
-    console.log(`⚠️  Could not set bridge admin-mac: ${e.message}`);
+    warn(`Could not set bridge admin-mac: ${e.message}`);
   }
 }
 
@@ -287,27 +301,26 @@ async function configureManagementInterfaces(mt, config) {
   for (const iface of mgmtInterfaces) {
     if (typeof iface === 'string') {
       try {
-        await execIdempotent(
-          mt,
-          `/interface bridge port add bridge=bridge interface=${iface}`,
-          `Added ${iface} to bridge`,
-          ['already have interface']
-        );
+        if (await findItem(mt, '/interface bridge port', `interface=${iface}`)) {
+          console.log(`✓ ${iface} already in bridge`);
+        } else {
+          await mt.exec(`/interface bridge port add bridge=bridge interface=${iface}`);
+          console.log(`✓ Added ${iface} to bridge`);
+        }
         // For simple interfaces, get the MAC of the first management interface
         if (!managementMac) {
           try {
-            const ethDetail = await mt.exec(`/interface ethernet print detail where default-name=${iface}`);
-            const macMatch = ethDetail.match(/orig-mac-address=([0-9A-Fa-f:]+)/);
-            if (macMatch) {
-              managementMac = macMatch[1];
+            const [eth] = parsePrint(await mt.exec(`/interface ethernet print detail where default-name=${iface}`));
+            if (eth && eth['orig-mac-address']) {
+              managementMac = eth['orig-mac-address'];
               console.log(`✓ Using ${iface} MAC for bridge: ${managementMac}`);
             }
           } catch (e) {
-            console.log(`⚠️  Could not read ${iface} MAC: ${e.message}`);
+            warn(`Could not read ${iface} MAC: ${e.message}`);
           }
         }
       } catch (e) {
-        console.log(`⚠️  Could not add ${iface}: ${e.message}`);
+        warn(`Could not add ${iface}: ${e.message}`);
       }
     } else if (iface.bond && Array.isArray(iface.bond)) {
       const { primaryMac } = await configureLacpBond(mt, iface.bond);
@@ -351,14 +364,18 @@ async function enableDhcpClient(mt) {
   console.log('\n=== Establishing Management via DHCP ===');
 
   try {
-    await execIdempotent(
-      mt,
-      '/ip dhcp-client add interface=bridge disabled=no',
-      'Added DHCP client on bridge',
-      ['already have']
-    );
+    const client = await findItem(mt, '/ip dhcp-client', 'interface=bridge');
+    if (!client) {
+      await mt.exec('/ip dhcp-client add interface=bridge disabled=no');
+      console.log('✓ Added DHCP client on bridge');
+    } else if (client.disabled === 'yes' || client.disabled === 'true') {
+      await mt.exec('/ip dhcp-client enable [find interface=bridge]');
+      console.log('✓ Enabled existing DHCP client on bridge');
+    } else {
+      console.log('✓ DHCP client already on bridge');
+    }
   } catch (e) {
-    console.log(`⚠️  DHCP client: ${e.message}`);
+    warn(`DHCP client: ${e.message}`);
   }
 }
 
@@ -401,7 +418,7 @@ async function configureSyslog(mt, config) {
     console.log(`✓ Syslog configured: ${syslogServer}:${syslogPort}`);
     console.log(`  Topics: ${syslogTopics.join(', ')}`);
   } catch (e) {
-    console.log(`⚠️  Syslog config: ${e.message}`);
+    warn(`Syslog config: ${e.message}`);
   }
 }
 
@@ -419,7 +436,7 @@ async function configureIgmpSnooping(mt, enabled) {
     await mt.exec(`/interface bridge set bridge igmp-snooping=${value}`);
     console.log(`✓ IGMP snooping ${enabled ? 'enabled' : 'disabled'}`);
   } catch (e) {
-    console.log(`⚠️  Could not configure IGMP snooping: ${e.message}`);
+    warn(`Could not configure IGMP snooping: ${e.message}`);
   }
 }
 
@@ -510,7 +527,7 @@ async function configureCapsmanVlan(mt, config) {
     );
     console.log('✓ Added firewall rule: block other traffic (admin protection)');
   } catch (e) {
-    console.log(`⚠️  Firewall rule error: ${e.message}`);
+    warn(`Firewall rule error: ${e.message}`);
   }
 
   console.log(`✓ CAPsMAN VLAN configured successfully`);
@@ -519,6 +536,7 @@ async function configureCapsmanVlan(mt, config) {
 
 module.exports = {
   execIdempotent,
+  findItem,
   execWithWarning,
   setDeviceIdentity,
   detectWifiPackage,
@@ -0,0 +1,565 @@
+/**
+ * Migration of configuration files to the current format
+ * Earlier releases configured the CAPsMAN VLAN in three ways and let devices
+ * of a deployment carry full SSIDs; the apply scripts still read them through
+ * fallbacks. migrateConfig rewrites them into the unified format and reports
+ * every transformation:
+ *
+ *   cap.capsmanVlan {vlan, network, address}  ->  capsman.vlan {id, network, address}
+ *   cap.controllerAddresses                   ->  capsman.controllerAddresses
+ *   capsmanAddress                            ->  capsman.vlan.address
+ *   capsmanVlan (deployment level)            ->  capsman.vlan.id/network of each controller and CAP
+ *   full SSIDs of devices and profiles        ->  deployment-level ssids + {ssid, bands} references
+ *
+ * Settings are migrated with the precedence the fallbacks give them, and
+ * effectiveDifferences confirms that every device is configured as before,
+ * including the SSIDs of the local WiFi fallback on CAPs.
+ */
+
+const yaml = require('js-yaml');
+const { detectKind } = require('./validate');
+const { applyProfile, applyProfiles, resolveProfile } = require('./profiles');
+const { buildDeviceConfig, resolveCapFallbackSsids } = require('./deployment');
+const { collectComments, restoreComments } = require('./yaml-comments');
+
+// Legacy CAPsMAN VLAN fields and their names under capsman.vlan
+const VLAN_FIELDS = { vlan: 'id', network: 'network', address: 'address' };
+
+const DUMP_OPTIONS = { indent: 2, lineWidth: 120, noRefs: true, sortKeys: false };
+
+/**
+ * Check whether a value is a mapping (not a list or null)
+ * @param {*} value - Value from YAML
+ * @returns {boolean} True for plain objects
+ */
+function isMapping(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * JSON with sorted keys, for comparing values
+ * @param {*} value - Value from YAML
+ * @returns {string} Canonical JSON
+ */
+function canonical(value) {
+  return JSON.stringify(value, (key, item) =>
+    isMapping(item) ? Object.fromEntries(Object.keys(item).sort().map(name => [name, item[name]])) : item
+  );
+}
+
+/**
+ * Replace a key by another, keeping its position
+ * When the new key already exists, it is updated in place and the old key removed.
+ * @param {Object} object - Mapping; updated in place
+ * @param {string} oldKey - Key to replace
+ * @param {string} newKey - Key that replaces it
+ * @param {*} value - Value of the new key
+ */
+function renameKey(object, oldKey, newKey, value) {
+  if (newKey in object) {
+    object[newKey] = value;
+    delete object[oldKey];
+    return;
+  }
+  const entries = Object.entries(object).map(([key, item]) => (key === oldKey ? [newKey, value] : [key, item]));
+  for (const key of Object.keys(object)) delete object[key];
+  Object.assign(object, Object.fromEntries(entries));
+}
+
+/**
+ * CAPsMAN VLAN settings in their usual order (id, network, address)
+ * @param {Object} vlan - capsman.vlan mapping
+ * @returns {Object} Reordered copy
+ */
+function orderVlan(vlan) {
+  const { id, network, address, ...rest } = vlan;
+  return Object.fromEntries(Object.entries({ id, network, address, ...rest }).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Record a setting that moved
+ * @param {Object} result - Migration result
+ * @param {Array} from - Original path
+ * @param {Array|null} to - New path (null when the setting was removed)
+ * @param {string} [message] - Details
+ */
+function moved(result, from, to, message) {
+  result.changes.push({ from, to, message });
+  result.moves.push({ from, to });
+}
+
+/**
+ * Move an entry's cap: settings into capsman:
+ * In a deployment cap: settings win over capsman: ones (except the VLAN, where
+ * capsman.vlan wins field by field); in a single-device config capsman: wins.
+ * @param {Object} entry - Device entry, profile or single-device config; updated in place
+ * @param {Array} at - Path of the entry
+ * @param {Object} result - Migration result
+ * @param {boolean} single - Single-device config
+ * @param {Object} [inheritedVlan] - capsman.vlan the entry's profile sets
+ */
+function migrateCap(entry, at, result, single, inheritedVlan = {}) {
+  if (!isMapping(entry.cap)) return;
+  const { capsmanVlan, ...settings } = entry.cap;
+  const capsman = isMapping(entry.capsman) ? { ...entry.capsman } : {};
+  const hadVlan = isMapping(capsman.vlan);
+  result.moves.push({ from: [...at, 'cap'], to: [...at, 'capsman'] });
+
+  for (const [key, value] of Object.entries(settings)) {
+    const differs = capsman[key] !== undefined && canonical(capsman[key]) !== canonical(value);
+    if (differs && single) {
+      moved(result, [...at, 'cap', key], null, `removed - capsman.${key} takes precedence`);
+      continue;
+    }
+    capsman[key] = value;
+    moved(result, [...at, 'cap', key], [...at, 'capsman', key], differs ? `replaces capsman.${key} (cap.${key} took precedence)` : undefined);
+  }
+
+  if (isMapping(capsmanVlan)) {
+    if (single && hadVlan) {
+      moved(result, [...at, 'cap', 'capsmanVlan'], null, 'removed - capsman.vlan takes precedence');
+    } else {
+      const vlan = hadVlan ? { ...capsman.vlan } : {};
+      result.moves.push({ from: [...at, 'cap', 'capsmanVlan'], to: [...at, 'capsman', 'vlan'] });
+      for (const [legacy, field] of Object.entries(VLAN_FIELDS)) {
+        if (capsmanVlan[legacy] === undefined) continue;
+        if (vlan[field] !== undefined || inheritedVlan[field] !== undefined) {
+          const source = vlan[field] !== undefined ? '' : ' of the profile';
+          moved(result, [...at, 'cap', 'capsmanVlan', legacy], null, `removed - capsman.vlan.${field}${source} takes precedence`);
+          continue;
+        }
+        vlan[field] = capsmanVlan[legacy];
+        moved(result, [...at, 'cap', 'capsmanVlan', legacy], [...at, 'capsman', 'vlan', field]);
+      }
+      capsman.vlan = orderVlan(vlan);
+    }
+  }
+
+  if (Object.keys(capsman).length === 0) {
+    moved(result, [...at, 'cap'], null, 'removed (empty)');
+    delete entry.cap;
+  } else {
+    renameKey(entry, 'cap', 'capsman', capsman);
+  }
+}
+
+/**
+ * Move a CAPsMAN VLAN mapping of the legacy format into capsman.vlan
+ * Used for the top-level capsmanVlan of a single-device config, which applies
+ * only when neither capsman.vlan nor cap.capsmanVlan is set.
+ * @param {Object} config - Single-device config; updated in place
+ * @param {Object} result - Migration result
+ */
+function migrateSingleVlan(config, result) {
+  if (!isMapping(config.capsmanVlan)) return;
+  const capsman = isMapping(config.capsman) ? config.capsman : {};
+  if (isMapping(capsman.vlan)) {
+    moved(result, ['capsmanVlan'], null, 'removed - not used (cap.capsmanVlan or capsman.vlan takes precedence)');
+    delete config.capsmanVlan;
+    return;
+  }
+  const vlan = {};
+  result.moves.push({ from: ['capsmanVlan'], to: ['capsman', 'vlan'] });
+  for (const [legacy, field] of Object.entries(VLAN_FIELDS)) {
+    if (config.capsmanVlan[legacy] === undefined) continue;
+    vlan[field] = config.capsmanVlan[legacy];
+    moved(result, ['capsmanVlan', legacy], ['capsman', 'vlan', field]);
+  }
+  capsman.vlan = vlan;
+  if (isMapping(config.capsman)) {
+    delete config.capsmanVlan;
+  } else {
+    renameKey(config, 'capsmanVlan', 'capsman', capsman);
+  }
+}
+
+/**
+ * Move capsmanAddress into capsman.vlan.address
+ * @param {Object} entry - Device entry or single-device config; updated in place
+ * @param {Array} at - Path of the entry
+ * @param {Object} result - Migration result
+ * @param {*} [inheritedAddress] - CAPsMAN VLAN address the entry's profile sets
+ */
+function migrateCapsmanAddress(entry, at, result, inheritedAddress) {
+  if (entry.capsmanAddress === undefined) return;
+  const capsman = isMapping(entry.capsman) ? entry.capsman : {};
+  const vlan = isMapping(capsman.vlan) ? capsman.vlan : {};
+  if (vlan.address !== undefined || inheritedAddress !== undefined) {
+    const source = vlan.address !== undefined ? '' : ' of the profile';
+    moved(result, [...at, 'capsmanAddress'], null, `removed - capsman.vlan.address${source} takes precedence`);
+    delete entry.capsmanAddress;
+    return;
+  }
+  vlan.address = entry.capsmanAddress;
+  capsman.vlan = orderVlan(vlan);
+  moved(result, [...at, 'capsmanAddress'], [...at, 'capsman', 'vlan', 'address']);
+  if (isMapping(entry.capsman)) {
+    delete entry.capsmanAddress;
+  } else {
+    renameKey(entry, 'capsmanAddress', 'capsman', capsman);
+  }
+}
+
+/**
+ * Device entry with its profile applied, or null when the profile cannot be resolved
+ * @param {Object} entry - Device entry
+ * @param {Object} profiles - profiles: mapping
+ * @returns {Object|null} Effective entry
+ */
+function effectiveEntry(entry, profiles) {
+  try {
+    return applyProfile(entry, profiles);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * CAPsMAN VLAN settings a device gets from its profile, ranked as the legacy fallbacks rank them
+ * @param {Object} entry - Device entry
+ * @param {Object} profiles - profiles: mapping as written in the file
+ * @returns {{vlan: Object, address: *}} The profile's capsman.vlan (which wins over the device's
+ *   cap.capsmanVlan), and the address that wins over the device's capsmanAddress
+ */
+function inheritedVlan(entry, profiles) {
+  if (entry.profile === undefined) return { vlan: {}, address: undefined };
+  try {
+    const profile = resolveProfile(entry.profile, profiles);
+    const vlan = isMapping(profile.capsman) && isMapping(profile.capsman.vlan) ? profile.capsman.vlan : {};
+    const legacyVlan = isMapping(profile.cap) && isMapping(profile.cap.capsmanVlan) ? profile.cap.capsmanVlan : {};
+    return { vlan, address: vlan.address ?? legacyVlan.address };
+  } catch (e) {
+    return { vlan: {}, address: undefined };
+  }
+}
+
+/**
+ * Move the deployment-level capsmanVlan to the controller and CAP devices
+ * A device keeps the VLAN ID and network it already sets.
+ * @param {Object} config - Deployment; updated in place
+ * @param {Object} result - Migration result
+ */
+function migrateDeploymentVlan(config, result) {
+  const legacy = config.capsmanVlan;
+  if (!isMapping(legacy)) return;
+  const profiles = isMapping(config.profiles) ? config.profiles : {};
+  const devices = Array.isArray(config.devices) ? config.devices : [];
+
+  let targets = 0;
+  devices.forEach((entry, index) => {
+    const effective = isMapping(entry) ? effectiveEntry(entry, profiles) : null;
+    if (!effective || !['controller', 'cap'].includes(effective.role)) return;
+    targets++;
+    const effectiveVlan = (effective.capsman || {}).vlan || {};
+    for (const [legacyField, field] of [['vlan', 'id'], ['network', 'network']]) {
+      if (legacy[legacyField] === undefined || effectiveVlan[field] !== undefined) continue;
+      if (!isMapping(entry.capsman)) entry.capsman = {};
+      if (!isMapping(entry.capsman.vlan)) entry.capsman.vlan = {};
+      entry.capsman.vlan = orderVlan({ ...entry.capsman.vlan, [field]: legacy[legacyField] });
+      if (targets === 1) result.moves.push({ from: ['capsmanVlan'], to: ['devices', index, 'capsman', 'vlan'] });
+      moved(result, ['capsmanVlan', legacyField], ['devices', index, 'capsman', 'vlan', field]);
+    }
+  });
+
+  if (targets === 0) {
+    moved(result, ['capsmanVlan'], null, 'removed - no controller or CAP devices use it');
+  } else if (legacy.address !== undefined) {
+    moved(result, ['capsmanVlan', 'address'], null, 'removed - not used (each device sets capsman.vlan.address)');
+  }
+  delete config.capsmanVlan;
+}
+
+/**
+ * Replace full SSIDs of devices and profiles by references to deployment-level SSIDs
+ * An SSID becomes a deployment-level template unless one of that name exists;
+ * a list with an SSID that differs from the template of its name is left as it
+ * is.
+ * @param {Object} config - Deployment; updated in place
+ * @param {Object} result - Migration result
+ */
+function migrateSsids(config, result) {
+  const profiles = isMapping(config.profiles) ? config.profiles : {};
+  const devices = Array.isArray(config.devices) ? config.devices : [];
+  const templates = Array.isArray(config.ssids) ? config.ssids : [];
+  const existingCount = templates.length;
+  const added = [];
+
+  const lists = [
+    ...Object.entries(profiles).map(([name, owner]) => ({ owner, at: ['profiles', name] })),
+    ...devices.map((owner, index) => ({ owner, at: ['devices', index] }))
+  ].filter(({ owner }) => isMapping(owner) && Array.isArray(owner.ssids) && isMapping(owner.ssids[0]) && owner.ssids[0].passphrase !== undefined);
+
+  const sameTemplate = (a, b) => ['passphrase', 'vlan', 'roaming'].every(key => canonical(a[key]) === canonical(b[key]));
+
+  for (const { owner, at } of lists) {
+    const problems = [];
+    const created = [];
+    const plan = owner.ssids.map((ssid, index) => {
+      if (!isMapping(ssid) || ssid.passphrase === undefined) {
+        problems.push(`ssids[${index}] has no passphrase`);
+        return null;
+      }
+      const template = { ssid: ssid.ssid, passphrase: ssid.passphrase, vlan: ssid.vlan, ...(ssid.roaming !== undefined ? { roaming: ssid.roaming } : {}) };
+      const existing = [...templates, ...added, ...created].find(t => isMapping(t) && t.ssid === ssid.ssid);
+      if (existing && !sameTemplate(existing, template)) {
+        problems.push(`"${ssid.ssid}" differs from the deployment-level SSID of that name`);
+      } else if (!existing) {
+        created.push(template);
+      }
+      return { index, template: existing ? null : template, bands: ssid.bands };
+    });
+    if (problems.length > 0) {
+      result.warnings.push({ path: [...at, 'ssids'], message: `left as full SSIDs - ${problems.join(', ')}` });
+      continue;
+    }
+
+    for (const { index, template } of plan) {
+      if (!template) continue;
+      const target = ['ssids', templates.length + added.length];
+      added.push(template);
+      result.moves.push(...['passphrase', 'vlan', 'roaming'].map(key => ({ from: [...at, 'ssids', index, key], to: [...target, key] })));
+      result.changes.push({ from: [...at, 'ssids', index], to: target, message: `"${template.ssid}" added to deployment-level ssids` });
+    }
+    owner.ssids = plan.map(({ index, bands }) => ({ ssid: owner.ssids[index].ssid, bands }));
+    result.changes.push({ from: [...at, 'ssids'], to: null, message: 'full SSIDs replaced by references to deployment-level ssids' });
+  }
+
+  if (added.length === 0) return;
+
+  // Devices that used every deployment-level SSID keep using only the ones they had
+  devices.forEach((entry, index) => {
+    const effective = isMapping(entry) ? effectiveEntry(entry, profiles) : null;
+    if (!effective || (effective.ssids || []).length > 0) return;
+    if (effective.role === 'cap') {
+      result.notes.push({
+        path: ['devices', index],
+        message: existingCount > 0
+          ? `CAP local WiFi fallback now also includes ${added.map(t => t.ssid).join(', ')}`
+          : 'CAP now gets a local WiFi fallback with the deployment-level SSIDs'
+      });
+    } else if (existingCount > 0) {
+      entry.ssids = templates.slice(0, existingCount).map(t => ({ ssid: t.ssid, bands: t.bands }));
+      result.changes.push({ from: ['devices', index, 'ssids'], to: null, message: 'deployment-level SSIDs it used listed explicitly' });
+    }
+  });
+
+  if (existingCount > 0) {
+    templates.push(...added);
+  } else {
+    // Deployment-level SSIDs go before profiles and devices
+    const entries = Object.entries(config);
+    const position = entries.findIndex(([key]) => key === 'profiles' || key === 'devices');
+    entries.splice(position === -1 ? entries.length : position, 0, ['ssids', added]);
+    for (const key of Object.keys(config)) delete config[key];
+    Object.assign(config, Object.fromEntries(entries));
+  }
+}
+
+/**
+ * Rewrite a configuration into the current format
+ * @param {Object} config - Parsed configuration (secret references are left as they are)
+ * @param {string} [kind] - 'config' or 'multiple-devices' (default: detected)
+ * @returns {{config: Object, changes: Array<{from: Array, to: Array|null, message: string|undefined}>, warnings: Array<{path: Array, message: string}>, notes: Array<{path: Array, message: string}>, moves: Array<{from: Array, to: Array|null}>}}
+ *   Migrated copy, the transformations made, legacy settings left in place, consequences to be aware of, and where keys moved
+ */
+function migrateConfig(config, kind = detectKind(config)) {
+  const result = { config: structuredClone(config), changes: [], warnings: [], notes: [], moves: [] };
+  const migrated = result.config;
+  if (!isMapping(migrated)) return result;
+
+  if (kind === 'multiple-devices') {
+    const profiles = isMapping(migrated.profiles) ? migrated.profiles : {};
+    const originalProfiles = structuredClone(profiles);
+    Object.entries(profiles).forEach(([name, profile]) => {
+      if (isMapping(profile)) migrateCap(profile, ['profiles', name], result, false);
+    });
+    (Array.isArray(migrated.devices) ? migrated.devices : []).forEach((entry, index) => {
+      if (!isMapping(entry)) return;
+      const inherited = inheritedVlan(entry, originalProfiles);
+      migrateCap(entry, ['devices', index], result, false, inherited.vlan);
+      migrateCapsmanAddress(entry, ['devices', index], result, inherited.address);
+    });
+    migrateDeploymentVlan(migrated, result);
+    migrateSsids(migrated, result);
+  } else {
+    migrateCap(migrated, [], result, true);
+    migrateSingleVlan(migrated, result);
+    migrateCapsmanAddress(migrated, [], result);
+  }
+  return result;
+}
+
+/**
+ * Legacy settings of a configuration
+ * @param {Object} config - Parsed configuration
+ * @param {string} [kind] - 'config' or 'multiple-devices' (default: detected)
+ * @returns {Array<{from: Array, to: Array|null, message: string|undefined}>} Transformations migrate.js would make
+ */
+function findLegacySettings(config, kind = detectKind(config)) {
+  return migrateConfig(config, kind).changes;
+}
+
+/**
+ * CAPsMAN VLAN a device configures (as configureCapsmanVlan reads it)
+ * @param {Object} vlan - VLAN settings
+ * @returns {Object|null} {id, address, prefix}, or null when no VLAN is configured
+ */
+function appliedVlan(vlan) {
+  const id = vlan && (vlan.id || vlan.vlan);
+  if (!id || !vlan.address) return null;
+  const prefix = typeof vlan.network === 'string' && vlan.network.includes('/') ? vlan.network.split('/')[1] : '24';
+  return { id, address: vlan.address, prefix };
+}
+
+/**
+ * Settings each device of a configuration is configured with
+ * @param {Object} config - Parsed configuration
+ * @param {string} kind - 'config' or 'multiple-devices'
+ * @returns {Array<Object>} Effective settings by device
+ */
+function effectiveSettings(config, kind) {
+  if (kind !== 'multiple-devices') {
+    const { vlan, ...capsman } = config.capsman || {};
+    const cap = config.cap || {};
+    const vlanConfig = vlan || cap.capsmanVlan || config.capsmanVlan || {};
+    return [{
+      role: config.role || 'standalone',
+      ssids: config.ssids,
+      capsman: {
+        ...capsman,
+        controllerAddresses: capsman.controllerAddresses || cap.controllerAddresses,
+        vlan: appliedVlan({ ...vlanConfig, address: vlanConfig.address || config.capsmanAddress })
+      }
+    }];
+  }
+
+  const deployment = {
+    ssids: config.ssids || [],
+    country: config.country,
+    syslog: config.syslog,
+    capsmanVlan: config.capsmanVlan,
+    rollback: config.rollback,
+    reattach: config.reattach
+  };
+  return applyProfiles(config).devices.map(entry => {
+    let effective;
+    let fallbackSsids;
+    try {
+      effective = buildDeviceConfig(entry, deployment);
+      fallbackSsids = effective.role === 'cap' ? resolveCapFallbackSsids(entry, deployment.ssids) : undefined;
+    } catch (e) {
+      return { error: e.message };
+    }
+    const { capsman, ...settings } = effective;
+    // CAPs broadcast the controller's SSIDs, and their own only as the local WiFi fallback (Phase 2.6);
+    // standalone devices have no CAPsMAN settings
+    if (settings.role === 'cap') {
+      delete settings.ssids;
+      settings.localFallback = { ssids: fallbackSsids };
+    }
+    if (settings.role === 'standalone') return settings;
+    const { capsmanVlan: _legacyVlan, vlan, ...capsmanSettings } = capsman;
+    return { ...settings, capsman: { ...capsmanSettings, vlan: appliedVlan(vlan) } };
+  });
+}
+
+/**
+ * Compare what the devices of two versions of a configuration are configured with
+ * @param {Object} before - Original configuration
+ * @param {Object} after - Migrated configuration
+ * @param {string} [kind] - 'config' or 'multiple-devices' (default: detected)
+ * @returns {Array<{path: Array, message: string}>} Settings that differ (empty when every device is configured the same)
+ */
+function effectiveDifferences(before, after, kind = detectKind(before)) {
+  const shorten = value => {
+    const text = value === undefined ? 'unset' : canonical(value);
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+  };
+  const differences = [];
+  const compare = (original, migrated, at) => {
+    if (canonical(original) === canonical(migrated)) return;
+    if (isMapping(original) && isMapping(migrated)) {
+      for (const key of new Set([...Object.keys(original), ...Object.keys(migrated)])) {
+        compare(original[key], migrated[key], [...at, key]);
+      }
+    } else if (Array.isArray(original) && Array.isArray(migrated)) {
+      // Lists (e.g. SSIDs) item by item, so the message shows the item that differs
+      for (let index = 0; index < Math.max(original.length, migrated.length); index++) {
+        compare(original[index], migrated[index], [...at, index]);
+      }
+    } else {
+      differences.push({ path: at, message: `${shorten(original)} becomes ${shorten(migrated)}` });
+    }
+  };
+  const afterDevices = effectiveSettings(after, kind);
+  effectiveSettings(before, kind).forEach((device, index) => {
+    compare(device, afterDevices[index], kind === 'multiple-devices' ? ['devices', index] : []);
+  });
+  return differences;
+}
+
+/**
+ * Path of a key after the migration
+ * @param {Array} at - Original path
+ * @param {Array<{from: Array, to: Array|null}>} moves - From migrateConfig
+ * @returns {Array|null} New path, or null when the key was removed
+ */
+function movedPath(at, moves) {
+  let match = null;
+  for (const move of moves) {
+    const isPrefix = move.from.length <= at.length && move.from.every((segment, index) => segment === at[index]);
+    if (isPrefix && (!match || move.from.length > match.from.length)) match = move;
+  }
+  if (!match) return at;
+  return match.to ? [...match.to, ...at.slice(match.from.length)] : null;
+}
+
+/**
+ * Migrate a configuration file's text, keeping its comments
+ * @param {string} text - Plain YAML
+ * @param {string} [kind] - 'config' or 'multiple-devices' (default: detected)
+ * @returns {Object} migrateConfig's result plus {kind, text: migrated YAML, differences: from effectiveDifferences,
+ *   lostComments: Array<{line: number, comment: string}> comments that could not be placed}
+ * @throws {Error} YAML syntax errors
+ */
+function migrateText(text, kind) {
+  const comments = collectComments(text);
+  const original = yaml.load(text);
+  const configKind = kind || detectKind(original);
+  const result = migrateConfig(original, configKind);
+  if (result.changes.length === 0) {
+    return { ...result, kind: configKind, text, differences: [], lostComments: [] };
+  }
+
+  const dumped = yaml.dump(result.config, DUMP_OPTIONS);
+  let restored = null;
+  try {
+    restored = restoreComments(dumped, comments, at => movedPath(at, result.moves));
+    // Comments must not change what the file says
+    if (canonical(yaml.load(restored.text)) !== canonical(result.config)) restored = null;
+  } catch (e) {
+    restored = null;
+  }
+  if (!restored) {
+    const lostComments = comments.entries.flatMap(entry => [
+      ...entry.above.map((line, index) => ({ line: entry.line - entry.above.length + index, comment: line.trim() })),
+      ...(entry.inline ? [{ line: entry.line, comment: entry.inline }] : [])
+    ]).filter(({ comment }) => comment.startsWith('#'));
+    restored = { text: comments.header.join('\n') + (comments.header.length > 0 ? '\n' : '') + dumped, lost: lostComments };
+  }
+
+  return {
+    ...result,
+    kind: configKind,
+    text: restored.text,
+    differences: effectiveDifferences(original, result.config, configKind),
+    lostComments: restored.lost
+  };
+}
+
+module.exports = {
+  migrateConfig,
+  findLegacySettings,
+  effectiveDifferences,
+  migrateText
+};
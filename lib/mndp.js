@@ -0,0 +1,452 @@
+/**
+ * MikroTik Neighbor Discovery Protocol (MNDP)
+ * RouterOS devices announce themselves on UDP port 5678 and answer a
+ * discovery request sent to the same port. An announcement is a 4-byte
+ * header (2 bytes, then a 2-byte sequence number) followed by TLVs: 2-byte
+ * type, 2-byte length (both big-endian) and the value.
+ * Packets can be received live (discoverNeighbors) or read from a capture
+ * file (readCapture: pcap, or one hex-encoded packet per line).
+ */
+
+const dgram = require('dgram');
+const os = require('os');
+
+const MNDP_PORT = 5678;
+
+// TLV types (type -> field)
+const MNDP_FIELDS = {
+  1: 'mac',
+  5: 'identity',
+  7: 'version',
+  8: 'platform',
+  10: 'uptime',
+  11: 'softwareId',
+  12: 'board',
+  14: 'unpack',
+  15: 'ipv6',
+  16: 'interfaceName',
+  17: 'ipv4'
+};
+
+// Discovery request: an empty packet (header only)
+const MNDP_REQUEST = Buffer.alloc(4);
+
+/**
+ * Format a MAC address
+ * @param {Buffer} bytes - 6 bytes
+ * @returns {string} e.g. 48:8F:5A:11:22:33
+ */
+function formatMac(bytes) {
+  return [...bytes].map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(':');
+}
+
+/**
+ * Format an IPv6 address (zero runs are not compressed)
+ * @param {Buffer} bytes - 16 bytes
+ * @returns {string} e.g. fe80:0:0:0:4a8f:5aff:fe11:2233
+ */
+function formatIpv6(bytes) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(bytes.readUInt16BE(i).toString(16));
+  }
+  return groups.join(':');
+}
+
+/**
+ * Decode one TLV value
+ * @param {number} type - TLV type
+ * @param {Buffer} value - TLV value
+ * @returns {*} Decoded value, or undefined when malformed
+ */
+function decodeValue(type, value) {
+  switch (MNDP_FIELDS[type]) {
+    case 'mac':
+      return value.length === 6 ? formatMac(value) : undefined;
+    case 'uptime':
+      // Seconds, little-endian (unlike the TLV header)
+      return value.length === 4 ? value.readUInt32LE(0) : undefined;
+    case 'unpack':
+      return value.length === 1 ? value[0] : undefined;
+    case 'ipv4':
+      return value.length === 4 ? [...value].join('.') : undefined;
+    case 'ipv6':
+      return value.length === 16 ? formatIpv6(value) : undefined;
+    default:
+      return value.toString('utf8');
+  }
+}
+
+/**
+ * Decode an MNDP announcement
+ * @param {Buffer} packet - UDP payload
+ * @param {string} [source] - Source address of the packet
+ * @returns {Object|null} Neighbor ({mac, identity, version, platform, uptime, board, ipv4, ipv6, interfaceName, ..., source}),
+ *   or null for discovery requests and malformed packets
+ */
+function decodeMndpPacket(packet, source) {
+  if (!Buffer.isBuffer(packet) || packet.length < 4) return null;
+
+  const neighbor = {};
+  let offset = 4;
+  while (offset + 4 <= packet.length) {
+    const type = packet.readUInt16BE(offset);
+    const length = packet.readUInt16BE(offset + 2);
+    if (offset + 4 + length > packet.length) return null;
+    const value = packet.subarray(offset + 4, offset + 4 + length);
+    offset += 4 + length;
+
+    if (MNDP_FIELDS[type]) {
+      const decoded = decodeValue(type, value);
+      if (decoded !== undefined) neighbor[MNDP_FIELDS[type]] = decoded;
+    }
+  }
+
+  if (!neighbor.mac && !neighbor.identity) return null;
+  if (source) neighbor.source = source;
+  return neighbor;
+}
+
+/**
+ * Encode an MNDP announcement (for replaying and simulating neighbors)
+ * @param {Object} neighbor - Fields as returned by decodeMndpPacket
+ * @param {number} [sequence] - Sequence number
+ * @returns {Buffer} UDP payload
+ */
+function encodeMndpPacket(neighbor, sequence = 0) {
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(sequence & 0xffff, 2);
+  const tlvs = [header];
+
+  for (const [type, field] of Object.entries(MNDP_FIELDS)) {
+    const value = neighbor[field];
+    if (value === undefined || value === null) continue;
+
+    let bytes;
+    if (field === 'mac') {
+      bytes = Buffer.from(value.split(/[:-]/).map(h => parseInt(h, 16)));
+    } else if (field === 'uptime') {
+      bytes = Buffer.alloc(4);
+      bytes.writeUInt32LE(value);
+    } else if (field === 'unpack') {
+      bytes = Buffer.from([value]);
+    } else if (field === 'ipv4') {
+      bytes = Buffer.from(value.split('.').map(Number));
+    } else if (field === 'ipv6') {
+      bytes = Buffer.alloc(16);
+      value.split(':').forEach((group, i) => bytes.writeUInt16BE(parseInt(group || '0', 16), i * 2));
+    } else {
+      bytes = Buffer.from(String(value), 'utf8');
+    }
+
+    const tl = Buffer.alloc(4);
+    tl.writeUInt16BE(Number(type), 0);
+    tl.writeUInt16BE(bytes.length, 2);
+    tlvs.push(tl, bytes);
+  }
+
+  return Buffer.concat(tlvs);
+}
+
+/**
+ * Merge neighbors seen more than once (by MAC, else identity)
+ * Later packets fill in and update fields of earlier ones.
+ * @param {Array<Object>} neighbors - Decoded announcements
+ * @returns {Array<Object>} One entry per device, sorted by address
+ */
+function mergeNeighbors(neighbors) {
+  const byKey = new Map();
+  for (const neighbor of neighbors) {
+    const key = neighbor.mac || `identity:${neighbor.identity}`;
+    byKey.set(key, { ...(byKey.get(key) || {}), ...neighbor });
+  }
+
+  // Devices without an address sort last ('~' orders after digits by code point, not by locale)
+  const addressKey = n => {
+    const address = neighborAddress(n);
+    return address ? address.split('.').map(part => part.padStart(3, '0')).join('.') : '~';
+  };
+  const compare = (x, y) => (x < y ? -1 : x > y ? 1 : 0);
+  return [...byKey.values()].sort((a, b) => compare(addressKey(a), addressKey(b)) ||
+    String(a.identity).localeCompare(String(b.identity)));
+}
+
+/**
+ * IPv4 address to manage a neighbor by
+ * @param {Object} neighbor - Decoded announcement
+ * @returns {string|null} Advertised IPv4 address, else the packet source (unless unspecified)
+ */
+function neighborAddress(neighbor) {
+  if (neighbor.ipv4 && neighbor.ipv4 !== '0.0.0.0') return neighbor.ipv4;
+  if (neighbor.source && /^\d+\.\d+\.\d+\.\d+$/.test(neighbor.source) && neighbor.source !== '0.0.0.0') {
+    return neighbor.source;
+  }
+  return null;
+}
+
+/**
+ * Format an uptime
+ * @param {number} seconds - Uptime in seconds
+ * @returns {string} e.g. 3d4h5m6s
+ */
+function formatUptime(seconds) {
+  if (typeof seconds !== 'number') return '';
+  const units = [['w', 604800], ['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+  let rest = seconds;
+  let text = '';
+  for (const [unit, size] of units) {
+    const count = Math.floor(rest / size);
+    rest -= count * size;
+    if (count > 0) text += `${count}${unit}`;
+  }
+  return text || '0s';
+}
+
+/**
+ * IPv4 address to a number
+ * @param {string} address - Dotted quad
+ * @returns {number} Unsigned 32-bit value
+ */
+function ipToNumber(address) {
+  return address.split('.').reduce((n, part) => ((n << 8) | Number(part)) >>> 0, 0);
+}
+
+/**
+ * Whether an IPv4 address is in a network
+ * @param {string} address - Address to test
+ * @param {{address: string, netmask: string}} network - Interface address and netmask
+ * @returns {boolean} True if inside
+ */
+function inNetwork(address, network) {
+  if (!/^\d+\.\d+\.\d+\.\d+$/.test(address || '')) return false;
+  const mask = ipToNumber(network.netmask);
+  return ((ipToNumber(address) & mask) >>> 0) === ((ipToNumber(network.address) & mask) >>> 0);
+}
+
+/**
+ * IPv4 networks of the local interfaces
+ * @returns {Array<{name: string, address: string, netmask: string, cidr: string, broadcast: string}>} Networks
+ */
+function localNetworks() {
+  const networks = [];
+  for (const [name, addresses] of Object.entries(os.networkInterfaces())) {
+    for (const entry of addresses || []) {
+      if (entry.family !== 'IPv4' && entry.family !== 4) continue;
+      if (entry.internal) continue;
+      const mask = ipToNumber(entry.netmask);
+      const broadcast = ((ipToNumber(entry.address) & mask) | (~mask >>> 0)) >>> 0;
+      networks.push({
+        name,
+        address: entry.address,
+        netmask: entry.netmask,
+        cidr: entry.cidr,
+        broadcast: [24, 16, 8, 0].map(shift => (broadcast >>> shift) & 255).join('.')
+      });
+    }
+  }
+  return networks;
+}
+
+/**
+ * Find a local interface by name
+ * @param {string} name - Interface name (e.g. eth0)
+ * @returns {Object} Network, as returned by localNetworks
+ * @throws {Error} When the interface does not exist or has no IPv4 address
+ */
+function resolveInterface(name) {
+  const network = localNetworks().find(n => n.name === name);
+  if (!network) {
+    const names = [...new Set(localNetworks().map(n => n.name))];
+    throw new Error(`Interface ${name} not found or has no IPv4 address (available: ${names.join(', ') || 'none'})`);
+  }
+  return network;
+}
+
+/**
+ * Listen for MNDP announcements, soliciting them with a discovery request
+ * Node cannot bind a socket to a network interface, so with an interface
+ * the request is sent to its broadcast address, and packets from networks
+ * of other local interfaces are ignored. Packets from addresses outside
+ * every local network (e.g. devices still on 192.168.88.1) are kept.
+ * @param {Object} [options] - {interface: name, timeout: seconds (default 10), port, onNeighbor: neighbor => void}
+ * @returns {Promise<Array<Object>>} Neighbors, merged per device
+ */
+function discoverNeighbors(options = {}) {
+  const port = options.port || MNDP_PORT;
+  const timeout = (options.timeout ?? 10) * 1000;
+  const network = options.interface ? resolveInterface(options.interface) : null;
+  const otherNetworks = network ? localNetworks().filter(n => n.name !== network.name) : [];
+
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    const neighbors = [];
+    let timer = null;
+
+    socket.on('error', error => {
+      clearTimeout(timer);
+      socket.close();
+      reject(new Error(`MNDP socket error: ${error.message}`));
+    });
+
+    socket.on('message', (packet, rinfo) => {
+      if (otherNetworks.some(n => inNetwork(rinfo.address, n))) return;
+      const neighbor = decodeMndpPacket(packet, rinfo.address);
+      if (!neighbor) return;
+      const known = neighbors.some(n => (n.mac || n.identity) === (neighbor.mac || neighbor.identity));
+      neighbors.push(neighbor);
+      if (!known && options.onNeighbor) options.onNeighbor(neighbor);
+    });
+
+    socket.bind(port, () => {
+      socket.setBroadcast(true);
+      const target = network ? network.broadcast : '255.255.255.255';
+      socket.send(MNDP_REQUEST, MNDP_PORT, target, () => {});
+      timer = setTimeout(() => {
+        socket.close();
+        resolve(mergeNeighbors(neighbors));
+      }, timeout);
+    });
+  });
+}
+
+/**
+ * Extract UDP payloads to or from the MNDP port from a link-layer frame
+ * @param {Buffer} frame - Captured frame
+ * @param {number} linkType - pcap link type
+ * @returns {{packet: Buffer, source: string}|null} MNDP payload and source address
+ */
+function udpFromFrame(frame, linkType) {
+  let offset;
+  let etherType;
+  if (linkType === 1) {
+    // Ethernet, with optional 802.1Q tags
+    offset = 14;
+    etherType = frame.readUInt16BE(12);
+    while ((etherType === 0x8100 || etherType === 0x88a8) && frame.length >= offset + 4) {
+      etherType = frame.readUInt16BE(offset + 2);
+      offset += 4;
+    }
+  } else if (linkType === 113) {
+    // Linux cooked capture (tcpdump -i any)
+    offset = 16;
+    etherType = frame.readUInt16BE(14);
+  } else if (linkType === 276) {
+    // Linux cooked capture v2
+    offset = 20;
+    etherType = frame.readUInt16BE(0);
+  } else if (linkType === 101) {
+    // Raw IP
+    offset = 0;
+    etherType = (frame[0] >> 4) === 6 ? 0x86dd : 0x0800;
+  } else {
+    return null;
+  }
+
+  let source;
+  let protocol;
+  if (etherType === 0x0800 && frame.length >= offset + 20) {
+    protocol = frame[offset + 9];
+    source = [...frame.subarray(offset + 12, offset + 16)].join('.');
+    offset += (frame[offset] & 0x0f) * 4;
+  } else if (etherType === 0x86dd && frame.length >= offset + 40) {
+    protocol = frame[offset + 6];
+    source = formatIpv6(frame.subarray(offset + 8, offset + 24));
+    offset += 40;
+  } else {
+    return null;
+  }
+
+  if (protocol !== 17 || frame.length < offset + 8) return null;
+  const sourcePort = frame.readUInt16BE(offset);
+  const destinationPort = frame.readUInt16BE(offset + 2);
+  if (sourcePort !== MNDP_PORT && destinationPort !== MNDP_PORT) return null;
+  const length = frame.readUInt16BE(offset + 4);
+  return { packet: frame.subarray(offset + 8, offset + Math.min(length, frame.length - offset)), source };
+}
+
+/**
+ * Read packets from a pcap capture (e.g. tcpdump -w mndp.pcap udp port 5678)
+ * @param {Buffer} data - File contents
+ * @returns {Array<{packet: Buffer, source: string}>} MNDP payloads
+ * @throws {Error} For pcapng and unsupported link types
+ */
+function readPcap(data) {
+  const magic = data.readUInt32LE(0);
+  const littleEndian = magic === 0xa1b2c3d4 || magic === 0xa1b23c4d;
+  if (!littleEndian && magic !== 0xd4c3b2a1 && magic !== 0x4d3cb2a1) {
+    throw new Error('Not a pcap file (pcapng is not supported; save the capture as pcap)');
+  }
+  const read32 = offset => (littleEndian ? data.readUInt32LE(offset) : data.readUInt32BE(offset));
+  const linkType = read32(20) & 0xffff;
+  if (![1, 101, 113, 276].includes(linkType)) {
+    throw new Error(`Unsupported capture link type ${linkType}`);
+  }
+
+  const packets = [];
+  let offset = 24;
+  while (offset + 16 <= data.length) {
+    const length = read32(offset + 8);
+    const frame = data.subarray(offset + 16, offset + 16 + length);
+    offset += 16 + length;
+    const udp = udpFromFrame(frame, linkType);
+    if (udp) packets.push(udp);
+  }
+  return packets;
+}
+
+/**
+ * Read captured MNDP packets
+ * Accepts a pcap file, or text with one packet per line as hex (bytes may be
+ * separated by spaces or colons), optionally preceded by the source address.
+ * Lines starting with # are ignored.
+ * @param {Buffer} data - File contents
+ * @returns {Array<{packet: Buffer, source: string|undefined}>} Packets
+ * @throws {Error} When a line is not valid hex
+ */
+function readCapture(data) {
+  if (data.length >= 24 && [0xa1b2c3d4, 0xd4c3b2a1, 0xa1b23c4d, 0x4d3cb2a1].includes(data.readUInt32LE(0))) {
+    return readPcap(data);
+  }
+  if (data.length >= 4 && data.readUInt32LE(0) === 0x0a0d0d0a) {
+    return readPcap(data);
+  }
+
+  const packets = [];
+  data.toString('utf8').split('\n').forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const match = /^(?:(\d+\.\d+\.\d+\.\d+|[0-9a-f:]*::[0-9a-f:]*)\s+)?([0-9a-f][0-9a-f\s:]*)$/i.exec(line);
+    const hex = match ? match[2].replace(/[\s:]/g, '') : '';
+    if (!match || hex.length % 2 !== 0) {
+      throw new Error(`Line ${index + 1}: expected [source-address] <hex packet>`);
+    }
+    packets.push({ packet: Buffer.from(hex, 'hex'), source: match[1] });
+  });
+  return packets;
+}
+
+/**
+ * Decode the neighbors in a capture
+ * @param {Buffer} data - Capture file contents (see readCapture)
+ * @returns {Array<Object>} Neighbors, merged per device
+ */
+function replayCapture(data) {
+  const neighbors = readCapture(data)
+    .map(({ packet, source }) => decodeMndpPacket(packet, source))
+    .filter(Boolean);
+  return mergeNeighbors(neighbors);
+}
+
+module.exports = {
+  MNDP_PORT,
+  decodeMndpPacket,
+  encodeMndpPacket,
+  mergeNeighbors,
+  neighborAddress,
+  formatUptime,
+  localNetworks,
+  resolveInterface,
+  discoverNeighbors,
+  readCapture,
+  replayCapture
+};
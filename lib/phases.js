@@ -0,0 +1,124 @@
+/**
+ * Phase selection for multi-device runs
+ * Maps --phases names to the phases of apply-multiple-devices.js, and runs
+ * single infrastructure steps (syslog, IGMP snooping, identity) on a device
+ * without the full configuration, so its radios are left untouched.
+ */
+
+const { createConnection } = require('./connection');
+const { setDeviceIdentity, configureIgmpSnooping, configureSyslog } = require('./infrastructure');
+
+// --phases names of the deployment phases (name -> RUN_PHASES key)
+const PHASE_NAMES = {
+  controller: 'controller',
+  caps: 'caps',
+  'cap-interfaces': 'capInterfaces',
+  'local-fallback': 'capFallback',
+  'access-lists': 'accessLists',
+  standalone: 'standalone'
+};
+
+// Phase numbers as printed during a run (number -> --phases name)
+const PHASE_NUMBERS = {
+  1: 'controller',
+  2: 'caps',
+  2.5: 'cap-interfaces',
+  2.6: 'local-fallback',
+  2.75: 'access-lists',
+  3: 'standalone'
+};
+
+// Infrastructure steps that can run on their own (name -> step)
+const INFRASTRUCTURE_STEPS = {
+  identity: {
+    run: (mt, config) => setDeviceIdentity(mt, config)
+  },
+  'igmp-snooping': {
+    run: async (mt, config) => {
+      console.log('=== Configuring IGMP Snooping ===');
+      await configureIgmpSnooping(mt, config.igmpSnooping || false);
+    }
+  },
+  syslog: {
+    run: async (mt, config) => {
+      if (!config.syslog || !config.syslog.server) {
+        console.log('ℹ️  No syslog server configured - syslog skipped');
+        return;
+      }
+      await configureSyslog(mt, config);
+    }
+  }
+};
+
+/**
+ * Parse a --phases value
+ * Accepts phase names, phase numbers (1, 2, 2.5, 2.6, 2.75, 3) and
+ * infrastructure step names, comma-separated.
+ * @param {string} value - e.g. "access-lists,syslog"
+ * @returns {{phases: string[], steps: string[]}} RUN_PHASES keys and step names
+ * @throws {Error} When the list is empty or contains an unknown name
+ */
+function parsePhases(value) {
+  const names = String(value || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  if (!value || value.startsWith('--') || names.length === 0) {
+    throw new Error('--phases requires a comma-separated list of phases or steps');
+  }
+
+  const phases = [];
+  const steps = [];
+  for (const entry of names) {
+    const name = PHASE_NUMBERS[entry] || entry;
+    if (PHASE_NAMES[name]) {
+      if (!phases.includes(PHASE_NAMES[name])) phases.push(PHASE_NAMES[name]);
+    } else if (INFRASTRUCTURE_STEPS[name]) {
+      if (!steps.includes(name)) steps.push(name);
+    } else {
+      throw new Error(`Unknown phase "${entry}" (phases: ${Object.keys(PHASE_NAMES).join(', ')}; ` +
+        `steps: ${Object.keys(INFRASTRUCTURE_STEPS).join(', ')})`);
+    }
+  }
+  return { phases, steps };
+}
+
+/**
+ * Describe a phase selection with its --phases names
+ * @param {{phases: string[], steps: string[]}} selection - From parsePhases
+ * @returns {string} e.g. "access-lists,syslog" (can be parsed again)
+ */
+function describePhases(selection) {
+  const phaseNames = Object.keys(PHASE_NAMES).filter(name => selection.phases.includes(PHASE_NAMES[name]));
+  return [...phaseNames, ...selection.steps].join(',');
+}
+
+/**
+ * Run infrastructure steps on a device without configuring WiFi
+ * @param {Object} config - Device configuration (as for configureMikroTik)
+ * @param {string[]} steps - Step names, from parsePhases
+ * @returns {Promise<boolean>} Success status
+ */
+async function configureInfrastructureSteps(config, steps) {
+  const mt = createConnection(config);
+
+  try {
+    await mt.connect();
+
+    for (const name of steps) {
+      await INFRASTRUCTURE_STEPS[name].run(mt, config);
+    }
+
+    await mt.close();
+    return true;
+  } catch (error) {
+    console.error('\n✗ Configuration Error:', error.message);
+    await mt.close();
+    throw error;
+  }
+}
+
+module.exports = {
+  PHASE_NAMES,
+  INFRASTRUCTURE_STEPS,
+  parsePhases,
+  describePhases,
+  configureInfrastructureSteps
+};
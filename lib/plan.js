@@ -0,0 +1,185 @@
+/**
+ * Dry-run planning
+ * Records the mutating commands a configuration run would send instead of
+ * executing them. Read commands (print, get, monitor, export) still reach the
+ * device so the configure flow takes the same decisions it would on a real run.
+ */
+
+const { parseCommand } = require('./cli-command');
+
+// Console actions that do not change device state
+const READ_ACTIONS = ['print', 'get', 'monitor', 'export'];
+
+// Properties whose values are masked in plan output
+const SECRET_PROPERTY_PATTERN = /((?:^|\s|\.)(?:passphrase|password|secret)=)("(?:[^"\\]|\\.)*"|\S+)/g;
+
+/**
+ * Check whether a console command only reads device state
+ * @param {string} command - Console command
+ * @returns {boolean} True for print/get/monitor/export
+ */
+function isReadOnlyCommand(command) {
+  return READ_ACTIONS.includes(parseCommand(command).action);
+}
+
+/**
+ * Mask passphrases and passwords in a command
+ * @param {string} command - Console command
+ * @returns {string} Command with secret values replaced by "***"
+ */
+function maskSecrets(command) {
+  return command.replace(SECRET_PROPERTY_PATTERN, '$1"***"');
+}
+
+class PlannedSession {
+  /**
+   * @param {Object} session - Unconnected session (see createConnection)
+   * @param {ConfigurationPlan} plan - Plan that receives mutating commands
+   * @param {string} host - Device host the commands are recorded under
+   */
+  constructor(session, plan, host) {
+    this.session = session;
+    this.plan = plan;
+    this.host = host;
+    // Lets validation steps know that planned changes were not applied
+    this.dryRun = true;
+  }
+
+  /**
+   * Address the session connected through (see lib/addresses.js)
+   * @returns {string} Address
+   */
+  get address() {
+    return this.session.address;
+  }
+
+  async connect() {
+    await this.session.connect();
+    console.log('ℹ️  Plan mode: changes are recorded, not applied');
+  }
+
+  async exec(command) {
+    if (isReadOnlyCommand(command)) {
+      return this.session.exec(command);
+    }
+    if (!this.session.isConnected()) {
+      throw new Error('Not connected');
+    }
+    this.plan.record(this.host, command);
+    return '';
+  }
+
+  async print(menu, options = {}) {
+    return this.session.print(menu, options);
+  }
+
+  isConnected() {
+    return this.session.isConnected();
+  }
+
+  async close() {
+    return this.session.close();
+  }
+}
+
+class ConfigurationPlan {
+  constructor() {
+    this.phase = 'configure';
+    this.entries = [];
+  }
+
+  /**
+   * Set the phase that subsequently recorded commands belong to
+   * @param {string} phase - Phase label (e.g. "Phase 1: Controller")
+   */
+  setPhase(phase) {
+    this.phase = phase;
+  }
+
+  /**
+   * Wrap a session so mutating commands are recorded instead of executed
+   * @param {Object} session - Unconnected session
+   * @param {string} host - Device host
+   * @returns {PlannedSession} Planning session
+   */
+  wrap(session, host) {
+    return new PlannedSession(session, this, host);
+  }
+
+  /**
+   * Record a mutating command
+   * @param {string} host - Device host
+   * @param {string} command - Console command
+   */
+  record(host, command) {
+    this.entries.push({ host, phase: this.phase, command: maskSecrets(command) });
+  }
+
+  /**
+   * Group recorded commands by device, then phase, in the order they were sent
+   * @returns {Array<{host: string, phases: Array<{phase: string, commands: string[]}>}>} Plan per device
+   */
+  byDevice() {
+    const devices = [];
+    for (const entry of this.entries) {
+      let device = devices.find(d => d.host === entry.host);
+      if (!device) {
+        device = { host: entry.host, phases: [] };
+        devices.push(device);
+      }
+      let phase = device.phases.find(p => p.phase === entry.phase);
+      if (!phase) {
+        phase = { phase: entry.phase, commands: [] };
+        device.phases.push(phase);
+      }
+      phase.commands.push(entry.command);
+    }
+    return devices;
+  }
+
+  /**
+   * Plan as a JSON-serializable object
+   * @param {Object} [meta] - Extra top-level fields (e.g. configFile)
+   * @returns {Object} Plan document
+   */
+  toJSON(meta = {}) {
+    return {
+      ...meta,
+      generatedAt: new Date().toISOString(),
+      commandCount: this.entries.length,
+      devices: this.byDevice()
+    };
+  }
+
+  /**
+   * Print the plan in readable form
+   */
+  print() {
+    console.log(`\n${'='.repeat(60)}`);
+    console.log('Configuration Plan (nothing was changed)');
+    console.log(`${'='.repeat(60)}`);
+
+    const devices = this.byDevice();
+    if (devices.length === 0) {
+      console.log('\n✓ No changes would be made');
+      return;
+    }
+
+    for (const device of devices) {
+      console.log(`\n[${device.host}]`);
+      for (const phase of device.phases) {
+        console.log(`  ${phase.phase}:`);
+        phase.commands.forEach((command, index) => {
+          console.log(`    ${String(index + 1).padStart(3)}. ${command}`);
+        });
+      }
+    }
+    console.log(`\n${this.entries.length} command(s) on ${devices.length} device(s) would be sent`);
+  }
+}
+
+module.exports = {
+  ConfigurationPlan,
+  isReadOnlyCommand,
+  maskSecrets
+};
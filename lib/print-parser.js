@@ -0,0 +1,159 @@
+/**
+ * RouterOS print output parsing
+ * Turns console "print detail", "print terse" and "print as-value" output into
+ * records, and settings output ("key: value" lines) into an object.
+ *
+ * Records carry their item number or internal ID as .id, print flags as .flags,
+ * and every property by its console name (dotted names such as
+ * configuration.ssid are kept as-is). Quoted values are unescaped.
+ */
+
+const { splitTokens, splitAssignment, unquote, normalizeValue } = require('./cli-command');
+
+// Print flag letters and the property each one stands for
+const PRINT_FLAG_PROPERTIES = { X: 'disabled', I: 'invalid', D: 'dynamic', R: 'running' };
+
+// First line of an item: item number (or *ID with show-ids) followed by flags/properties
+const ITEM_START = /^\s*(\*[0-9A-Fa-f]+|\d+)(?=\s|$)/;
+
+/**
+ * Parse the lines of one detail/terse item into a record
+ * Detail items continue over indented lines; a ";;; comment" line after the
+ * flags holds the item comment.
+ * @param {string[]} lines - Item lines, the first starting with the item number
+ * @returns {Object} Record
+ */
+function parseItem(lines) {
+  const head = lines[0].match(ITEM_START);
+  const record = { '.id': head[1] };
+  const parts = [lines[0].slice(head[0].length), ...lines.slice(1)];
+
+  const body = [];
+  for (const part of parts) {
+    const commentAt = part.indexOf(';;;');
+    if (commentAt !== -1 && /^[\sA-Z]*$/.test(part.slice(0, commentAt))) {
+      // Flags stay in front of the comment
+      body.push(part.slice(0, commentAt));
+      record.comment = part.slice(commentAt + 3).trim();
+    } else {
+      body.push(part);
+    }
+  }
+
+  let flags = '';
+  let seenProperty = false;
+  for (const token of splitTokens(body.join(' '))) {
+    const { key, op, value } = splitAssignment(token);
+    if (op === '=') {
+      record[key] = value;
+      seenProperty = true;
+    } else if (!seenProperty && /^[A-Z]+$/.test(token)) {
+      flags += token;
+    }
+  }
+
+  if (flags) {
+    record['.flags'] = flags;
+    for (const flag of flags) {
+      const property = PRINT_FLAG_PROPERTIES[flag];
+      if (property && record[property] === undefined) {
+        record[property] = 'yes';
+      }
+    }
+  }
+  return record;
+}
+
+/**
+ * Parse "print as-value" output (key=value pairs separated by ";")
+ * A new record starts at each .id, or when a property repeats.
+ * @param {string} output - Console output
+ * @returns {Array<Object>} Records
+ */
+function parseAsValue(output) {
+  const records = [];
+  let record = null;
+  let current = '';
+  let inQuote = false;
+
+  const flush = () => {
+    const { key, op, value } = splitAssignment(current.trim());
+    current = '';
+    if (op !== '=') return;
+    if (!record || key === '.id' || record[key] !== undefined) {
+      record = {};
+      records.push(record);
+    }
+    record[key] = key === '.id' ? value : normalizeValue(value);
+  };
+
+  for (let i = 0; i < output.length; i++) {
+    const ch = output[i];
+    if (ch === '\\' && inQuote && i + 1 < output.length) {
+      current += ch + output[++i];
+      continue;
+    }
+    if (ch === '"') inQuote = !inQuote;
+    if ((ch === ';' || ch === '\n') && !inQuote) {
+      flush();
+    } else {
+      current += ch;
+    }
+  }
+  flush();
+
+  return records;
+}
+
+/**
+ * Parse console print output into records
+ * Accepts "print detail", "print terse" (with or without show-ids) and
+ * "print as-value" output.
+ * @param {string} output - Console output
+ * @returns {Array<Object>} Records with .id, optional .flags and properties
+ */
+function parsePrint(output) {
+  const lines = (output || '').split('\n').map(line => line.replace(/\r$/, ''));
+  const firstLine = lines.find(line => line.trim()) || '';
+
+  if (!ITEM_START.test(firstLine) && /^[\w.-]+=/.test(firstLine.trim())) {
+    return parseAsValue(output);
+  }
+
+  const records = [];
+  let item = null;
+  for (const line of lines) {
+    if (ITEM_START.test(line)) {
+      if (item) records.push(parseItem(item));
+      item = [line];
+    } else if (item && line.trim()) {
+      // Continuation line (detail) or comment line; headers such as "Flags: ..." precede the first item
+      item.push(line);
+    }
+  }
+  if (item) records.push(parseItem(item));
+
+  return records;
+}
+
+/**
+ * Parse settings print output ("key: value" lines) into an object
+ * Used for menus without items (/system identity, /system resource, capsman settings).
+ * @param {string} output - Console output
+ * @returns {Object} Settings keyed by property name
+ */
+function parseSettings(output) {
+  const settings = {};
+  for (const line of (output || '').split('\n')) {
+    const match = line.match(/^\s*([\w.-]+):\s?(.*)$/);
+    if (match) {
+      settings[match[1]] = unquote(match[2].trim());
+    }
+  }
+  return settings;
+}
+
+module.exports = {
+  parsePrint,
+  parseSettings
+};
@@ -0,0 +1,179 @@
+/**
+ * Device profiles in multi-device deployments
+ * Settings shared by several devices are defined once under profiles: and
+ * referenced with profile: in a device entry. A profile can extend another
+ * profile. Entries are deep-merged: mappings (wifi, capsman, ...) merge key by
+ * key, while lists (ssids, managementInterfaces, tags, ...) and values given
+ * by the device replace the profile's.
+ *
+ *   profiles:
+ *     cap-ax-ceiling:
+ *       role: cap
+ *       managementInterfaces: [ether1]
+ *       wifi: { 5GHz: { width: 20/40/80mhz, txPower: 20 } }
+ *   devices:
+ *     - device: { host: 10.0.0.21, username: admin, password: secret }
+ *       profile: cap-ax-ceiling
+ *       wifi: { 5GHz: { channel: 36 } }
+ */
+
+/**
+ * Check whether a value is a mapping (not a list or null)
+ * @param {*} value - Value from YAML
+ * @returns {boolean} True for plain objects
+ */
+function isMapping(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge an override into a base
+ * @param {*} base - Profile settings
+ * @param {*} override - Settings that take precedence
+ * @returns {*} Merged copy (mappings merged, everything else replaced)
+ */
+function deepMerge(base, override) {
+  if (override === undefined) return base;
+  if (!isMapping(base) || !isMapping(override)) return override;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = deepMerge(base[key], value);
+  }
+  return merged;
+}
+
+/**
+ * Names of a profile and the profiles it extends, most specific first
+ * @param {string} name - Profile name
+ * @param {Object} profiles - profiles: mapping
+ * @returns {string[]} e.g. ['cap-ax-ceiling', 'cap-base']
+ * @throws {Error} When a profile is not defined or profiles extend each other in a loop
+ */
+function profileChain(name, profiles) {
+  const chain = [];
+  let current = name;
+  while (current !== undefined) {
+    if (chain.includes(current)) {
+      throw new Error(`profiles extend each other in a loop (${[...chain, current].join(' -> ')})`);
+    }
+    const profile = profiles[current];
+    if (!isMapping(profile)) {
+      const defined = Object.keys(profiles);
+      throw new Error(`unknown profile "${current}" (${defined.length > 0 ? `defined: ${defined.join(', ')}` : 'no profiles defined'})`);
+    }
+    chain.push(current);
+    current = profile.extends;
+  }
+  return chain;
+}
+
+/**
+ * Settings of a profile with the profiles it extends merged in
+ * @param {string} name - Profile name
+ * @param {Object} profiles - profiles: mapping
+ * @returns {Object} Profile settings (without extends)
+ */
+function resolveProfile(name, profiles) {
+  return profileChain(name, profiles).reverse().reduce((merged, profileName) => {
+    const { extends: _extends, ...settings } = profiles[profileName];
+    return deepMerge(merged, settings);
+  }, {});
+}
+
+/**
+ * Apply a device entry's profile
+ * @param {Object} entry - Device entry from multiple-devices.yaml
+ * @param {Object} [profiles] - profiles: mapping
+ * @returns {Object} Entry with the profile's settings merged in (the entry itself when it has no profile)
+ * @throws {Error} When the profile cannot be resolved
+ */
+function applyProfile(entry, profiles = {}) {
+  if (!isMapping(entry) || entry.profile === undefined) return entry;
+  const { profile, ...overrides } = entry;
+  return deepMerge(resolveProfile(profile, profiles), overrides);
+}
+
+/**
+ * Apply the profiles of every device in a deployment
+ * @param {Object} config - Parsed multiple-devices.yaml
+ * @returns {Object} Copy of the deployment whose devices have their profiles applied (without profiles:)
+ * @throws {Error} The first device whose profile cannot be resolved, with its key path
+ */
+function applyProfiles(config) {
+  if (!isMapping(config) || !Array.isArray(config.devices)) return config;
+  const { profiles = {}, ...deployment } = config;
+  return {
+    ...deployment,
+    devices: config.devices.map((entry, index) => {
+      try {
+        return applyProfile(entry, profiles || {});
+      } catch (e) {
+        throw new Error(`devices[${index}].profile: ${e.message}`);
+      }
+    })
+  };
+}
+
+/**
+ * Where a setting of a device with a profile is defined
+ * Used to report validation errors at the profile that sets the offending value.
+ * @param {Object} entry - Device entry as written in the file
+ * @param {Object} profiles - profiles: mapping
+ * @param {Array<string|number>} keys - Path inside the entry (e.g. ['ssids', 0, 'ssid'])
+ * @returns {Array<string|number>|null} Path from the top of the file (['profiles', name, ...keys]), or null when the device sets it
+ */
+function profileOrigin(entry, profiles, keys) {
+  let chain;
+  try {
+    chain = profileChain(entry.profile, profiles);
+  } catch (e) {
+    return null;
+  }
+  // Follow the path while it is merged mappings; the first level the device does not set comes from a profile
+  const sources = [entry, ...chain.map(name => profiles[name])];
+  for (let depth = 1; depth <= keys.length; depth++) {
+    const prefix = keys.slice(0, depth);
+    const valueIn = source => prefix.reduce((value, key) => (isMapping(value) || Array.isArray(value) ? value[key] : undefined), source);
+    const defining = sources.filter(source => valueIn(source) !== undefined);
+    if (defining.length === 0) return null;
+    if (!isMapping(valueIn(defining[0])) || depth === keys.length) {
+      return defining[0] === entry ? null : ['profiles', chain[sources.indexOf(defining[0]) - 1], ...keys];
+    }
+  }
+  return null;
+}
+
+/**
+ * Remove the settings a backed-up device shares with its profile
+ * @param {Object} entry - Device entry written by a backup; updated in place
+ * @param {string} name - Profile the device used
+ * @param {Object} profiles - profiles: mapping
+ * @returns {Object} Entry with profile: set and only the settings that differ from the profile
+ */
+function reduceToProfile(entry, name, profiles) {
+  const reduce = (values, profileValues) => {
+    for (const key of Object.keys(values)) {
+      if (JSON.stringify(values[key]) === JSON.stringify(profileValues[key])) {
+        delete values[key];
+      } else if (isMapping(values[key]) && isMapping(profileValues[key])) {
+        reduce(values[key], profileValues[key]);
+        if (Object.keys(values[key]).length === 0) delete values[key];
+      }
+    }
+  };
+
+  const { device, ...settings } = entry;
+  reduce(settings, resolveProfile(name, profiles));
+  for (const key of Object.keys(entry)) delete entry[key];
+  return Object.assign(entry, { device, profile: name, ...settings });
+}
+
+module.exports = {
+  deepMerge,
+  profileChain,
+  resolveProfile,
+  applyProfile,
+  applyProfiles,
+  profileOrigin,
+  reduceToProfile
+};
@@ -0,0 +1,248 @@
+/**
+ * Re-attach to fresh devices after the default IP is removed
+ * A device configured through 192.168.88.1 drops the session when that address
+ * is removed, and comes back on the address its DHCP client obtained. The new
+ * address is looked up by the bridge MAC (the admin-mac set during
+ * configuration) in the lease table of an upstream RouterOS DHCP server, in a
+ * dnsmasq, ISC dhcpd or Kea lease file, or in MNDP announcements, and the
+ * configuration continues on a session to it.
+ */
+
+const fs = require('fs');
+const { createConnection, getConnectionConfig } = require('./connection');
+const { parsePrint } = require('./print-parser');
+const { discoverNeighbors, neighborAddress } = require('./mndp');
+const { candidateAddresses } = require('./addresses');
+const { warn } = require('./run-events');
+
+const DEFAULT_REATTACH = {
+  timeout: 60,       // Seconds to look for the new address
+  interval: 5,       // Seconds between lookups (MNDP listens this long)
+  mndp: true,        // Listen for MNDP announcements
+  interface: null,   // Local interface for MNDP (default: all)
+  router: null,      // Upstream RouterOS DHCP server: {host, username, password, ...}
+  leaseFile: null    // dnsmasq, ISC dhcpd or Kea lease file
+};
+
+/**
+ * Resolve a reattach setting
+ * @param {boolean|Object} [setting] - Overrides of DEFAULT_REATTACH; false disables (default: enabled)
+ * @returns {Object|null} Settings, or null when disabled
+ */
+function resolveReattach(setting) {
+  if (setting === false || (setting && setting.enabled === false)) return null;
+  return { ...DEFAULT_REATTACH, ...(typeof setting === 'object' && setting !== null ? setting : {}) };
+}
+
+/**
+ * Normalize a MAC address for comparison
+ * @param {string} mac - MAC in any case, with : or - separators
+ * @returns {string} e.g. D4:01:C3:AA:BB:CC
+ */
+function normalizeMac(mac) {
+  return String(mac || '').trim().toUpperCase().replace(/-/g, ':');
+}
+
+/**
+ * Find the address leased to a MAC in a lease file
+ * Reads dnsmasq (expiry mac ip hostname client-id), ISC dhcpd (lease blocks;
+ * the last active one wins) and Kea memfile CSV (address,hwaddr,...) leases.
+ * @param {string} text - Lease file contents
+ * @param {string} mac - Client MAC address
+ * @returns {string|null} Leased IPv4 address
+ */
+function findLeaseInFile(text, mac) {
+  const wanted = normalizeMac(mac);
+  let found = null;
+
+  // ISC dhcpd: lease 10.0.0.23 { ... hardware ethernet d4:01:c3:aa:bb:cc; binding state active; ... }
+  const blocks = text.match(/lease\s+\d+\.\d+\.\d+\.\d+\s*\{[^}]*\}/g) || [];
+  for (const block of blocks) {
+    const hardware = block.match(/hardware ethernet\s+([0-9a-f:]+)/i);
+    const state = block.match(/^\s*binding state\s+(\w+)/m);
+    if (hardware && normalizeMac(hardware[1]) === wanted && (!state || state[1] === 'active')) {
+      found = block.match(/^lease\s+(\S+)/)[1];
+    }
+  }
+  if (blocks.length > 0) return found;
+
+  for (const line of text.split(/\r?\n/)) {
+    // Kea: address,hwaddr,client_id,valid_lifetime,expire,subnet_id,fqdn_fwd,fqdn_rev,hostname,state
+    const csv = line.split(',');
+    if (csv.length >= 2 && /^\d+\.\d+\.\d+\.\d+$/.test(csv[0]) && normalizeMac(csv[1]) === wanted) {
+      if (csv[9] === undefined || csv[9] === '0') found = csv[0];
+      continue;
+    }
+    // dnsmasq: 1760000000 d4:01:c3:aa:bb:cc 10.0.0.23 wap-office 01:d4:01:c3:aa:bb:cc
+    const fields = line.trim().split(/\s+/);
+    if (fields.length >= 3 && normalizeMac(fields[1]) === wanted && /^\d+\.\d+\.\d+\.\d+$/.test(fields[2])) {
+      found = fields[2];
+    }
+  }
+  return found;
+}
+
+/**
+ * Find the address leased to a MAC by an upstream RouterOS DHCP server
+ * @param {Object} router - Router connection (device block: host, username, password, ...)
+ * @param {string} mac - Client MAC address
+ * @returns {Promise<string|null>} Bound address
+ */
+async function findLeaseOnRouter(router, mac) {
+  const mt = createConnection({ ...getConnectionConfig(router), plan: null });
+  try {
+    await mt.connect();
+    const leases = await mt.print('/ip/dhcp-server/lease');
+    const lease = leases.find(l => normalizeMac(l['active-mac-address'] || l['mac-address']) === normalizeMac(mac) &&
+      (l.status || 'bound') === 'bound');
+    return lease ? (lease['active-address'] || lease.address) : null;
+  } finally {
+    await mt.close();
+  }
+}
+
+/**
+ * Read the MAC the bridge's DHCP client uses
+ * @param {Object} mt - Connected session
+ * @returns {Promise<string|null>} admin-mac (or mac-address) of the bridge
+ */
+async function readBridgeMac(mt) {
+  try {
+    const [bridge] = parsePrint(await mt.exec('/interface bridge print detail where name=bridge'));
+    return (bridge && (bridge['admin-mac'] || bridge['mac-address'])) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Look for the address a device obtained via DHCP
+ * Lease sources are checked every interval; MNDP listens in between.
+ * @param {string} mac - Bridge MAC of the device
+ * @param {Object} settings - Resolved reattach settings
+ * @param {Object} [options] - {transport: device transport (MNDP is skipped for the simulator)}
+ * @returns {Promise<{address: string, source: string}|null>} Address and where it was found
+ */
+async function locateDevice(mac, settings, options = {}) {
+  const useMndp = settings.mndp && options.transport !== 'simulator';
+  const deadline = Date.now() + settings.timeout * 1000;
+
+  for (;;) {
+    if (settings.router) {
+      try {
+        const address = await findLeaseOnRouter(settings.router, mac);
+        if (address) return { address, source: `DHCP server ${settings.router.host}` };
+      } catch (e) {
+        warn(`Could not read leases from ${settings.router.host}: ${e.message}`);
+      }
+    }
+    if (settings.leaseFile) {
+      try {
+        const address = findLeaseInFile(fs.readFileSync(settings.leaseFile, 'utf8'), mac);
+        if (address) return { address, source: settings.leaseFile };
+      } catch (e) {
+        warn(`Could not read ${settings.leaseFile}: ${e.message}`);
+      }
+    }
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) return null;
+    const wait = Math.min(settings.interval * 1000, remaining);
+
+    if (useMndp) {
+      try {
+        const neighbors = await discoverNeighbors({ interface: settings.interface, timeout: wait / 1000 });
+        const neighbor = neighbors.find(n => normalizeMac(n.mac) === normalizeMac(mac) && neighborAddress(n));
+        if (neighbor && neighborAddress(neighbor) !== '192.168.88.1') {
+          return { address: neighborAddress(neighbor), source: 'MNDP' };
+        }
+      } catch (e) {
+        warn(`MNDP discovery failed: ${e.message}`);
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+    } else if (settings.router || settings.leaseFile) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    } else {
+      return null;
+    }
+  }
+}
+
+/**
+ * Re-attach to a device that dropped the session after its default IP was removed
+ * The device's other fallback addresses (device.addresses) are tried first;
+ * otherwise the new address is looked up and config.host is updated to it.
+ * @param {Object} config - Device configuration (connection, reattach settings)
+ * @param {string|null} mac - Bridge MAC of the device
+ * @returns {Promise<Object|null>} Connected session to the new address, or null if not found
+ */
+async function reattachDevice(config, mac) {
+  const settings = resolveReattach(config.reattach);
+  if (!settings) return null;
+  console.log('\n=== Re-attaching at DHCP Address ===');
+
+  const others = candidateAddresses(config.host, config.addresses).filter(address => address !== '192.168.88.1');
+  if (config.addresses && others.length > 0) {
+    const mt = createConnection({ ...config, host: others[0], addresses: others });
+    try {
+      await mt.connect();
+      console.log(`✓ Re-attached at ${mt.address} - continuing configuration`);
+      return mt;
+    } catch (e) {
+      warn(`Fallback addresses not reachable yet: ${e.message}`);
+    }
+  }
+
+  if (!mac) {
+    warn('Bridge MAC unknown - cannot look up the new address');
+    return null;
+  }
+
+  const sources = describeSources(settings, config);
+  if (!sources) {
+    console.log('ℹ️  No source to look up the new address (set reattach.router or reattach.leaseFile)');
+    return null;
+  }
+
+  console.log(`⏳ Looking up ${mac} via ${sources} (up to ${settings.timeout}s)...`);
+  const found = await locateDevice(mac, settings, { transport: config.transport });
+  if (!found) {
+    warn(`${mac} not found within ${settings.timeout}s`);
+    return null;
+  }
+
+  console.log(`✓ Found device at ${found.address} (${found.source})`);
+  const mt = createConnection({ ...config, host: found.address });
+  try {
+    await mt.connect();
+  } catch (e) {
+    warn(`Could not connect to ${found.address}: ${e.message}`);
+    return null;
+  }
+  config.host = found.address;
+  console.log(`✓ Re-attached at ${found.address} - continuing configuration`);
+  return mt;
+}
+
+/**
+ * Describe the sources a lookup used
+ * @param {Object} settings - Resolved reattach settings
+ * @param {Object} config - Device configuration
+ * @returns {string} e.g. "DHCP server 10.0.0.1, MNDP" (empty when there is none)
+ */
+function describeSources(settings, config) {
+  return [
+    settings.router && `DHCP server ${settings.router.host}`,
+    settings.leaseFile,
+    settings.mndp && config.transport !== 'simulator' && 'MNDP'
+  ].filter(Boolean).join(', ');
+}
+
+module.exports = {
+  resolveReattach,
+  findLeaseInFile,
+  findLeaseOnRouter,
+  readBridgeMac,
+  locateDevice,
+  reattachDevice
+};
@@ -0,0 +1,239 @@
+/**
+ * Console command execution for record-based transports
+ * Runs the console commands lib/ modules send (print, add, set, remove, enable,
+ * disable) on transports that work with structured records (REST, binary API),
+ * rendering print output back to console-style text for existing callers.
+ *
+ * A session must provide:
+ *   fetch(menu)                     -> Array of records, or an object for settings menus
+ *   createItem(menu, properties)
+ *   updateItem(menu, id, properties)
+ *   removeItem(menu, id)
+ *   updateSettings(menu, properties)
+ *   printIds                        -> Map of menu -> .id list from the last print
+ * and may provide:
+ *   exportConfig(menu, properties)  -> /export (text when no file= is given)
+ *   runCommand(menu, properties)    -> other commands, e.g. /import, /system reset-configuration
+ */
+
+const { parseCommand, matchesCondition, normalizeValue } = require('./cli-command');
+
+// Metadata fields that are not item properties
+const META_KEYS = ['.id', '.nextid', '.about'];
+
+// Properties that RouterOS prints quoted in detail output
+const QUOTED_KEY_PATTERN = /(^name$|^default-name$|^comment$|^identity$|^board-name$|ssid$|passphrase$|country$)/;
+
+/**
+ * Format a property value the way the RouterOS console prints it
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {string} Console-formatted value
+ */
+function formatValue(key, value) {
+  const str = normalizeValue(value);
+  if (QUOTED_KEY_PATTERN.test(key) || str === '' || /[\s"';=]/.test(str)) {
+    return `"${str.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+  return str;
+}
+
+/**
+ * Console print flags for a record (X disabled, I invalid, D dynamic, R running)
+ * @param {Object} record - Item properties
+ * @returns {string} Flag letters
+ */
+function recordFlags(record) {
+  let flags = '';
+  if (normalizeValue(record.disabled) === 'yes') flags += 'X';
+  if (normalizeValue(record.invalid) === 'yes') flags += 'I';
+  if (normalizeValue(record.dynamic) === 'yes') flags += 'D';
+  if (normalizeValue(record.running) === 'yes') flags += 'R';
+  return flags;
+}
+
+/**
+ * Render records as console print output
+ * @param {Array<Object>|Object} data - Records, or a single object for settings menus
+ * @param {string[]} flags - Print flags (detail, terse, count-only, ...)
+ * @returns {string} Console-style output
+ */
+function renderPrint(data, flags) {
+  if (!Array.isArray(data)) {
+    // Settings menus (/system identity, /system resource) print "key: value" lines
+    const keys = Object.keys(data).filter(k => !META_KEYS.includes(k));
+    const width = Math.max(0, ...keys.map(k => k.length));
+    return keys.map(k => `${k.padStart(width + 2)}: ${normalizeValue(data[k])}`).join('\n') + '\n';
+  }
+
+  if (flags.includes('count-only')) {
+    return `${data.length}\n`;
+  }
+
+  const terse = flags.includes('terse');
+  const lines = data.map((record, index) => {
+    const props = Object.keys(record)
+      .filter(k => !META_KEYS.includes(k) && (terse || k !== 'comment'))
+      .map(k => `${k}=${formatValue(k, record[k])}`)
+      .join(' ');
+    const head = `${String(index).padStart(2)} ${recordFlags(record).padEnd(3)}`;
+
+    if (!terse && record.comment) {
+      return `${head};;; ${record.comment}\n       ${props}`;
+    }
+    return `${head}${props}`;
+  });
+
+  return lines.join('\n') + (lines.length ? '\n' : '');
+}
+
+/**
+ * Convert a console menu path ("/interface wifi") to slash form ("/interface/wifi")
+ * @param {string} menu - Menu path with spaces or slashes
+ * @returns {string} Slash-separated menu path
+ */
+function normalizeMenu(menu) {
+  return '/' + menu.split(/[\s/]+/).filter(Boolean).join('/');
+}
+
+/**
+ * Normalize record values to console form (true/false become yes/no)
+ * @param {Object} record - Record from the transport
+ * @returns {Object} Record with normalized values
+ */
+function normalizeRecord(record) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(record)) {
+    normalized[key] = key === '.id' ? value : normalizeValue(value);
+  }
+  return normalized;
+}
+
+/**
+ * Print a menu as structured records, filtered by a console where-condition
+ * @param {Object} session - Record-based session
+ * @param {string} menu - Menu path (e.g. /interface/wifi/access-list)
+ * @param {Object} [options] - Print options
+ * @param {string} [options.where] - Console where-condition (e.g. comment~"lock to")
+ * @returns {Promise<Array<Object>>} Matching records including their .id
+ */
+async function printRecords(session, menu, options = {}) {
+  const data = await session.fetch(normalizeMenu(menu));
+  const records = Array.isArray(data) ? data : [data];
+  return records
+    .filter(record => matchesCondition(record, options.where))
+    .map(normalizeRecord);
+}
+
+/**
+ * Resolve the .id values a set/remove/enable/disable command refers to
+ * @param {Object} session - Record-based session
+ * @param {string} menu - Menu path
+ * @param {Object} parsed - Parsed command (see parseCommand)
+ * @returns {Promise<string[]>} Item IDs
+ */
+async function resolveIds(session, menu, parsed) {
+  if (parsed.find !== null) {
+    const records = await session.fetch(menu);
+    return records.filter(r => matchesCondition(r, parsed.find)).map(r => r['.id']);
+  }
+
+  const ids = [];
+  let records = null;
+  for (const item of parsed.target.split(',')) {
+    if (item.startsWith('*')) {
+      ids.push(item);
+    } else if (/^\d+$/.test(item)) {
+      // Console item numbers refer to the last print of the same menu
+      const printed = session.printIds.get(menu) || [];
+      if (printed[item] === undefined) {
+        throw new Error('no such item');
+      }
+      ids.push(printed[item]);
+    } else {
+      records = records || await session.fetch(menu);
+      const match = records.find(r => r.name === item || r['default-name'] === item);
+      if (!match) {
+        throw new Error('no such item');
+      }
+      ids.push(match['.id']);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Run a console command on a record-based session
+ * @param {Object} session - Record-based session
+ * @param {string} command - Console command
+ * @returns {Promise<string>} Console-style output (empty for changes)
+ */
+async function executeCommand(session, command) {
+  const parsed = parseCommand(command);
+  const menu = '/' + parsed.path.join('/');
+
+  switch (parsed.action) {
+    case 'print': {
+      let data = await session.fetch(menu);
+      if (Array.isArray(data)) {
+        data = data.filter(record => matchesCondition(record, parsed.where));
+        session.printIds.set(menu, data.map(r => r['.id']));
+      }
+      return renderPrint(data, parsed.flags);
+    }
+
+    case 'add':
+      await session.createItem(menu, parsed.properties);
+      return '';
+
+    case 'set':
+      if (parsed.target === null && parsed.find === null) {
+        // Settings menu without items (e.g. /system identity set name=...)
+        await session.updateSettings(menu, parsed.properties);
+        return '';
+      }
+      for (const id of await resolveIds(session, menu, parsed)) {
+        await session.updateItem(menu, id, parsed.properties);
+      }
+      return '';
+
+    case 'remove':
+      for (const id of await resolveIds(session, menu, parsed)) {
+        await session.removeItem(menu, id);
+      }
+      return '';
+
+    case 'enable':
+    case 'disable':
+      for (const id of await resolveIds(session, menu, parsed)) {
+        await session.updateItem(menu, id, { disabled: parsed.action === 'disable' ? 'yes' : 'no' });
+      }
+      return '';
+
+    case 'export':
+      if (!session.exportConfig) {
+        throw new Error(`Command not supported by this transport: ${command}`);
+      }
+      // Flags such as show-sensitive are passed as empty-valued properties
+      return (await session.exportConfig(menu, {
+        ...parsed.properties,
+        ...Object.fromEntries(parsed.flags.map(flag => [flag, '']))
+      })) || '';
+
+    default:
+      // Commands without a menu action (e.g. /import file-name=..., /system reset-configuration)
+      if (parsed.action === null && session.runCommand) {
+        return (await session.runCommand(menu, parsed.properties)) || '';
+      }
+      throw new Error(`Command not supported by this transport: ${command}`);
+  }
+}
+
+module.exports = {
+  formatValue,
+  renderPrint,
+  normalizeMenu,
+  normalizeRecord,
+  printRecords,
+  executeCommand
+};
@@ -0,0 +1,396 @@
+/**
+ * Machine-readable run reports (JSON, JUnit XML)
+ * Records, per device and phase, the status, duration, warnings and errors of
+ * an apply, backup or diagnostic run, plus each device's RouterOS version.
+ * Warnings and the device's version come from run events (lib/run-events.js);
+ * steps and errors from what the configuration modules print ("=== Step ... ==="
+ * headers, "✗" lines) while the phase runs.
+ */
+
+const fs = require('fs');
+const { withConsoleSink, addProcessSink } = require('./console-capture');
+const { withRecorder, addProcessRecorder } = require('./run-events');
+
+const REPORT_FORMATS = ['json', 'junit'];
+
+/**
+ * Take --report <format> <file> options out of the arguments
+ * The option can be given once per format.
+ * @param {string[]} args - Command line arguments
+ * @returns {{reports: Array<{format: string, file: string}>, args: string[]}} Reports and the remaining arguments
+ * @throws {Error} When a format or file is missing
+ */
+function parseReportArgs(args) {
+  const reports = [];
+  const remaining = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] !== '--report') {
+      remaining.push(args[i]);
+      continue;
+    }
+    const format = args[i + 1];
+    const file = args[i + 2];
+    if (!REPORT_FORMATS.includes(format) || !file || file.startsWith('--')) {
+      throw new Error(`--report requires a format (${REPORT_FORMATS.join(' or ')}) and a file`);
+    }
+    reports.push({ format, file });
+    i += 2;
+  }
+  return { reports, args: remaining };
+}
+
+/**
+ * Collector for the console output and warnings of one phase
+ * @returns {{sink: Function, warning: Function, steps: Array, warnings: string[], errors: string[], finish: Function}} Collector
+ */
+function outputCollector() {
+  const steps = [];
+  const warnings = [];
+  const errors = [];
+  let current = null;
+
+  const sink = (method, text) => {
+    for (const raw of text.split('\n')) {
+      const line = raw.trim();
+      const header = /^=== (.+?) ===$/.exec(line);
+      if (header) {
+        if (current) current.durationMs = Date.now() - current.start;
+        current = { name: header[1], start: Date.now(), warnings: 0 };
+        steps.push(current);
+      } else if (/^(✗|Error:|Failed:)/.test(line)) {
+        errors.push(line.replace(/^(✗|Error:|Failed:)\s*/, ''));
+      }
+    }
+  };
+
+  const warning = (message) => {
+    warnings.push(message);
+    if (current) current.warnings++;
+  };
+
+  const finish = () => {
+    if (current) current.durationMs = Date.now() - current.start;
+    return steps.map(({ name, durationMs, warnings: count }) => ({ name, durationMs, warnings: count }));
+  };
+
+  return { sink, warning, warnings, errors, finish };
+}
+
+class DeviceReport {
+  /**
+   * @param {Object} info - {key, index, host, identity, role}
+   */
+  constructor(info) {
+    this.key = info.key;
+    this.index = info.index ?? null;
+    this.host = info.host;
+    this.address = null;  // Address that answered (differs from host with fallback addresses)
+    this.identity = info.identity || null;
+    this.role = info.role || null;
+    this.routerOsVersion = null;
+    this.board = null;
+    this.recorded = false;  // Device details recorded from a session
+    this.phases = [];
+  }
+
+  /**
+   * Run event recorder filling in this device and a phase's warnings
+   * The device is taken from the first session that connects.
+   * @param {Object} collector - Phase collector (outputCollector)
+   * @returns {Object} Recorder for lib/run-events.js
+   */
+  recorder(collector) {
+    return {
+      warning: collector.warning,
+      needsDevice: () => !this.recorded,
+      device: ({ identity, ...info }) => {
+        this.recorded = true;
+        Object.assign(this, info, { identity: this.identity || identity });
+      }
+    };
+  }
+
+  /**
+   * Run a phase and record its outcome
+   * A phase fails when fn throws; a false result counts as `falseStatus`
+   * (configuration functions return false when they stop early, e.g. after
+   * moving a fresh device off 192.168.88.1).
+   * @param {string} phase - Phase name
+   * @param {Function} fn - Async function to run
+   * @param {Object} [options] - {falseStatus: 'incomplete' (default) or 'failed'}
+   * @returns {Promise<*>} Result of fn (errors are rethrown)
+   */
+  async track(phase, fn, options = {}) {
+    const collector = outputCollector();
+    const start = Date.now();
+    const entry = { phase, status: 'ok', durationMs: 0, warnings: collector.warnings, errors: collector.errors, steps: [] };
+    this.phases.push(entry);
+
+    try {
+      const result = await withConsoleSink(collector.sink, () => withRecorder(this.recorder(collector), fn));
+      if (result === false) {
+        entry.status = options.falseStatus || 'incomplete';
+      } else if (collector.warnings.length > 0) {
+        entry.status = 'warning';
+      }
+      return result;
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      throw error;
+    } finally {
+      entry.durationMs = Date.now() - start;
+      entry.steps = collector.finish();
+    }
+  }
+
+  /**
+   * Record a phase that was not run
+   * @param {string} phase - Phase name
+   * @param {string} reason - Why it was skipped
+   */
+  skip(phase, reason) {
+    this.phases.push({ phase, status: 'skipped', durationMs: 0, reason, warnings: [], errors: [], steps: [] });
+  }
+
+  /**
+   * Overall status: the worst phase status
+   * @returns {string} ok, warning, skipped, incomplete or failed
+   */
+  get status() {
+    const order = ['ok', 'warning', 'skipped', 'incomplete', 'failed'];
+    return this.phases.reduce((worst, p) => (order.indexOf(p.status) > order.indexOf(worst) ? p.status : worst), 'ok');
+  }
+
+  toJSON() {
+    return {
+      key: this.key,
+      index: this.index,
+      host: this.host,
+      address: this.address,
+      identity: this.identity,
+      role: this.role,
+      routerOsVersion: this.routerOsVersion,
+      board: this.board,
+      status: this.status,
+      durationMs: this.phases.reduce((sum, p) => sum + p.durationMs, 0),
+      phases: this.phases
+    };
+  }
+}
+
+/**
+ * Escape text for XML attributes and content
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function xmlEscape(value) {
+  return String(value ?? '')
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+class RunReport {
+  /**
+   * @param {string} tool - Script name (e.g. apply-multiple-devices)
+   * @param {Object} [meta] - {configFile, mode}
+   */
+  constructor(tool, meta = {}) {
+    this.tool = tool;
+    this.meta = meta;
+    this.startedAt = new Date();
+    this.devices = [];
+    this.phases = [];
+    this.exitCode = null;
+  }
+
+  /**
+   * Report entry of a device, created on first use
+   * @param {Object} info - {key, index, host, identity, role}
+   * @returns {DeviceReport} Entry
+   */
+  device(info) {
+    let entry = this.devices.find(d => d.key === info.key);
+    if (!entry) {
+      entry = new DeviceReport(info);
+      this.devices.push(entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Run a deployment-wide phase and record its outcome
+   * @param {string} phase - Phase name
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} Result of fn (errors are rethrown)
+   */
+  async trackPhase(phase, fn) {
+    const entry = new DeviceReport({ key: phase });
+    try {
+      return await entry.track(phase, fn);
+    } finally {
+      this.phases.push(entry.phases[0]);
+    }
+  }
+
+  /**
+   * Overall status
+   * @returns {string} success (everything ok or with warnings), partial, or failed (nothing succeeded)
+   */
+  get status() {
+    const statuses = [...this.devices.map(d => d.status), ...this.phases.map(p => p.status)];
+    const good = statuses.filter(s => s === 'ok' || s === 'warning').length;
+    if (good === statuses.length && !this.exitCode) return 'success';
+    return good > 0 ? 'partial' : 'failed';
+  }
+
+  toJSON() {
+    const finishedAt = new Date();
+    const count = status => this.devices.filter(d => d.status === status).length;
+    return {
+      tool: this.tool,
+      ...this.meta,
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - this.startedAt,
+      exitCode: this.exitCode,
+      status: this.status,
+      summary: {
+        devices: this.devices.length,
+        ok: count('ok'),
+        warning: count('warning'),
+        incomplete: count('incomplete'),
+        failed: count('failed'),
+        skipped: count('skipped')
+      },
+      devices: this.devices.map(d => d.toJSON()),
+      phases: this.phases
+    };
+  }
+
+  /**
+   * JUnit XML: one test suite per device (and one for deployment-wide phases), one test case per phase
+   * @returns {string} XML document
+   */
+  toJUnit() {
+    const seconds = ms => (ms / 1000).toFixed(3);
+    const testcase = (classname, p) => {
+      const lines = [
+        ...p.steps.map(s => `${s.name} (${seconds(s.durationMs)}s${s.warnings ? `, ${s.warnings} warning(s)` : ''})`),
+        ...p.warnings.map(w => `⚠️  ${w}`),
+        ...p.errors.map(e => `✗ ${e}`)
+      ];
+      let body = '';
+      if (p.status === 'failed' || p.status === 'incomplete') {
+        const message = p.error || (p.status === 'incomplete' ? 'stopped before completing' : p.errors[0] || 'failed');
+        body += `      <failure type="${p.status}" message="${xmlEscape(message)}">${xmlEscape(p.errors.join('\n'))}</failure>\n`;
+      } else if (p.status === 'skipped') {
+        body += `      <skipped message="${xmlEscape(p.reason)}"/>\n`;
+      }
+      if (lines.length > 0) {
+        body += `      <system-out>${xmlEscape(lines.join('\n'))}</system-out>\n`;
+      }
+      return `    <testcase classname="${xmlEscape(classname)}" name="${xmlEscape(p.phase)}" time="${seconds(p.durationMs)}"${body ? `>\n${body}    </testcase>` : '/>'}\n`;
+    };
+    const suite = (name, phases, properties) => {
+      const failures = phases.filter(p => p.status === 'failed' || p.status === 'incomplete').length;
+      const skipped = phases.filter(p => p.status === 'skipped').length;
+      const time = phases.reduce((sum, p) => sum + p.durationMs, 0);
+      const props = Object.entries(properties).filter(([, v]) => v !== null && v !== undefined);
+      return `  <testsuite name="${xmlEscape(name)}" tests="${phases.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${seconds(time)}">\n` +
+        (props.length > 0
+          ? `    <properties>\n${props.map(([k, v]) => `      <property name="${xmlEscape(k)}" value="${xmlEscape(v)}"/>\n`).join('')}    </properties>\n`
+          : '') +
+        phases.map(p => testcase(name, p)).join('') +
+        '  </testsuite>\n';
+    };
+
+    const suites = this.devices.map(d => suite(d.key, d.phases, {
+      host: d.host, address: d.address, identity: d.identity, role: d.role, routerOsVersion: d.routerOsVersion, board: d.board, status: d.status
+    }));
+    if (this.phases.length > 0) {
+      suites.push(suite('deployment', this.phases, {}));
+    }
+    const all = [...this.devices.flatMap(d => d.phases), ...this.phases];
+    const failures = all.filter(p => p.status === 'failed' || p.status === 'incomplete').length;
+    const skipped = all.filter(p => p.status === 'skipped').length;
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `<testsuites name="${xmlEscape(this.tool)}" tests="${all.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${seconds(Date.now() - this.startedAt)}">\n` +
+      suites.join('') +
+      '</testsuites>\n';
+  }
+
+  /**
+   * Write the report files
+   * @param {Array<{format: string, file: string}>} reports - From parseReportArgs
+   */
+  write(reports) {
+    for (const { format, file } of reports) {
+      try {
+        const content = format === 'junit' ? this.toJUnit() : JSON.stringify(this.toJSON(), null, 2) + '\n';
+        fs.writeFileSync(file, content);
+        console.log(`✓ ${format === 'junit' ? 'JUnit' : 'JSON'} report written to ${file}`);
+      } catch (e) {
+        console.log(`⚠️  Could not write report ${file}: ${e.message}`);
+      }
+    }
+  }
+
+  /**
+   * Write the report files when the process exits (any exit path)
+   * @param {Array<{format: string, file: string}>} reports - From parseReportArgs
+   */
+  writeOnExit(reports) {
+    process.on('exit', code => {
+      this.exitCode = code;
+      this.write(reports);
+    });
+  }
+}
+
+/**
+ * Report a single-device script (diagnostics) as one phase of one device
+ * Console output and run events of the whole process are collected; the phase
+ * fails when the process exits with a non-zero code. The report is written on exit.
+ * Does nothing when no report was requested.
+ * @param {string} tool - Script name
+ * @param {Array<{format: string, file: string}>} reports - From parseReportArgs
+ * @param {Object} device - {host, identity}
+ * @returns {Promise<DeviceReport|null>} Device entry
+ */
+async function reportProcess(tool, reports, device) {
+  if (reports.length === 0) return null;
+
+  const report = new RunReport(tool);
+  const entry = report.device({ key: device.identity || device.host || tool, host: device.host, identity: device.identity });
+  const collector = outputCollector();
+  const phase = { phase: tool, status: 'ok', durationMs: 0, warnings: collector.warnings, errors: collector.errors, steps: [] };
+  entry.phases.push(phase);
+  addProcessSink(collector.sink);
+  addProcessRecorder(entry.recorder(collector));
+
+  process.on('exit', code => {
+    report.exitCode = code;
+    phase.durationMs = Date.now() - report.startedAt;
+    phase.steps = collector.finish();
+    phase.status = code ? 'failed' : collector.warnings.length > 0 ? 'warning' : 'ok';
+    if (code && collector.errors.length > 0) {
+      phase.error = collector.errors[collector.errors.length - 1];
+    }
+    report.write(reports);
+  });
+
+  return entry;
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  parseReportArgs,
+  DeviceReport,
+  RunReport,
+  reportProcess
+};
@@ -0,0 +1,281 @@
+/**
+ * MikroTik REST Client
+ * RouterOS v7 /rest API transport with the same interface as MikroTikSSH
+ *
+ * exec() accepts the same console commands the lib/ modules send over SSH and
+ * translates them to REST calls (see record-commands.js). print() returns
+ * structured records.
+ */
+
+const http = require('http');
+const https = require('https');
+const { verifyHostKey } = require('./host-keys');
+const { candidateAddresses, connectFirstReachable } = require('./addresses');
+const { executeCommand, printRecords } = require('./record-commands');
+const { warn } = require('./run-events');
+
+class MikroTikREST {
+  /**
+   * @param {string} host - Device hostname or IP
+   * @param {string} username - API username
+   * @param {string} [password] - API password
+   * @param {Object} [options] - Additional connection options
+   * @param {number} [options.port] - HTTPS port (default: 443, or 80 for http)
+   * @param {string} [options.restProtocol] - 'https' (default) or 'http'
+   * @param {string} [options.hostKeyFingerprint] - Expected SHA256 fingerprint of the TLS certificate
+   * @param {string} [options.knownHostsFile] - Known-hosts file for trust-on-first-use pinning
+   * @param {boolean} [options.acceptNewHostKeys] - Re-pin a changed certificate instead of failing
+   * @param {string[]} [options.addresses] - Fallback addresses, tried in order (see lib/addresses.js)
+   */
+  constructor(host, username, password, options = {}) {
+    this.host = host;
+    this.addresses = candidateAddresses(host, options.addresses);
+    this.address = this.addresses[0];  // Address the session connected through
+    this.username = username;
+    this.password = password || '';
+    this.protocol = options.restProtocol === 'http' ? 'http' : 'https';
+    this.port = options.port || (this.protocol === 'http' ? 80 : 443);
+    this.hostKeyFingerprint = options.hostKeyFingerprint || null;
+    this.knownHostsFile = options.knownHostsFile || null;
+    this.acceptNewHostKeys = options.acceptNewHostKeys === true;
+    this.timeout = options.timeout || 30000;
+    this.connected = false;
+    this.verifiedSockets = new WeakSet();
+    // Item IDs from the last print of each menu (see record-commands.js)
+    this.printIds = new Map();
+
+    const Agent = this.protocol === 'http' ? http.Agent : https.Agent;
+    // Certificates are pinned (see verifySocket), so CA validation is not required;
+    // RouterOS devices typically use self-signed certificates.
+    this.agent = new Agent({ keepAlive: true, maxSockets: 1, rejectUnauthorized: false });
+  }
+
+  /**
+   * Pin the TLS certificate of a new socket before any request data is sent
+   * @param {tls.TLSSocket} socket - Socket that just completed its handshake
+   * @returns {Error|null} Verification error, if any
+   */
+  verifySocket(socket) {
+    const cert = socket.getPeerCertificate();
+    if (!cert || !cert.raw) {
+      return new Error(`No TLS certificate presented by ${this.address}:${this.port}`);
+    }
+    const result = verifyHostKey(cert.raw, {
+      host: this.host,
+      address: this.address,
+      port: this.port,
+      hostKeyFingerprint: this.hostKeyFingerprint,
+      knownHostsFile: this.knownHostsFile,
+      acceptNewHostKeys: this.acceptNewHostKeys
+    });
+    return result.ok ? null : new Error(result.error);
+  }
+
+  /**
+   * Send a REST request
+   * @param {string} method - HTTP method
+   * @param {string} menu - Menu path (e.g. /interface/wifi)
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<*>} Parsed JSON response (null for empty responses)
+   */
+  request(method, menu, body) {
+    return new Promise((resolve, reject) => {
+      const payload = body ? JSON.stringify(body) : null;
+      const transport = this.protocol === 'http' ? http : https;
+      const auth = Buffer.from(`${this.username}:${this.password}`).toString('base64');
+
+      const req = transport.request({
+        host: this.address,
+        port: this.port,
+        method,
+        path: `/rest${menu}`,
+        agent: this.agent,
+        headers: {
+          Authorization: `Basic ${auth}`,
+          Accept: 'application/json',
+          ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {})
+        }
+      }, (res) => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          clearTimeout(timeout);
+          let parsed = null;
+          try {
+            parsed = data ? JSON.parse(data) : null;
+          } catch (e) {
+            reject(new Error(`Invalid JSON response from ${this.address}: ${e.message}`));
+            return;
+          }
+
+          if (res.statusCode === 401) {
+            reject(new Error(`Authentication failed for user '${this.username}' at ${this.address} - check username and password`));
+          } else if (res.statusCode >= 400) {
+            const message = parsed && (parsed.detail || parsed.message);
+            reject(new Error(message || `HTTP ${res.statusCode} from ${this.address}`));
+          } else {
+            resolve(parsed);
+          }
+        });
+      });
+
+      const timeout = setTimeout(() => {
+        req.destroy(new Error('Command timeout'));
+      }, this.timeout);
+
+      if (this.protocol === 'https') {
+        req.on('socket', (socket) => {
+          if (this.verifiedSockets.has(socket)) return;
+          socket.once('secureConnect', () => {
+            const err = this.verifySocket(socket);
+            if (err) {
+              socket.destroy(err);
+            } else {
+              this.verifiedSockets.add(socket);
+            }
+          });
+        });
+      }
+
+      req.on('error', (err) => {
+        clearTimeout(timeout);
+        if (err.message.includes('ECONNREFUSED')) {
+          reject(new Error(`Connection refused to ${this.address}:${this.port} - check if device is reachable and the ${this.protocol === 'http' ? 'www' : 'www-ssl'} service is enabled`));
+        } else if (err.message.includes('ETIMEDOUT')) {
+          reject(new Error(`Connection timeout to ${this.address} - check network connectivity and firewall rules`));
+        } else if (err.message.includes('EHOSTUNREACH')) {
+          reject(new Error(`Host ${this.address} is unreachable - check network path and routing`));
+        } else {
+          reject(err);
+        }
+      });
+
+      if (payload) {
+        req.write(payload);
+      }
+      req.end();
+    });
+  }
+
+  async connect() {
+    await connectFirstReachable(this, async (address) => {
+      if (this.protocol === 'http') {
+        warn(`REST over plain HTTP to ${address} - credentials are sent unencrypted`);
+      }
+      await this.request('GET', '/system/identity');
+      this.connected = true;
+      console.log('✓ Connected to MikroTik device (REST)');
+    });
+  }
+
+  /**
+   * Fetch all items of a menu as records
+   * @param {string} menu - Menu path (e.g. /interface/wifi)
+   * @returns {Promise<Array<Object>|Object>} Records, or an object for settings menus
+   */
+  async fetch(menu) {
+    const data = await this.request('GET', menu);
+    return data === null ? [] : data;
+  }
+
+  /**
+   * Create an item (console "add")
+   * @param {string} menu - Menu path
+   * @param {Object} properties - Item properties
+   */
+  async createItem(menu, properties) {
+    await this.request('PUT', menu, properties);
+  }
+
+  /**
+   * Update an item by .id (console "set")
+   * @param {string} menu - Menu path
+   * @param {string} id - Item .id
+   * @param {Object} properties - Properties to change
+   */
+  async updateItem(menu, id, properties) {
+    await this.request('PATCH', `${menu}/${id}`, properties);
+  }
+
+  /**
+   * Remove an item by .id
+   * @param {string} menu - Menu path
+   * @param {string} id - Item .id
+   */
+  async removeItem(menu, id) {
+    await this.request('DELETE', `${menu}/${id}`);
+  }
+
+  /**
+   * Update a settings menu without items (e.g. /system identity set name=...)
+   * @param {string} menu - Menu path
+   * @param {Object} properties - Properties to change
+   */
+  async updateSettings(menu, properties) {
+    await this.request('POST', `${menu}/set`, properties);
+  }
+
+  /**
+   * Export configuration to a file on the device (console "export file=...")
+   * @param {string} menu - Menu path to export ("/" for the whole configuration)
+   * @param {Object} properties - Export arguments (file, show-sensitive)
+   */
+  async exportConfig(menu, properties) {
+    if (!properties.file) {
+      throw new Error('Command not supported by this transport: export without file=');
+    }
+    await this.request('POST', `${menu === '/' ? '' : menu}/export`, properties);
+  }
+
+  /**
+   * Run a command that is not a menu action (e.g. /import, /system reset-configuration)
+   * @param {string} menu - Command path
+   * @param {Object} properties - Command arguments
+   */
+  async runCommand(menu, properties) {
+    await this.request('POST', menu, properties);
+  }
+
+  /**
+   * Create a file on the device
+   * @param {string} name - File name
+   * @param {string} contents - File contents
+   */
+  async uploadFile(name, contents) {
+    await this.createItem('/file', { name, contents });
+  }
+
+  /**
+   * Print a menu as structured records
+   * @param {string} menu - Menu path (e.g. /interface/wifi/access-list)
+   * @param {Object} [options] - Print options
+   * @param {string} [options.where] - Console where-condition (e.g. comment~"lock to")
+   * @returns {Promise<Array<Object>>} Matching records including their .id
+   */
+  async print(menu, options = {}) {
+    this.assertConnected();
+    return printRecords(this, menu, options);
+  }
+
+  async exec(command) {
+    this.assertConnected();
+    return executeCommand(this, command);
+  }
+
+  assertConnected() {
+    if (!this.connected) {
+      throw new Error('Not connected');
+    }
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  async close() {
+    this.connected = false;
+    this.agent.destroy();
+  }
+}
+
+module.exports = { MikroTikREST };
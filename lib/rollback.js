@@ -0,0 +1,162 @@
+/**
+ * Dead-man rollback
+ * Before a configuration run changes anything, the device's configuration is
+ * exported to a file and an on-device scheduler job is added that restores it
+ * after a timeout. The job is removed once the tool has reconnected after
+ * applying, so it only fires when a change (e.g. removing the default IP or
+ * moving bridge ports) locked the tool out.
+ */
+
+const { createConnection } = require('./connection');
+const { escapeMikroTik } = require('./utils');
+const { warn } = require('./run-events');
+
+// Name of the scheduler job and of the export file (<name>.rsc)
+const ROLLBACK_NAME = 'wap-configurator-rollback';
+const DEFAULT_ROLLBACK_MINUTES = 5;
+
+/**
+ * Resolve a rollback setting to a timeout
+ * @param {boolean|number|Object} setting - true (default timeout), minutes, or {minutes}; false/0 disables
+ * @returns {number|null} Minutes until the device restores itself, or null when disabled
+ */
+function resolveRollbackMinutes(setting) {
+  if (setting === true) {
+    return DEFAULT_ROLLBACK_MINUTES;
+  }
+  const minutes = typeof setting === 'object' && setting !== null
+    ? (setting.minutes ?? DEFAULT_ROLLBACK_MINUTES)
+    : setting;
+  const parsed = parseInt(minutes, 10);
+  return parsed > 0 ? parsed : null;
+}
+
+/**
+ * Export the current configuration and schedule its restore
+ * The job fires once: its on-event removes the job first, then resets the
+ * device and replays the export (users are kept so the tool's credentials
+ * keep working). The export is taken without any rollback job in it, so the
+ * replay cannot bring the job back.
+ * @param {Object} mt - Connected session
+ * @param {number} minutes - Minutes until the restore runs
+ */
+async function scheduleRollback(mt, minutes) {
+  // Remove a job left by an earlier run that did not finish, before it ends up in the export
+  try {
+    await mt.exec(`/system scheduler remove [find name="${ROLLBACK_NAME}"]`);
+  } catch (e) {
+    // Ignore if not found
+  }
+
+  await mt.exec(`/export show-sensitive file=${ROLLBACK_NAME}`);
+
+  const onEvent = `/system scheduler remove [find name="${ROLLBACK_NAME}"]; ` +
+    `/system reset-configuration keep-users=yes no-defaults=yes skip-backup=yes run-after-reset=${ROLLBACK_NAME}.rsc`;
+  await mt.exec(
+    `/system scheduler add name=${ROLLBACK_NAME} interval=${minutes}m ` +
+    `on-event="${escapeMikroTik(onEvent)}"`
+  );
+}
+
+/**
+ * Remove the scheduled restore and its export file
+ * @param {Object} mt - Connected session
+ */
+async function cancelRollback(mt) {
+  await mt.exec(`/system scheduler remove [find name="${ROLLBACK_NAME}"]`);
+  try {
+    await mt.exec(`/file remove [find name="${ROLLBACK_NAME}.rsc"]`);
+  } catch (e) {
+    // The export file is harmless if it stays
+  }
+}
+
+/**
+ * Arm the dead-man rollback on a device over its own connection
+ * Failures are reported and configuration continues without a rollback.
+ * @param {Object} config - Device connection configuration
+ * @param {number} minutes - Minutes until the device restores itself
+ * @returns {Promise<boolean>} True if the rollback was armed
+ */
+async function armRollback(config, minutes) {
+  // Fresh devices are expected to move from the default IP to DHCP, which
+  // looks like a lockout from here
+  if (config.host === '192.168.88.1') {
+    console.log('ℹ️  Rollback not armed - connected via default IP 192.168.88.1');
+    return false;
+  }
+
+  const mt = createConnection(config);
+  try {
+    await mt.connect();
+    if (mt.address === '192.168.88.1') {
+      console.log('ℹ️  Rollback not armed - connected via default IP 192.168.88.1 (fallback address)');
+      return false;
+    }
+    await scheduleRollback(mt, minutes);
+    console.log(`✓ Rollback armed: ${config.host} restores its current configuration in ${minutes} minute(s) unless the tool reconnects`);
+    return true;
+  } catch (e) {
+    warn(`Could not arm rollback on ${config.host}: ${e.message}`);
+    console.log('    Continuing without automatic rollback');
+    return false;
+  } finally {
+    await mt.close();
+  }
+}
+
+/**
+ * Reconnect after applying and cancel the rollback
+ * @param {Object} config - Device connection configuration
+ * @param {number} minutes - Rollback timeout (for messages)
+ * @returns {Promise<boolean>} True if the rollback was cancelled
+ */
+async function confirmRollback(config, minutes) {
+  const mt = createConnection(config);
+  try {
+    await mt.connect();
+    await cancelRollback(mt);
+    console.log(`✓ Reconnected to ${config.host} - rollback cancelled`);
+    return true;
+  } catch (e) {
+    warn(`Could not reconnect to ${config.host}: ${e.message}`);
+    console.log(`    The device restores its previous configuration within ${minutes} minute(s) of arming`);
+    return false;
+  } finally {
+    await mt.close();
+  }
+}
+
+/**
+ * Run a configuration step under a dead-man rollback
+ * Plan mode runs the step without arming, since nothing is changed.
+ * @param {Object} config - Device configuration (rollback setting in config.rollback)
+ * @param {Function} apply - Async function that configures the device
+ * @returns {Promise<*>} Result of apply
+ */
+async function withRollback(config, apply) {
+  const minutes = resolveRollbackMinutes(config.rollback);
+  if (!minutes || config.plan) {
+    return apply();
+  }
+
+  console.log('\n=== Arming Rollback ===');
+  const armed = await armRollback(config, minutes);
+  try {
+    return await apply();
+  } finally {
+    if (armed) {
+      console.log('\n=== Confirming Rollback ===');
+      await confirmRollback(config, minutes);
+    }
+  }
+}
+
+module.exports = {
+  ROLLBACK_NAME,
+  DEFAULT_ROLLBACK_MINUTES,
+  resolveRollbackMinutes,
+  armRollback,
+  confirmRollback,
+  withRollback
+};
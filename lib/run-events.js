@@ -0,0 +1,80 @@
+/**
+ * Run events
+ * What the configuration modules tell an active run report (lib/report.js)
+ * besides their console output: warnings, and the device a session connected
+ * to. Recorders are scoped to an async context like console sinks
+ * (lib/console-capture.js), so devices handled concurrently do not mix.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { parseSettings } = require('./print-parser');
+
+// Recorders of the current async context (innermost last)
+const recorderStorage = new AsyncLocalStorage();
+// Recorders that see events from the whole process
+const processRecorders = [];
+
+function activeRecorders() {
+  return [...processRecorders, ...(recorderStorage.getStore() || [])];
+}
+
+/**
+ * Run a function with a recorder receiving its events
+ * @param {Object} recorder - {warning(message), needsDevice(), device(info)}
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function withRecorder(recorder, fn) {
+  return recorderStorage.run([...(recorderStorage.getStore() || []), recorder], fn);
+}
+
+/**
+ * Add a recorder for all events of the process
+ * @param {Object} recorder - {warning(message), needsDevice(), device(info)}
+ */
+function addProcessRecorder(recorder) {
+  processRecorders.push(recorder);
+}
+
+/**
+ * Print a warning and record it in the active reports
+ * @param {string} message - Warning text (without the ⚠️ marker)
+ * @param {string} [indent] - Leading spaces of the printed line
+ */
+function warn(message, indent = '') {
+  console.log(`${indent}⚠️  ${message}`);
+  for (const recorder of activeRecorders()) {
+    recorder.warning(message);
+  }
+}
+
+/**
+ * Record the device a session just connected to
+ * Identity, RouterOS version and board are read through the session itself,
+ * and only while an active report still lacks them (non-fatal).
+ * @param {Object} session - Connected transport session
+ * @returns {Promise<void>}
+ */
+async function recordSession(session) {
+  const recorders = activeRecorders().filter(recorder => recorder.needsDevice());
+  if (recorders.length === 0) return;
+
+  const info = { address: session.address || session.host || null, identity: null, routerOsVersion: null, board: null };
+  try {
+    const resource = parseSettings(await session.exec('/system resource print'));
+    const { name } = parseSettings(await session.exec('/system identity print'));
+    Object.assign(info, { identity: name || null, routerOsVersion: resource.version || null, board: resource['board-name'] || null });
+  } catch (e) {
+    // Reports go without the version
+  }
+  for (const recorder of recorders) {
+    recorder.device(info);
+  }
+}
+
+module.exports = {
+  withRecorder,
+  addProcessRecorder,
+  warn,
+  recordSession
+};
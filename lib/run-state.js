@@ -0,0 +1,178 @@
+/**
+ * Persisted run state for multi-device deployments
+ * Records the outcome of each device in each phase, and of the deployment-wide
+ * phases, in a JSON file next to the config so an interrupted or partly failed
+ * rollout can be resumed without touching the devices that already completed.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Phases tracked in the state file (key -> description)
+const RUN_PHASES = {
+  controller: 'Phase 1: Controller',
+  caps: 'Phase 2: CAPs',
+  capInterfaces: 'Phase 2.5: CAP interfaces on controller',
+  capFallback: 'Phase 2.6: Local CAP fallback',
+  accessLists: 'Phase 2.75: Access-lists',
+  standalone: 'Standalone devices',
+  steps: 'Infrastructure steps'
+};
+
+/**
+ * Default state file for a config file
+ * @param {string} configFile - multiple-devices.yaml path
+ * @returns {string} e.g. multiple-devices.run-state.json next to the config
+ */
+function defaultStateFile(configFile) {
+  return `${configFile.replace(/\.ya?ml$/i, '')}.run-state.json`;
+}
+
+/**
+ * Fingerprint of the config file text
+ * @param {string} text - Config file contents
+ * @returns {string} sha256 hex digest
+ */
+function configHash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+class RunState {
+  /**
+   * @param {string} file - State file path
+   * @param {Object} data - State contents
+   * @param {Object} [options] - {persist: false to never write the file (plan mode)}
+   */
+  constructor(file, data, options = {}) {
+    this.file = file;
+    this.data = data;
+    this.persist = options.persist !== false;
+  }
+
+  /**
+   * Begin a new run (replaces any earlier state)
+   * @param {string} file - State file path
+   * @param {Object} meta - {configFile, configText, selectedPhases (--phases value, if any)}
+   * @param {Object} [options] - {persist}
+   * @returns {RunState} Saved state
+   */
+  static start(file, meta, options = {}) {
+    const now = new Date().toISOString();
+    const state = new RunState(file, {
+      configFile: meta.configFile,
+      configHash: configHash(meta.configText),
+      selectedPhases: meta.selectedPhases || null,
+      startedAt: now,
+      updatedAt: now,
+      completedAt: null,
+      phases: {}
+    }, options);
+    state.save();
+    return state;
+  }
+
+  /**
+   * Load the state of an earlier run
+   * @param {string} file - State file path
+   * @param {Object} [options] - {persist}
+   * @returns {RunState} State
+   * @throws {Error} When the file does not exist or is not a run state
+   */
+  static load(file, options = {}) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`No run state found at ${file} - nothing to resume`);
+    }
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data || typeof data.phases !== 'object') {
+      throw new Error(`${file} is not a run state file`);
+    }
+    return new RunState(file, data, options);
+  }
+
+  /**
+   * Whether the config file changed since the run was started
+   * @param {string} configText - Current config file contents
+   * @returns {boolean} True if it differs
+   */
+  configChanged(configText) {
+    return this.data.configHash !== configHash(configText);
+  }
+
+  /**
+   * Whether a device completed a phase
+   * @param {string} phase - Key of RUN_PHASES
+   * @param {string} device - Device key (identity or host)
+   * @returns {boolean} True if it succeeded
+   */
+  isDeviceDone(phase, device) {
+    return this.data.phases[phase]?.devices?.[device]?.status === 'done';
+  }
+
+  /**
+   * Whether a deployment-wide phase completed
+   * @param {string} phase - Key of RUN_PHASES
+   * @returns {boolean} True if it succeeded
+   */
+  isPhaseDone(phase) {
+    return this.data.phases[phase]?.status === 'done';
+  }
+
+  /**
+   * Record a device's outcome in a phase
+   * @param {string} phase - Key of RUN_PHASES
+   * @param {string} device - Device key (identity or host)
+   * @param {Object} outcome - {host, success, skipped, error}
+   */
+  markDevice(phase, device, outcome) {
+    const entry = this.data.phases[phase] || (this.data.phases[phase] = { devices: {} });
+    entry.devices = entry.devices || {};
+    entry.devices[device] = {
+      host: outcome.host,
+      status: outcome.success ? 'done' : outcome.skipped ? 'skipped' : 'failed',
+      ...(outcome.error ? { error: outcome.error } : {}),
+      at: new Date().toISOString()
+    };
+    this.save();
+  }
+
+  /**
+   * Record the outcome of a deployment-wide phase
+   * @param {string} phase - Key of RUN_PHASES
+   * @param {boolean} success - Whether it completed
+   * @param {string} [error] - Error message
+   */
+  markPhase(phase, success, error) {
+    const entry = this.data.phases[phase] || (this.data.phases[phase] = {});
+    entry.status = success ? 'done' : 'failed';
+    if (error) {
+      entry.error = error;
+    } else {
+      delete entry.error;
+    }
+    entry.at = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Mark the run as completed
+   */
+  complete() {
+    this.data.completedAt = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Write the state file
+   */
+  save() {
+    if (!this.persist) return;
+    this.data.updatedAt = new Date().toISOString();
+    fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2) + '\n');
+  }
+}
+
+module.exports = {
+  RUN_PHASES,
+  RunState,
+  defaultStateFile
+};
@@ -0,0 +1,226 @@
+/**
+ * JSON Schema validation for configuration files
+ * The schemas in schema/ describe config.yaml and multiple-devices.yaml; they
+ * are published for editors (yaml-language-server) and checked here with the
+ * draft-07 keywords they use: $ref (local and into a sibling schema file),
+ * type, enum, const, pattern, minLength, minimum, maximum, exclusiveMinimum,
+ * minItems, uniqueItems, items, properties, required, maxProperties,
+ * additionalProperties, anyOf and allOf. An errorMessage on a schema replaces
+ * the messages of its own keywords (as with ajv-errors).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schema');
+
+// Schema files by kind of configuration file
+const SCHEMA_FILES = {
+  config: 'config.schema.json',
+  'multiple-devices': 'multiple-devices.schema.json'
+};
+
+const loadedSchemas = new Map();
+
+/**
+ * Load a schema file from schema/
+ * @param {string} file - File name (e.g. config.schema.json)
+ * @returns {Object} Parsed schema
+ */
+function loadSchemaFile(file) {
+  if (!loadedSchemas.has(file)) {
+    loadedSchemas.set(file, JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8')));
+  }
+  return loadedSchemas.get(file);
+}
+
+/**
+ * Resolve a $ref
+ * @param {string} ref - "#/definitions/x" or "other.schema.json#/definitions/x"
+ * @param {string} file - Schema file the $ref appears in
+ * @returns {{schema: Object, file: string}} Referenced schema and its file
+ */
+function resolveRef(ref, file) {
+  const [target, pointer = ''] = ref.split('#');
+  const refFile = target || file;
+  let schema = loadSchemaFile(refFile);
+  for (const segment of pointer.split('/').filter(Boolean)) {
+    schema = schema[segment.replace(/~1/g, '/').replace(/~0/g, '~')];
+    if (schema === undefined) {
+      throw new Error(`Unresolvable $ref ${ref} in ${file}`);
+    }
+  }
+  return { schema, file: refFile };
+}
+
+/**
+ * JSON type of a value, as used by the type keyword
+ * @param {*} value - Value from YAML
+ * @returns {string} null, array, integer, number, string, boolean or object
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Whether a value has one of the allowed types
+ * @param {*} value - Value from YAML
+ * @param {string|string[]} types - Allowed types
+ * @returns {boolean} True when allowed (an integer is also a number)
+ */
+function hasType(value, types) {
+  const actual = typeOf(value);
+  return [].concat(types).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Short description of a value for error messages
+ * @param {*} value - Value from YAML
+ * @returns {string} e.g. "6GHz", 0, a list
+ */
+function describeValue(value) {
+  const type = typeOf(value);
+  if (type === 'array') return 'a list';
+  if (type === 'object') return 'a mapping';
+  return JSON.stringify(value);
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value from YAML
+ * @param {Object} schema - Schema (or a subschema)
+ * @param {Object} [context] - {file: schema file for $refs, path: path of value (keys and indexes)}
+ * @returns {Array<{path: Array<string|number>, message: string}>} Errors (empty when valid)
+ */
+function validateSchema(value, schema, context = {}) {
+  const file = context.file || SCHEMA_FILES.config;
+  const at = context.path || [];
+  const errors = [];
+  const fail = message => errors.push({ path: at, message: schema.errorMessage || message });
+
+  if (schema.$ref) {
+    const resolved = resolveRef(schema.$ref, file);
+    const refErrors = validateSchema(value, resolved.schema, { file: resolved.file, path: at });
+    return schema.errorMessage && refErrors.length > 0 ? [{ path: at, message: schema.errorMessage }] : refErrors;
+  }
+
+  if (schema.type && !hasType(value, schema.type)) {
+    fail(`must be ${[].concat(schema.type).join(' or ')} (got ${describeValue(value)})`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(', ')} (got ${describeValue(value)})`);
+    return errors;
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern} (got ${describeValue(value)})`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be ${schema.minimum} or more (got ${value})`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be more than ${schema.exclusiveMinimum} (got ${value})`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be ${schema.maximum} or less (got ${value})`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} entries`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item, index) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) errors.push({ path: [...at, index], message: `duplicate entry ${describeValue(item)}` });
+        seen.add(key);
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, { file, path: [...at, index] }));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    if (schema.maxProperties !== undefined && Object.keys(value).length > schema.maxProperties) {
+      fail(`must have at most ${schema.maxProperties} key(s)`);
+    }
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: [...at, key], message: 'is required' });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(item, properties[key], { file, path: [...at, key] }));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: [...at, key], message: `unknown key (allowed: ${Object.keys(properties).join(', ')})` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, { file, path: [...at, key] }));
+      }
+    }
+  }
+
+  for (const subschema of schema.allOf || []) {
+    errors.push(...validateSchema(value, subschema, { file, path: at }));
+  }
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map(subschema => validateSchema(value, subschema, { file, path: at }));
+    if (!attempts.some(attempt => attempt.length === 0)) {
+      // Report the errors of the one alternative of the value's type, if there is exactly one
+      const typed = schema.anyOf
+        .map((subschema, index) => ({ subschema: subschema.$ref ? resolveRef(subschema.$ref, file).schema : subschema, index }))
+        .filter(({ subschema }) => subschema.type && hasType(value, subschema.type));
+      if (schema.errorMessage || typed.length !== 1) {
+        const types = [...new Set(schema.anyOf.flatMap(subschema => [].concat(subschema.type || [])))];
+        fail(types.length > 0 ? `must be ${types.join(' or ')} (got ${describeValue(value)})` : 'does not match any allowed form');
+      } else {
+        errors.push(...attempts[typed[0].index]);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a configuration against its published schema
+ * @param {Object} config - Parsed configuration file
+ * @param {string} kind - 'config' or 'multiple-devices'
+ * @returns {Array<{path: Array<string|number>, message: string}>} Errors
+ */
+function validateAgainstSchema(config, kind) {
+  const file = SCHEMA_FILES[kind];
+  if (!file) {
+    throw new Error(`Unknown configuration kind "${kind}" (expected ${Object.keys(SCHEMA_FILES).join(' or ')})`);
+  }
+  return validateSchema(config, loadSchemaFile(file), { file, path: [] });
+}
+
+module.exports = {
+  SCHEMA_DIR,
+  SCHEMA_FILES,
+  loadSchemaFile,
+  validateSchema,
+  validateAgainstSchema
+};
@@ -0,0 +1,211 @@
+/**
+ * Secret references in configuration files
+ * Passwords and passphrases can be given as references instead of clear text:
+ *   passphrase: {env: GUEST_PSK}                 environment variable
+ *   passphrase: {file: /run/secrets/iot}         file contents (trailing newline removed)
+ *   password: {command: "pass show wifi/main"}   first line of the command's output
+ * They are resolved when a file is loaded; backups that rewrite a file put the
+ * references back instead of the values read from the devices.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const { deviceHost } = require('./addresses');
+const { formatPath } = require('./validate');
+const { warn } = require('./run-events');
+
+const SECRET_SOURCES = ['env', 'file', 'command'];
+
+// Seconds a secret command may run (it may ask for a GPG passphrase on the terminal)
+const COMMAND_TIMEOUT = 60;
+
+/**
+ * Check whether a value is a secret reference
+ * @param {*} value - Value from YAML
+ * @returns {boolean} True for {env: ...}, {file: ...} or {command: ...}
+ */
+function isSecretRef(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length === 1 && SECRET_SOURCES.includes(keys[0]) && typeof value[keys[0]] === 'string';
+}
+
+/**
+ * Describe a secret reference without its value
+ * @param {Object} ref - Secret reference
+ * @returns {string} e.g. {env: GUEST_PSK}
+ */
+function describeSecretRef(ref) {
+  const [source] = Object.keys(ref);
+  return `{${source}: ${ref[source]}}`;
+}
+
+/**
+ * Resolve one secret reference
+ * @param {Object} ref - Secret reference
+ * @param {Object} [options] - {baseDir: directory relative files and commands are resolved in (default: cwd)}
+ * @returns {string} Secret value
+ * @throws {Error} When the variable is unset, the file unreadable, the command fails, or the value is empty
+ */
+function resolveSecretRef(ref, options = {}) {
+  const baseDir = options.baseDir || process.cwd();
+  let value;
+
+  if (ref.env !== undefined) {
+    value = process.env[ref.env];
+    if (value === undefined) {
+      throw new Error(`environment variable ${ref.env} is not set`);
+    }
+  } else if (ref.file !== undefined) {
+    const file = ref.file.startsWith('~/') ? path.join(os.homedir(), ref.file.slice(2)) : ref.file;
+    try {
+      value = fs.readFileSync(path.resolve(baseDir, file), 'utf8').replace(/\r?\n$/, '');
+    } catch (e) {
+      throw new Error(`cannot read ${ref.file}: ${e.code === 'ENOENT' ? 'no such file' : e.message}`);
+    }
+  } else {
+    try {
+      const output = execSync(ref.command, {
+        cwd: baseDir,
+        encoding: 'utf8',
+        timeout: COMMAND_TIMEOUT * 1000,
+        stdio: ['inherit', 'pipe', 'inherit']
+      });
+      value = output.split(/\r?\n/)[0];
+    } catch (e) {
+      throw new Error(e.code === 'ETIMEDOUT' || e.signal === 'SIGTERM'
+        ? `command timed out after ${COMMAND_TIMEOUT}s`
+        : `command failed${e.status !== undefined && e.status !== null ? ` (exit ${e.status})` : ''}`);
+    }
+  }
+
+  if (value === '') {
+    throw new Error('value is empty');
+  }
+  return value;
+}
+
+/**
+ * Resolve every secret reference in a configuration
+ * The configuration is not changed; the same reference is resolved once.
+ * @param {*} config - Parsed configuration file
+ * @param {Object} [options] - {baseDir: directory of the configuration file (default: cwd)}
+ * @returns {*} Copy of the configuration with references replaced by their values
+ * @throws {Error} The first reference that cannot be resolved, with its key path
+ */
+function resolveSecrets(config, options = {}) {
+  const cache = new Map();
+
+  const resolve = (value, at) => {
+    if (isSecretRef(value)) {
+      const key = JSON.stringify(value);
+      if (!cache.has(key)) {
+        try {
+          cache.set(key, resolveSecretRef(value, options));
+        } catch (e) {
+          throw new Error(`${formatPath(at)}: secret ${describeSecretRef(value)} - ${e.message}`);
+        }
+      }
+      return cache.get(key);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => resolve(item, [...at, index]));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolve(item, [...at, key])]));
+    }
+    return value;
+  };
+
+  return resolve(config, []);
+}
+
+/**
+ * Visit the values of a configuration with the SSID and device they belong to
+ * @param {*} value - Configuration (or part of it)
+ * @param {Function} visit - (parent, key, value, context) => void; context is {ssid, host, at}
+ * @param {Object} [context] - Enclosing SSID name and device host
+ */
+function walkWithContext(value, visit, context = { ssid: null, host: null, at: [] }) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => walkWithContext(item, visit, { ...context, at: [...context.at, index] }));
+    return;
+  }
+  if (!value || typeof value !== 'object' || isSecretRef(value)) return;
+
+  // A device entry ({device: {host}}), a flat device ({host, username}) or an SSID
+  const block = value.device && typeof value.device === 'object' ? value.device : value;
+  const isDevice = block !== value || value.username !== undefined;
+  const inner = {
+    ...context,
+    host: (isDevice && deviceHost(block)) || context.host,
+    ssid: typeof value.ssid === 'string' ? value.ssid : context.ssid
+  };
+  for (const [key, item] of Object.entries(value)) {
+    visit(value, key, item, { ...inner, at: [...context.at, key] });
+    walkWithContext(item, visit, { ...inner, at: [...context.at, key] });
+  }
+}
+
+/**
+ * Put the secret references of a source file back into a configuration about to be written
+ * A value is replaced when the source had a reference under the same key for
+ * the same SSID (passphrases) or the same device (passwords). A value read from
+ * the device that differs from the reference's value is reported, and the
+ * reference is kept either way.
+ * @param {Object} output - Configuration to write; updated in place
+ * @param {Object} source - Configuration as loaded from the file, with references
+ * @param {Object} [options] - {baseDir: directory of the source file}
+ * @returns {number} Number of references put back
+ */
+function restoreSecretRefs(output, source, options = {}) {
+  const refs = [];
+  walkWithContext(source, (parent, key, value, context) => {
+    if (isSecretRef(value)) refs.push({ key, ref: value, ...context });
+  });
+  if (refs.length === 0) return 0;
+
+  // Most specific match first: same key, SSID and device; then same key and SSID (deployment-level templates)
+  const findRef = (key, context) =>
+    refs.find(r => r.key === key && r.ssid === context.ssid && r.host === context.host) ||
+    (context.ssid ? refs.find(r => r.key === key && r.ssid === context.ssid) : null);
+
+  const values = new Map();
+  const valueOf = ref => {
+    if (!values.has(ref)) {
+      try {
+        values.set(ref, resolveSecretRef(ref, options));
+      } catch (e) {
+        // Unresolvable here (e.g. a variable only set where configs are applied) - keep the reference
+        values.set(ref, null);
+      }
+    }
+    return values.get(ref);
+  };
+
+  let restored = 0;
+  walkWithContext(output, (parent, key, value, context) => {
+    if (typeof value !== 'string' && typeof value !== 'number') return;
+    const match = findRef(key, context);
+    if (!match) return;
+
+    const expected = valueOf(match.ref);
+    if (expected !== null && String(value) !== expected && value !== 'UNKNOWN') {
+      warn(`${formatPath(context.at)} on the device differs from ${describeSecretRef(match.ref)} - reference kept`);
+    }
+    parent[key] = { ...match.ref };
+    restored++;
+  });
+  return restored;
+}
+
+module.exports = {
+  SECRET_SOURCES,
+  isSecretRef,
+  describeSecretRef,
+  resolveSecretRef,
+  resolveSecrets,
+  restoreSecretRefs
+};
@@ -0,0 +1,984 @@
+/**
+ * In-process RouterOS simulator
+ * Drop-in replacement for MikroTikSSH backed by an in-memory device model, for
+ * running configure/backup flows end to end without hardware.
+ *
+ * Models the menus lib/ touches: /interface ethernet, bridge (+ port), bonding,
+ * vlan, wifi (+ datapath, steering, access-list, radio, registration-table,
+ * capsman, cap, capsman/remote-cap), /ip address, dhcp-client, dhcp-server (+ lease),
+ * dns, firewall, /system identity, resource, package, logging and scheduler,
+ * and /file. /export renders the device as console commands that /import and
+ * /system reset-configuration run-after-reset=... replay.
+ *
+ * Devices are kept in a process-wide registry keyed by host (and by every IP
+ * they acquire), so a later connection - e.g. a backup after a configure run,
+ * or the controller after a CAP joined it - sees the same state. A device
+ * reached at another device's DHCP gateway address lists that device's lease
+ * in /ip dhcp-server lease, as an upstream router would. Console
+ * commands are executed through record-commands.js, the same layer the REST and
+ * API transports use, and errors carry the messages RouterOS prints.
+ */
+
+const crypto = require('crypto');
+const { executeCommand, printRecords, formatValue } = require('./record-commands');
+const { normalizeValue, parseCommand } = require('./cli-command');
+const { candidateAddresses, connectFirstReachable } = require('./addresses');
+
+const DEFAULT_BOARD = 'wAP ax';
+const DEFAULT_VERSION = '7.16.2';
+const DEFAULT_IP = '192.168.88.1';
+
+// Boards whose wifi1 radio is 5GHz (see wifi-config.js)
+const SWAPPED_RADIO_BOARDS = ['cap ax', 'cap ac'];
+
+const BANDS_24GHZ = '2ghz-g,2ghz-n,2ghz-ax';
+const BANDS_5GHZ = '5ghz-a,5ghz-n,5ghz-ac,5ghz-ax';
+
+// Menus whose items are interfaces (names are unique across all of them)
+const INTERFACE_MENUS = [
+  '/interface/ethernet',
+  '/interface/bridge',
+  '/interface/bonding',
+  '/interface/vlan',
+  '/interface/wifi'
+];
+
+// Menus with a single settings object instead of items
+const SETTINGS_MENUS = [
+  '/system/identity',
+  '/system/resource',
+  '/ip/dns',
+  '/interface/wifi/capsman',
+  '/interface/wifi/cap'
+];
+
+// Menus that only the device itself populates
+const READ_ONLY_MENUS = [
+  '/system/resource',
+  '/system/package',
+  '/interface/ethernet',
+  '/interface/wifi/radio',
+  '/interface/wifi/capsman/remote-cap',
+  '/interface/wifi/registration-table'
+];
+
+// Menus /export writes, in the order their items depend on each other
+const EXPORT_MENUS = [
+  '/interface/bridge',
+  '/interface/bonding',
+  '/interface/vlan',
+  '/interface/ethernet',
+  '/interface/wifi/datapath',
+  '/interface/wifi/steering',
+  '/interface/wifi',
+  '/interface/wifi/access-list',
+  '/interface/wifi/capsman',
+  '/interface/wifi/cap',
+  '/interface/bridge/port',
+  '/ip/address',
+  '/ip/dhcp-client',
+  '/ip/dhcp-server',
+  '/ip/dns',
+  '/ip/firewall/filter',
+  '/ip/firewall/nat',
+  '/system/identity',
+  '/system/logging/action',
+  '/system/logging',
+  '/system/scheduler'
+];
+
+// Run-time properties /export leaves out (all menus, then per menu)
+const EXPORT_SKIP_KEYS = ['.id', 'running', 'default-name', 'mac-address', 'orig-mac-address'];
+const EXPORT_SKIP_MENU_KEYS = {
+  '/ip/address': ['network', 'dynamic'],
+  '/ip/dhcp-client': ['status', 'address', 'gateway'],
+  '/interface/wifi/cap': ['current-caps-man-address']
+};
+
+// Per-menu uniqueness rules for add/set: property and RouterOS error message
+const UNIQUE_RULES = {
+  '/interface/bridge/port': { key: 'interface', message: 'failure: already have interface in bridge' },
+  '/ip/dhcp-client': { key: 'interface', message: 'failure: already have dhcp-client on this interface' },
+  '/interface/wifi/datapath': { key: 'name', message: 'failure: already have item with such name' },
+  '/interface/wifi/steering': { key: 'name', message: 'failure: already have item with such name' },
+  '/ip/dhcp-server': { key: 'name', message: 'failure: already have item with such name' },
+  '/system/logging/action': { key: 'name', message: 'failure: already have item with such name' },
+  '/system/scheduler': { key: 'name', message: 'failure: already have item with such name' },
+  '/file': { key: 'name', message: 'failure: already have file with such name' }
+};
+
+// Devices by host and by every IP address they hold
+const registry = new Map();
+
+/**
+ * Check whether a host string is an IPv4 address
+ * @param {string} host - Hostname or IP
+ * @returns {boolean} True for dotted-quad addresses
+ */
+function isIPv4(host) {
+  return /^\d+\.\d+\.\d+\.\d+$/.test(host || '');
+}
+
+/**
+ * Network address of an address/prefix pair
+ * @param {string} address - Address with prefix (e.g. 10.0.0.5/24)
+ * @returns {string} Network address (e.g. 10.0.0.0)
+ */
+function networkOf(address) {
+  const [ip, prefix = '32'] = address.split('/');
+  const mask = prefix === '0' ? 0 : (~((1 << (32 - parseInt(prefix, 10))) - 1)) >>> 0;
+  const value = ip.split('.').reduce((acc, part) => ((acc << 8) | parseInt(part, 10)) >>> 0, 0);
+  const network = (value & mask) >>> 0;
+  return [24, 16, 8, 0].map(shift => (network >>> shift) & 255).join('.');
+}
+
+class SimulatedDevice {
+  /**
+   * @param {string} host - Host the device is first reached at
+   * @param {Object} [options] - Device model
+   * @param {string} [options.board] - Board name (default: wAP ax; cAP ax has swapped radios)
+   * @param {string} [options.version] - RouterOS version
+   * @param {number} [options.ethernetPorts] - Number of ethernet ports (default: 2)
+   * @param {string} [options.dhcpAddress] - Address the DHCP client obtains (default: derived from host)
+   */
+  constructor(host, options = {}) {
+    this.host = host;
+    this.board = options.board || DEFAULT_BOARD;
+    this.version = options.version || DEFAULT_VERSION;
+    this.nextId = 1;
+    this.tables = new Map();
+    this.settings = new Map();
+    // IPs removed from the device; sessions connected through them are lost
+    this.removedAddresses = new Set();
+
+    const digest = crypto.createHash('md5').update(host).digest();
+    this.macBase = ['D4', '01', 'C3', ...[digest[0], digest[1], digest[2] & 0xF0]
+      .map(b => b.toString(16).toUpperCase().padStart(2, '0'))];
+    this.dhcpAddress = options.dhcpAddress ||
+      (isIPv4(host) && host !== DEFAULT_IP ? host : `10.0.0.${10 + (digest[3] % 240)}`);
+
+    this.loadDefaults(options.ethernetPorts || 2);
+  }
+
+  /**
+   * Generate a MAC address unique to this device
+   * @param {number} offset - Interface offset
+   * @returns {string} MAC address
+   */
+  mac(offset) {
+    const last = (parseInt(this.macBase[5], 16) + offset) & 0xFF;
+    return [...this.macBase.slice(0, 5), last.toString(16).toUpperCase().padStart(2, '0')].join(':');
+  }
+
+  /**
+   * Whether wifi1 is the 5GHz radio on this board
+   * @returns {boolean} True for swapped radio layouts
+   */
+  hasSwappedRadios() {
+    const board = this.board.toLowerCase();
+    return SWAPPED_RADIO_BOARDS.some(b => board.includes(b));
+  }
+
+  /**
+   * Load a factory-default configuration
+   * @param {number} ethernetPorts - Number of ethernet ports
+   */
+  loadDefaults(ethernetPorts) {
+    this.settings.set('/system/identity', { name: 'MikroTik' });
+    this.settings.set('/system/resource', {
+      uptime: '1d2h3m4s',
+      version: `${this.version} (stable)`,
+      'cpu-load': '1%',
+      'architecture-name': 'arm64',
+      'board-name': this.board,
+      platform: 'MikroTik'
+    });
+    this.settings.set('/ip/dns', { servers: '', 'allow-remote-requests': 'yes' });
+    this.settings.set('/interface/wifi/capsman', {
+      enabled: 'no',
+      'ca-certificate': '',
+      'require-peer-certificate': 'no',
+      interfaces: 'all'
+    });
+    this.settings.set('/interface/wifi/cap', {
+      enabled: 'no',
+      'caps-man-addresses': '',
+      'discovery-interfaces': '',
+      'slaves-static': 'no',
+      'current-caps-man-address': ''
+    });
+
+    for (const menu of [
+      '/system/package', '/system/logging', '/system/logging/action', '/system/scheduler', '/file',
+      ...INTERFACE_MENUS, '/interface/bridge/port', '/interface/wifi/datapath',
+      '/interface/wifi/steering', '/interface/wifi/access-list', '/interface/wifi/radio',
+      '/interface/wifi/registration-table', '/interface/wifi/capsman/remote-cap',
+      '/ip/address', '/ip/dhcp-client', '/ip/dhcp-server', '/ip/dhcp-server/lease', '/ip/firewall/filter', '/ip/firewall/nat'
+    ]) {
+      this.tables.set(menu, []);
+    }
+
+    this.insert('/system/package', { name: 'routeros', version: this.version });
+    this.insert('/system/package', { name: 'wifi-qcom', version: this.version });
+
+    for (let i = 1; i <= ethernetPorts; i++) {
+      this.insert('/interface/ethernet', {
+        name: `ether${i}`,
+        'default-name': `ether${i}`,
+        mtu: '1500',
+        'mac-address': this.mac(i - 1),
+        'orig-mac-address': this.mac(i - 1),
+        disabled: 'no'
+      });
+    }
+
+    this.insert('/interface/bridge', {
+      name: 'bridge',
+      comment: 'defconf',
+      'admin-mac': this.mac(0),
+      'auto-mac': 'yes',
+      'igmp-snooping': 'no',
+      'vlan-filtering': 'no',
+      disabled: 'no'
+    });
+
+    const swapped = this.hasSwappedRadios();
+    for (const [index, name] of ['wifi1', 'wifi2'].entries()) {
+      const is24 = (index === 0) !== swapped;
+      this.insert('/interface/wifi', {
+        name,
+        'default-name': name,
+        'mac-address': this.mac(8 + index),
+        'configuration.mode': 'ap',
+        'configuration.ssid': `MikroTik-${this.macBase.slice(3).join('')}`,
+        'security.authentication-types': 'wpa2-psk,wpa3-psk',
+        disabled: 'no'
+      });
+      this.insert('/interface/wifi/radio', {
+        'radio-mac': this.mac(8 + index),
+        interface: name,
+        bands: is24 ? BANDS_24GHZ : BANDS_5GHZ,
+        cap: ''
+      });
+    }
+
+    for (const iface of ['ether1', 'wifi1', 'wifi2']) {
+      this.insert('/interface/bridge/port', { bridge: 'bridge', interface: iface, pvid: '1', comment: 'defconf', disabled: 'no' });
+    }
+
+    this.insert('/ip/address', {
+      address: `${DEFAULT_IP}/24`,
+      network: networkOf(`${DEFAULT_IP}/24`),
+      interface: 'bridge',
+      comment: 'defconf',
+      dynamic: 'no',
+      disabled: 'no'
+    });
+    this.insert('/ip/dhcp-server', { name: 'defconf', interface: 'bridge', 'address-pool': 'default-dhcp', disabled: 'no' });
+    this.insert('/ip/firewall/nat', { chain: 'srcnat', action: 'masquerade', 'out-interface-list': 'WAN', comment: 'defconf: masquerade', disabled: 'no' });
+
+    for (const action of [
+      { name: 'memory', target: 'memory' },
+      { name: 'disk', target: 'disk' },
+      { name: 'echo', target: 'echo' },
+      { name: 'remote', target: 'remote', remote: '0.0.0.0', 'remote-port': '514' }
+    ]) {
+      this.insert('/system/logging/action', { ...action, default: 'yes' });
+    }
+    for (const topics of ['info', 'error', 'warning', 'critical']) {
+      this.insert('/system/logging', { topics, action: 'memory', default: 'yes', disabled: 'no' });
+    }
+  }
+
+  /**
+   * Add an item without validation (device-generated items and defaults)
+   * @param {string} menu - Menu path
+   * @param {Object} properties - Item properties
+   * @param {number} [position] - Insert position (default: end)
+   * @returns {Object} Stored item
+   */
+  insert(menu, properties, position) {
+    const item = { '.id': `*${(this.nextId++).toString(16).toUpperCase()}`, ...properties };
+    const items = this.tables.get(menu);
+    if (position === undefined || position >= items.length) {
+      items.push(item);
+    } else {
+      items.splice(Math.max(0, position), 0, item);
+    }
+    return item;
+  }
+
+  /**
+   * Items of a menu
+   * @param {string} menu - Menu path
+   * @returns {Array<Object>} Stored items (not copies)
+   */
+  table(menu) {
+    const items = this.tables.get(menu);
+    if (!items) {
+      throw new Error('no such command prefix');
+    }
+    return items;
+  }
+
+  /**
+   * Find an interface of any type by name
+   * @param {string} name - Interface name
+   * @returns {Object|undefined} Interface item
+   */
+  findInterface(name) {
+    for (const menu of INTERFACE_MENUS) {
+      const item = this.tables.get(menu).find(i => i.name === name);
+      if (item) return item;
+    }
+    return undefined;
+  }
+
+  /**
+   * Check whether an IP address is assigned to the device
+   * @param {string} ip - IP address without prefix
+   * @returns {boolean} True if present in /ip address
+   */
+  hasAddress(ip) {
+    return this.tables.get('/ip/address').some(a => a.address.split('/')[0] === ip);
+  }
+
+  /**
+   * Whether a host the device was reached at still answers
+   * @param {string} host - Host used by a session
+   * @returns {boolean} False once the session's IP has been removed from the device
+   */
+  isReachable(host) {
+    return !(this.removedAddresses.has(host) && !this.hasAddress(host));
+  }
+
+  /**
+   * Validate references to other items (interfaces, datapaths, steering profiles)
+   * @param {string} menu - Menu path
+   * @param {Object} properties - Properties being set
+   */
+  validateReferences(menu, properties) {
+    const names = (m) => this.tables.get(m).map(i => i.name);
+    const checks = {
+      'master-interface': () => menu === '/interface/wifi' && names('/interface/wifi'),
+      interface: () => {
+        if (menu === '/interface/wifi/access-list') return [...names('/interface/wifi'), 'any'];
+        if (['/interface/bridge/port', '/interface/vlan', '/ip/address', '/ip/dhcp-client'].includes(menu)) {
+          return INTERFACE_MENUS.flatMap(names);
+        }
+        return null;
+      },
+      bridge: () => ['/interface/bridge/port', '/interface/wifi/datapath'].includes(menu) && names('/interface/bridge'),
+      'datapath.bridge': () => names('/interface/bridge'),
+      steering: () => menu === '/interface/wifi' && names('/interface/wifi/steering'),
+      datapath: () => menu === '/interface/wifi' && names('/interface/wifi/datapath')
+    };
+
+    for (const [key, allowed] of Object.entries(checks)) {
+      if (properties[key] === undefined || properties[key] === '') continue;
+      const values = allowed();
+      if (values && !values.includes(properties[key])) {
+        throw new Error(`input does not match any value of ${key}`);
+      }
+    }
+  }
+
+  /**
+   * Enforce name and per-menu uniqueness
+   * @param {string} menu - Menu path
+   * @param {Object} properties - Properties being set
+   * @param {string} [id] - Item being updated (excluded from the check)
+   */
+  checkUnique(menu, properties, id) {
+    if (INTERFACE_MENUS.includes(menu) && properties.name !== undefined) {
+      const existing = this.findInterface(properties.name);
+      if (existing && existing['.id'] !== id) {
+        throw new Error('failure: already have interface with such name');
+      }
+    }
+    const rule = UNIQUE_RULES[menu];
+    if (rule && properties[rule.key] !== undefined) {
+      const existing = this.table(menu).find(i => i[rule.key] === properties[rule.key]);
+      if (existing && existing['.id'] !== id) {
+        throw new Error(rule.message);
+      }
+    }
+  }
+
+  /**
+   * Update every reference to a renamed or removed interface
+   * @param {string} from - Old interface name
+   * @param {string} to - New name, or the removed item's .id (shown as an unresolved reference)
+   */
+  updateInterfaceReferences(from, to) {
+    for (const items of this.tables.values()) {
+      for (const item of items) {
+        for (const key of ['interface', 'master-interface']) {
+          if (item[key] === from) item[key] = to;
+        }
+      }
+    }
+  }
+
+  /**
+   * Console "add"
+   * @param {string} menu - Menu path
+   * @param {Object} properties - Item properties
+   * @returns {Object} Stored item
+   */
+  add(menu, properties) {
+    if (READ_ONLY_MENUS.includes(menu) || SETTINGS_MENUS.includes(menu)) {
+      throw new Error('bad command name add');
+    }
+    this.table(menu);
+
+    const props = { ...properties };
+    let position;
+    if (props['place-before'] !== undefined) {
+      position = parseInt(props['place-before'], 10);
+      delete props['place-before'];
+    }
+
+    if (menu === '/interface/wifi') {
+      if (!props['master-interface'] && !props.name) {
+        throw new Error('failure: master-interface must be specified');
+      }
+      props.name = props.name || `wifi${this.table(menu).length + 1}`;
+      props['mac-address'] = props['mac-address'] || this.mac(16 + this.nextId);
+    }
+    if (menu === '/interface/bridge/port') {
+      props.pvid = props.pvid || '1';
+    }
+    if (menu === '/ip/address') {
+      props.network = networkOf(props.address || '');
+      props.dynamic = 'no';
+    }
+    if (!['/system/logging/action', '/interface/wifi/access-list', '/file'].includes(menu)) {
+      props.disabled = props.disabled || 'no';
+    }
+
+    this.checkUnique(menu, props);
+    this.validateReferences(menu, props);
+    const item = this.insert(menu, props, position);
+
+    if (menu === '/ip/address') {
+      this.claimAddress(props.address);
+    }
+    if (menu === '/ip/dhcp-client' && item.disabled === 'no') {
+      this.bindDhcpClient(item);
+    }
+    return item;
+  }
+
+  /**
+   * Console "set" on an item
+   * @param {string} menu - Menu path
+   * @param {string} id - Item .id
+   * @param {Object} properties - Properties to change
+   */
+  set(menu, id, properties) {
+    if (READ_ONLY_MENUS.includes(menu) && menu !== '/interface/ethernet') {
+      throw new Error('bad command name set');
+    }
+    const item = this.table(menu).find(i => i['.id'] === id);
+    if (!item) {
+      throw new Error('no such item');
+    }
+
+    this.checkUnique(menu, properties, id);
+    this.validateReferences(menu, properties);
+
+    const oldName = item.name;
+    Object.assign(item, properties);
+    if (INTERFACE_MENUS.includes(menu) && properties.name !== undefined && properties.name !== oldName) {
+      this.updateInterfaceReferences(oldName, properties.name);
+    }
+    if (menu === '/ip/dhcp-client' && item.disabled === 'no' && item.status !== 'bound') {
+      this.bindDhcpClient(item);
+    }
+  }
+
+  /**
+   * Console "remove"
+   * @param {string} menu - Menu path
+   * @param {string} id - Item .id
+   */
+  remove(menu, id) {
+    if (READ_ONLY_MENUS.includes(menu) && menu !== '/interface/wifi/registration-table') {
+      throw new Error('bad command name remove');
+    }
+    const items = this.table(menu);
+    const index = items.findIndex(i => i['.id'] === id);
+    if (index === -1) {
+      throw new Error('no such item');
+    }
+    const [item] = items.splice(index, 1);
+
+    if (INTERFACE_MENUS.includes(menu)) {
+      this.updateInterfaceReferences(item.name, item['.id']);
+    }
+    if (menu === '/ip/address') {
+      const ip = item.address.split('/')[0];
+      if (!this.hasAddress(ip)) {
+        this.removedAddresses.add(ip);
+      }
+    }
+    if (menu === '/ip/dhcp-client' && item.address) {
+      const addresses = this.tables.get('/ip/address');
+      const lease = addresses.findIndex(a => a.dynamic === 'yes' && a.address === item.address);
+      if (lease !== -1) {
+        this.remove('/ip/address', addresses[lease]['.id']);
+      }
+    }
+  }
+
+  /**
+   * Console "set" on a settings menu
+   * @param {string} menu - Menu path
+   * @param {Object} properties - Properties to change
+   */
+  setSettings(menu, properties) {
+    const settings = this.settings.get(menu);
+    if (!settings) {
+      throw new Error(this.tables.has(menu) ? 'expected item number or name' : 'no such command prefix');
+    }
+    if (menu === '/system/resource') {
+      throw new Error('bad command name set');
+    }
+    Object.assign(settings, properties);
+
+    if (menu === '/interface/wifi/cap') {
+      this.joinController();
+    }
+  }
+
+  /**
+   * Register an address in the host registry so later sessions to it reach this device
+   * @param {string} address - Address with prefix
+   */
+  claimAddress(address) {
+    const ip = (address || '').split('/')[0];
+    if (isIPv4(ip)) {
+      this.removedAddresses.delete(ip);
+      registry.set(ip, this);
+    }
+  }
+
+  /**
+   * Give a DHCP client a lease and the matching dynamic address
+   * @param {Object} client - /ip dhcp-client item
+   */
+  bindDhcpClient(client) {
+    const address = `${this.dhcpAddress}/24`;
+    client.status = 'bound';
+    client.address = address;
+    client.gateway = networkOf(address).replace(/\.0$/, '.1');
+    if (!this.hasAddress(this.dhcpAddress)) {
+      this.insert('/ip/address', {
+        address,
+        network: networkOf(address),
+        interface: client.interface,
+        dynamic: 'yes',
+        disabled: 'no'
+      });
+    }
+    this.claimAddress(address);
+  }
+
+  /**
+   * Dynamic leases of other simulated devices whose DHCP gateway is this device
+   * @returns {Array<Object>} Lease records as /ip dhcp-server lease prints them
+   */
+  servedLeases() {
+    const leases = [];
+    for (const device of new Set(registry.values())) {
+      if (device === this) continue;
+      for (const client of device.tables.get('/ip/dhcp-client')) {
+        if (client.status !== 'bound' || !(client.gateway === this.host || this.hasAddress(client.gateway))) continue;
+        const iface = device.findInterface(client.interface) || {};
+        const mac = iface['admin-mac'] || iface['mac-address'];
+        const address = client.address.split('/')[0];
+        leases.push({
+          '.id': `*D${(leases.length + 1).toString(16).toUpperCase()}`,
+          address,
+          'mac-address': mac,
+          'active-address': address,
+          'active-mac-address': mac,
+          'host-name': device.settings.get('/system/identity').name,
+          server: 'dhcp1',
+          status: 'bound',
+          dynamic: 'yes'
+        });
+      }
+    }
+    return leases;
+  }
+
+  /**
+   * Connect an enabled CAP to the first simulated controller at one of its caps-man-addresses
+   */
+  joinController() {
+    const cap = this.settings.get('/interface/wifi/cap');
+    cap['current-caps-man-address'] = '';
+    if (cap.enabled !== 'yes') return;
+
+    for (const address of cap['caps-man-addresses'].split(',').filter(Boolean)) {
+      const controller = registry.get(address);
+      if (controller && controller !== this &&
+          controller.settings.get('/interface/wifi/capsman').enabled === 'yes') {
+        controller.attachCap(this);
+        cap['current-caps-man-address'] = address;
+        return;
+      }
+    }
+  }
+
+  /**
+   * Register a CAP on this controller: remote-cap entry plus one interface and
+   * radio per CAP radio, named <identity>-2g / <identity>-5g by radio position
+   * @param {SimulatedDevice} cap - CAP device
+   */
+  attachCap(cap) {
+    const identity = cap.settings.get('/system/identity').name;
+    const remoteCaps = this.tables.get('/interface/wifi/capsman/remote-cap');
+    const existing = remoteCaps.find(r => r.identity === identity);
+    const address = cap.dhcpAddress;
+
+    if (existing) {
+      existing.address = address;
+      existing.state = 'Ok';
+      return;
+    }
+
+    const radios = cap.tables.get('/interface/wifi/radio').filter(r => !r.cap);
+    this.insert('/interface/wifi/capsman/remote-cap', {
+      identity,
+      address,
+      'board-name': cap.board,
+      version: cap.version,
+      state: 'Ok',
+      radios: String(radios.length)
+    });
+
+    for (const [index, radio] of radios.entries()) {
+      const name = `${identity}-${index === 0 ? '2g' : '5g'}`;
+      this.insert('/interface/wifi', {
+        name,
+        'mac-address': radio['radio-mac'],
+        'radio-mac': radio['radio-mac'],
+        'configuration.manager': 'capsman',
+        disabled: 'no'
+      });
+      this.insert('/interface/wifi/radio', {
+        'radio-mac': radio['radio-mac'],
+        interface: name,
+        bands: radio.bands,
+        cap: identity
+      });
+    }
+  }
+
+  /**
+   * Configuration as /export show-sensitive prints it
+   * Built-in interfaces and settings menus are written as set commands, other
+   * items as add commands. Dynamic and default items and interfaces a CAPsMAN
+   * controller created for remote CAPs are left out.
+   * @returns {string} Export script
+   */
+  renderExport() {
+    const lines = [
+      `# ${new Date().toISOString().replace('T', ' ').slice(0, 19)} by RouterOS ${this.version}`,
+      `# model = ${this.board}`
+    ];
+    const skip = (menu, key) => EXPORT_SKIP_KEYS.includes(key) || (EXPORT_SKIP_MENU_KEYS[menu] || []).includes(key);
+    const assignments = (menu, record) => Object.entries(record)
+      .filter(([key]) => !skip(menu, key))
+      .map(([key, value]) => `${key}=${formatValue(key, value)}`)
+      .join(' ');
+
+    for (const menu of EXPORT_MENUS) {
+      const commands = [];
+      if (this.settings.has(menu)) {
+        commands.push(`set ${assignments(menu, this.settings.get(menu))}`);
+      } else {
+        for (const item of this.table(menu)) {
+          if (normalizeValue(item.dynamic) === 'yes' || normalizeValue(item.default) === 'yes' || item['radio-mac']) continue;
+          commands.push(item['default-name']
+            ? `set [ find default-name=${item['default-name']} ] ${assignments(menu, item)}`
+            : `add ${assignments(menu, item)}`);
+        }
+      }
+      if (commands.length > 0) {
+        lines.push(`/${menu.split('/').filter(Boolean).join(' ')}`);
+        lines.push(...commands);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Write a configuration export to /file (replacing a file of the same name)
+   * @param {string} file - File name without the .rsc extension
+   */
+  exportConfig(file) {
+    const name = `${file}.rsc`;
+    const files = this.table('/file');
+    const existing = files.findIndex(f => f.name === name);
+    if (existing !== -1) {
+      files.splice(existing, 1);
+    }
+    const contents = this.renderExport();
+    this.insert('/file', { name, type: 'script', size: String(contents.length), contents });
+  }
+
+  /**
+   * /system reset-configuration: back to factory state, keeping files
+   * Every address the device held stops answering until it is configured again.
+   * @param {Object} options - Command arguments (no-defaults, ...)
+   */
+  resetConfiguration(options = {}) {
+    const files = this.tables.get('/file');
+    const ethernetPorts = this.tables.get('/interface/ethernet').length;
+    for (const address of this.tables.get('/ip/address')) {
+      this.removedAddresses.add(address.address.split('/')[0]);
+    }
+
+    this.tables = new Map();
+    this.settings = new Map();
+    this.loadDefaults(ethernetPorts);
+    this.tables.set('/file', files);
+
+    if (normalizeValue(options['no-defaults']) === 'yes') {
+      for (const [menu, items] of this.tables) {
+        if (menu === '/interface/bridge/port' || menu === '/interface/bridge') {
+          this.tables.set(menu, items.filter(i => i.comment !== 'defconf'));
+        }
+      }
+      this.tables.set('/ip/address', []);
+      this.tables.set('/ip/dhcp-server', []);
+      this.tables.set('/ip/firewall/nat', []);
+    }
+    for (const address of this.tables.get('/ip/address')) {
+      this.claimAddress(address.address);
+    }
+  }
+
+  /**
+   * Items of a menu as printed, including run-time state
+   * @param {string} menu - Menu path
+   * @returns {Array<Object>|Object} Item copies, or the settings object
+   */
+  fetch(menu) {
+    if (this.settings.has(menu)) {
+      return { ...this.settings.get(menu) };
+    }
+    if (menu === '/ip/dhcp-server/lease') {
+      return [...this.table(menu).map(item => ({ ...item })), ...this.servedLeases()];
+    }
+
+    const capManaged = this.settings.get('/interface/wifi/cap').enabled === 'yes' &&
+      this.settings.get('/interface/wifi/cap')['slaves-static'] === 'yes' &&
+      this.settings.get('/interface/wifi/cap')['current-caps-man-address'] !== '';
+
+    return this.table(menu).map(item => {
+      const record = { ...item };
+      if (menu === '/interface/wifi') {
+        const enabled = normalizeValue(item.disabled) !== 'yes';
+        record.running = enabled && (item['configuration.ssid'] || item['configuration.manager'] === 'capsman') ? 'yes' : 'no';
+        // Local static interfaces bound by a CAPsMAN controller
+        if (capManaged && item['master-interface'] && !record.comment) {
+          record.comment = 'managed by CAPsMAN';
+        }
+      }
+      if (menu === '/interface/ethernet') {
+        record.running = normalizeValue(item.disabled) !== 'yes' && item.name === 'ether1' ? 'yes' : 'no';
+      }
+      return record;
+    });
+  }
+}
+
+/**
+ * Get (or create) the simulated device reached at a host
+ * @param {string} host - Device hostname or IP
+ * @param {Object} [options] - Device model for a new device (see SimulatedDevice)
+ * @returns {SimulatedDevice} Simulated device
+ */
+function getSimulatedDevice(host, options = {}) {
+  if (!registry.has(host)) {
+    registry.set(host, new SimulatedDevice(host, options));
+  }
+  return registry.get(host);
+}
+
+/**
+ * Forget all simulated devices
+ */
+function resetSimulator() {
+  registry.clear();
+}
+
+class MikroTikSimulator {
+  /**
+   * @param {string} host - Device hostname or IP
+   * @param {string} username - Username (accepted without checking)
+   * @param {string} [password] - Password (accepted without checking)
+   * @param {Object} [options] - Additional options
+   * @param {SimulatedDevice} [options.device] - Device to use instead of the registry entry for host
+   * @param {string[]} [options.addresses] - Fallback addresses, tried in order (see lib/addresses.js)
+   */
+  constructor(host, username, password, options = {}) {
+    this.host = host;
+    this.username = username;
+    this.addresses = candidateAddresses(host, options.addresses);
+    this.address = this.addresses[0];  // Address the session connected through
+    this.fixedDevice = options.device || null;
+    // With fallback addresses the device is found on connect
+    this.device = options.device || (this.addresses.length === 1 ? getSimulatedDevice(host) : null);
+    this.connected = false;
+    // Item IDs from the last print of each menu (see record-commands.js)
+    this.printIds = new Map();
+  }
+
+  async connect() {
+    // Of several addresses only those a simulated device holds answer; when
+    // none does, a fresh device is created at the first one
+    const known = this.addresses.length > 1 && this.addresses.some(address => registry.has(address));
+    await connectFirstReachable(this, async (address) => {
+      const device = this.fixedDevice || (known ? registry.get(address) : getSimulatedDevice(address));
+      if (!device || !device.isReachable(address)) {
+        throw new Error(`Connection timeout to ${address} - check network connectivity and firewall rules`);
+      }
+      this.device = device;
+      this.connected = true;
+      console.log('✓ Connected to MikroTik device (simulated)');
+    });
+  }
+
+  /**
+   * Fail like a real session once the address it is connected through is removed
+   */
+  assertConnected() {
+    if (this.connected && !this.device.isReachable(this.address)) {
+      this.connected = false;
+    }
+    if (!this.connected) {
+      throw new Error('Not connected');
+    }
+  }
+
+  async fetch(menu) {
+    return this.device.fetch(menu);
+  }
+
+  async createItem(menu, properties) {
+    this.device.add(menu, properties);
+  }
+
+  async updateItem(menu, id, properties) {
+    this.device.set(menu, id, properties);
+  }
+
+  async removeItem(menu, id) {
+    this.device.remove(menu, id);
+  }
+
+  async updateSettings(menu, properties) {
+    this.device.setSettings(menu, properties);
+  }
+
+  async exportConfig(menu, properties) {
+    if (!properties.file) {
+      return this.device.renderExport();
+    }
+    this.device.exportConfig(properties.file);
+    return '';
+  }
+
+  /**
+   * Run an export script the way /import does, stopping at the first error
+   * @param {string} name - Script file name
+   */
+  async importFile(name) {
+    const file = this.device.table('/file').find(f => f.name === name);
+    if (!file || file.contents === undefined) {
+      throw new Error(`failure: ${name} does not exist`);
+    }
+
+    const lines = file.contents.replace(/\\\r?\n\s*/g, '').split(/\r?\n/);
+    let menu = '';
+    for (const [index, line] of lines.entries()) {
+      const text = line.trim();
+      if (!text || text.startsWith('#')) continue;
+
+      const parsed = parseCommand(text);
+      if (text.startsWith('/') && parsed.action === null && Object.keys(parsed.properties).length === 0) {
+        menu = text;
+        continue;
+      }
+      try {
+        await executeCommand(this, text.startsWith('/') ? text : `${menu} ${text}`);
+      } catch (e) {
+        throw new Error(`failure: ${name} line ${index + 1}: ${e.message}`);
+      }
+    }
+  }
+
+  async runCommand(menu, properties) {
+    if (menu === '/import') {
+      await this.importFile(properties['file-name']);
+      return '';
+    }
+    if (menu === '/system/reset-configuration') {
+      // The device reboots: this session is lost, the script runs on the fresh config
+      this.device.resetConfiguration(properties);
+      this.connected = false;
+      if (properties['run-after-reset']) {
+        await this.importFile(properties['run-after-reset']);
+      }
+      return '';
+    }
+    throw new Error(`Command not supported by this transport: ${menu}`);
+  }
+
+  async uploadFile(name, contents) {
+    const files = this.device.table('/file');
+    const existing = files.findIndex(f => f.name === name);
+    if (existing !== -1) {
+      files.splice(existing, 1);
+    }
+    this.device.add('/file', { name, type: 'script', size: String(contents.length), contents });
+  }
+
+  /**
+   * Print a menu as structured records
+   * @param {string} menu - Menu path (e.g. /interface/wifi/access-list)
+   * @param {Object} [options] - Print options
+   * @param {string} [options.where] - Console where-condition (e.g. comment~"lock to")
+   * @returns {Promise<Array<Object>>} Matching records including their .id
+   */
+  async print(menu, options = {}) {
+    this.assertConnected();
+    return printRecords(this, menu, options);
+  }
+
+  async exec(command) {
+    this.assertConnected();
+    return executeCommand(this, command);
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  async close() {
+    this.connected = false;
+  }
+}
+
+module.exports = {
+  MikroTikSimulator,
+  SimulatedDevice,
+  getSimulatedDevice,
+  resetSimulator
+};
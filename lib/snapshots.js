@@ -0,0 +1,314 @@
+/**
+ * Configuration snapshot store
+ * Keeps the full /export show-sensitive text of each device, taken on every
+ * apply and backup run, as <dir>/<identity>/<timestamp>.rsc (devices that still
+ * have the factory identity are stored under their host). When the directory
+ * is a git repository each snapshot is also committed.
+ *
+ * Snapshots can be listed, compared and restored to a device (upload, then
+ * reset and replay the export, or import it on top of the running config).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createConnection } = require('./connection');
+const { parseSettings } = require('./print-parser');
+const { warn } = require('./run-events');
+
+const DEFAULT_SNAPSHOT_DIR = process.env.MIKROTIK_SNAPSHOT_DIR || 'snapshots';
+const RESTORE_FILE = 'wap-configurator-restore.rsc';
+
+// First line of every snapshot file: "# snapshot key=value ..."
+const HEADER_PREFIX = '# snapshot ';
+
+/**
+ * Make a device identity safe to use as a directory name
+ * @param {string} identity - Device identity
+ * @returns {string} Directory name
+ */
+function deviceKey(identity) {
+  return String(identity || 'unknown').replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+/**
+ * Normalize export text for comparison
+ * Joins continuation lines and drops comments (export header with the date).
+ * @param {string} text - Export text
+ * @returns {string[]} Lines
+ */
+function exportLines(text) {
+  return text
+    .replace(/\\\r?\n\s*/g, '')
+    .split(/\r?\n/)
+    .map(line => line.trimEnd())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Line diff of two texts (longest common subsequence)
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{op: string, line: string}>} Lines with op ' ', '-' or '+'
+ */
+function diffLines(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ op: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ op: '-', line: a[i++] });
+    } else {
+      result.push({ op: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ op: '-', line: a[i++] });
+  while (j < b.length) result.push({ op: '+', line: b[j++] });
+  return result;
+}
+
+class SnapshotStore {
+  /**
+   * @param {string} [dir] - Snapshot directory (default: $MIKROTIK_SNAPSHOT_DIR or ./snapshots)
+   */
+  constructor(dir = DEFAULT_SNAPSHOT_DIR) {
+    this.dir = dir;
+  }
+
+  /**
+   * Whether snapshots are committed to git
+   * @returns {boolean} True if the directory is a git repository
+   */
+  isGitRepository() {
+    return fs.existsSync(path.join(this.dir, '.git'));
+  }
+
+  /**
+   * Store an export
+   * @param {string} identity - Device identity
+   * @param {string} text - /export show-sensitive output
+   * @param {Object} [meta] - {host, source} recorded in the header line
+   * @returns {Object} Snapshot {device, id, file, host, source, time}
+   */
+  save(identity, text, meta = {}) {
+    const device = deviceKey(identity);
+    const deviceDir = path.join(this.dir, device);
+    fs.mkdirSync(deviceDir, { recursive: true });
+
+    const time = new Date().toISOString();
+    const base = time.replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+    let id = base;
+    for (let n = 2; fs.existsSync(path.join(deviceDir, `${id}.rsc`)); n++) {
+      id = `${base}-${n}`;
+    }
+
+    const header = `${HEADER_PREFIX}device=${device} host=${meta.host || ''} source=${meta.source || 'manual'} time=${time}`;
+    const file = path.join(deviceDir, `${id}.rsc`);
+    fs.writeFileSync(file, `${header}\n${text.endsWith('\n') ? text : `${text}\n`}`, { mode: 0o600 });
+
+    if (this.isGitRepository()) {
+      try {
+        const relative = path.relative(this.dir, file);
+        execFileSync('git', ['-C', this.dir, 'add', relative], { stdio: 'ignore' });
+        execFileSync('git', ['-C', this.dir, 'commit', '-m', `${device} ${id} (${meta.source || 'manual'})`, '--', relative], { stdio: 'ignore' });
+      } catch (e) {
+        warn(`Snapshot saved but not committed: ${e.message}`);
+      }
+    }
+
+    return { device, id, file, host: meta.host || '', source: meta.source || 'manual', time };
+  }
+
+  /**
+   * List snapshots, oldest first
+   * @param {string} [identity] - Only this device
+   * @returns {Array<Object>} Snapshots {device, id, file, host, source, time}
+   */
+  list(identity) {
+    if (!fs.existsSync(this.dir)) return [];
+
+    const devices = identity
+      ? [deviceKey(identity)]
+      : fs.readdirSync(this.dir).filter(d => !d.startsWith('.') && fs.statSync(path.join(this.dir, d)).isDirectory());
+
+    const snapshots = [];
+    for (const device of devices) {
+      const deviceDir = path.join(this.dir, device);
+      if (!fs.existsSync(deviceDir)) continue;
+      const ids = fs.readdirSync(deviceDir).filter(n => n.endsWith('.rsc')).map(n => n.slice(0, -4))
+        .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+      for (const id of ids) {
+        const file = path.join(deviceDir, `${id}.rsc`);
+        const [firstLine] = fs.readFileSync(file, 'utf8').split('\n', 1);
+        const meta = firstLine.startsWith(HEADER_PREFIX)
+          ? Object.fromEntries(firstLine.slice(HEADER_PREFIX.length).split(' ').map(kv => kv.split(/=(.*)/s).slice(0, 2)))
+          : {};
+        snapshots.push({ device, id, file, host: meta.host || '', source: meta.source || '', time: meta.time || '' });
+      }
+    }
+    return snapshots;
+  }
+
+  /**
+   * Find a snapshot of a device
+   * @param {string} identity - Device identity
+   * @param {string} ref - Snapshot id, a unique id prefix, "latest", or "latest~N" (N before latest)
+   * @returns {Object} Snapshot
+   * @throws {Error} When no single snapshot matches
+   */
+  resolve(identity, ref) {
+    const snapshots = this.list(identity);
+    if (snapshots.length === 0) {
+      throw new Error(`No snapshots for ${identity}`);
+    }
+
+    const relative = /^latest(?:~(\d+))?$/.exec(ref || 'latest');
+    if (relative) {
+      const snapshot = snapshots[snapshots.length - 1 - parseInt(relative[1] || '0', 10)];
+      if (!snapshot) {
+        throw new Error(`${identity} has only ${snapshots.length} snapshot(s)`);
+      }
+      return snapshot;
+    }
+
+    const matches = snapshots.filter(s => s.id === ref || s.id.startsWith(ref));
+    const exact = matches.find(s => s.id === ref);
+    if (exact) return exact;
+    if (matches.length === 1) return matches[0];
+    throw new Error(matches.length === 0
+      ? `No snapshot ${ref} for ${identity}`
+      : `Snapshot ${ref} is ambiguous for ${identity} (${matches.length} matches)`);
+  }
+
+  /**
+   * Export text of a snapshot (without the snapshot header line)
+   * @param {Object} snapshot - Snapshot from list/resolve
+   * @returns {string} Export text
+   */
+  read(snapshot) {
+    const text = fs.readFileSync(snapshot.file, 'utf8');
+    return text.startsWith(HEADER_PREFIX) ? text.slice(text.indexOf('\n') + 1) : text;
+  }
+
+  /**
+   * Compare two snapshots
+   * @param {Object} from - Older snapshot
+   * @param {Object} to - Newer snapshot
+   * @returns {Array<{op: string, line: string}>} Changed lines ('-' only in from, '+' only in to)
+   */
+  diff(from, to) {
+    return diffLines(exportLines(this.read(from)), exportLines(this.read(to)))
+      .filter(entry => entry.op !== ' ');
+  }
+}
+
+/**
+ * Read a device's export and store it
+ * Sessions that cannot return export text (REST/API) export to a file and read it back.
+ * @param {Object} mt - Connected session
+ * @param {SnapshotStore} store - Snapshot store
+ * @param {Object} meta - {host, source}
+ * @returns {Promise<Object>} Snapshot
+ */
+async function captureSnapshot(mt, store, meta) {
+  const { name: identity } = parseSettings(await mt.exec('/system identity print'));
+
+  let text;
+  try {
+    text = await mt.exec('/export show-sensitive');
+  } catch (e) {
+    if (!e.message.includes('not supported')) throw e;
+    const file = 'wap-configurator-snapshot';
+    await mt.exec(`/export show-sensitive file=${file}`);
+    const [record] = await mt.print('/file', { where: `name="${file}.rsc"` });
+    await mt.exec(`/file remove [find name="${file}.rsc"]`);
+    if (!record || record.contents === undefined) {
+      throw new Error('export file could not be read back');
+    }
+    text = record.contents;
+  }
+
+  // Devices still named with the factory identity are told apart by host
+  return store.save(identity && identity !== 'MikroTik' ? identity : meta.host, text, meta);
+}
+
+/**
+ * Take a snapshot over a new connection (non-fatal)
+ * @param {Object} config - Device connection configuration
+ * @param {SnapshotStore} store - Snapshot store
+ * @param {string} source - What triggered the snapshot (apply, backup)
+ * @returns {Promise<Object|null>} Snapshot, or null if it could not be taken
+ */
+async function recordSnapshot(config, store, source) {
+  const mt = createConnection(config);
+  try {
+    await mt.connect();
+    const snapshot = await captureSnapshot(mt, store, { host: config.host, source });
+    console.log(`✓ Snapshot saved: ${snapshot.file}`);
+    return snapshot;
+  } catch (e) {
+    warn(`Could not take snapshot of ${config.host}: ${e.message}`);
+    return null;
+  } finally {
+    await mt.close();
+  }
+}
+
+/**
+ * Upload a snapshot to a device and apply it
+ * By default the device is reset (keeping users) and replays the export, which
+ * reboots it; with merge the export is imported on top of the running config.
+ * @param {Object} config - Device connection configuration
+ * @param {string} text - Export text
+ * @param {Object} [options] - {merge}
+ * @returns {Promise<void>}
+ */
+async function restoreSnapshot(config, text, options = {}) {
+  const mt = createConnection(config);
+  try {
+    await mt.connect();
+
+    try {
+      await mt.exec(`/file remove [find name="${RESTORE_FILE}"]`);
+    } catch (e) {
+      // Ignore if not found
+    }
+    await mt.uploadFile(RESTORE_FILE, text);
+    console.log(`✓ Uploaded ${RESTORE_FILE}`);
+
+    if (options.merge) {
+      await mt.exec(`/import file-name=${RESTORE_FILE}`);
+      console.log('✓ Imported snapshot into the running configuration');
+    } else {
+      try {
+        await mt.exec(`/system reset-configuration keep-users=yes no-defaults=yes skip-backup=yes run-after-reset=${RESTORE_FILE}`);
+      } catch (e) {
+        // The device reboots and may drop the session before answering
+        if (e.message !== 'Not connected' && e.message !== 'Command timeout') throw e;
+      }
+      console.log('✓ Device is resetting and will apply the snapshot on boot');
+    }
+  } finally {
+    await mt.close();
+  }
+}
+
+module.exports = {
+  DEFAULT_SNAPSHOT_DIR,
+  SnapshotStore,
+  diffLines,
+  captureSnapshot,
+  recordSnapshot,
+  restoreSnapshot
+};
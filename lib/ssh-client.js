@@ -3,52 +3,202 @@
  * Wrapper around ssh2 for connecting to MikroTik devices
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { Client } = require('ssh2');
+const { verifyHostKey } = require('./host-keys');
+const { candidateAddresses, connectFirstReachable } = require('./addresses');
+const { parsePrint } = require('./print-parser');
+
+/**
+ * Expand a leading ~ in a file path to the user's home directory
+ * @param {string} filePath - Path that may start with ~
+ * @returns {string} Expanded path
+ */
+function expandHome(filePath) {
+  if (filePath === '~' || filePath.startsWith('~/')) {
+    return path.join(os.homedir(), filePath.slice(1));
+  }
+  return filePath;
+}
 
 class MikroTikSSH {
-  constructor(host, username, password) {
+  /**
+   * @param {string} host - Device hostname or IP
+   * @param {string} username - SSH username
+   * @param {string} [password] - SSH password (optional when using key or agent auth)
+   * @param {Object} [options] - Additional connection options
+   * @param {number} [options.port] - SSH port (default: 22)
+   * @param {string} [options.privateKey] - PEM/OpenSSH private key contents
+   * @param {string} [options.privateKeyPath] - Path to private key file (~ is expanded)
+   * @param {string} [options.privateKeyPassphrase] - Passphrase for an encrypted private key
+   * @param {boolean|string} [options.agent] - true to use SSH_AUTH_SOCK, or an agent socket path
+   * @param {boolean} [options.agentForward] - Forward the agent to the device
+   * @param {string} [options.hostKeyFingerprint] - Expected SHA256 host key fingerprint
+   * @param {string} [options.knownHostsFile] - Known-hosts file for trust-on-first-use pinning
+   * @param {boolean} [options.acceptNewHostKeys] - Re-pin changed host keys instead of failing
+   * @param {string[]} [options.addresses] - Fallback addresses, tried in order (see lib/addresses.js)
+   */
+  constructor(host, username, password, options = {}) {
     this.host = host;
+    this.addresses = candidateAddresses(host, options.addresses);
+    this.address = this.addresses[0];  // Address the session connected through
     this.username = username;
     this.password = password;
+    this.port = options.port || 22;
+    this.privateKey = options.privateKey || null;
+    this.privateKeyPath = options.privateKeyPath || null;
+    this.privateKeyPassphrase = options.privateKeyPassphrase;
+    this.agent = options.agent;
+    this.agentForward = options.agentForward === true;
+    this.hostKeyFingerprint = options.hostKeyFingerprint || null;
+    this.knownHostsFile = options.knownHostsFile || null;
+    this.acceptNewHostKeys = options.acceptNewHostKeys === true;
+    this.hostKeyError = null;
     this.conn = new Client();
     this.connected = false;
   }
 
+  /**
+   * Build ssh2 authentication options from the configured credentials
+   * Key and agent auth are offered alongside the password; ssh2 tries them in turn.
+   * With no password or key configured, SSH_AUTH_SOCK is used if it is set.
+   * @returns {Object} Partial ssh2 connect options
+   */
+  buildAuthOptions() {
+    const auth = {};
+
+    if (this.password) {
+      auth.password = this.password;
+    }
+
+    let privateKey = this.privateKey;
+    if (!privateKey && this.privateKeyPath) {
+      const keyPath = expandHome(this.privateKeyPath);
+      try {
+        privateKey = fs.readFileSync(keyPath);
+      } catch (e) {
+        throw new Error(`Could not read private key ${keyPath}: ${e.message}`);
+      }
+    }
+    if (privateKey) {
+      auth.privateKey = privateKey;
+      if (this.privateKeyPassphrase) {
+        auth.passphrase = this.privateKeyPassphrase;
+      }
+    }
+
+    let agent = null;
+    if (typeof this.agent === 'string') {
+      agent = this.agent;
+    } else if (this.agent === true) {
+      if (!process.env.SSH_AUTH_SOCK) {
+        throw new Error(`SSH agent requested for ${this.host} but SSH_AUTH_SOCK is not set`);
+      }
+      agent = process.env.SSH_AUTH_SOCK;
+    } else if (this.agent !== false && !auth.password && !auth.privateKey) {
+      agent = process.env.SSH_AUTH_SOCK || null;
+    }
+    if (agent) {
+      auth.agent = agent;
+      if (this.agentForward) {
+        auth.agentForward = true;
+      }
+    }
+
+    return auth;
+  }
+
   async connect() {
+    return connectFirstReachable(this, address => this.connectTo(address));
+  }
+
+  /**
+   * Open the SSH session to one address
+   * @param {string} address - Address to connect to
+   * @returns {Promise<void>}
+   */
+  connectTo(address) {
+    // A client that failed to connect is not reused
+    const conn = new Client();
+    this.conn = conn;
+    this.hostKeyError = null;
     return new Promise((resolve, reject) => {
-      this.conn.on('ready', () => {
+      let authOptions;
+      try {
+        authOptions = this.buildAuthOptions();
+      } catch (e) {
+        reject(e);
+        return;
+      }
+
+      conn.on('ready', () => {
         console.log('✓ Connected to MikroTik device');
         this.connected = true;
         resolve();
       }).on('close', () => {
-        this.connected = false;
+        // Ignore a late close of a client from an earlier address
+        if (this.conn === conn) this.connected = false;
       }).on('error', (err) => {
-        this.connected = false;
+        if (this.conn === conn) this.connected = false;
         // Improve error messages for common issues
-        if (err.message.includes('All configured authentication methods failed')) {
-          reject(new Error(`Authentication failed for user '${this.username}' at ${this.host} - check username and password`));
+        if (this.hostKeyError) {
+          reject(new Error(this.hostKeyError));
+        } else if (err.message.includes('All configured authentication methods failed')) {
+          reject(new Error(`Authentication failed for user '${this.username}' at ${address} - check username, password, or SSH key`));
+        } else if (err.message.includes('Encrypted private') || err.message.includes('Cannot parse privateKey')) {
+          reject(new Error(`Could not load private key for ${address} - check privateKeyPassphrase: ${err.message}`));
         } else if (err.message.includes('ECONNREFUSED')) {
-          reject(new Error(`Connection refused to ${this.host}:22 - check if device is reachable and SSH is enabled`));
+          reject(new Error(`Connection refused to ${address}:${this.port} - check if device is reachable and SSH is enabled`));
         } else if (err.message.includes('ETIMEDOUT') || err.message.includes('Timed out')) {
-          reject(new Error(`Connection timeout to ${this.host} - check network connectivity and firewall rules`));
+          reject(new Error(`Connection timeout to ${address} - check network connectivity and firewall rules`));
         } else if (err.message.includes('EHOSTUNREACH')) {
-          reject(new Error(`Host ${this.host} is unreachable - check network path and routing`));
+          reject(new Error(`Host ${address} is unreachable - check network path and routing`));
         } else {
           reject(err);
         }
-      }).connect({
-        host: this.host,
-        port: 22,
-        username: this.username,
-        password: this.password,
-        readyTimeout: 30000,
-        algorithms: {
-          serverHostKey: ['ssh-rsa', 'rsa-sha2-256', 'rsa-sha2-512', 'ecdsa-sha2-nistp256', 'ecdsa-sha2-nistp384', 'ecdsa-sha2-nistp521', 'ssh-ed25519']
-        }
       });
+
+      try {
+        conn.connect({
+          host: address,
+          port: this.port,
+          username: this.username,
+          ...authOptions,
+          readyTimeout: 30000,
+          hostVerifier: (key) => this.verifyHostKey(key),
+          algorithms: {
+            serverHostKey: ['ssh-rsa', 'rsa-sha2-256', 'rsa-sha2-512', 'ecdsa-sha2-nistp256', 'ecdsa-sha2-nistp384', 'ecdsa-sha2-nistp521', 'ssh-ed25519']
+          }
+        });
+      } catch (err) {
+        // ssh2 throws synchronously for unparseable or encrypted keys without a passphrase
+        conn.emit('error', err);
+      }
     });
   }
 
+  /**
+   * Check the server host key against the pinned fingerprint (see lib/host-keys.js)
+   * @param {Buffer} key - Host key blob as sent by the server
+   * @returns {boolean} True to continue the handshake
+   */
+  verifyHostKey(key) {
+    const result = verifyHostKey(key, {
+      host: this.host,
+      address: this.address,
+      port: this.port,
+      hostKeyFingerprint: this.hostKeyFingerprint,
+      knownHostsFile: this.knownHostsFile,
+      acceptNewHostKeys: this.acceptNewHostKeys
+    });
+    if (!result.ok) {
+      this.hostKeyError = result.error;
+    }
+    return result.ok;
+  }
+
   async exec(command) {
     return new Promise((resolve, reject) => {
       // Check if connection is still alive
@@ -87,6 +237,47 @@ class MikroTikSSH {
     });
   }
 
+  /**
+   * Print a menu as structured records
+   * Uses terse output with internal IDs so records carry .id like the REST transport.
+   * @param {string} menu - Menu path (e.g. /interface/wifi/access-list)
+   * @param {Object} [options] - Print options
+   * @param {string} [options.where] - Console where-condition (e.g. comment~"lock to")
+   * @returns {Promise<Array<Object>>} Matching records
+   */
+  async print(menu, options = {}) {
+    const where = options.where ? ` where ${options.where}` : '';
+    const output = await this.exec(`${menu} print terse show-ids without-paging${where}`);
+    return parsePrint(output);
+  }
+
+  /**
+   * Upload a file to the device over SFTP
+   * @param {string} name - File name on the device
+   * @param {string} contents - File contents
+   */
+  async uploadFile(name, contents) {
+    if (!this.connected) {
+      throw new Error('Not connected');
+    }
+    return new Promise((resolve, reject) => {
+      this.conn.sftp((err, sftp) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        sftp.writeFile(name, contents, (writeErr) => {
+          sftp.end();
+          if (writeErr) {
+            reject(writeErr);
+          } else {
+            resolve();
+          }
+        });
+      });
+    });
+  }
+
   isConnected() {
     return this.connected;
   }
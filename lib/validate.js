@@ -0,0 +1,338 @@
+/**
+ * Configuration validation shared by apply-config.js, apply-multiple-devices.js
+ * and validate.js
+ * A file is checked against its JSON Schema (schema/), then against the rules
+ * a schema cannot express: SSID references into the deployment-level ssids,
+ * UNKNOWN passphrases left by backups, and role-dependent requirements. Errors
+ * carry the path of the offending key and, for YAML files, its line number.
+ */
+
+const yaml = require('js-yaml');
+const { validateAgainstSchema } = require('./schema');
+const { isCapsmanDeployment } = require('./deployment');
+const { readConfigText } = require('./encryption');
+const { profileChain, applyProfile, profileOrigin } = require('./profiles');
+
+const UNKNOWN_PASSPHRASE = 'passphrase is UNKNOWN - set the real passphrase (backups write UNKNOWN when a device does not expose it)';
+
+/**
+ * Parse YAML and record the line of every key and list entry
+ * js-yaml reports each node it opens and closes; nesting them rebuilds the
+ * document tree with the line each node starts on.
+ * @param {string} text - YAML text
+ * @returns {{data: *, lines: Map<string, number>}} Parsed document and 1-based lines by path (see pathKey)
+ * @throws {Error} YAML syntax errors (js-yaml's message includes the line)
+ */
+function loadYamlWithLines(text) {
+  const stack = [{ children: [] }];
+  const data = yaml.load(text, {
+    listener(event, state) {
+      if (event === 'open') {
+        stack.push({ line: state.line + 1, children: [] });
+      } else {
+        const node = stack.pop();
+        node.kind = state.kind;
+        node.result = state.result;
+        stack[stack.length - 1].children.push(node);
+      }
+    }
+  });
+
+  const lines = new Map();
+  const walk = (node, at) => {
+    if (node.kind === 'mapping') {
+      // Children alternate key, value
+      for (let i = 0; i + 1 < node.children.length; i += 2) {
+        const key = node.children[i];
+        const childPath = [...at, String(key.result)];
+        lines.set(pathKey(childPath), key.line);
+        walk(node.children[i + 1], childPath);
+      }
+    } else if (node.kind === 'sequence') {
+      node.children.forEach((item, index) => {
+        const childPath = [...at, index];
+        lines.set(pathKey(childPath), item.line);
+        walk(item, childPath);
+      });
+    }
+  };
+  const [root] = stack[0].children;
+  if (root) {
+    lines.set(pathKey([]), root.line);
+    walk(root, []);
+  }
+  return { data, lines };
+}
+
+/**
+ * Key of a path in the line map
+ * @param {Array<string|number>} at - Keys and indexes
+ * @returns {string} JSON pointer (e.g. /devices/0/wifi/2.4GHz)
+ */
+function pathKey(at) {
+  return at.map(segment => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
+
+/**
+ * Readable form of a path
+ * @param {Array<string|number>} at - Keys and indexes
+ * @returns {string} e.g. devices[0].ssids[1].bands (or "(top level)")
+ */
+function formatPath(at) {
+  const text = at.map((segment, index) =>
+    typeof segment === 'number' ? `[${segment}]` : `${index > 0 ? '.' : ''}${segment}`
+  ).join('');
+  return text || '(top level)';
+}
+
+/**
+ * Line of a path, or of its closest ancestor present in the file
+ * @param {Map<string, number>} lines - From loadYamlWithLines
+ * @param {Array<string|number>} at - Keys and indexes
+ * @returns {number|null} 1-based line
+ */
+function lineOf(lines, at) {
+  for (let length = at.length; length >= 0; length--) {
+    const line = lines.get(pathKey(at.slice(0, length)));
+    if (line !== undefined) return line;
+  }
+  return null;
+}
+
+/**
+ * Which schema a configuration uses
+ * @param {Object} config - Parsed configuration
+ * @returns {string} 'multiple-devices' when it has a devices list, else 'config'
+ */
+function detectKind(config) {
+  return config && typeof config === 'object' && 'devices' in config ? 'multiple-devices' : 'config';
+}
+
+/**
+ * Check the bands of an SSID
+ * @param {Object} ssid - SSID entry
+ * @param {Array} at - Path of the entry
+ * @param {Array} errors - Errors to add to
+ */
+function checkBands(ssid, at, errors) {
+  if (!Array.isArray(ssid.bands) || ssid.bands.length === 0) {
+    errors.push({ path: [...at, 'bands'], message: 'missing bands (2.4GHz, 5GHz, or both)' });
+  }
+}
+
+/**
+ * Check a full SSID (passphrase and VLAN given in the entry)
+ * @param {Object} ssid - SSID entry
+ * @param {Array} at - Path of the entry
+ * @param {Array} errors - Errors to add to
+ */
+function checkFullSsid(ssid, at, errors) {
+  if (!ssid || typeof ssid !== 'object') return;
+  if (!ssid.ssid) errors.push({ path: [...at, 'ssid'], message: 'missing ssid' });
+  if (!ssid.passphrase) errors.push({ path: [...at, 'passphrase'], message: 'missing passphrase' });
+  if (ssid.passphrase === 'UNKNOWN') errors.push({ path: [...at, 'passphrase'], message: UNKNOWN_PASSPHRASE });
+  if (ssid.vlan === undefined) errors.push({ path: [...at, 'vlan'], message: 'missing vlan' });
+  checkBands(ssid, at, errors);
+}
+
+/**
+ * Check SSIDs that reference deployment-level SSIDs
+ * @param {Array<Object>} ssids - Device SSID entries (ssid + bands)
+ * @param {Map<string, Object>} templates - Deployment-level SSIDs by name
+ * @param {Array} at - Path of the device's ssids
+ * @param {Array} errors - Errors to add to
+ */
+function checkSsidReferences(ssids, templates, at, errors) {
+  ssids.forEach((ssid, index) => {
+    if (!ssid || typeof ssid !== 'object') return;
+    if (!ssid.ssid) {
+      errors.push({ path: [...at, index, 'ssid'], message: 'missing ssid name' });
+    } else if (!templates.has(ssid.ssid)) {
+      errors.push({ path: [...at, index, 'ssid'], message: `SSID "${ssid.ssid}" not found in deployment-level ssids` });
+    }
+    checkBands(ssid, [...at, index], errors);
+  });
+}
+
+/**
+ * Rules of a single-device configuration that the schema cannot express
+ * @param {Object} config - Parsed config.yaml
+ * @returns {Array<{path: Array, message: string}>} Errors
+ */
+function checkSingleConfig(config) {
+  const errors = [];
+  const ssids = Array.isArray(config.ssids) ? config.ssids : [];
+
+  // CAP devices don't need SSIDs - they receive them from the controller
+  if (config.role !== 'cap' && ssids.length === 0) {
+    errors.push({ path: ['ssids'], message: 'no SSIDs defined' });
+  }
+  ssids.forEach((ssid, index) => {
+    if (ssid && ssid.passphrase === 'UNKNOWN') {
+      errors.push({ path: ['ssids', index, 'passphrase'], message: UNKNOWN_PASSPHRASE });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Rules of one device of a deployment that the schema cannot express
+ * @param {Object} device - Device entry
+ * @param {Array} at - Path of the entry (e.g. ['devices', 0])
+ * @param {Array<Object>} deploymentSsids - Deployment-level SSIDs
+ * @returns {Array<{path: Array, message: string}>} Errors
+ */
+function checkDeploymentDevice(device, at, deploymentSsids) {
+  const errors = [];
+  const role = device.role || 'standalone';
+  const ssids = Array.isArray(device.ssids) ? device.ssids : [];
+  const templates = new Map(deploymentSsids.filter(Boolean).map(s => [s.ssid, s]));
+
+  if (role === 'cap') {
+    // Support both capsman.* (new) and cap.* (legacy); CAP SSIDs are optional per-WAP selections
+    const controllerAddresses = (device.capsman || {}).controllerAddresses || (device.cap || {}).controllerAddresses || [];
+    if (controllerAddresses.length === 0) {
+      errors.push({ path: [...at, 'capsman', 'controllerAddresses'], message: 'CAP needs the controller\'s address' });
+    }
+    checkSsidReferences(ssids, templates, [...at, 'ssids'], errors);
+    return errors;
+  }
+
+  // Reference format: device SSIDs only have ssid+bands, passphrase and VLAN come from the deployment
+  // Legacy format: device SSIDs are full, or the deployment SSIDs are used as they are
+  if (ssids.length > 0 && !(ssids[0] || {}).passphrase && templates.size > 0) {
+    checkSsidReferences(ssids, templates, [...at, 'ssids'], errors);
+  } else if (ssids.length > 0) {
+    ssids.forEach((ssid, index) => checkFullSsid(ssid, [...at, 'ssids', index], errors));
+  } else if (deploymentSsids.length > 0) {
+    deploymentSsids.forEach((ssid, index) => ssid && checkBands(ssid, ['ssids', index], errors));
+  } else {
+    errors.push({ path: [...at, 'ssids'], message: 'no SSIDs defined (on the device or at deployment level)' });
+  }
+  return errors;
+}
+
+/**
+ * Rules of a deployment that the schema cannot express
+ * @param {Object} config - Parsed multiple-devices.yaml
+ * @returns {Array<{path: Array, message: string}>} Errors
+ */
+function checkDeployment(config) {
+  const profiles = config.profiles && typeof config.profiles === 'object' ? config.profiles : {};
+  const deploymentSsids = Array.isArray(config.ssids) ? config.ssids : [];
+  const errors = [];
+
+  // Devices are checked with their profile applied; an unresolvable profile is reported instead
+  const entries = (Array.isArray(config.devices) ? config.devices : []).map((device, index) => {
+    if (!device || typeof device !== 'object' || typeof device.profile !== 'string') return device;
+    try {
+      return applyProfile(device, profiles);
+    } catch (e) {
+      errors.push({ path: ['devices', index, 'profile'], message: e.message });
+      return device;
+    }
+  });
+  const devices = entries.filter(d => d && typeof d === 'object');
+
+  Object.entries(profiles).forEach(([name, profile]) => {
+    if (profile && typeof profile.extends === 'string') {
+      try {
+        profileChain(name, profiles);
+      } catch (e) {
+        errors.push({ path: ['profiles', name, 'extends'], message: e.message });
+      }
+    }
+  });
+
+  deploymentSsids.forEach((ssid, index) => {
+    if (ssid && ssid.passphrase === 'UNKNOWN') {
+      errors.push({ path: ['ssids', index, 'passphrase'], message: UNKNOWN_PASSPHRASE });
+    }
+  });
+
+  if (isCapsmanDeployment(devices) && !devices.some(d => d.role === 'controller')) {
+    errors.push({ path: ['devices'], message: 'CAPsMAN deployment requires a device with role: controller' });
+  }
+
+  entries.forEach((device, index) => {
+    if (device && typeof device === 'object') {
+      // A setting that comes from a profile is reported where the profile sets it
+      const entry = config.devices[index];
+      errors.push(...checkDeploymentDevice(device, ['devices', index], deploymentSsids).map(error => {
+        const origin = entry !== device ? profileOrigin(entry, profiles, error.path.slice(2)) : null;
+        return origin ? { ...error, path: origin } : error;
+      }));
+    }
+  });
+
+  // A template error is reported once, not for every device that uses it
+  const seen = new Set();
+  return errors.filter(error => {
+    const key = `${pathKey(error.path)} ${error.message}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Validate a parsed configuration
+ * A rule error on a key the schema already reported is left out.
+ * @param {Object} config - Parsed configuration
+ * @param {string} [kind] - 'config' or 'multiple-devices' (default: detected)
+ * @returns {Array<{path: Array, message: string}>} Errors
+ */
+function validateConfigObject(config, kind = detectKind(config)) {
+  const errors = validateAgainstSchema(config, kind);
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return errors;
+  }
+  const reported = new Set(errors.map(error => pathKey(error.path)));
+  const ruleErrors = kind === 'multiple-devices' ? checkDeployment(config) : checkSingleConfig(config);
+  return [...errors, ...ruleErrors.filter(error => !reported.has(pathKey(error.path)))];
+}
+
+/**
+ * Validate a configuration file
+ * @param {string} file - YAML file
+ * @param {Object} [options] - {kind: 'config' or 'multiple-devices' (default: detected), text: contents (default: read file)}
+ * @returns {{kind: string, config: *, errors: Array<{path: Array, line: number|null, message: string}>}} Result
+ */
+function validateFile(file, options = {}) {
+  const text = options.text !== undefined ? options.text : readConfigText(file).text;
+  let parsed;
+  try {
+    parsed = loadYamlWithLines(text);
+  } catch (e) {
+    const line = e.mark ? e.mark.line + 1 : null;
+    return { kind: options.kind || 'config', config: null, errors: [{ path: [], line, message: `YAML syntax error: ${e.reason || e.message}` }] };
+  }
+
+  const { data: config, lines } = parsed;
+  const kind = options.kind || detectKind(config);
+  const errors = validateConfigObject(config, kind).map(error => ({ ...error, line: lineOf(lines, error.path) }));
+  errors.sort((a, b) => (a.line || 0) - (b.line || 0));
+  return { kind, config, errors };
+}
+
+/**
+ * Format validation errors, one per line
+ * @param {string} file - File the errors are in
+ * @param {Array<{path: Array, line: number|null, message: string}>} errors - From validateFile
+ * @returns {string[]} e.g. "multiple-devices.yaml:42: devices[1].ssids[0].bands[0]: must be one of 2.4GHz, 5GHz (got "6GHz")"
+ */
+function formatErrors(file, errors) {
+  return errors.map(error =>
+    `${file}${error.line ? `:${error.line}` : ''}: ${error.path.length > 0 ? `${formatPath(error.path)}: ` : ''}${error.message}`
+  );
+}
+
+module.exports = {
+  loadYamlWithLines,
+  pathKey,
+  formatPath,
+  detectKind,
+  validateConfigObject,
+  validateFile,
+  formatErrors
+};
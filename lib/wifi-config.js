@@ -4,7 +4,10 @@
  */
 
 const { CHANNEL_FREQ_24GHZ, CHANNEL_FREQ_5GHZ } = require('./constants');
-const { escapeMikroTik, getWifiPath, getCapsmanPath } = require('./utils');
+const { getWifiPath, getCapsmanPath } = require('./utils');
+const { parsePrint, parseSettings } = require('./print-parser');
+const { diffProperties, formatProperty } = require('./wifi-reconcile');
+const { warn } = require('./run-events');
 
 /**
  * Detect board type and return correct interface mapping for WiFi radios
@@ -17,148 +20,134 @@ async function detectRadioLayout(mt) {
   let interface5 = 'wifi2';
 
   try {
-    const resource = await mt.exec('/system resource print');
-    const boardMatch = resource.match(/board-name:\s*([^\n]+)/);
-    const boardName = boardMatch ? boardMatch[1].trim().toLowerCase() : '';
+    const board = parseSettings(await mt.exec('/system resource print'))['board-name'] || '';
+    const boardName = board.toLowerCase();
     const swappedRadioDevices = ['cap ax', 'cap ac'];
 
     if (swappedRadioDevices.some(d => boardName.includes(d))) {
       interface24 = 'wifi2';
       interface5 = 'wifi1';
-      console.log(`ℹ️  ${boardMatch[1].trim()}: Swapped radio layout`);
+      console.log(`ℹ️  ${board}: Swapped radio layout`);
     }
   } catch (e) {
-    console.log('⚠️  Could not detect board, assuming standard layout');
+    warn('Could not detect board, assuming standard layout');
   }
 
   return { interface24, interface5 };
 }
 
 /**
- * Apply WiFi channel settings for a specific band
- * @param {MikroTikSSH} mt - Connected SSH session
+ * Band settings as WiFi interface properties
  * @param {string} band - '2.4GHz' or '5GHz'
- * @param {string} interfaceName - WiFi interface name
  * @param {Object} bandConfig - Band configuration (channel, txPower, width, country)
- * @param {string} wifiPath - WiFi command path
+ * @returns {Object} Interface properties (empty when nothing is configured)
  */
-async function applyBandSettings(mt, band, interfaceName, bandConfig, wifiPath) {
-  if (!bandConfig) return;
+function bandProperties(band, bandConfig) {
+  const properties = {};
+  if (!bandConfig) return properties;
 
-  const commands = [];
   const channelFreqMap = band === '2.4GHz' ? CHANNEL_FREQ_24GHZ : CHANNEL_FREQ_5GHZ;
 
   if (bandConfig.channel) {
     const freq = channelFreqMap[bandConfig.channel];
-    if (freq) commands.push(`channel.frequency=${freq}`);
+    if (freq) properties['channel.frequency'] = freq;
   }
-  if (bandConfig.txPower) commands.push(`channel.tx-power=${bandConfig.txPower}`);
-  if (bandConfig.width) commands.push(`channel.width=${bandConfig.width}`);
-  if (bandConfig.country) commands.push(`channel.country="${bandConfig.country}"`);
-
-  if (commands.length > 0) {
-    try {
-      await mt.exec(`${wifiPath} set ${interfaceName} ${commands.join(' ')}`);
-      console.log(`✓ Applied ${band} settings: ${commands.join(', ')}`);
-    } catch (e) {
-      console.log(`⚠️  ${band} settings: ${e.message}`);
+  if (bandConfig.txPower) properties['channel.tx-power'] = bandConfig.txPower;
+  if (bandConfig.width) properties['channel.width'] = bandConfig.width;
+  if (bandConfig.country) properties['channel.country'] = bandConfig.country;
+
+  return properties;
+}
+
+/**
+ * Apply WiFi channel settings for a specific band
+ * Only settings that differ from the interface's current values are set.
+ * @param {MikroTikSSH} mt - Connected SSH session
+ * @param {string} band - '2.4GHz' or '5GHz'
+ * @param {string} interfaceName - WiFi interface name
+ * @param {Object} bandConfig - Band configuration (channel, txPower, width, country)
+ * @param {string} wifiPath - WiFi command path
+ */
+async function applyBandSettings(mt, band, interfaceName, bandConfig, wifiPath) {
+  const properties = bandProperties(band, bandConfig);
+  if (Object.keys(properties).length === 0) return;
+
+  try {
+    const [current] = await mt.print(wifiPath, { where: `name="${interfaceName}"` });
+    const changed = diffProperties(current || {}, properties);
+    const keys = Object.keys(changed);
+    if (keys.length === 0) {
+      console.log(`✓ ${band} settings already applied`);
+      return;
     }
+    await mt.exec(`${wifiPath} set ${interfaceName} ${keys.map(k => `${k}=${formatProperty(k, changed[k])}`).join(' ')}`);
+    console.log(`✓ Applied ${band} settings: ${keys.map(k => `${k}=${changed[k]}`).join(', ')}`);
+  } catch (e) {
+    warn(`${band} settings: ${e.message}`);
   }
 }
 
 /**
- * Configure a single WiFi interface with SSID, security, and datapath
- * Used for both standalone and CAPsMAN CAP interface configuration
+ * Desired state of a single WiFi interface with SSID, security, and datapath
+ * Used for both standalone and CAPsMAN CAP interface configuration; pass the
+ * result to reconcileWifi (lib/wifi-reconcile.js).
  *
- * @param {MikroTikSSH} mt - Connected SSH session
- * @param {string} wifiPath - WiFi command path
  * @param {string} interfaceName - Interface name to configure
  * @param {Object} ssidConfig - SSID configuration {ssid, passphrase, vlan, roaming}
  * @param {string} country - Country code for WiFi
  * @param {Object} bandSettings - Optional band-specific settings {txPower, channel, width}
+ * @param {Object} [options] - {master, pvid} for virtual interfaces
+ * @returns {Object} Desired interface {name, master, properties, steering, pvid}
  */
-async function configureWifiInterface(mt, wifiPath, interfaceName, ssidConfig, country, bandSettings = {}) {
+function wifiInterfaceSpec(interfaceName, ssidConfig, country, bandSettings = {}, options = {}) {
   const { ssid, passphrase, vlan, roaming } = ssidConfig;
 
   const useFT = roaming?.fastTransition === true;
   const useRRM = roaming?.rrm === true;
   const useWNM = roaming?.wnm === true;
   const transitionThreshold = roaming?.transitionThreshold || -80;
-  const escapedSsid = escapeMikroTik(ssid);
-  const escapedPassphrase = escapeMikroTik(passphrase);
-
-  // Create or update steering profile if RRM or WNM is enabled
-  // wifi-qcom requires steering profiles as separate objects, not inline properties
-  let steeringParam = '';
-  if (useRRM || useWNM) {
-    const steeringName = `steering-${interfaceName}`;
-    try {
-      // Remove existing steering profile if it exists
-      await mt.exec(`${wifiPath}/steering remove [find name="${steeringName}"]`);
-    } catch (e) {
-      // Ignore if doesn't exist
-    }
-    // Create new steering profile
-    // Note: transition-threshold cannot be set during 'add', must use 'set' after creation
-    // Note: Unsolicited 802.11v BSS transition management requires RouterOS 7.21beta2+
-    // On earlier versions, the transition-threshold is accepted but may not be functional
-    const steeringCmd = `${wifiPath}/steering add name="${steeringName}" ` +
-      `rrm=${useRRM ? 'yes' : 'no'} wnm=${useWNM ? 'yes' : 'no'}`;
-    try {
-      await mt.exec(steeringCmd);
-      // Set transition-threshold separately (MikroTik quirk: can't be in add command)
-      if (useWNM) {
-        try {
-          await mt.exec(`${wifiPath}/steering set [find name="${steeringName}"] transition-threshold=${transitionThreshold}`);
-        } catch (e) {
-          // May fail on older RouterOS versions - this is expected
-        }
-      }
-      steeringParam = ` steering="${steeringName}"`;
-    } catch (e) {
-      console.log(`  ⚠️  Could not create steering profile: ${e.message}`);
-    }
-  }
-
-  // Build configuration command
-  // Uses security.ft=yes for Fast Transition (wifi-qcom)
-  let cmd = `${wifiPath} set ${interfaceName} ` +
-    `configuration.ssid="${escapedSsid}" ` +
-    `configuration.country="${country}" ` +
-    `security.authentication-types=wpa2-psk ` +
-    `security.passphrase="${escapedPassphrase}" ` +
-    `datapath.bridge=bridge datapath.vlan-id=${vlan}`;
-
-  if (useFT) {
-    cmd += ` security.ft=yes security.ft-over-ds=yes`;
-  } else {
-    // Explicitly disable FT when not configured to clear any previous settings
-    cmd += ` security.ft=no security.ft-over-ds=no`;
-  }
 
-  // Add steering profile reference if created
-  cmd += steeringParam;
+  // Uses security.ft=yes for Fast Transition (wifi-qcom); explicitly disabled
+  // when not configured to clear any previous settings
+  const properties = {
+    'configuration.ssid': ssid,
+    'configuration.country': country,
+    'security.authentication-types': 'wpa2-psk',
+    'security.passphrase': passphrase,
+    'datapath.bridge': 'bridge',
+    'datapath.vlan-id': vlan,
+    'security.ft': useFT ? 'yes' : 'no',
+    'security.ft-over-ds': useFT ? 'yes' : 'no'
+  };
 
   // Add txPower from band settings if specified
   if (bandSettings.txPower !== undefined) {
-    cmd += ` configuration.tx-power=${bandSettings.txPower}`;
+    properties['configuration.tx-power'] = bandSettings.txPower;
   }
+  properties.disabled = 'no';
 
-  cmd += ` disabled=no`;
-
-  try {
-    await mt.exec(cmd);
-    const roamingStatus = [
-      useFT ? '802.11r' : '',
-      useRRM ? '802.11k' : '',
-      useWNM ? `802.11v(${transitionThreshold}dBm)` : ''
-    ].filter(Boolean).join(', ');
-    const txPowerStatus = bandSettings.txPower !== undefined ? `, TX=${bandSettings.txPower}dBm` : '';
-    console.log(`  ✓ Configured ${interfaceName}: SSID="${ssid}", VLAN=${vlan}${roamingStatus ? `, ${roamingStatus}` : ''}${txPowerStatus}`);
-  } catch (e) {
-    console.log(`  ✗ Failed to configure ${interfaceName}: ${e.message}`);
-    throw e;
-  }
+  // wifi-qcom requires steering profiles as separate objects, not inline properties
+  // Note: Unsolicited 802.11v BSS transition management requires RouterOS 7.21beta2+
+  // On earlier versions, the transition-threshold is accepted but may not be functional
+  const steering = useRRM || useWNM
+    ? { name: `steering-${interfaceName}`, rrm: useRRM, wnm: useWNM, transitionThreshold: useWNM ? transitionThreshold : undefined }
+    : undefined;
+
+  const roamingStatus = [
+    useFT ? '802.11r' : '',
+    useRRM ? '802.11k' : '',
+    useWNM ? `802.11v(${transitionThreshold}dBm)` : ''
+  ].filter(Boolean).join(', ');
+  const txPowerStatus = bandSettings.txPower !== undefined ? `, TX=${bandSettings.txPower}dBm` : '';
+  console.log(`  ${interfaceName}: SSID="${ssid}", VLAN=${vlan}${roamingStatus ? `, ${roamingStatus}` : ''}${txPowerStatus}`);
+
+  return {
+    name: interfaceName,
+    master: options.master,
+    properties,
+    steering,
+    pvid: options.pvid
+  };
 }
 
 /**
@@ -185,29 +174,24 @@ async function getSwappedRadioCaps(mt, wifiPackage) {
 
   try {
     const capsmanPath = getCapsmanPath(wifiPackage);
-    const remoteCaps = await mt.exec(`${capsmanPath}/remote-cap print detail without-paging`);
+    const remoteCaps = parsePrint(await mt.exec(`${capsmanPath}/remote-cap print detail without-paging`));
 
-    // Parse each CAP entry
-    // Format: identity="cap-name" ... board-name="cAPGi-5HaxD2HaxD"
-    const capEntries = remoteCaps.split(/\n(?=\s*\d+\s+)/);
+    for (const remoteCap of remoteCaps) {
+      const identity = remoteCap.identity;
+      // RouterOS versions report either board= or board-name=
+      const boardName = remoteCap['board-name'] || remoteCap.board;
 
-    for (const entry of capEntries) {
-      const identityMatch = entry.match(/identity="?([^"\s]+)"?/);
-      // Match both board= and board-name= formats
-      const boardMatch = entry.match(/board(?:-name)?="([^"]+)"/);
-
-      if (identityMatch && boardMatch) {
-        const identity = identityMatch[1];
-        const board = boardMatch[1].toLowerCase();
+      if (identity && boardName) {
+        const board = boardName.toLowerCase();
 
         if (swappedRadioPatterns.some(pattern => board.includes(pattern))) {
           swappedCaps.add(identity);
-          console.log(`ℹ️  CAP "${identity}" (${boardMatch[1]}): Has swapped radios (wifi1=5GHz, wifi2=2.4GHz)`);
+          console.log(`ℹ️  CAP "${identity}" (${boardName}): Has swapped radios (wifi1=5GHz, wifi2=2.4GHz)`);
         }
       }
     }
   } catch (e) {
-    console.log(`⚠️  Could not query remote CAPs: ${e.message}`);
+    warn(`Could not query remote CAPs: ${e.message}`);
   }
 
   return swappedCaps;
@@ -226,22 +210,12 @@ async function getRadioBandMapping(mt, wifiPath) {
 
   try {
     // Query all radio info - this shows actual hardware capabilities
-    const radioOutput = await mt.exec(`${wifiPath}/radio print detail without-paging`);
-
-    // Split into entry blocks (each starts with a number)
-    // Format: " 2   cap="name" radio-mac=...\n     bands=5ghz-...\n     interface=name ..."
-    const entries = radioOutput.split(/\n(?=\s*\d+\s+)/);
-
-    for (const entry of entries) {
-      if (!entry.trim()) continue;
+    const radios = parsePrint(await mt.exec(`${wifiPath}/radio print detail without-paging`));
 
-      // Look for interface= and bands= within the entry block
-      const interfaceMatch = entry.match(/interface=([^\s]+)/);
-      const bandsMatch = entry.match(/bands=([^\s]+)/);
-
-      if (interfaceMatch && bandsMatch) {
-        const ifaceName = interfaceMatch[1];
-        const bands = bandsMatch[1].toLowerCase();
+    for (const radio of radios) {
+      if (radio.interface && radio.bands) {
+        const ifaceName = radio.interface;
+        const bands = radio.bands.toLowerCase();
 
         if (bands.includes('2ghz')) {
           bandMap.set(ifaceName, '2.4GHz');
@@ -332,7 +306,7 @@ async function renameCapInterfacesToMatchBand(mt, wifiPath, interfaces) {
         correctedInterfaces.push({ name: name2g, band: if5g.band }); // Was -5g, now -2g
         correctedInterfaces.push({ name: name5g, band: if2g.band }); // Was -2g, now -5g
       } catch (e) {
-        console.log(`  ⚠️  Rename failed: ${e.message}`);
+        warn(`Rename failed: ${e.message}`, '  ');
         // Keep original names on failure
         correctedInterfaces.push(...capInterfaces);
       }
@@ -349,7 +323,7 @@ async function renameCapInterfacesToMatchBand(mt, wifiPath, interfaces) {
             console.log(`  ✓ ${iface.name} → ${newName}`);
             correctedInterfaces.push({ name: newName, band: iface.band });
           } catch (e) {
-            console.log(`  ⚠️  Rename ${iface.name} failed: ${e.message}`);
+            warn(`Rename ${iface.name} failed: ${e.message}`, '  ');
             correctedInterfaces.push(iface);
           }
         } else {
@@ -379,19 +353,14 @@ async function renameVirtualInterfacesForSwappedMasters(mt, wifiPath, identity)
   try {
     // Find all virtual interfaces for this CAP identity
     // Virtual interfaces have names like "identity-2g-ssid2" or "identity-5g-ssid3"
-    const output = await mt.exec(`${wifiPath} print terse without-paging`);
+    const records = parsePrint(await mt.exec(`${wifiPath} print terse without-paging`));
 
     const virtualInterfaces = [];
-    for (const line of output.split('\n')) {
-      if (!line.trim()) continue;
-
-      const nameMatch = line.match(/name="?([^"\s]+)"?/);
-      const masterMatch = line.match(/master-interface="?([^"\s]+)"?/);
-
-      if (!nameMatch || !masterMatch) continue;
+    for (const record of records) {
+      const name = record.name;
+      const master = record['master-interface'];
 
-      const name = nameMatch[1];
-      const master = masterMatch[1];
+      if (!name || !master) continue;
 
       // Check if this is a virtual interface for our CAP identity
       // Virtual names: identity-2g-ssidN or identity-5g-ssidN
@@ -429,12 +398,12 @@ async function renameVirtualInterfacesForSwappedMasters(mt, wifiPath, identity)
           await mt.exec(`${wifiPath} set [find name="${virt.name}"] name="${newName}"`);
           console.log(`  ✓ Virtual: ${virt.name} → ${newName}`);
         } catch (e) {
-          console.log(`  ⚠️  Virtual rename ${virt.name} failed: ${e.message}`);
+          warn(`Virtual rename ${virt.name} failed: ${e.message}`, '  ');
         }
       }
     }
   } catch (e) {
-    console.log(`  ⚠️  Could not check virtual interfaces: ${e.message}`);
+    warn(`Could not check virtual interfaces: ${e.message}`, '  ');
   }
 }
 
@@ -469,17 +438,11 @@ async function discoverCapInterfaces(mt, wifiPath, wifiPackage) {
     const swappedCaps = await getSwappedRadioCaps(mt, wifiPackage);
 
     // List all WiFi interfaces
-    const output = await mt.exec(`${wifiPath} print terse without-paging`);
-
-    // Parse each line for CAP interface names
-    for (const line of output.split('\n')) {
-      if (!line.trim()) continue;
-
-      // Extract interface name
-      const nameMatch = line.match(/name="?([^"\s]+)"?/);
-      if (!nameMatch) continue;
+    const records = parsePrint(await mt.exec(`${wifiPath} print terse without-paging`));
 
-      const name = nameMatch[1];
+    for (const record of records) {
+      const name = record.name;
+      if (!name) continue;
 
       // Skip local interfaces (wifi1, wifi2, wifi1-ssid2, etc.)
       if (/^wifi\d/.test(name)) continue;
@@ -530,7 +493,7 @@ async function discoverCapInterfaces(mt, wifiPath, wifiPackage) {
       return correctedInterfaces;
     }
   } catch (e) {
-    console.log(`⚠️  Could not discover CAP interfaces: ${e.message}`);
+    warn(`Could not discover CAP interfaces: ${e.message}`);
   }
 
   return capInterfaces;
@@ -538,8 +501,9 @@ async function discoverCapInterfaces(mt, wifiPath, wifiPackage) {
 
 module.exports = {
   detectRadioLayout,
+  bandProperties,
   applyBandSettings,
-  configureWifiInterface,
+  wifiInterfaceSpec,
   getSwappedRadioCaps,
   getRadioBandMapping,
   renameCapInterfacesToMatchBand,
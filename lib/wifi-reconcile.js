@@ -0,0 +1,288 @@
+/**
+ * WiFi reconciliation
+ * Brings WiFi interfaces, datapaths, steering profiles and bridge ports to a
+ * desired state with the fewest changes, the way diffRules does for access-lists.
+ * Objects that already match are left alone and only changed properties are set,
+ * so a run that changes nothing does not disconnect clients.
+ *
+ * Desired state:
+ *   interfaces: [{ name, defaultName?, master?, properties, steering?, pvid? }]
+ *     defaultName - master radio to find by default-name (renamed to name if needed)
+ *     master      - master interface name for virtual interfaces (created if missing)
+ *     properties  - interface properties (e.g. configuration.ssid, datapath.vlan-id)
+ *     steering    - { name, rrm, wnm, transitionThreshold } profile the interface uses
+ *     pvid        - bridge port PVID for the interface (port added if missing)
+ *   datapaths: [{ name, properties }]
+ *   managedMasters: master names whose virtual interfaces not listed are removed
+ *   datapathPattern: RegExp for datapaths this tool owns (unlisted ones are removed)
+ */
+
+const { parsePrint } = require('./print-parser');
+const { normalizeValue } = require('./cli-command');
+const { escapeMikroTik } = require('./utils');
+const { warn } = require('./run-events');
+
+// Values RouterOS uses when a yes/no property is not set on the item
+const PROPERTY_DEFAULTS = {
+  disabled: 'no',
+  'security.ft': 'no',
+  'security.ft-over-ds': 'no'
+};
+
+// Properties whose values are always quoted in commands
+const QUOTED_PROPERTY_PATTERN = /(^name$|^steering$|ssid$|passphrase$|country$)/;
+
+/**
+ * Format a property value for a console command
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {string} Console-ready value
+ */
+function formatProperty(key, value) {
+  const str = normalizeValue(value);
+  if (QUOTED_PROPERTY_PATTERN.test(key) || str === '' || /[\s"$\\;]/.test(str)) {
+    return `"${escapeMikroTik(str)}"`;
+  }
+  return str;
+}
+
+/**
+ * Format properties as console assignments
+ * @param {Object} properties - Property map
+ * @returns {string} key=value list
+ */
+function formatProperties(properties) {
+  return Object.entries(properties)
+    .map(([key, value]) => `${key}=${formatProperty(key, value)}`)
+    .join(' ');
+}
+
+/**
+ * Properties of desired that differ from the current record
+ * Unset yes/no properties compare as their RouterOS default.
+ * @param {Object} current - Current record (from parsePrint)
+ * @param {Object} desired - Desired properties
+ * @returns {Object} Properties to set (empty when the record already matches)
+ */
+function diffProperties(current, desired) {
+  const changed = {};
+  for (const [key, value] of Object.entries(desired)) {
+    if (value === undefined) continue;
+    const have = current[key] !== undefined ? normalizeValue(current[key]) : PROPERTY_DEFAULTS[key];
+    if (have !== normalizeValue(value)) {
+      changed[key] = value;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Read the WiFi objects reconciliation compares against
+ * Interfaces are printed with show-sensitive so passphrases can be compared.
+ * @param {Object} mt - Connected session
+ * @param {string} wifiPath - WiFi command path
+ * @returns {Promise<Object>} { interfaces, datapaths, steering, bridgePorts }
+ */
+async function readWifiState(mt, wifiPath) {
+  const read = async (command) => {
+    try {
+      return parsePrint(await mt.exec(command));
+    } catch (e) {
+      if (e.message.includes('no such') || e.message.includes('not found')) {
+        return [];
+      }
+      throw e;
+    }
+  };
+
+  return {
+    interfaces: await read(`${wifiPath} print detail show-sensitive without-paging`),
+    datapaths: await read(`${wifiPath}/datapath print detail without-paging`),
+    steering: await read(`${wifiPath}/steering print detail without-paging`),
+    bridgePorts: await read('/interface bridge port print detail without-paging')
+  };
+}
+
+/**
+ * Work out the commands that bring the current WiFi state to the desired state
+ * @param {Object} state - Result of readWifiState
+ * @param {Object} desired - Desired state (see module comment)
+ * @param {string} wifiPath - WiFi command path
+ * @returns {{changes: Array<{command: string, description: string}>, unchanged: number}} Ordered changes
+ */
+function planWifiChanges(state, desired, wifiPath) {
+  const changes = [];
+  let unchanged = 0;
+  const change = (command, description) => changes.push({ command, description });
+
+  const desiredInterfaces = desired.interfaces || [];
+  const desiredNames = new Set(desiredInterfaces.map(i => i.name));
+  const managedMasters = new Set(desired.managedMasters || []);
+  const interfaceByName = new Map(state.interfaces.map(i => [i.name, i]));
+  const steeringByName = new Map(state.steering.map(s => [s.name, s]));
+  const portByInterface = new Map(state.bridgePorts.map(p => [p.interface, p]));
+
+  // Step 1: Remove virtual interfaces this run no longer wants (with their port and steering profile)
+  for (const iface of state.interfaces) {
+    if (!iface['master-interface'] || !managedMasters.has(iface['master-interface'])) continue;
+    if (desiredNames.has(iface.name)) continue;
+
+    if (portByInterface.has(iface.name)) {
+      change(`/interface/bridge/port remove [find interface="${iface.name}"]`, `Removed bridge port ${iface.name}`);
+    }
+    change(`${wifiPath} remove [find name="${iface.name}"]`, `Removed virtual interface ${iface.name}`);
+    if (steeringByName.has(`steering-${iface.name}`) && !desiredInterfaces.some(i => i.steering?.name === `steering-${iface.name}`)) {
+      change(`${wifiPath}/steering remove [find name="steering-${iface.name}"]`, `Removed steering profile steering-${iface.name}`);
+    }
+  }
+
+  // Step 2: Datapaths
+  const desiredDatapaths = desired.datapaths || [];
+  const datapathByName = new Map(state.datapaths.map(d => [d.name, d]));
+  for (const datapath of desiredDatapaths) {
+    const current = datapathByName.get(datapath.name);
+    if (!current) {
+      change(`${wifiPath}/datapath add name="${datapath.name}" ${formatProperties(datapath.properties)}`,
+        `Created datapath ${datapath.name}`);
+      continue;
+    }
+    const changed = diffProperties(current, datapath.properties);
+    if (Object.keys(changed).length > 0) {
+      change(`${wifiPath}/datapath set [find name="${datapath.name}"] ${formatProperties(changed)}`,
+        `Updated datapath ${datapath.name} (${Object.keys(changed).join(', ')})`);
+    } else {
+      unchanged++;
+    }
+  }
+  if (desired.datapathPattern) {
+    const wanted = new Set(desiredDatapaths.map(d => d.name));
+    for (const datapath of state.datapaths) {
+      if (datapath.name && desired.datapathPattern.test(datapath.name) && !wanted.has(datapath.name)) {
+        change(`${wifiPath}/datapath remove [find name="${datapath.name}"]`, `Removed datapath ${datapath.name}`);
+      }
+    }
+  }
+
+  // Step 3: Interfaces (masters first so virtual interfaces can attach to them)
+  for (const iface of desiredInterfaces) {
+    let current = iface.defaultName
+      ? state.interfaces.find(i => i['default-name'] === iface.defaultName)
+      : interfaceByName.get(iface.name);
+
+    if (iface.defaultName && current && current.name !== iface.name) {
+      change(`${wifiPath} set [find default-name=${iface.defaultName}] name=${iface.name}`,
+        `Renamed ${current.name} to ${iface.name}`);
+    }
+
+    if (!current && iface.master) {
+      change(`${wifiPath} add master-interface=${iface.master} name="${iface.name}"`,
+        `Created virtual interface ${iface.name}`);
+      current = {};
+    } else if (!current && !iface.defaultName) {
+      warn(`Interface ${iface.name} not found, skipping`);
+      continue;
+    }
+
+    // Steering profile before the interface refers to it
+    if (iface.steering) {
+      const { name, rrm, wnm, transitionThreshold } = iface.steering;
+      const profile = { rrm: rrm ? 'yes' : 'no', wnm: wnm ? 'yes' : 'no' };
+      const existing = steeringByName.get(name);
+      if (!existing) {
+        change(`${wifiPath}/steering add name="${name}" ${formatProperties(profile)}`, `Created steering profile ${name}`);
+      } else {
+        const changed = diffProperties(existing, profile);
+        if (Object.keys(changed).length > 0) {
+          change(`${wifiPath}/steering set [find name="${name}"] ${formatProperties(changed)}`,
+            `Updated steering profile ${name}`);
+        }
+      }
+      // transition-threshold cannot be set during 'add' (MikroTik quirk)
+      if (wnm && transitionThreshold !== undefined &&
+          (!existing || normalizeValue(existing['transition-threshold']) !== normalizeValue(transitionThreshold))) {
+        change(`${wifiPath}/steering set [find name="${name}"] transition-threshold=${transitionThreshold}`,
+          `Set ${name} transition-threshold=${transitionThreshold}`);
+      }
+    }
+
+    const properties = iface.steering ? { ...iface.properties, steering: iface.steering.name } : iface.properties;
+    const changed = diffProperties(current || {}, properties);
+    if (Object.keys(changed).length > 0) {
+      change(`${wifiPath} set ${iface.name} ${formatProperties(changed)}`,
+        `Updated ${iface.name} (${Object.keys(changed).join(', ')})`);
+    } else {
+      unchanged++;
+    }
+
+    // Bridge port with PVID (virtual interfaces in CAPsMAN traffic-processing-on-CAP mode)
+    if (iface.pvid !== undefined) {
+      const port = portByInterface.get(iface.name);
+      if (!port) {
+        change(`/interface/bridge/port add interface=${iface.name} bridge=bridge pvid=${iface.pvid}`,
+          `Added ${iface.name} to bridge with PVID=${iface.pvid}`);
+      } else {
+        const portChanged = diffProperties({ pvid: '1', ...port }, { bridge: 'bridge', pvid: iface.pvid });
+        if (Object.keys(portChanged).length > 0) {
+          change(`/interface/bridge/port set [find interface="${iface.name}"] ${formatProperties(portChanged)}`,
+            `Updated ${iface.name} bridge port PVID=${iface.pvid}`);
+        }
+      }
+    }
+  }
+
+  return { changes, unchanged };
+}
+
+/**
+ * Run planned WiFi changes in order
+ * Connection loss is rethrown; other failures are reported and skipped.
+ * @param {Object} mt - Connected session
+ * @param {Array<{command: string, description: string}>} changes - From planWifiChanges
+ * @returns {Promise<number>} Number of changes that failed
+ */
+async function applyWifiChanges(mt, changes) {
+  let failed = 0;
+  for (const { command, description } of changes) {
+    try {
+      await mt.exec(command);
+      console.log(`  ✓ ${description}`);
+    } catch (e) {
+      if (e.message === 'Not connected' || e.message === 'Command timeout') {
+        throw e;
+      }
+      failed++;
+      warn(`${description} failed: ${e.message}`, '  ');
+    }
+  }
+  return failed;
+}
+
+/**
+ * Read, compare and apply in one step
+ * @param {Object} mt - Connected session
+ * @param {string} wifiPath - WiFi command path
+ * @param {Object} desired - Desired state (see module comment)
+ * @returns {Promise<{changed: number, unchanged: number, failed: number}>} Outcome
+ */
+async function reconcileWifi(mt, wifiPath, desired) {
+  const state = await readWifiState(mt, wifiPath);
+  const { changes, unchanged } = planWifiChanges(state, desired, wifiPath);
+
+  if (changes.length === 0) {
+    console.log(`✓ WiFi configuration already up to date (${unchanged} object(s) unchanged)`);
+    return { changed: 0, unchanged, failed: 0 };
+  }
+
+  console.log(`Applying ${changes.length} change(s), ${unchanged} object(s) unchanged:`);
+  const failed = await applyWifiChanges(mt, changes);
+  return { changed: changes.length - failed, unchanged, failed };
+}
+
+module.exports = {
+  formatProperty,
+  diffProperties,
+  readWifiState,
+  planWifiChanges,
+  applyWifiChanges,
+  reconcileWifi
+};
@@ -0,0 +1,186 @@
+/**
+ * Comments of rewritten YAML files
+ * js-yaml drops comments when a file is loaded and dumped again. The comments
+ * (and blank lines) of the original text are collected by the key they belong
+ * to - the block of comment lines directly above a key, and a comment at the
+ * end of the key's line - and put back next to the same key, or the key it
+ * moved to, in the dumped text.
+ */
+
+const { loadYamlWithLines, pathKey } = require('./validate');
+
+/**
+ * Split a line into its content and a trailing comment
+ * @param {string} line - YAML line
+ * @returns {{content: string, comment: string|null}} Content without the comment, and the comment (from #)
+ */
+function splitComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    const previous = i > 0 ? line[i - 1] : ' ';
+    if (quote === "'") {
+      if (ch === "'" && line[i + 1] === "'") i++;
+      else if (ch === "'") quote = null;
+    } else if (quote === '"') {
+      if (ch === '\\') i++;
+      else if (ch === '"') quote = null;
+    } else if ((ch === "'" || ch === '"') && /[\s[{,]/.test(previous)) {
+      quote = ch;
+    } else if (ch === '#' && /\s/.test(previous)) {
+      return { content: line.slice(0, i).trimEnd(), comment: line.slice(i) };
+    }
+  }
+  return { content: line, comment: null };
+}
+
+/**
+ * Leading spaces of a line
+ * @param {string} line - YAML line
+ * @returns {number} Indentation
+ */
+function indentOf(line) {
+  return line.length - line.trimStart().length;
+}
+
+/**
+ * Collect the comments of a YAML text
+ * @param {string} text - YAML text
+ * @returns {{header: string[], trailer: string[], entries: Array<{path: Array<string|number>, line: number, indent: number, above: string[], inline: string|null, column: number}>}}
+ *   Lines before the first key, lines after the last one, and the comments of each key
+ * @throws {Error} YAML syntax errors
+ */
+function collectComments(text) {
+  const { lines: keyLines } = loadYamlWithLines(text);
+
+  // Outermost key (or list entry) starting on each line
+  const owners = new Map();
+  for (const [key, line] of keyLines) {
+    if (key === '') continue;
+    const owner = owners.get(line);
+    if (!owner || key.split('/').length < owner.split('/').length) owners.set(line, key);
+  }
+  const pathOf = key => key.split('/').slice(1).map(segment => {
+    const decoded = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    return /^\d+$/.test(decoded) ? Number(decoded) : decoded;
+  });
+
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+
+  const result = { header: null, trailer: [], entries: [] };
+  let pending = [];
+  let blockIndent = null;  // Indentation of the key a block scalar (| or >) belongs to
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (blockIndent !== null) {
+      if (trimmed === '' || indentOf(line) > blockIndent) return;
+      blockIndent = null;
+    }
+    if (trimmed === '' || trimmed.startsWith('#') || /^(---|\.\.\.)$/.test(trimmed)) {
+      pending.push(line);
+      return;
+    }
+
+    const { content, comment } = splitComment(line);
+    if (/(^|\s)[|>][0-9+-]*$/.test(content.trim())) {
+      blockIndent = indentOf(line);
+    }
+    const owner = owners.get(index + 1);
+    if (!owner) {
+      // Continuation of a multi-line value: its comment goes above the next key
+      if (comment) pending.push(' '.repeat(indentOf(line)) + comment);
+      return;
+    }
+    if (result.header === null) {
+      // Comments above the first key belong to the file
+      result.header = pending;
+      pending = [];
+    }
+    result.entries.push({
+      path: pathOf(owner),
+      line: index + 1,
+      indent: indentOf(line),
+      above: pending,
+      inline: comment,
+      column: line.length - (comment || '').length
+    });
+    pending = [];
+  });
+  result.header = result.header || [];
+  result.trailer = pending;
+  return result;
+}
+
+/**
+ * Shift comment lines to a new indentation
+ * @param {string[]} lines - Comment and blank lines
+ * @param {number} shift - Spaces to add (negative to remove)
+ * @returns {string[]} Shifted lines
+ */
+function reindent(lines, shift) {
+  return lines.map(line => {
+    if (line.trim() === '') return '';
+    if (shift >= 0) return ' '.repeat(shift) + line;
+    return line.slice(Math.min(-shift, indentOf(line)));
+  });
+}
+
+/**
+ * Put collected comments back into a dumped YAML text
+ * @param {string} text - YAML text written by js-yaml
+ * @param {Object} comments - From collectComments
+ * @param {Function} [mapPath] - Maps a key's original path to its path in text (default: unchanged)
+ * @returns {{text: string, lost: Array<{line: number, comment: string}>}} Text with comments, and comments whose key is gone
+ */
+function restoreComments(text, comments, mapPath = at => at) {
+  const { lines: keyLines } = loadYamlWithLines(text);
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+
+  const above = new Map();
+  const inline = new Map();
+  const lost = [];
+  for (const entry of comments.entries) {
+    const target = mapPath(entry.path);
+    const line = target ? keyLines.get(pathKey(target)) : undefined;
+    if (line === undefined) {
+      entry.above.forEach((comment, index) => {
+        if (comment.trim().startsWith('#')) {
+          lost.push({ line: entry.line - entry.above.length + index, comment: comment.trim() });
+        }
+      });
+      if (entry.inline) lost.push({ line: entry.line, comment: entry.inline });
+      continue;
+    }
+    // Blank lines separate sections of the original; a moved key does not take them along
+    const movedAway = pathKey(target) !== pathKey(entry.path);
+    const block = reindent(movedAway ? entry.above.filter(l => l.trim() !== '') : entry.above, indentOf(lines[line - 1]) - entry.indent);
+    above.set(line, [...(above.get(line) || []), ...block]);
+    if (entry.inline && !inline.has(line)) {
+      // Aligned as in the original where the line is short enough
+      const shift = indentOf(lines[line - 1]) - entry.indent;
+      inline.set(line, ' '.repeat(Math.max(1, entry.column + shift - lines[line - 1].length)) + entry.inline);
+    } else if (entry.inline) {
+      above.get(line).push(' '.repeat(indentOf(lines[line - 1])) + entry.inline);
+    }
+  }
+
+  const output = [...comments.header];
+  lines.forEach((line, index) => {
+    for (const extra of above.get(index + 1) || []) {
+      // No runs of blank lines, and none at the top
+      if (extra === '' && (output.length === 0 || output[output.length - 1] === '')) continue;
+      output.push(extra);
+    }
+    output.push(inline.has(index + 1) ? line + inline.get(index + 1) : line);
+  });
+  output.push(...comments.trailer);
+  return { text: `${output.join('\n')}\n`, lost };
+}
+
+module.exports = {
+  splitComment,
+  collectComments,
+  restoreComments
+};
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const { SCHEMA_FILES } = require('./lib/schema');
+const { validateFile, validateConfigObject, formatErrors, formatPath } = require('./lib/validate');
+const { readConfigText, writeConfigText } = require('./lib/encryption');
+const { migrateText } = require('./lib/migrate');
+
+function usage() {
+  console.log('Usage: node migrate.js <config-file.yaml> [--output <file>] [--dry-run] [--kind <config|multiple-devices>] [--force] [--check]');
+  console.log('');
+  console.log('Rewrites legacy settings into the current format and reports every change:');
+  console.log('  cap.capsmanVlan, cap.controllerAddresses  ->  capsman.vlan, capsman.controllerAddresses');
+  console.log('  capsmanAddress                            ->  capsman.vlan.address');
+  console.log('  top-level capsmanVlan                     ->  capsman.vlan of each controller and CAP');
+  console.log('  full SSIDs on devices                     ->  deployment-level ssids + {ssid, bands} references');
+  console.log('');
+  console.log('Comments are kept next to the settings they describe. The file is only');
+  console.log('written when every device would be configured exactly as before. No device');
+  console.log('is contacted.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --output <file>  Write the migrated file here (default: in place, keeping <file>.bak)');
+  console.log('  --dry-run        Report the changes without writing anything');
+  console.log('  --kind <kind>    Treat the file as config (single device) or multiple-devices');
+  console.log('                   (default: multiple-devices when the file has a devices list)');
+  console.log('  --force          Write even when a device would be configured differently');
+  console.log('  --check          Only check: exit 1 when the file has legacy settings (for CI)');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node migrate.js multiple-devices.yaml --dry-run');
+  console.log('  node migrate.js multiple-devices.yaml');
+  console.log('  node migrate.js config.yaml --output config.migrated.yaml');
+  console.log('  node migrate.js multiple-devices.yaml --check');
+  process.exit(1);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.length === 0 || args[0].startsWith('--') || args.includes('--help') || args.includes('-h')) {
+    usage();
+  }
+
+  const option = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const configFile = args[0];
+  const outputFile = option('--output');
+  const kind = option('--kind');
+  const dryRun = args.includes('--dry-run');
+  const force = args.includes('--force');
+  const check = args.includes('--check');
+  if (args.includes('--output') && !outputFile) {
+    usage();
+  }
+  if (args.includes('--kind') && !SCHEMA_FILES[kind]) {
+    console.error(`--kind requires ${Object.keys(SCHEMA_FILES).join(' or ')}`);
+    process.exit(1);
+  }
+
+  let text;
+  let encrypted;
+  let migration;
+  try {
+    ({ text, encrypted } = readConfigText(configFile));
+    // Only a file the apply scripts accept is migrated, so the result can be compared with it
+    const { errors } = validateFile(configFile, { kind, text });
+    if (errors.length > 0) {
+      console.error(`✗ ${configFile}: ${errors.length} error(s) - fix them before migrating`);
+      formatErrors(configFile, errors).forEach(line => console.error(`  ${line}`));
+      process.exit(1);
+    }
+    migration = migrateText(text, kind);
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+  }
+
+  const { changes, warnings, notes, differences, lostComments } = migration;
+  if (changes.length === 0) {
+    warnings.forEach(warning => console.log(`⚠️  ${formatPath(warning.path)}: ${warning.message}`));
+    console.log(`✓ ${configFile} ${warnings.length > 0 ? 'has nothing else to migrate' : 'already uses the current format - nothing to migrate'}`);
+    return;
+  }
+  if (check) {
+    console.error(`✗ ${configFile} has ${changes.length} legacy setting(s) - convert them with: ./migrate.js ${configFile}`);
+    changes.forEach(change => console.error(`  ${formatPath(change.from)}${change.to ? ` → ${formatPath(change.to)}` : `: ${change.message}`}`));
+    process.exit(1);
+  }
+
+  console.log(`Migrating ${configFile} (${SCHEMA_FILES[migration.kind]})\n`);
+  for (const change of changes) {
+    if (change.to) {
+      console.log(`  ✓ ${formatPath(change.from)} → ${formatPath(change.to)}${change.message ? ` (${change.message})` : ''}`);
+    } else {
+      console.log(`  ✓ ${formatPath(change.from)}: ${change.message}`);
+    }
+  }
+  for (const warning of warnings) {
+    console.log(`  ⚠️  ${formatPath(warning.path)}: ${warning.message}`);
+  }
+  for (const note of notes) {
+    console.log(`  ℹ️  ${formatPath(note.path)}: ${note.message}`);
+  }
+  console.log('');
+
+  if (lostComments.length > 0) {
+    console.log(`⚠️  ${lostComments.length} comment(s) belong to removed settings and are not kept:`);
+    lostComments.forEach(({ line, comment }) => console.log(`  ${configFile}:${line}: ${comment}`));
+    console.log('');
+  }
+
+  const errors = validateConfigObject(migration.config, migration.kind);
+  if (errors.length > 0) {
+    console.error(`✗ The migrated configuration has ${errors.length} error(s) - ${configFile} not changed`);
+    formatErrors(outputFile || configFile, errors.map(error => ({ ...error, line: null }))).forEach(line => console.error(`  ${line}`));
+    process.exit(1);
+  }
+
+  if (differences.length > 0) {
+    console.log(`⚠️  ${differences.length} setting(s) would be configured differently:`);
+    differences.forEach(({ path, message }) => console.log(`  ${formatPath(path)}: ${message}`));
+    if (!force && !dryRun) {
+      console.error(`\n✗ ${configFile} not changed (use --force to write it anyway)`);
+      process.exit(1);
+    }
+    console.log('');
+  } else {
+    console.log('✓ Every device is configured exactly as before');
+  }
+
+  if (dryRun) {
+    console.log(`ℹ️  Dry run - ${changes.length} change(s), nothing written`);
+    return;
+  }
+
+  try {
+    const target = outputFile || configFile;
+    if (target === configFile) {
+      const backupFile = `${configFile}.bak`;
+      if (fs.existsSync(backupFile)) {
+        throw new Error(`${backupFile} already exists - move it away or use --output`);
+      }
+      fs.copyFileSync(configFile, backupFile);
+    }
+    // An encrypted file stays encrypted
+    writeConfigText(target, migration.text, { encrypt: encrypted });
+    console.log(`✓ Migrated configuration written to ${target}${encrypted ? ' (encrypted)' : ''} - ${changes.length} change(s)`);
+    if (target === configFile) {
+      console.log(`  Original kept in ${configFile}.bak`);
+    }
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+  }
+}
+
+main();
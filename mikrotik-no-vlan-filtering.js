@@ -33,7 +33,17 @@ module.exports = {
   backupAccessLists: lib.backupAccessLists,
   extractHostname: lib.extractHostname,
   backupMikroTikConfig: lib.backupMikroTikConfig,
-  MikroTikSSH: lib.MikroTikSSH
+  MikroTikSSH: lib.MikroTikSSH,
+  MikroTikREST: lib.MikroTikREST,
+  MikroTikAPI: lib.MikroTikAPI,
+  RouterOSTrapError: lib.RouterOSTrapError,
+  createConnection: lib.createConnection,
+  getConnectionConfig: lib.getConnectionConfig,
+  MikroTikSimulator: lib.MikroTikSimulator,
+  getSimulatedDevice: lib.getSimulatedDevice,
+  resetSimulator: lib.resetSimulator,
+  ConfigurationPlan: lib.ConfigurationPlan,
+  detectDrift: lib.detectDrift
 };
 
 // Allow direct execution
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+const yaml = require('js-yaml');
+const { validateFile, formatErrors } = require('./lib/validate');
+const { readConfigText } = require('./lib/encryption');
+const { applyProfiles } = require('./lib/profiles');
+const { deviceHost } = require('./lib/addresses');
+const { buildDeviceConfig, parseSelectorArgs, selectDevices, describeSelectors } = require('./lib/deployment');
+
+function usage() {
+  console.log('Usage: node render.js <multiple-devices.yaml> [--only <key=value>] [--exclude <key=value>] [--json]');
+  console.log('');
+  console.log('Prints the effective configuration of each device: its profile merged in,');
+  console.log('deployment-level SSIDs, country, syslog and CAPsMAN VLAN resolved - what');
+  console.log('apply-multiple-devices.js configures. No device is contacted; secret');
+  console.log('references are shown as references.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --only <key=value>     Render only matching devices (identity, host, role, tag)');
+  console.log('  --exclude <key=value>  Leave out matching devices');
+  console.log('  --json                 Print JSON instead of YAML');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node render.js multiple-devices.yaml');
+  console.log('  node render.js multiple-devices.yaml --only identity=attic-wap');
+  process.exit(1);
+}
+
+/**
+ * Remove unset values and empty mappings
+ * @param {*} value - Effective configuration (or part of it)
+ * @returns {*} Copy without undefined, null or {} values
+ */
+function prune(value) {
+  if (Array.isArray(value)) return value.map(prune);
+  if (!value || typeof value !== 'object') return value;
+  const pruned = {};
+  for (const [key, item] of Object.entries(value)) {
+    const result = prune(item);
+    if (result === undefined || result === null) continue;
+    if (typeof result === 'object' && !Array.isArray(result) && Object.keys(result).length === 0) continue;
+    pruned[key] = result;
+  }
+  return pruned;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.length === 0 || args[0].startsWith('--') || args.includes('--help') || args.includes('-h')) {
+    usage();
+  }
+
+  const configFile = args[0];
+  const json = args.includes('--json');
+
+  let config;
+  try {
+    const { text } = readConfigText(configFile);
+    config = yaml.load(text);
+    if (!config || !Array.isArray(config.devices)) {
+      throw new Error(`${configFile} has no devices list (render works on multiple-devices.yaml files)`);
+    }
+    // Render only what apply-multiple-devices.js would accept
+    const { errors } = validateFile(configFile, { kind: 'multiple-devices', text });
+    if (errors.length > 0) {
+      console.error(`✗ ${configFile}: ${errors.length} error(s)`);
+      formatErrors(configFile, errors).forEach(line => console.error(`  ${line}`));
+      process.exit(1);
+    }
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+  }
+
+  const devices = applyProfiles(config).devices;
+  let selected;
+  let selectors;
+  try {
+    selectors = parseSelectorArgs(args);
+    selected = selectDevices(devices, selectors);
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+  }
+  if (selected.length === 0) {
+    console.error(`✗ No devices match the selection (${describeSelectors(selectors)})`);
+    process.exit(1);
+  }
+
+  const deployment = {
+    ssids: config.ssids || [],
+    country: config.country,
+    syslog: config.syslog,
+    capsmanVlan: config.capsmanVlan,
+    rollback: config.rollback,
+    reattach: config.reattach
+  };
+
+  const rendered = selected.map(entry => {
+    const index = devices.indexOf(entry);
+    const profile = config.devices[index].profile;
+    return {
+      index,
+      profile,
+      config: prune({
+        device: entry.device,
+        ...(profile ? { profile } : {}),
+        tags: entry.tags,
+        ...buildDeviceConfig(entry, deployment),
+        lockedDevices: entry.lockedDevices
+      })
+    };
+  });
+
+  if (json) {
+    console.log(JSON.stringify(rendered.map(r => r.config), null, 2));
+    return;
+  }
+
+  console.log(`# Effective configuration of ${rendered.length} device(s) from ${configFile}`);
+  for (const { index, profile, config: effective } of rendered) {
+    const name = effective.identity || deviceHost(effective.device) || 'unknown';
+    console.log(`\n# devices[${index}]: ${name}${profile ? ` (profile: ${profile})` : ''}`);
+    process.stdout.write(yaml.dump([effective], { indent: 2, lineWidth: 120, noRefs: true, sortKeys: false }));
+  }
+}
+
+main();
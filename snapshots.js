@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const yaml = require('js-yaml');
+const { extractHostname } = require('./lib/access-list');
+const { getConnectionConfig } = require('./lib/connection');
+const { deviceHost } = require('./lib/addresses');
+const { SnapshotStore, restoreSnapshot } = require('./lib/snapshots');
+const { resolveSecrets } = require('./lib/secrets');
+const { readConfigText } = require('./lib/encryption');
+
+function usage() {
+  console.log('Usage: node snapshots.js <command> [arguments] [options]');
+  console.log('');
+  console.log('Commands:');
+  console.log('  history [device]                List stored snapshots (all devices or one)');
+  console.log('  diff <device> [from] [to]       Compare two snapshots (default: latest~1 and latest)');
+  console.log('  restore <device> <snapshot>     Upload a snapshot to the device and apply it');
+  console.log('');
+  console.log('Snapshots are referred to by id (e.g. 2026-10-19T10-15-30Z), a unique id prefix,');
+  console.log('"latest", or "latest~N" (N snapshots before the latest).');
+  console.log('');
+  console.log('Options:');
+  console.log('  --dir <dir>      Snapshot directory (default: $MIKROTIK_SNAPSHOT_DIR or ./snapshots)');
+  console.log('  --config <file>  restore: config file with the device credentials (config.yaml or multiple-devices.yaml)');
+  console.log('  --merge          restore: import on top of the running config instead of reset + replay');
+  console.log('  --yes            restore: confirm (the device is reset and reboots unless --merge)');
+  console.log('  --simulate       restore: use in-process simulated devices');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node snapshots.js history');
+  console.log('  node snapshots.js diff office-ap latest~3');
+  console.log('  node snapshots.js restore office-ap 2026-10-19T10 --config multiple-devices.yaml --yes');
+  process.exit(1);
+}
+
+/**
+ * Find the connection settings of a device in a config file
+ * @param {string} configFile - config.yaml or multiple-devices.yaml
+ * @param {string} name - Identity, host, or hostname part of the host
+ * @returns {Object} Device entry ({device, identity, ...})
+ */
+function findDevice(configFile, name) {
+  const config = resolveSecrets(yaml.load(readConfigText(configFile).text), { baseDir: path.dirname(configFile) });
+  const devices = Array.isArray(config?.devices) ? config.devices : [config];
+
+  const device = devices.find(d => d?.device && (
+    d.identity === name ||
+    deviceHost(d.device) === name ||
+    extractHostname(deviceHost(d.device)) === name
+  ));
+  if (!device) {
+    throw new Error(`Device ${name} not found in ${configFile}`);
+  }
+  return device;
+}
+
+function printHistory(store, device) {
+  const snapshots = store.list(device);
+  if (snapshots.length === 0) {
+    console.log(device ? `No snapshots for ${device} in ${store.dir}` : `No snapshots in ${store.dir}`);
+    return;
+  }
+
+  let current = null;
+  for (const snapshot of snapshots) {
+    if (snapshot.device !== current) {
+      current = snapshot.device;
+      console.log(`\n${current}`);
+    }
+    console.log(`  ${snapshot.id}  ${(snapshot.source || '-').padEnd(6)}  ${snapshot.host}`);
+  }
+  console.log('');
+}
+
+function printDiff(store, device, fromRef, toRef) {
+  const from = store.resolve(device, fromRef);
+  const to = store.resolve(device, toRef);
+  const changes = store.diff(from, to);
+
+  console.log(`--- ${device} ${from.id}`);
+  console.log(`+++ ${device} ${to.id}`);
+  if (changes.length === 0) {
+    console.log('(no differences)');
+    return false;
+  }
+  for (const { op, line } of changes) {
+    console.log(`${op} ${line}`);
+  }
+  return true;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const valueOptions = ['--dir', '--config'];
+  const option = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const positional = args.filter((arg, index) => !arg.startsWith('--') && !valueOptions.includes(args[index - 1]));
+  const [command, device, ...refs] = positional;
+
+  if (!command) {
+    usage();
+  }
+
+  const store = new SnapshotStore(option('--dir'));
+
+  if (command === 'history') {
+    printHistory(store, device);
+  } else if (command === 'diff') {
+    if (!device) usage();
+    const differs = printDiff(store, device, refs[0] || 'latest~1', refs[1] || 'latest');
+    process.exit(differs ? 1 : 0);
+  } else if (command === 'restore') {
+    const configFile = option('--config');
+    if (!device || !refs[0] || !configFile) {
+      console.error('restore requires <device> <snapshot> --config <file>');
+      process.exit(1);
+    }
+
+    const snapshot = store.resolve(device, refs[0]);
+    const entry = findDevice(configFile, device);
+    const merge = args.includes('--merge');
+    const connection = {
+      ...getConnectionConfig(entry.device),
+      ...(args.includes('--simulate') ? { transport: 'simulator' } : {}),
+      acceptNewHostKeys: args.includes('--accept-new-host-keys')
+    };
+
+    console.log('=== MikroTik Snapshot Restore ===');
+    console.log(`Device: ${snapshot.device} (${connection.host})`);
+    console.log(`Snapshot: ${snapshot.id} (${snapshot.source || 'unknown source'}, taken from ${snapshot.host || 'unknown host'})`);
+    console.log(`Mode: ${merge ? 'import into running configuration' : 'reset and replay (device reboots)'}`);
+    console.log('');
+
+    if (!args.includes('--yes')) {
+      console.log('Re-run with --yes to restore this snapshot.');
+      process.exit(1);
+    }
+
+    await restoreSnapshot(connection, store.read(snapshot), { merge });
+    console.log(`\n✓ Snapshot ${snapshot.id} restored to ${connection.host}`);
+  } else {
+    console.error(`Unknown command: ${command}`);
+    usage();
+  }
+}
+
+main().catch(error => {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+});
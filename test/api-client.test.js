@@ -0,0 +1,242 @@
+/**
+ * RouterOS API transport (lib/api-client.js)
+ * A local TCP server speaks the API protocol with fixed sentences: words
+ * prefixed by their length (1-5 bytes), a zero-length word ending each sentence.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { MikroTikAPI, RouterOSTrapError } = require('../lib/api-client');
+const { withConsoleSink } = require('../lib/console-capture');
+
+/**
+ * Encode a sentence of short words (length below 0x80: a single length byte)
+ * @param {string[]} words - Words
+ * @returns {Buffer} Sentence bytes
+ */
+function sentence(...words) {
+  const parts = words.map(word => {
+    const data = Buffer.from(word, 'utf8');
+    assert.ok(data.length < 0x80, 'fixture words use one length byte');
+    return Buffer.concat([Buffer.from([data.length]), data]);
+  });
+  return Buffer.concat([...parts, Buffer.from([0])]);
+}
+
+/**
+ * Split the bytes a client sent into sentences (1- and 2-byte length prefixes)
+ * @param {Buffer} data - Received bytes
+ * @returns {{sentences: string[][], rest: Buffer}} Complete sentences and the unparsed remainder
+ */
+function readSentences(data) {
+  const sentences = [];
+  let words = [];
+  let offset = 0;
+  let complete = 0;
+  while (offset < data.length) {
+    const twoBytes = (data[offset] & 0xC0) === 0x80;
+    if (twoBytes && offset + 2 > data.length) break;
+    const length = twoBytes ? data.readUInt16BE(offset) & 0x3FFF : data[offset];
+    const start = offset + (twoBytes ? 2 : 1);
+    if (start + length > data.length) break;
+    offset = start + length;
+    if (length === 0) {
+      sentences.push(words);
+      words = [];
+      complete = offset;
+    } else {
+      words.push(data.toString('utf8', start, offset));
+    }
+  }
+  return { sentences, rest: data.subarray(complete) };
+}
+
+/**
+ * Start an API server answering each command with reply(words, tag)
+ * @param {Function} reply - (words, tag) => Buffer or array of Buffers (written as separate chunks)
+ * @returns {Promise<{port: number, received: Buffer[], commands: string[][], close: Function}>} Server
+ */
+function startServer(reply) {
+  const received = [];
+  const commands = [];
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    let pending = Buffer.alloc(0);
+    socket.on('data', async chunk => {
+      received.push(chunk);
+      const { sentences, rest } = readSentences(Buffer.concat([pending, chunk]));
+      pending = rest;
+      for (const words of sentences) {
+        commands.push(words);
+        const tag = (words.find(w => w.startsWith('.tag=')) || '').slice(5);
+        for (const part of [].concat(reply(words, tag))) {
+          socket.write(part);
+          // Separate TCP chunks, so sentences and words arrive split
+          await new Promise(resolve => setTimeout(resolve, 5));
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      port: server.address().port,
+      received,
+      commands,
+      close: () => new Promise(done => {
+        for (const socket of sockets) socket.destroy();
+        server.close(done);
+      })
+    }));
+  });
+}
+
+// Replies of a device with two WiFi interfaces
+function deviceReply(words, tag) {
+  switch (words[0]) {
+    case '/login':
+      return words.includes('=password=secret')
+        ? sentence('!done', `.tag=${tag}`)
+        : [sentence('!trap', '=message=invalid user name or password (6)', `.tag=${tag}`), sentence('!done', `.tag=${tag}`)];
+    case '/interface/wifi/print':
+      return [
+        sentence('!re', '=.id=*1', '=name=wifi1', '=configuration.ssid=Home', '=disabled=false', '=running=true', `.tag=${tag}`),
+        sentence('!re', '=.id=*2', '=name=wifi2', '=configuration.ssid=Guest', '=disabled=true', '=running=false', `.tag=${tag}`),
+        sentence('!done', `.tag=${tag}`)
+      ];
+    case '/system/identity/print':
+      return [sentence('!re', '=name=ap1', `.tag=${tag}`), sentence('!done', `.tag=${tag}`)];
+    case '/interface/bridge/port/add':
+      return [
+        sentence('!trap', '=category=1', '=message=input does not match any value of interface', `.tag=${tag}`),
+        sentence('!done', `.tag=${tag}`)
+      ];
+    default:
+      return sentence('!done', `.tag=${tag}`);
+  }
+}
+
+// Sessions print progress; the test runner reads the test's stdout, so it is held back
+async function withSession(reply, fn, password = 'secret') {
+  return withConsoleSink(() => false, async () => {
+    const server = await startServer(reply);
+    const mt = new MikroTikAPI('127.0.0.1', 'admin', password, { port: server.port, timeout: 5000 });
+    try {
+      await fn(mt, server);
+    } finally {
+      await mt.close();
+      await server.close();
+    }
+  });
+}
+
+test('login is sent as one tagged sentence of length-prefixed words', async () => {
+  await withSession(deviceReply, async (mt, server) => {
+    await mt.connect();
+    assert.equal(mt.isConnected(), true);
+    assert.deepEqual(Buffer.concat(server.received), Buffer.concat([
+      Buffer.from([0x06]), Buffer.from('/login'),
+      Buffer.from([0x0b]), Buffer.from('=name=admin'),
+      Buffer.from([0x10]), Buffer.from('=password=secret'),
+      Buffer.from([0x06]), Buffer.from('.tag=1'),
+      Buffer.from([0x00])
+    ]));
+  });
+});
+
+test('a !trap reply to /login is an authentication failure', async () => {
+  await withSession(deviceReply, async (mt) => {
+    await assert.rejects(mt.connect(), /Authentication failed for user 'admin' at 127\.0\.0\.1/);
+  }, 'wrong');
+});
+
+test('!re replies become records; where-terms are sent as queries', async () => {
+  await withSession(deviceReply, async (mt, server) => {
+    await mt.connect();
+    const records = await mt.print('/interface wifi', { where: 'name=wifi1 and disabled=no' });
+    assert.deepEqual(records, [
+      { '.id': '*1', name: 'wifi1', 'configuration.ssid': 'Home', disabled: 'no', running: 'yes' }
+    ]);
+    // disabled=no is left to the local filter (the API reports booleans as true/false)
+    assert.deepEqual(server.commands[1], ['/interface/wifi/print', '?name=wifi1', '.tag=2']);
+  });
+});
+
+test('print commands render console output; settings menus print key: value lines', async () => {
+  await withSession(deviceReply, async (mt) => {
+    await mt.connect();
+    assert.equal(await mt.exec('/interface wifi print terse where running=yes'),
+      ' 0 R  name="wifi1" configuration.ssid="Home" disabled=no running=yes\n');
+    assert.equal(await mt.exec('/system identity print'), '  name: ap1\n');
+  });
+});
+
+test('!trap then !done rejects with the trap message and category', async () => {
+  await withSession(deviceReply, async (mt) => {
+    await mt.connect();
+    await assert.rejects(mt.exec('/interface bridge port add bridge=bridge interface=ether9'), (error) => {
+      assert.ok(error instanceof RouterOSTrapError);
+      assert.equal(error.message, 'input does not match any value of interface');
+      assert.equal(error.category, 1);
+      assert.equal(error.categoryName, 'argument value failure');
+      assert.equal(error.command, '/interface/bridge/port/add');
+      return true;
+    });
+  });
+});
+
+test('words of 0x80 bytes and more get a two-byte length prefix', async () => {
+  const comment = 'c'.repeat(200);
+  await withSession(deviceReply, async (mt, server) => {
+    await mt.connect();
+    await mt.exec(`/interface wifi set [find name=wifi2] comment="${comment}"`);
+
+    const sent = Buffer.concat(server.received);
+    // =comment=... is 209 bytes: 0x8000 | 209
+    const word = Buffer.concat([Buffer.from([0x80, 0xD1]), Buffer.from(`=comment=${comment}`)]);
+    assert.notEqual(sent.indexOf(word), -1);
+    assert.deepEqual(server.commands[2], ['/interface/wifi/set', '=.id=*2', `=comment=${comment}`, '.tag=3']);
+  });
+});
+
+test('reply words with two- and three-byte length prefixes are decoded', async () => {
+  const medium = 'm'.repeat(300);    // "=comment=" + 300 bytes = 309 = 0x135
+  const long = 'l'.repeat(20000);    // "=comment=" + 20000 bytes = 20009 = 0x4E29
+  const reply = (words, tag) => {
+    if (words[0] !== '/interface/wifi/print') return deviceReply(words, tag);
+    const tagWord = Buffer.concat([Buffer.from([0x06]), Buffer.from(`.tag=${tag}`)]);
+    return [
+      Buffer.concat([
+        Buffer.from([0x03]), Buffer.from('!re'),
+        Buffer.from([0x07]), Buffer.from('=.id=*1'),
+        Buffer.from([0x81, 0x35]), Buffer.from(`=comment=${medium}`),
+        tagWord, Buffer.from([0x00])
+      ]),
+      Buffer.concat([
+        Buffer.from([0x03]), Buffer.from('!re'),
+        Buffer.from([0x07]), Buffer.from('=.id=*2'),
+        Buffer.from([0xC0, 0x4E, 0x29]), Buffer.from(`=comment=${long}`),
+        tagWord, Buffer.from([0x00])
+      ]),
+      sentence('!done', `.tag=${tag}`)
+    ];
+  };
+  await withSession(reply, async (mt) => {
+    await mt.connect();
+    const records = await mt.print('/interface/wifi');
+    assert.deepEqual(records.map(r => r.comment.length), [300, 20000]);
+  });
+});
+
+test('!fatal fails the commands still waiting for a reply', async () => {
+  const reply = (words, tag) => words[0] === '/login'
+    ? sentence('!done', `.tag=${tag}`)
+    : sentence('!fatal', 'session terminated on request');
+  await withSession(reply, async (mt) => {
+    await mt.connect();
+    await assert.rejects(mt.print('/interface/wifi'), /RouterOS API fatal error from 127\.0\.0\.1: session terminated on request/);
+    assert.equal(mt.isConnected(), false);
+  });
+});
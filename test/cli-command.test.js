@@ -0,0 +1,75 @@
+/**
+ * Console command parsing (lib/cli-command.js)
+ * Commands as the lib/ modules send them, parsed for the REST and API transports.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitTokens, unquote, splitAssignment, parseCommand, matchesCondition } = require('../lib/cli-command');
+
+test('splitTokens keeps quoted strings and [find] expressions together', () => {
+  assert.deepEqual(
+    splitTokens('/interface wifi set [find name="wifi 1"] comment="a \\"b\\" c" disabled=no'),
+    ['/interface', 'wifi', 'set', '[find name="wifi 1"]', 'comment="a \\"b\\" c"', 'disabled=no']
+  );
+});
+
+test('unquote resolves RouterOS escapes', () => {
+  assert.equal(unquote('"My \\"SSID\\""'), 'My "SSID"');
+  assert.equal(unquote('"tab\\there\\_x"'), 'tab\there x');
+  assert.equal(unquote('"\\41\\42"'), 'AB');
+  assert.equal(unquote('plain'), 'plain');
+});
+
+test('splitAssignment splits at the first unquoted operator', () => {
+  assert.deepEqual(splitAssignment('comment~"lock to"'), { key: 'comment', op: '~', value: 'lock to' });
+  assert.deepEqual(splitAssignment('name!=wifi1'), { key: 'name', op: '!=', value: 'wifi1' });
+  assert.deepEqual(splitAssignment('passphrase="a=b"'), { key: 'passphrase', op: '=', value: 'a=b' });
+  assert.deepEqual(splitAssignment('master-interface'), { key: 'master-interface', op: null, value: null });
+});
+
+test('parseCommand: set with [find]', () => {
+  assert.deepEqual(parseCommand('/interface wifi set [find name="wifi1"] disabled=no configuration.ssid="Home Net"'), {
+    path: ['interface', 'wifi'],
+    action: 'set',
+    target: null,
+    find: 'name="wifi1"',
+    properties: { disabled: 'no', 'configuration.ssid': 'Home Net' },
+    flags: [],
+    where: null
+  });
+});
+
+test('parseCommand: print flags and where-condition', () => {
+  const parsed = parseCommand('/interface/wifi/access-list print detail without-paging where comment~"lock to" and !disabled');
+  assert.deepEqual(parsed.path, ['interface', 'wifi', 'access-list']);
+  assert.equal(parsed.action, 'print');
+  assert.deepEqual(parsed.flags, ['detail', 'without-paging']);
+  assert.equal(parsed.where, 'comment~"lock to" and !disabled');
+});
+
+test('parseCommand: item target, root-level actions and commands without an action', () => {
+  assert.equal(parseCommand('/interface wifi enable wifi2').target, 'wifi2');
+
+  const exported = parseCommand('/export show-sensitive file=backup');
+  assert.equal(exported.action, 'export');
+  assert.deepEqual(exported.path, []);
+  assert.deepEqual(exported.flags, ['show-sensitive']);
+  assert.deepEqual(exported.properties, { file: 'backup' });
+
+  const imported = parseCommand('/import file-name=restore.rsc');
+  assert.equal(imported.action, null);
+  assert.deepEqual(imported.path, ['import']);
+  assert.deepEqual(imported.properties, { 'file-name': 'restore.rsc' });
+});
+
+test('matchesCondition: and/or terms, negation, regex, REST booleans', () => {
+  const record = { name: 'wifi1', disabled: 'false', running: 'true', comment: 'lock to ap1' };
+  assert.equal(matchesCondition(record, ''), true);
+  assert.equal(matchesCondition(record, 'name=wifi1 and running=yes'), true);
+  assert.equal(matchesCondition(record, 'disabled=yes'), false);
+  assert.equal(matchesCondition(record, '!disabled'), true);
+  assert.equal(matchesCondition(record, 'comment~"lock to"'), true);
+  assert.equal(matchesCondition(record, 'name=wifi2 or name=wifi1'), true);
+  assert.equal(matchesCondition(record, 'name!=wifi1'), false);
+});
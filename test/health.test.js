@@ -0,0 +1,60 @@
+/**
+ * Health gates (lib/health.js)
+ * CAP checks against a simulated controller holding the CAP's interfaces.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_HEALTH_GATE, waitForHealthy } = require('../lib/health');
+const { getSimulatedDevice, resetSimulator } = require('../lib/simulator');
+const { withConsoleSink } = require('../lib/console-capture');
+
+const GATE = { ...DEFAULT_HEALTH_GATE, timeout: 0, interval: 0 };
+const CAP = {
+  host: '10.0.0.20',
+  identity: 'cap1',
+  role: 'cap',
+  transport: 'simulator',
+  ssids: [{ ssid: 'Home', bands: ['2.4GHz'], vlan: 100 }]
+};
+const CONTROLLER = { host: '10.0.0.1', transport: 'simulator' };
+
+/**
+ * Controller with cap1 joined and its 2.4GHz interface broadcasting Home
+ * @param {Object} fiveGhz - Properties of the cap1-5g interface
+ */
+function controllerWithCap(fiveGhz) {
+  resetSimulator();
+  const controller = getSimulatedDevice(CONTROLLER.host);
+  controller.insert('/interface/wifi/capsman/remote-cap', { identity: 'cap1', address: CAP.host, state: 'Ok' });
+  controller.insert('/interface/wifi', {
+    name: 'cap1-2g', 'configuration.manager': 'capsman', 'configuration.ssid': 'Home', disabled: 'no'
+  });
+  controller.insert('/interface/wifi', { name: 'cap1-5g', 'configuration.manager': 'capsman', ...fiveGhz });
+}
+
+// Sessions print progress; the test runner reads the test's stdout, so it is held back
+function gate() {
+  return withConsoleSink(() => false, () => waitForHealthy(CAP, GATE, { controller: CONTROLLER }));
+}
+
+test('a CAP broadcasting on one band passes with the unused band disabled', async () => {
+  controllerWithCap({ disabled: 'yes' });
+  const { healthy, checks } = await gate();
+  assert.equal(healthy, true);
+  assert.deepEqual(checks.map(c => [c.name, c.detail]), [
+    ['reachable', 'identity MikroTik'],
+    ['registered with controller', 'cap1 (Ok)'],
+    ['interfaces running', '1/1 CAP interface(s) running on controller'],
+    ['SSIDs broadcast', '1 SSID(s) broadcast']
+  ]);
+});
+
+test('an enabled CAP interface that is not running fails the gate', async () => {
+  controllerWithCap({ disabled: 'no', 'configuration.manager': '' });
+  const { healthy, checks } = await gate();
+  assert.equal(healthy, false);
+  assert.deepEqual(checks.at(-1), {
+    name: 'interfaces running', ok: false, detail: '1/2 CAP interface(s) running on controller'
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * SSH host key pinning (lib/host-keys.js)
+ * Pins in a temporary known-hosts file, checked for the address a session connected through.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { verifyHostKey, fingerprintHostKey, loadKnownHosts } = require('../lib/host-keys');
+const { MikroTikSSH } = require('../lib/ssh-client');
+const { withConsoleSink } = require('../lib/console-capture');
+
+// Host key blobs of the configured device and of a factory-reset unit
+const PINNED_KEY = Buffer.from('ssh-ed25519 key of ap1');
+const RESET_KEY = Buffer.from('ssh-ed25519 key after reset');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'known-hosts-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+let files = 0;
+
+/**
+ * Known-hosts file with ap1.example.com pinned to PINNED_KEY
+ * @returns {string} File path
+ */
+function pinnedKnownHosts() {
+  const file = path.join(dir, `known_hosts.${++files}`);
+  fs.writeFileSync(file, `ap1.example.com ${fingerprintHostKey(PINNED_KEY)}\n`);
+  return file;
+}
+
+// Verification prints pins and warnings; the test runner reads the test's stdout, so it is held back
+function quietly(fn) {
+  return withConsoleSink(() => false, fn);
+}
+
+test('a changed key at the configured host or another fallback address is rejected', () => {
+  const knownHostsFile = pinnedKnownHosts();
+  for (const address of [undefined, '10.0.0.21']) {
+    const result = quietly(() => verifyHostKey(RESET_KEY, { host: 'ap1.example.com', address, knownHostsFile }));
+    assert.equal(result.ok, false);
+    assert.match(result.error, /^Host key for ap1\.example\.com has changed/);
+  }
+  assert.equal(quietly(() => verifyHostKey(PINNED_KEY, { host: 'ap1.example.com', address: '10.0.0.21', knownHostsFile })).ok, true);
+});
+
+test('a pinned host reached through the 192.168.88.1 fallback is neither checked nor re-pinned', () => {
+  const knownHostsFile = pinnedKnownHosts();
+  const lines = [];
+  const result = withConsoleSink((method, text) => { lines.push(text); return false; },
+    () => verifyHostKey(RESET_KEY, { host: 'ap1.example.com', address: '192.168.88.1', knownHostsFile }));
+
+  assert.equal(result.ok, true);
+  assert.match(lines.join('\n'), /Host key for ap1\.example\.com via 192\.168\.88\.1 not pinned \(factory default address\)/);
+  assert.equal(loadKnownHosts(knownHostsFile).get('ap1.example.com'), fingerprintHostKey(PINNED_KEY));
+});
+
+test('an explicit hostKeyFingerprint is still checked at 192.168.88.1', () => {
+  const result = quietly(() => verifyHostKey(RESET_KEY, {
+    host: 'ap1.example.com', address: '192.168.88.1', hostKeyFingerprint: fingerprintHostKey(PINNED_KEY)
+  }));
+  assert.equal(result.ok, false);
+  assert.match(result.error, /does not match hostKeyFingerprint/);
+});
+
+test('SSH sessions verify the key for the address they connected through', () => {
+  const knownHostsFile = pinnedKnownHosts();
+  const mt = new MikroTikSSH('ap1.example.com', 'admin', 'secret', { addresses: ['192.168.88.1'], knownHostsFile });
+  assert.deepEqual(mt.addresses, ['ap1.example.com', '192.168.88.1']);
+
+  // As connectFirstReachable sets it for each attempt
+  mt.address = 'ap1.example.com';
+  assert.equal(quietly(() => mt.verifyHostKey(RESET_KEY)), false);
+  assert.match(mt.hostKeyError, /has changed/);
+
+  mt.hostKeyError = null;
+  mt.address = '192.168.88.1';
+  assert.equal(quietly(() => mt.verifyHostKey(RESET_KEY)), true);
+  assert.equal(mt.hostKeyError, null);
+});
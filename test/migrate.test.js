@@ -0,0 +1,44 @@
+/**
+ * Configuration migration (lib/migrate.js)
+ * Migrated deployments compared with the originals by what each device gets.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { migrateConfig, effectiveDifferences } = require('../lib/migrate');
+
+const HOME = { ssid: 'Home', passphrase: 'secret123', vlan: 10, bands: ['2.4GHz', '5GHz'] };
+
+test('SSIDs that match deployment-level ones become references, configuring every device as before', () => {
+  const config = {
+    ssids: [{ ssid: 'Home', passphrase: 'secret123', vlan: 10 }],
+    devices: [
+      { device: { host: '10.0.0.1' }, role: 'controller', ssids: [HOME] },
+      { device: { host: '10.0.0.2' }, role: 'cap' }
+    ]
+  };
+  const { config: migrated, notes } = migrateConfig(config);
+
+  assert.deepEqual(migrated.ssids, config.ssids);
+  assert.deepEqual(migrated.devices[0].ssids, [{ ssid: 'Home', bands: ['2.4GHz', '5GHz'] }]);
+  assert.deepEqual(notes, []);
+  assert.deepEqual(effectiveDifferences(config, migrated), []);
+});
+
+test('CAPs that gain a local WiFi fallback are differences', () => {
+  const config = {
+    devices: [
+      { device: { host: '10.0.0.1' }, role: 'controller', ssids: [HOME] },
+      { device: { host: '10.0.0.2' }, role: 'cap' },
+      { device: { host: '10.0.0.3' }, role: 'cap', ssids: [{ ...HOME, bands: ['5GHz'] }] }
+    ]
+  };
+  const { config: migrated, notes } = migrateConfig(config);
+
+  assert.deepEqual(notes, [{ path: ['devices', 1], message: 'CAP now gets a local WiFi fallback with the deployment-level SSIDs' }]);
+  assert.deepEqual(effectiveDifferences(config, migrated), [
+    { path: ['devices', 1, 'localFallback', 'ssids', 0], message: 'unset becomes {"passphrase":"secret123","ssid":"Home","vlan":10}' },
+    // Full SSIDs of a CAP were never its fallback; as references they are
+    { path: ['devices', 2, 'localFallback', 'ssids', 0], message: 'unset becomes {"bands":["5GHz"],"passphrase":"secret123","ssid":"Home","vlan":10}' }
+  ]);
+});
@@ -0,0 +1,111 @@
+/**
+ * MikroTik Neighbor Discovery Protocol (lib/mndp.js)
+ * A fixed announcement as a device sends it, alone and inside captures.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeMndpPacket, encodeMndpPacket, mergeNeighbors, neighborAddress, formatUptime, readCapture, replayCapture } = require('../lib/mndp');
+
+// Header (sequence 1), then type/length/value: big-endian type and length, uptime little-endian
+const ANNOUNCEMENT = [
+  '00000001',
+  '0001 0006 488f5a112233',                             // mac
+  '0005 0003 617031',                                   // identity "ap1"
+  '0007 000f 372e31362e322028737461626c6529',           // version "7.16.2 (stable)"
+  '0008 0008 4d696b726f54696b',                         // platform "MikroTik"
+  '000a 0004 cd5f0100',                                 // uptime 90061 s
+  '000c 0006 774150206178',                             // board "wAP ax"
+  '000e 0001 03',                                       // unpack
+  '000f 0010 fe800000000000004a8f5afffe112233',         // ipv6
+  '0010 0006 627269646765',                             // interface "bridge"
+  '0011 0004 c0a8580a'                                  // ipv4 192.168.88.10
+].join(' ');
+
+const PACKET = Buffer.from(ANNOUNCEMENT.replace(/\s/g, ''), 'hex');
+
+const NEIGHBOR = {
+  mac: '48:8F:5A:11:22:33',
+  identity: 'ap1',
+  version: '7.16.2 (stable)',
+  platform: 'MikroTik',
+  uptime: 90061,
+  board: 'wAP ax',
+  unpack: 3,
+  interfaceName: 'bridge',
+  ipv4: '192.168.88.10',
+  ipv6: 'fe80:0:0:0:4a8f:5aff:fe11:2233'
+};
+
+test('an announcement decodes into its fields', () => {
+  assert.deepEqual(decodeMndpPacket(PACKET, '192.168.88.10'), { ...NEIGHBOR, source: '192.168.88.10' });
+  assert.equal(formatUptime(90061), '1d1h1m1s');
+});
+
+test('discovery requests, truncated and anonymous packets decode to null', () => {
+  assert.equal(decodeMndpPacket(Buffer.alloc(4)), null);
+  assert.equal(decodeMndpPacket(PACKET.subarray(0, 45)), null);
+  assert.equal(decodeMndpPacket(Buffer.from('00000000 0008 0008 4d696b726f54696b'.replace(/\s/g, ''), 'hex')), null);
+  assert.equal(decodeMndpPacket('not a buffer'), null);
+});
+
+test('unknown TLVs and malformed values are skipped', () => {
+  const packet = Buffer.from('00000000 0001 0006 488f5a112233 0063 0002 abcd 0011 0003 c0a858'.replace(/\s/g, ''), 'hex');
+  assert.deepEqual(decodeMndpPacket(packet), { mac: '48:8F:5A:11:22:33' });
+});
+
+test('encoding reproduces the announcement bytes', () => {
+  assert.deepEqual(encodeMndpPacket(NEIGHBOR, 1), PACKET);
+  assert.deepEqual(decodeMndpPacket(encodeMndpPacket({ identity: 'ap2', uptime: 0 })), { identity: 'ap2', uptime: 0 });
+});
+
+test('neighbors merge by MAC and sort by address', () => {
+  const merged = mergeNeighbors([
+    { mac: 'AA:00:00:00:00:02', identity: 'ap2', ipv4: '192.168.88.9' },
+    { mac: 'AA:00:00:00:00:01', identity: 'old', source: '192.168.88.10' },
+    { mac: 'AA:00:00:00:00:01', identity: 'ap1', ipv4: '0.0.0.0' },
+    { identity: 'no-address' }
+  ]);
+  assert.deepEqual(merged.map(n => [n.identity, neighborAddress(n)]), [
+    ['ap2', '192.168.88.9'],
+    ['ap1', '192.168.88.10'],
+    ['no-address', null]
+  ]);
+});
+
+test('hex captures: one packet per line, optional source, comments', () => {
+  const colons = PACKET.toString('hex').match(/../g).join(':');
+  const capture = Buffer.from([
+    '# tcpdump -X udp port 5678',
+    `192.168.88.10 ${ANNOUNCEMENT}`,
+    '',
+    colons,
+    '00000000'
+  ].join('\n'));
+
+  const packets = readCapture(capture);
+  assert.deepEqual(packets.map(p => p.source), ['192.168.88.10', undefined, undefined]);
+  assert.deepEqual(packets[1].packet, PACKET);
+  assert.deepEqual(replayCapture(capture), [{ ...NEIGHBOR, source: '192.168.88.10' }]);
+
+  assert.throws(() => readCapture(Buffer.from('00000000\nnot hex\n')), /Line 2: expected \[source-address\] <hex packet>/);
+});
+
+test('pcap captures: UDP payloads from Ethernet frames', () => {
+  const frame = Buffer.concat([
+    Buffer.from((
+      'ffffffffffff 488f5a112233 0800' +                             // Ethernet, IPv4
+      '4500008d 00004000 40110000 c0a8580a ffffffff' +               // IPv4, UDP, 192.168.88.10 -> broadcast
+      '162e162e 00790000'                                            // UDP 5678 -> 5678, 121 bytes
+    ).replace(/\s/g, ''), 'hex'),
+    PACKET
+  ]);
+  const pcap = Buffer.concat([
+    Buffer.from('d4c3b2a1 0200 0400 00000000 00000000 ffff0000 01000000'.replace(/\s/g, ''), 'hex'),
+    Buffer.from('00000000 00000000 9b000000 9b000000'.replace(/\s/g, ''), 'hex'),
+    frame
+  ]);
+
+  assert.deepEqual(readCapture(pcap), [{ packet: PACKET, source: '192.168.88.10' }]);
+  assert.throws(() => readCapture(Buffer.from('0a0d0d0a1c0000004d3c2b1a', 'hex')), /pcapng is not supported/);
+});
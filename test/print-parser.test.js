@@ -0,0 +1,86 @@
+/**
+ * Console print output parsing (lib/print-parser.js)
+ * Fixed detail, terse, as-value and settings output as RouterOS prints it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePrint, parseSettings } = require('../lib/print-parser');
+
+const DETAIL = [
+  'Flags: X - disabled; R - running ',
+  ' 0  R ;;; managed by wap-configurator',
+  '       name="wifi1" default-name="wifi1" l2mtu=1560 mac-address=48:A9:8A:00:00:01 ',
+  '       configuration.ssid="Home \\"Net\\"" configuration.country=Latvia ',
+  '       security.authentication-types=wpa2-psk,wpa3-psk ',
+  '',
+  ' 1 X    name="wifi2" default-name="wifi2" configuration.ssid="" ',
+  ''
+].join('\r\n');
+
+test('detail output: header skipped, flags, ;;; comment and continuation lines', () => {
+  assert.deepEqual(parsePrint(DETAIL), [
+    {
+      '.id': '0',
+      '.flags': 'R',
+      running: 'yes',
+      comment: 'managed by wap-configurator',
+      name: 'wifi1',
+      'default-name': 'wifi1',
+      l2mtu: '1560',
+      'mac-address': '48:A9:8A:00:00:01',
+      'configuration.ssid': 'Home "Net"',
+      'configuration.country': 'Latvia',
+      'security.authentication-types': 'wpa2-psk,wpa3-psk'
+    },
+    { '.id': '1', '.flags': 'X', disabled: 'yes', name: 'wifi2', 'default-name': 'wifi2', 'configuration.ssid': '' }
+  ]);
+});
+
+test('terse output with show-ids keeps internal IDs and printed properties', () => {
+  const output =
+    '*1A   interface=ether1 bridge=bridge pvid=1 comment="uplink; trunk" \n' +
+    '*1B XD interface=wifi2 bridge=bridge pvid=20 disabled=no \n';
+  assert.deepEqual(parsePrint(output), [
+    { '.id': '*1A', interface: 'ether1', bridge: 'bridge', pvid: '1', comment: 'uplink; trunk' },
+    // A printed property wins over the flag it stands for
+    { '.id': '*1B', '.flags': 'XD', interface: 'wifi2', bridge: 'bridge', pvid: '20', disabled: 'no', dynamic: 'yes' }
+  ]);
+});
+
+test('as-value output starts a record at each .id', () => {
+  const output = '.id=*1;disabled=false;name=wifi1;running=true;.id=*2;comment="a;b";disabled=true;name=wifi2;running=false';
+  assert.deepEqual(parsePrint(output), [
+    { '.id': '*1', disabled: 'no', name: 'wifi1', running: 'yes' },
+    { '.id': '*2', comment: 'a;b', disabled: 'yes', name: 'wifi2', running: 'no' }
+  ]);
+});
+
+test('as-value output without .id starts a record when a property repeats', () => {
+  assert.deepEqual(parsePrint('address=192.168.88.10/24;interface=bridge\naddress=10.0.0.2/24;interface=vlan100\n'), [
+    { address: '192.168.88.10/24', interface: 'bridge' },
+    { address: '10.0.0.2/24', interface: 'vlan100' }
+  ]);
+});
+
+test('empty output has no records', () => {
+  assert.deepEqual(parsePrint(''), []);
+  assert.deepEqual(parsePrint('Flags: X - disabled\n'), []);
+  assert.deepEqual(parsePrint(undefined), []);
+});
+
+test('settings output is parsed into key: value pairs', () => {
+  const output =
+    '                   uptime: 3d4h12m\n' +
+    '                  version: 7.16.2 (stable)\n' +
+    '               board-name: wAP ax\n' +
+    '                     name: "ap 1"\n' +
+    '  factory-software: \n';
+  assert.deepEqual(parseSettings(output), {
+    uptime: '3d4h12m',
+    version: '7.16.2 (stable)',
+    'board-name': 'wAP ax',
+    name: 'ap 1',
+    'factory-software': ''
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Console commands on record-based transports (lib/record-commands.js)
+ * A session over fixed records, recording the calls a command turns into.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatValue, renderPrint, normalizeMenu, normalizeRecord, printRecords, executeCommand } = require('../lib/record-commands');
+
+// Records as the transports return them (REST strings, API true/false)
+const MENUS = {
+  '/interface/wifi': [
+    { '.id': '*1', name: 'wifi1', 'configuration.ssid': 'Home', disabled: 'false', running: 'true' },
+    { '.id': '*2', name: 'wifi2', 'configuration.ssid': 'Guest', disabled: 'true', running: 'false', comment: 'guest radio' }
+  ],
+  '/system/identity': { name: 'ap1' }
+};
+
+/**
+ * Session over MENUS implementing the record-based session interface
+ * @returns {Object} Session with a calls list
+ */
+function recordSession() {
+  const calls = [];
+  return {
+    calls,
+    printIds: new Map(),
+    fetch: async (menu) => MENUS[menu] || [],
+    createItem: async (menu, properties) => { calls.push(['create', menu, properties]); },
+    updateItem: async (menu, id, properties) => { calls.push(['update', menu, id, properties]); },
+    removeItem: async (menu, id) => { calls.push(['remove', menu, id]); },
+    updateSettings: async (menu, properties) => { calls.push(['settings', menu, properties]); },
+    exportConfig: async (menu, properties) => { calls.push(['export', menu, properties]); return '# export\n'; }
+  };
+}
+
+test('formatValue quotes names, SSIDs and values with spaces or quotes', () => {
+  assert.equal(formatValue('name', 'wifi1'), '"wifi1"');
+  assert.equal(formatValue('configuration.ssid', 'My "Net"'), '"My \\"Net\\""');
+  assert.equal(formatValue('vlan-ids', '10,20'), '10,20');
+  assert.equal(formatValue('disabled', 'true'), 'yes');
+  assert.equal(formatValue('mode', ''), '""');
+});
+
+test('renderPrint renders detail, terse, count-only and settings output', () => {
+  const records = MENUS['/interface/wifi'];
+  assert.equal(renderPrint(records, ['detail']),
+    ' 0 R  name="wifi1" configuration.ssid="Home" disabled=no running=yes\n' +
+    ' 1 X  ;;; guest radio\n' +
+    '       name="wifi2" configuration.ssid="Guest" disabled=yes running=no\n');
+  assert.equal(renderPrint(records, ['terse']).split('\n')[1],
+    ' 1 X  name="wifi2" configuration.ssid="Guest" disabled=yes running=no comment="guest radio"');
+  assert.equal(renderPrint(records, ['count-only']), '2\n');
+  assert.equal(renderPrint([], []), '');
+  assert.equal(renderPrint({ 'board-name': 'wAP ax', uptime: '1d' }, []), '  board-name: wAP ax\n      uptime: 1d\n');
+});
+
+test('normalizeMenu and normalizeRecord convert to slash paths and console values', () => {
+  assert.equal(normalizeMenu('/interface wifi access-list'), '/interface/wifi/access-list');
+  assert.equal(normalizeMenu('/interface/wifi/'), '/interface/wifi');
+  assert.deepEqual(normalizeRecord({ '.id': '*1', disabled: 'false', running: true }), { '.id': '*1', disabled: 'no', running: 'yes' });
+});
+
+test('printRecords filters with the where-condition', async () => {
+  const records = await printRecords(recordSession(), '/interface wifi', { where: 'disabled=yes' });
+  assert.deepEqual(records.map(r => r['.id']), ['*2']);
+});
+
+test('set, enable, remove and add resolve their targets to item IDs', async () => {
+  const session = recordSession();
+  await executeCommand(session, '/interface wifi set [find name="wifi2"] disabled=no');
+  await executeCommand(session, '/interface wifi enable wifi2');
+  await executeCommand(session, '/interface wifi print where running=yes');
+  await executeCommand(session, '/interface wifi remove 0');
+  await executeCommand(session, '/interface wifi disable *7');
+  await executeCommand(session, '/interface bridge port add bridge=bridge interface=ether2');
+  await executeCommand(session, '/system identity set name="ap 1"');
+
+  assert.deepEqual(session.calls, [
+    ['update', '/interface/wifi', '*2', { disabled: 'no' }],
+    ['update', '/interface/wifi', '*2', { disabled: 'no' }],
+    ['remove', '/interface/wifi', '*1'],
+    ['update', '/interface/wifi', '*7', { disabled: 'yes' }],
+    ['create', '/interface/bridge/port', { bridge: 'bridge', interface: 'ether2' }],
+    ['settings', '/system/identity', { name: 'ap 1' }]
+  ]);
+});
+
+test('unknown items and unsupported commands are errors', async () => {
+  const session = recordSession();
+  await assert.rejects(executeCommand(session, '/interface wifi set wifi7 disabled=no'), /no such item/);
+  await assert.rejects(executeCommand(session, '/interface wifi remove 5'), /no such item/);
+  await assert.rejects(executeCommand(session, '/system reboot'), /Command not supported by this transport: \/system reboot/);
+});
+
+test('export passes flags as empty-valued properties', async () => {
+  const session = recordSession();
+  assert.equal(await executeCommand(session, '/export show-sensitive'), '# export\n');
+  assert.deepEqual(session.calls, [['export', '/', { 'show-sensitive': '' }]]);
+});
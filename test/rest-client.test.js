@@ -0,0 +1,138 @@
+/**
+ * REST transport (lib/rest-client.js)
+ * A local HTTP server answers with fixed RouterOS /rest JSON responses.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { MikroTikREST } = require('../lib/rest-client');
+const { withConsoleSink } = require('../lib/console-capture');
+
+// GET responses as RouterOS sends them: every value a string, booleans as "true"/"false"
+const RESPONSES = {
+  '/rest/system/identity': '{"name":"ap1"}',
+  '/rest/system/resource': '{"board-name":"wAP ax","uptime":"1d2h","version":"7.16.2 (stable)"}',
+  '/rest/interface/wifi': '[' +
+    '{".id":"*1","configuration.ssid":"Home","disabled":"false","name":"wifi1","running":"true"},' +
+    '{".id":"*2","comment":"guest radio","configuration.ssid":"Guest","disabled":"true","name":"wifi2","running":"false"}' +
+    ']'
+};
+
+/**
+ * Start a REST server recording the requests it receives
+ * @returns {Promise<{port: number, requests: Array, close: Function}>} Server
+ */
+function startServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, auth: req.headers.authorization, body: body ? JSON.parse(body) : null });
+      if (req.headers.authorization !== `Basic ${Buffer.from('admin:secret').toString('base64')}`) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end('{"error":401,"message":"Unauthorized"}');
+      } else if (req.method === 'GET' && RESPONSES[req.url]) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(RESPONSES[req.url]);
+      } else if (req.method === 'PUT' && req.url === '/rest/interface/bridge/port' && body.includes('"ether9"')) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end('{"detail":"input does not match any value of interface","error":400,"message":"Bad Request"}');
+      } else if (req.method === 'GET') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end('{"error":404,"message":"Not Found"}');
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(req.method === 'PUT' ? '{".id":"*9"}' : '');
+      }
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      port: server.address().port,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+// Sessions print progress; the test runner reads the test's stdout, so it is held back
+async function withSession(password, fn) {
+  return withConsoleSink(() => false, () => runSession(password, fn));
+}
+
+async function runSession(password, fn) {
+  const server = await startServer();
+  const mt = new MikroTikREST('127.0.0.1', 'admin', password, { restProtocol: 'http', port: server.port, timeout: 5000 });
+  try {
+    await fn(mt, server.requests);
+  } finally {
+    await mt.close();
+    await server.close();
+  }
+}
+
+test('connect authenticates with basic auth against /system/identity', async () => {
+  await withSession('secret', async (mt, requests) => {
+    await mt.connect();
+    assert.equal(mt.isConnected(), true);
+    assert.deepEqual(requests.map(r => `${r.method} ${r.url}`), ['GET /rest/system/identity']);
+  });
+});
+
+test('a 401 response is reported as an authentication failure', async () => {
+  await withSession('wrong', async (mt) => {
+    await assert.rejects(mt.connect(), /Authentication failed for user 'admin'/);
+  });
+});
+
+test('print returns records with console values and applies the where-condition', async () => {
+  await withSession('secret', async (mt) => {
+    await mt.connect();
+    assert.deepEqual(await mt.print('/interface/wifi', { where: 'running=yes' }), [
+      { '.id': '*1', 'configuration.ssid': 'Home', disabled: 'no', name: 'wifi1', running: 'yes' }
+    ]);
+  });
+});
+
+test('print commands render console output from the JSON records', async () => {
+  await withSession('secret', async (mt) => {
+    await mt.connect();
+    assert.equal(await mt.exec('/interface wifi print detail'),
+      ' 0 R  configuration.ssid="Home" disabled=no name="wifi1" running=yes\n' +
+      ' 1 X  ;;; guest radio\n' +
+      '       configuration.ssid="Guest" disabled=yes name="wifi2" running=no\n');
+    assert.equal(await mt.exec('/interface wifi print count-only where disabled=no'), '1\n');
+    assert.equal(await mt.exec('/system resource print'),
+      '  board-name: wAP ax\n      uptime: 1d2h\n     version: 7.16.2 (stable)\n');
+  });
+});
+
+test('set, add, remove and settings commands map to PATCH, PUT, DELETE and POST', async () => {
+  await withSession('secret', async (mt, requests) => {
+    await mt.connect();
+    await mt.exec('/interface wifi set [find name="wifi2"] disabled=no');
+    await mt.exec('/interface wifi print');
+    await mt.exec('/interface wifi remove 0');
+    await mt.exec('/interface bridge port add bridge=bridge interface=ether2');
+    await mt.exec('/system identity set name="ap 1"');
+
+    const changes = requests.filter(r => r.method !== 'GET');
+    assert.deepEqual(changes.map(({ method, url, body }) => ({ method, url, body })), [
+      { method: 'PATCH', url: '/rest/interface/wifi/*2', body: { disabled: 'no' } },
+      { method: 'DELETE', url: '/rest/interface/wifi/*1', body: null },
+      { method: 'PUT', url: '/rest/interface/bridge/port', body: { bridge: 'bridge', interface: 'ether2' } },
+      { method: 'POST', url: '/rest/system/identity/set', body: { name: 'ap 1' } }
+    ]);
+  });
+});
+
+test('error responses carry the RouterOS detail message', async () => {
+  await withSession('secret', async (mt) => {
+    await mt.connect();
+    await assert.rejects(mt.exec('/interface bridge port add bridge=bridge interface=ether9'),
+      /^Error: input does not match any value of interface$/);
+    await assert.rejects(mt.exec('/interface wifi set wifi7 disabled=no'), /no such item/);
+  });
+});
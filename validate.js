@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+const { SCHEMA_FILES } = require('./lib/schema');
+const { validateFile, formatErrors } = require('./lib/validate');
+const { findLegacySettings } = require('./lib/migrate');
+
+function usage() {
+  console.log('Usage: node validate.js <config-file.yaml>... [--kind <config|multiple-devices>] [--json]');
+  console.log('');
+  console.log('Checks configuration files against the JSON Schemas in schema/ and the rules the');
+  console.log('apply scripts enforce (SSID references, UNKNOWN passphrases, CAP controller');
+  console.log('addresses), and lists every error with its YAML line. No device is contacted.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --kind <kind>    Validate as config (single device) or multiple-devices');
+  console.log('                   (default: multiple-devices when the file has a devices list)');
+  console.log('  --json           Print the results as JSON');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node validate.js multiple-devices.yaml');
+  console.log('  node validate.js config.yaml site-a.yaml site-b.yaml');
+  console.log('');
+  console.log('Exit code: 0 when every file is valid, 1 otherwise.');
+  process.exit(1);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    usage();
+  }
+
+  const kindIndex = args.indexOf('--kind');
+  const kind = kindIndex !== -1 ? args[kindIndex + 1] : undefined;
+  if (kindIndex !== -1 && !SCHEMA_FILES[kind]) {
+    console.error(`--kind requires ${Object.keys(SCHEMA_FILES).join(' or ')}`);
+    process.exit(1);
+  }
+  const json = args.includes('--json');
+  const files = args.filter((arg, index) => !arg.startsWith('--') && (kindIndex === -1 || index !== kindIndex + 1));
+  if (files.length === 0) {
+    usage();
+  }
+
+  const results = files.map(file => {
+    try {
+      return { file, ...validateFile(file, { kind }) };
+    } catch (e) {
+      return { file, kind: kind || null, errors: [{ path: [], line: null, message: e.message }] };
+    }
+  });
+
+  if (json) {
+    console.log(JSON.stringify(results.map(result => ({
+      file: result.file,
+      kind: result.kind,
+      valid: result.errors.length === 0,
+      errors: result.errors
+    })), null, 2));
+  } else {
+    for (const result of results) {
+      if (result.errors.length === 0) {
+        console.log(`✓ ${result.file} is valid (${SCHEMA_FILES[result.kind]})`);
+        const legacySettings = findLegacySettings(result.config, result.kind);
+        if (legacySettings.length > 0) {
+          console.log(`  ℹ️  ${legacySettings.length} legacy setting(s) - convert them with: ./migrate.js ${result.file}`);
+        }
+      } else {
+        console.log(`✗ ${result.file}: ${result.errors.length} error(s)`);
+        formatErrors(result.file, result.errors).forEach(line => console.log(`  ${line}`));
+      }
+    }
+  }
+
+  if (results.some(result => result.errors.length > 0)) {
+    process.exit(1);
+  }
+}
+
+main();